@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SalePayment" ADD COLUMN     "changeAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "tenderedAmount" DOUBLE PRECISION;
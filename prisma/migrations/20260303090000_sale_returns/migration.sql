@@ -0,0 +1,85 @@
+-- CreateEnum
+CREATE TYPE "RefundMethod" AS ENUM ('CASH', 'ORIGINAL_TENDER', 'WALLET', 'EXCHANGE');
+
+-- CreateEnum
+CREATE TYPE "ReturnDisposition" AS ENUM ('RESTOCK', 'WASTAGE');
+
+-- AlterEnum
+ALTER TYPE "PaymentMethod" ADD VALUE 'CREDIT_NOTE';
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "returnedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "SaleReturn" (
+    "id" TEXT NOT NULL,
+    "creditNoteNo" TEXT NOT NULL,
+    "saleId" TEXT NOT NULL,
+    "customerId" TEXT,
+    "returnDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "subtotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "refundMethod" "RefundMethod" NOT NULL,
+    "refundAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "refundDetails" JSONB,
+    "exchangeSaleId" TEXT,
+    "reason" TEXT,
+    "notes" TEXT,
+    "processedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SaleReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SaleReturnItem" (
+    "id" TEXT NOT NULL,
+    "returnId" TEXT NOT NULL,
+    "saleItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "total" DOUBLE PRECISION NOT NULL,
+    "disposition" "ReturnDisposition" NOT NULL DEFAULT 'RESTOCK',
+    "wastageReason" "WastageReason",
+
+    CONSTRAINT "SaleReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SaleReturn_creditNoteNo_key" ON "SaleReturn"("creditNoteNo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SaleReturn_exchangeSaleId_key" ON "SaleReturn"("exchangeSaleId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_saleId_idx" ON "SaleReturn"("saleId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_returnDate_idx" ON "SaleReturn"("returnDate");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_returnId_idx" ON "SaleReturnItem"("returnId");
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_exchangeSaleId_fkey" FOREIGN KEY ("exchangeSaleId") REFERENCES "Sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_returnId_fkey" FOREIGN KEY ("returnId") REFERENCES "SaleReturn"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
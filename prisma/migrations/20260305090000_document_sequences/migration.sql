@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "DocumentType" AS ENUM ('SALE', 'PURCHASE', 'CREDIT_NOTE', 'ORDER');
+
+-- CreateEnum
+CREATE TYPE "SequenceReset" AS ENUM ('NEVER', 'FINANCIAL_YEAR');
+
+-- CreateTable
+CREATE TABLE "DocumentSeries" (
+    "id" TEXT NOT NULL,
+    "documentType" "DocumentType" NOT NULL,
+    "scope" TEXT NOT NULL DEFAULT 'global',
+    "prefix" TEXT NOT NULL,
+    "padding" INTEGER NOT NULL DEFAULT 6,
+    "startNumber" INTEGER NOT NULL DEFAULT 1,
+    "resetPolicy" "SequenceReset" NOT NULL DEFAULT 'FINANCIAL_YEAR',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentCounter" (
+    "id" TEXT NOT NULL,
+    "seriesId" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentSeries_documentType_scope_key" ON "DocumentSeries"("documentType", "scope");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentCounter_seriesId_period_key" ON "DocumentCounter"("seriesId", "period");
+
+-- AddForeignKey
+ALTER TABLE "DocumentCounter" ADD CONSTRAINT "DocumentCounter_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "DocumentSeries"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
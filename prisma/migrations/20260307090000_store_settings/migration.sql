@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "SettingsAction" AS ENUM ('UPDATE', 'ROLLBACK', 'RESET');
+
+-- AlterTable
+ALTER TABLE "Product" ALTER COLUMN "taxRate" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "StoreSetting" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "version" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StoreSetting_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "SettingsVersion" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "action" "SettingsAction" NOT NULL DEFAULT 'UPDATE',
+    "snapshot" JSONB NOT NULL,
+    "changes" JSONB NOT NULL,
+    "restoredVersion" INTEGER,
+    "note" TEXT,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SettingsVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SettingsVersion_version_key" ON "SettingsVersion"("version");
+
+-- CreateIndex
+CREATE INDEX "SettingsVersion_createdAt_idx" ON "SettingsVersion"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SettingsVersion" ADD CONSTRAINT "SettingsVersion_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "DeliveryAssignment" ADD COLUMN     "deliveryOtp" TEXT,
+ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "otpAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "otpVerifiedAt" TIMESTAMP(3),
+ADD COLUMN     "proofPhoto" TEXT;
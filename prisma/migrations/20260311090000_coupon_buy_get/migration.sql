@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Coupon" ADD COLUMN     "buyQuantity" INTEGER,
+ADD COLUMN     "getQuantity" INTEGER;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "buyQuantity" INTEGER,
+ADD COLUMN     "getQuantity" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "campaignDetails" JSONB;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "campaignDetails" JSONB;
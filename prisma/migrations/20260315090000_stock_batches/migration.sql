@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE "PurchaseItem" ADD COLUMN     "batchNumber" TEXT;
+
+-- CreateTable
+CREATE TABLE "StockBatch" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "purchaseItemId" TEXT,
+    "batchNumber" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiryDate" TIMESTAMP(3),
+    "costPrice" DOUBLE PRECISION NOT NULL,
+    "initialQuantity" DOUBLE PRECISION NOT NULL,
+    "remainingQuantity" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockBatchMovement" (
+    "id" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "restoredFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockBatchMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockBatch_productId_remainingQuantity_idx" ON "StockBatch"("productId", "remainingQuantity");
+
+-- CreateIndex
+CREATE INDEX "StockBatch_expiryDate_idx" ON "StockBatch"("expiryDate");
+
+-- CreateIndex
+CREATE INDEX "StockBatchMovement_batchId_idx" ON "StockBatchMovement"("batchId");
+
+-- CreateIndex
+CREATE INDEX "StockBatchMovement_transactionId_idx" ON "StockBatchMovement"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "StockBatch" ADD CONSTRAINT "StockBatch_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockBatch" ADD CONSTRAINT "StockBatch_purchaseItemId_fkey" FOREIGN KEY ("purchaseItemId") REFERENCES "PurchaseItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockBatchMovement" ADD CONSTRAINT "StockBatchMovement_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "StockBatch"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockBatchMovement" ADD CONSTRAINT "StockBatchMovement_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "InventoryTransaction"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockBatchMovement" ADD CONSTRAINT "StockBatchMovement_restoredFromId_fkey" FOREIGN KEY ("restoredFromId") REFERENCES "StockBatchMovement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing stock becomes one opening batch per product, valued at cost
+INSERT INTO "StockBatch" ("id", "productId", "batchNumber", "costPrice", "initialQuantity", "remainingQuantity", "updatedAt")
+SELECT 'opening_' || "id", "id", 'OPENING', "purchasePrice", "currentStock", "currentStock", CURRENT_TIMESTAMP
+FROM "Product"
+WHERE "currentStock" > 0;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Wastage" ADD COLUMN     "photo" TEXT,
+ADD COLUMN     "transactionId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Wastage_transactionId_key" ON "Wastage"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "Wastage_reason_idx" ON "Wastage"("reason");
+
+-- AddForeignKey
+ALTER TABLE "Wastage" ADD CONSTRAINT "Wastage_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "InventoryTransaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
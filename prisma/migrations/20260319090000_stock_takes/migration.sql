@@ -0,0 +1,70 @@
+-- AlterEnum
+ALTER TYPE "DocumentType" ADD VALUE 'STOCK_TAKE';
+
+-- CreateEnum
+CREATE TYPE "StockTakeStatus" AS ENUM ('OPEN', 'SUBMITTED', 'APPROVED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "StockTake" (
+    "id" TEXT NOT NULL,
+    "sessionNo" TEXT NOT NULL,
+    "name" TEXT,
+    "status" "StockTakeStatus" NOT NULL DEFAULT 'OPEN',
+    "categoryIds" TEXT[],
+    "notes" TEXT,
+    "startedById" TEXT NOT NULL,
+    "submittedAt" TIMESTAMP(3),
+    "approvedById" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "cancelReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockTake_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockTakeItem" (
+    "id" TEXT NOT NULL,
+    "stockTakeId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "expectedQuantity" DOUBLE PRECISION NOT NULL,
+    "costPrice" DOUBLE PRECISION NOT NULL,
+    "countedQuantity" DOUBLE PRECISION,
+    "countedById" TEXT,
+    "countedAt" TIMESTAMP(3),
+    "deviceId" TEXT,
+    "notes" TEXT,
+
+    CONSTRAINT "StockTakeItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTake_sessionNo_key" ON "StockTake"("sessionNo");
+
+-- CreateIndex
+CREATE INDEX "StockTake_status_idx" ON "StockTake"("status");
+
+-- CreateIndex
+CREATE INDEX "StockTake_createdAt_idx" ON "StockTake"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockTakeItem_productId_idx" ON "StockTakeItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTakeItem_stockTakeId_productId_key" ON "StockTakeItem"("stockTakeId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "StockTake" ADD CONSTRAINT "StockTake_startedById_fkey" FOREIGN KEY ("startedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTake" ADD CONSTRAINT "StockTake_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTakeItem" ADD CONSTRAINT "StockTakeItem_stockTakeId_fkey" FOREIGN KEY ("stockTakeId") REFERENCES "StockTake"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTakeItem" ADD CONSTRAINT "StockTakeItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTakeItem" ADD CONSTRAINT "StockTakeItem_countedById_fkey" FOREIGN KEY ("countedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,173 @@
+-- CreateTable
+CREATE TABLE "Store" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "pincode" TEXT,
+    "phone" TEXT,
+    "email" TEXT,
+    "gstNumber" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Store_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StoreUser" (
+    "id" TEXT NOT NULL,
+    "storeId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StoreUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductStock" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "storeId" TEXT NOT NULL,
+    "currentStock" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "minStockAlert" DOUBLE PRECISION NOT NULL DEFAULT 10,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductStock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Store_code_key" ON "Store"("code");
+
+-- CreateIndex
+CREATE INDEX "StoreUser_userId_idx" ON "StoreUser"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StoreUser_storeId_userId_key" ON "StoreUser"("storeId", "userId");
+
+-- CreateIndex
+CREATE INDEX "ProductStock_storeId_idx" ON "ProductStock"("storeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductStock_productId_storeId_key" ON "ProductStock"("productId", "storeId");
+
+-- AddForeignKey
+ALTER TABLE "StoreUser" ADD CONSTRAINT "StoreUser_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StoreUser" ADD CONSTRAINT "StoreUser_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- The existing shop becomes the first store; everything so far belongs to it
+INSERT INTO "Store" ("id", "code", "name", "updatedAt")
+VALUES (
+    'store_main',
+    'MAIN',
+    COALESCE((SELECT "value" #>> '{}' FROM "StoreSetting" WHERE "key" = 'storeName'), 'Main Store'),
+    CURRENT_TIMESTAMP
+);
+
+INSERT INTO "StoreUser" ("id", "storeId", "userId", "isDefault")
+SELECT 'su_' || "id", 'store_main', "id", true
+FROM "User";
+
+INSERT INTO "ProductStock" ("id", "productId", "storeId", "currentStock", "minStockAlert", "updatedAt")
+SELECT 'stock_' || "id", "id", 'store_main', "currentStock", "minStockAlert", CURRENT_TIMESTAMP
+FROM "Product";
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "storeId" TEXT;
+UPDATE "Sale" SET "storeId" = 'store_main';
+ALTER TABLE "Sale" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "storeId" TEXT;
+UPDATE "Purchase" SET "storeId" = 'store_main';
+ALTER TABLE "Purchase" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "storeId" TEXT;
+UPDATE "Order" SET "storeId" = 'store_main';
+ALTER TABLE "Order" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "InventoryTransaction" ADD COLUMN     "storeId" TEXT;
+UPDATE "InventoryTransaction" SET "storeId" = 'store_main';
+ALTER TABLE "InventoryTransaction" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "StockBatch" ADD COLUMN     "storeId" TEXT;
+UPDATE "StockBatch" SET "storeId" = 'store_main';
+ALTER TABLE "StockBatch" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Wastage" ADD COLUMN     "storeId" TEXT;
+UPDATE "Wastage" SET "storeId" = 'store_main';
+ALTER TABLE "Wastage" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "StockTake" ADD COLUMN     "storeId" TEXT;
+UPDATE "StockTake" SET "storeId" = 'store_main';
+ALTER TABLE "StockTake" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "StockAlert" ADD COLUMN     "storeId" TEXT;
+UPDATE "StockAlert" SET "storeId" = 'store_main';
+ALTER TABLE "StockAlert" ALTER COLUMN "storeId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Sale_storeId_idx" ON "Sale"("storeId");
+
+-- CreateIndex
+CREATE INDEX "Purchase_storeId_idx" ON "Purchase"("storeId");
+
+-- CreateIndex
+CREATE INDEX "Order_storeId_idx" ON "Order"("storeId");
+
+-- CreateIndex
+CREATE INDEX "InventoryTransaction_storeId_idx" ON "InventoryTransaction"("storeId");
+
+-- CreateIndex
+CREATE INDEX "StockBatch_storeId_idx" ON "StockBatch"("storeId");
+
+-- CreateIndex
+CREATE INDEX "Wastage_storeId_idx" ON "Wastage"("storeId");
+
+-- CreateIndex
+CREATE INDEX "StockTake_storeId_idx" ON "StockTake"("storeId");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_storeId_idx" ON "StockAlert"("storeId");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryTransaction" ADD CONSTRAINT "InventoryTransaction_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockBatch" ADD CONSTRAINT "StockBatch_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Wastage" ADD CONSTRAINT "Wastage_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTake" ADD CONSTRAINT "StockTake_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockAlert" ADD CONSTRAINT "StockAlert_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,81 @@
+-- AlterEnum
+ALTER TYPE "DocumentType" ADD VALUE 'TRANSFER';
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('REQUESTED', 'DISPATCHED', 'RECEIVED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "StockTransfer" (
+    "id" TEXT NOT NULL,
+    "transferNo" TEXT NOT NULL,
+    "fromStoreId" TEXT NOT NULL,
+    "toStoreId" TEXT NOT NULL,
+    "status" "TransferStatus" NOT NULL DEFAULT 'REQUESTED',
+    "notes" TEXT,
+    "requestedById" TEXT NOT NULL,
+    "dispatchedById" TEXT,
+    "dispatchedAt" TIMESTAMP(3),
+    "receivedById" TEXT,
+    "receivedAt" TIMESTAMP(3),
+    "cancelReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockTransfer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockTransferItem" (
+    "id" TEXT NOT NULL,
+    "transferId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "requestedQuantity" DOUBLE PRECISION NOT NULL,
+    "dispatchedQuantity" DOUBLE PRECISION,
+    "receivedQuantity" DOUBLE PRECISION,
+    "costPrice" DOUBLE PRECISION,
+    "notes" TEXT,
+
+    CONSTRAINT "StockTransferItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransfer_transferNo_key" ON "StockTransfer"("transferNo");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_fromStoreId_idx" ON "StockTransfer"("fromStoreId");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_toStoreId_idx" ON "StockTransfer"("toStoreId");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_status_idx" ON "StockTransfer"("status");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_createdAt_idx" ON "StockTransfer"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockTransferItem_productId_idx" ON "StockTransferItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransferItem_transferId_productId_key" ON "StockTransferItem"("transferId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_fromStoreId_fkey" FOREIGN KEY ("fromStoreId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_toStoreId_fkey" FOREIGN KEY ("toStoreId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_dispatchedById_fkey" FOREIGN KEY ("dispatchedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferItem" ADD CONSTRAINT "StockTransferItem_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "StockTransfer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferItem" ADD CONSTRAINT "StockTransferItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- AlterEnum
+ALTER TYPE "DocumentType" ADD VALUE 'DEBIT_NOTE';
+
+-- CreateEnum
+CREATE TYPE "PurchaseReturnReason" AS ENUM ('ROTTEN', 'DAMAGED', 'SHORT_SUPPLY', 'QUALITY', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "PurchaseReturn" (
+    "id" TEXT NOT NULL,
+    "debitNoteNo" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "storeId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "reason" "PurchaseReturnReason" NOT NULL,
+    "notes" TEXT,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PurchaseReturnItem" (
+    "id" TEXT NOT NULL,
+    "purchaseReturnId" TEXT NOT NULL,
+    "purchaseItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "purchasePrice" DOUBLE PRECISION NOT NULL,
+    "total" DOUBLE PRECISION NOT NULL,
+    "reason" "PurchaseReturnReason" NOT NULL,
+
+    CONSTRAINT "PurchaseReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurchaseReturn_debitNoteNo_key" ON "PurchaseReturn"("debitNoteNo");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_purchaseId_idx" ON "PurchaseReturn"("purchaseId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_storeId_idx" ON "PurchaseReturn"("storeId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_supplierId_idx" ON "PurchaseReturn"("supplierId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturn_createdAt_idx" ON "PurchaseReturn"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturnItem_purchaseReturnId_idx" ON "PurchaseReturnItem"("purchaseReturnId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseReturnItem_purchaseItemId_idx" ON "PurchaseReturnItem"("purchaseItemId");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturn" ADD CONSTRAINT "PurchaseReturn_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturnItem" ADD CONSTRAINT "PurchaseReturnItem_purchaseReturnId_fkey" FOREIGN KEY ("purchaseReturnId") REFERENCES "PurchaseReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturnItem" ADD CONSTRAINT "PurchaseReturnItem_purchaseItemId_fkey" FOREIGN KEY ("purchaseItemId") REFERENCES "PurchaseItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseReturnItem" ADD CONSTRAINT "PurchaseReturnItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
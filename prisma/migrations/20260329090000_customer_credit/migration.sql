@@ -0,0 +1,91 @@
+-- AlterEnum
+ALTER TYPE "DocumentType" ADD VALUE 'RECEIPT';
+
+-- CreateEnum
+CREATE TYPE "CreditTransactionType" AS ENUM ('SALE', 'PAYMENT', 'RETURN', 'VOID');
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "creditLimit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "creditBalance" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "amountDue" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CreditTransaction" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "type" "CreditTransactionType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "balance" DOUBLE PRECISION NOT NULL,
+    "saleId" TEXT,
+    "paymentId" TEXT,
+    "reference" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CreditTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CustomerPayment" (
+    "id" TEXT NOT NULL,
+    "receiptNo" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "storeId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "paymentMethod" "PaymentMethod" NOT NULL,
+    "referenceNo" TEXT,
+    "notes" TEXT,
+    "paymentDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "receivedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomerPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CustomerPaymentAllocation" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "saleId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "CustomerPaymentAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CreditTransaction_customerId_createdAt_idx" ON "CreditTransaction"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerPayment_receiptNo_key" ON "CustomerPayment"("receiptNo");
+
+-- CreateIndex
+CREATE INDEX "CustomerPayment_customerId_idx" ON "CustomerPayment"("customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerPayment_storeId_idx" ON "CustomerPayment"("storeId");
+
+-- CreateIndex
+CREATE INDEX "CustomerPaymentAllocation_paymentId_idx" ON "CustomerPaymentAllocation"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "CustomerPaymentAllocation_saleId_idx" ON "CustomerPaymentAllocation"("saleId");
+
+-- AddForeignKey
+ALTER TABLE "CreditTransaction" ADD CONSTRAINT "CreditTransaction_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPaymentAllocation" ADD CONSTRAINT "CustomerPaymentAllocation_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "CustomerPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPaymentAllocation" ADD CONSTRAINT "CustomerPaymentAllocation_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterEnum
+ALTER TYPE "WalletTransactionType" ADD VALUE 'TOP_UP';
+ALTER TYPE "WalletTransactionType" ADD VALUE 'REFUND';
+
+-- AlterTable
+ALTER TABLE "WalletTransaction" ADD COLUMN     "paymentMethod" "PaymentMethod",
+ADD COLUMN     "storeId" TEXT,
+ADD COLUMN     "createdById" TEXT;
+
+-- A wallet can never be overdrawn, whatever writes to it
+ALTER TABLE "Customer" ADD CONSTRAINT "Customer_walletBalance_check" CHECK ("walletBalance" >= 0);
+
+-- CreateIndex
+CREATE INDEX "WalletTransaction_customerId_createdAt_idx" ON "WalletTransaction"("customerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "WalletTransaction" ADD CONSTRAINT "WalletTransaction_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WalletTransaction" ADD CONSTRAINT "WalletTransaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
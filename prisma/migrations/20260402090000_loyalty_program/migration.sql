@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "LoyaltyTransactionType" AS ENUM ('EARN', 'REDEEM', 'EXPIRE', 'REVERSAL', 'ADJUSTMENT');
+
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN     "loyaltyMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "loyaltyPointsEarned" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyPointsRedeemed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LoyaltyTransaction" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "type" "LoyaltyTransactionType" NOT NULL,
+    "points" INTEGER NOT NULL,
+    "balance" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "saleId" TEXT,
+    "reference" TEXT,
+    "description" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoyaltyTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_customerId_createdAt_idx" ON "LoyaltyTransaction"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_saleId_idx" ON "LoyaltyTransaction"("saleId");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_expiresAt_idx" ON "LoyaltyTransaction"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
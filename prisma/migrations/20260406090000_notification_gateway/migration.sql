@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "NotificationChannel" AS ENUM ('SMS', 'WHATSAPP', 'EMAIL');
+
+-- CreateEnum
+CREATE TYPE "NotificationStatus" AS ENUM ('PENDING', 'SENT', 'DELIVERED', 'FAILED', 'NOT_CONFIGURED');
+
+-- AlterTable
+ALTER TABLE "StockAlert" ADD COLUMN     "notifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" TEXT NOT NULL,
+    "channel" "NotificationChannel" NOT NULL,
+    "provider" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "event" TEXT,
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "status" "NotificationStatus" NOT NULL DEFAULT 'PENDING',
+    "providerMessageId" TEXT,
+    "error" TEXT,
+    "reference" TEXT,
+    "customerId" TEXT,
+    "storeId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Notification_status_createdAt_idx" ON "Notification"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Notification_providerMessageId_idx" ON "Notification"("providerMessageId");
+
+-- CreateIndex
+CREATE INDEX "Notification_customerId_idx" ON "Notification"("customerId");
+
+-- CreateIndex
+CREATE INDEX "Notification_reference_idx" ON "Notification"("reference");
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_storeId_fkey" FOREIGN KEY ("storeId") REFERENCES "Store"("id") ON DELETE SET NULL ON UPDATE CASCADE;
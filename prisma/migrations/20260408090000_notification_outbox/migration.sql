@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "NotificationStatus" ADD VALUE 'SENDING';
+ALTER TYPE "NotificationStatus" ADD VALUE 'DEAD';
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "preferredLanguage" TEXT NOT NULL DEFAULT 'en';
+
+-- AlterTable
+ALTER TABLE "Notification" ADD COLUMN     "language" TEXT,
+ADD COLUMN     "html" TEXT,
+ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN     "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "lockedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "NotificationTemplate" (
+    "id" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "channel" "NotificationChannel" NOT NULL,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "html" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Notification_status_nextAttemptAt_idx" ON "Notification"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationTemplate_event_channel_language_key" ON "NotificationTemplate"("event", "channel", "language");
+
+-- AddForeignKey
+ALTER TABLE "NotificationTemplate" ADD CONSTRAINT "NotificationTemplate_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "MessageCategory" AS ENUM ('TRANSACTIONAL', 'PROMOTIONAL');
+
+-- CreateEnum
+CREATE TYPE "ConsentSource" AS ENUM ('SHOP_APP', 'STAFF', 'KEYWORD', 'IMPORT');
+
+-- AlterEnum
+ALTER TYPE "NotificationStatus" ADD VALUE 'SUPPRESSED';
+
+-- AlterTable
+ALTER TABLE "Notification" ADD COLUMN     "category" "MessageCategory" NOT NULL DEFAULT 'TRANSACTIONAL',
+ADD COLUMN     "suppressedReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "CommunicationPreference" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "channel" "NotificationChannel" NOT NULL,
+    "category" "MessageCategory" NOT NULL,
+    "optedIn" BOOLEAN NOT NULL,
+    "consentAt" TIMESTAMP(3) NOT NULL,
+    "source" "ConsentSource" NOT NULL,
+    "recordedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CommunicationPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConsentLog" (
+    "id" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "channel" "NotificationChannel" NOT NULL,
+    "category" "MessageCategory" NOT NULL,
+    "optedIn" BOOLEAN NOT NULL,
+    "source" "ConsentSource" NOT NULL,
+    "recordedById" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConsentLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CommunicationPreference_customerId_channel_category_key" ON "CommunicationPreference"("customerId", "channel", "category");
+
+-- CreateIndex
+CREATE INDEX "ConsentLog_customerId_createdAt_idx" ON "ConsentLog"("customerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "CommunicationPreference" ADD CONSTRAINT "CommunicationPreference_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommunicationPreference" ADD CONSTRAINT "CommunicationPreference_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConsentLog" ADD CONSTRAINT "ConsentLog_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConsentLog" ADD CONSTRAINT "ConsentLog_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
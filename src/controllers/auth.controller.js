@@ -4,6 +4,8 @@ const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 
 const prisma = require('../lib/prisma');
+const storeService = require('../services/store.service');
+const realtimeService = require('../services/realtime.service');
 
 // @desc    Login user
 // @route   POST /api/auth/login
@@ -65,9 +67,12 @@ const login = async (req, res) => {
 
     console.log('Login successful for:', email);
 
+    // Stores the user can switch between, default first
+    const stores = await storeService.storesFor(prisma, user);
+
     // Log activity (try-catch to prevent login failure if logging fails)
     try {
-      await prisma.activityLog.create({
+      const log = await prisma.activityLog.create({
         data: {
           userId: user.id,
           action: 'LOGIN',
@@ -80,6 +85,7 @@ const login = async (req, res) => {
           }
         }
       });
+      realtimeService.activity(log);
     } catch (logError) {
       console.error('Failed to log activity:', logError);
       // Continue - don't fail login because logging failed
@@ -94,7 +100,8 @@ const login = async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
-        avatar: user.avatar
+        avatar: user.avatar,
+        stores: stores.map(s => ({ id: s.id, code: s.code, name: s.name, isDefault: s.isDefault }))
       }
     });
   } catch (error) {
@@ -130,18 +137,20 @@ const getMe = async (req, res) => {
     }
 
     // Get user statistics
-    const [salesCount, salesTotal] = await Promise.all([
+    const [salesCount, salesTotal, stores] = await Promise.all([
       prisma.sale.count({ where: { cashierId: req.user.id } }),
       prisma.sale.aggregate({
         where: { cashierId: req.user.id },
         _sum: { totalAmount: true }
-      })
+      }),
+      storeService.storesFor(prisma, user)
     ]);
 
     res.json({
       success: true,
       user: {
         ...user,
+        stores: stores.map(s => ({ id: s.id, code: s.code, name: s.name, isDefault: s.isDefault })),
         stats: {
           totalSales: salesCount,
           totalAmount: salesTotal._sum.totalAmount || 0
@@ -161,7 +170,7 @@ const logout = async (req, res) => {
   try {
     // Log activity (try-catch to prevent logout failure if logging fails)
     try {
-      await prisma.activityLog.create({
+      const log = await prisma.activityLog.create({
         data: {
           userId: req.user.id,
           action: 'LOGOUT',
@@ -173,6 +182,7 @@ const logout = async (req, res) => {
           }
         }
       });
+      realtimeService.activity(log);
     } catch (logError) {
       console.error('Failed to log logout:', logError);
     }
@@ -224,7 +234,7 @@ const changePassword = async (req, res) => {
 
     // Log activity
     try {
-      await prisma.activityLog.create({
+      const log = await prisma.activityLog.create({
         data: {
           userId: req.user.id,
           action: 'CHANGE_PASSWORD',
@@ -233,6 +243,7 @@ const changePassword = async (req, res) => {
           details: { ip: req.ip || req.connection.remoteAddress }
         }
       });
+      realtimeService.activity(log);
     } catch (logError) {
       console.error('Failed to log password change:', logError);
     }
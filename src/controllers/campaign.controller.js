@@ -1,5 +1,60 @@
 const prisma = require('../lib/prisma');
 const { validationResult } = require('express-validator');
+const pricingService = require('../services/pricing.service');
+const couponService = require('../services/coupon.service');
+const settingsService = require('../services/settings.service');
+const notificationService = require('../services/notification.service');
+const { AppError } = require('../middleware/errorHandler');
+
+// Optional pricing rule fields accepted on create/update
+const pickRuleData = (body) => {
+  const data = {};
+  ['maxDiscount', 'minOrderValue'].forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key] === null ? null : parseFloat(body[key]);
+  });
+  ['buyQuantity', 'getQuantity', 'usageLimit', 'perUserLimit', 'priority'].forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key] === null ? null : parseInt(body[key]);
+  });
+  if (body.targetType !== undefined) data.targetType = body.targetType;
+  if (body.customerSegments !== undefined) data.customerSegments = body.customerSegments;
+  return data;
+};
+
+// Replace the product / category / customer links a campaign applies to
+const setCampaignLinks = async (tx, campaignId, { products, categories, customers }) => {
+  if (Array.isArray(products)) {
+    await tx.campaignProduct.deleteMany({ where: { campaignId } });
+    await tx.campaignProduct.createMany({
+      data: products.map(p => ({
+        campaignId,
+        productId: p.productId,
+        specialPrice: p.specialPrice !== undefined && p.specialPrice !== null ? parseFloat(p.specialPrice) : null
+      }))
+    });
+  }
+
+  if (Array.isArray(categories)) {
+    await tx.campaignCategory.deleteMany({ where: { campaignId } });
+    await tx.campaignCategory.createMany({
+      data: categories.map(categoryId => ({ campaignId, categoryId }))
+    });
+  }
+
+  // Keep usage counts of customers that stay targeted
+  if (Array.isArray(customers)) {
+    await tx.campaignCustomer.updateMany({
+      where: { campaignId, customerId: { notIn: customers } },
+      data: { isEligible: false }
+    });
+    for (const customerId of customers) {
+      await tx.campaignCustomer.upsert({
+        where: { campaignId_customerId: { campaignId, customerId } },
+        create: { campaignId, customerId },
+        update: { isEligible: true }
+      });
+    }
+  }
+};
 
 
 // @desc    Get all campaigns
@@ -91,18 +146,28 @@ const createCampaign = async (req, res) => {
       isActive = true
     } = req.body;
 
-    const campaign = await prisma.campaign.create({
-      data: {
-        name,
-        description,
-        type,
-        startDate: new Date(startDate),
-        endDate: new Date(endDate),
-        discountType,
-        discountValue: parseFloat(discountValue),
-        isActive,
-        createdById: req.user.id
-      }
+    const campaign = await prisma.$transaction(async (tx) => {
+      const created = await tx.campaign.create({
+        data: {
+          name,
+          description,
+          type,
+          startDate: new Date(startDate),
+          endDate: new Date(endDate),
+          discountType,
+          discountValue: parseFloat(discountValue),
+          isActive,
+          ...pickRuleData(req.body),
+          createdById: req.user.id
+        }
+      });
+
+      await setCampaignLinks(tx, created.id, req.body);
+
+      return tx.campaign.findUnique({
+        where: { id: created.id },
+        include: { products: true, categories: true }
+      });
     });
 
     res.status(201).json({
@@ -121,11 +186,17 @@ const createCampaign = async (req, res) => {
 const updateCampaign = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { products, categories, customers, ...updateData } = req.body;
 
-    const campaign = await prisma.campaign.update({
-      where: { id },
-      data: updateData
+    const campaign = await prisma.$transaction(async (tx) => {
+      const updated = await tx.campaign.update({
+        where: { id },
+        data: updateData
+      });
+
+      await setCampaignLinks(tx, id, { products, categories, customers });
+
+      return updated;
     });
 
     res.json({
@@ -209,6 +280,151 @@ const deactivateCampaign = async (req, res) => {
   }
 };
 
+// @desc    Message the customers a campaign targets. Only those who agreed
+//          to offers on the channel get it; the rest are recorded as
+//          suppressed notifications.
+// @route   POST /api/campaigns/:id/announce
+// @access  Private (Owner, Manager)
+const announceCampaign = async (req, res) => {
+  try {
+    const { channel } = req.body;
+    const now = new Date();
+
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: req.params.id },
+      include: { customers: true }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!campaign.isActive || campaign.endDate < now) {
+      return res.status(400).json({ error: 'Only active campaigns that have not ended can be announced' });
+    }
+
+    if (campaign.targetType === 'LOCATION_BASED') {
+      return res.status(400).json({ error: 'Location based campaigns cannot be announced' });
+    }
+
+    if (!notificationService.configured(channel)) {
+      return res.status(503).json({ error: `No ${channel} provider configured` });
+    }
+
+    const where = campaign.targetType === 'SPECIFIC_CUSTOMERS'
+      ? { id: { in: campaign.customers.filter(c => c.isEligible).map(c => c.customerId) } }
+      : {};
+
+    const result = { audience: 0, queued: 0, suppressed: 0, noAddress: 0 };
+    const pageSize = 500;
+    let cursor = null;
+
+    do {
+      const customers = await prisma.customer.findMany({
+        where,
+        select: {
+          id: true,
+          name: true,
+          phone: true,
+          email: true,
+          preferredLanguage: true,
+          totalOrders: true,
+          totalSpent: true
+        },
+        orderBy: { id: 'asc' },
+        take: pageSize,
+        ...(cursor && { skip: 1, cursor: { id: cursor } })
+      });
+
+      for (const customer of customers) {
+        const segment = await pricingService.customerSegment(customer);
+        const tier = await pricingService.loyaltyTier(customer);
+        if (pricingService.targetingReason(campaign, { customer, segment, tier })) continue;
+
+        result.audience++;
+        const notification = await notificationService.campaignAnnouncement(prisma, campaign, customer, channel);
+        if (!notification) result.noAddress++;
+        else if (notification.status === 'SUPPRESSED') result.suppressed++;
+        else result.queued++;
+      }
+
+      cursor = customers.length === pageSize ? customers[customers.length - 1].id : null;
+    } while (cursor);
+
+    notificationService.kick(prisma);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ANNOUNCE_CAMPAIGN',
+        entity: 'Campaign',
+        entityId: campaign.id,
+        details: { channel, ...result }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Announce campaign error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Preview campaign pricing (and optional coupon) for a basket
+// @route   POST /api/campaigns/preview
+// @access  Private
+const previewPricing = async (req, res) => {
+  try {
+    const { items, customerId, couponCode, orderType = 'POS' } = req.body;
+
+    const lines = await couponService.priceBasket(prisma, items);
+    const subtotal = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+
+    // Online orders carry a delivery fee a free-delivery campaign can waive
+    const deliveryFee = orderType === 'ONLINE'
+      ? await settingsService.deliveryFeeFor(subtotal)
+      : undefined;
+
+    const pricing = await pricingService.price(prisma, { lines, customerId, deliveryFee });
+
+    let coupon = null;
+    if (couponCode) {
+      const result = await couponService.evaluate(prisma, couponCode, {
+        customerId,
+        deliveryFee: pricing.deliveryDiscount > 0 ? 0 : deliveryFee,
+        lines: pricing.lines.map((line, i) => ({
+          ...lines[i],
+          unitPrice: (line.unitPrice * line.quantity - line.discount) / line.quantity
+        }))
+      });
+      const { coupon: couponRow, ...rest } = result;
+      coupon = result.valid ? { ...rest, code: couponRow.code } : rest;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subtotal,
+        deliveryFee,
+        ...pricing,
+        coupon
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Preview pricing error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 module.exports = {
   getCampaigns,
   getCampaign,
@@ -216,5 +432,7 @@ module.exports = {
   updateCampaign,
   deleteCampaign,
   activateCampaign,
-  deactivateCampaign
+  deactivateCampaign,
+  announceCampaign,
+  previewPricing
 };
\ No newline at end of file
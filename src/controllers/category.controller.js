@@ -108,7 +108,7 @@ const createCategory = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, image } = req.body;
+    const { name, description, image, loyaltyMultiplier } = req.body;
 
     // Check if category already exists
     const existingCategory = await prisma.category.findFirst({
@@ -131,7 +131,8 @@ const createCategory = async (req, res) => {
       data: {
         name,
         description,
-        image
+        image,
+        loyaltyMultiplier: loyaltyMultiplier !== undefined ? parseFloat(loyaltyMultiplier) : undefined
       }
     });
 
@@ -164,7 +165,7 @@ const createCategory = async (req, res) => {
 const updateCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, image, isActive } = req.body;
+    const { name, description, image, isActive, loyaltyMultiplier } = req.body;
 
     const category = await prisma.category.update({
       where: { id },
@@ -172,7 +173,8 @@ const updateCategory = async (req, res) => {
         name,
         description,
         image,
-        isActive
+        isActive,
+        loyaltyMultiplier: loyaltyMultiplier !== undefined ? parseFloat(loyaltyMultiplier) : undefined
       }
     });
 
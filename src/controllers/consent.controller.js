@@ -0,0 +1,74 @@
+const prisma = require('../lib/prisma');
+const consentService = require('../services/consent.service');
+const { handleError } = require('../middleware/errorHandler');
+
+// @desc    Message preferences in effect and the history of consent changes
+// @route   GET /api/customers/:id/preferences
+// @access  Private
+const getPreferences = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [preferences, { logs, pagination }] = await Promise.all([
+      consentService.preferences(prisma, customer.id),
+      consentService.history(prisma, customer.id, { page, limit })
+    ]);
+
+    res.json({
+      success: true,
+      data: { preferences, history: logs },
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Get preferences');
+  }
+};
+
+// @desc    Record a customer's choices given in store, by phone or on paper
+// @route   PUT /api/customers/:id/preferences
+// @access  Private (Cashier, Manager, Owner)
+const updatePreferences = async (req, res) => {
+  try {
+    const { preferences, source = 'STAFF', note } = req.body;
+
+    const changes = await prisma.$transaction((tx) => consentService.record(tx, req.params.id, preferences, {
+      source,
+      userId: req.user.id,
+      details: note ? { note } : undefined
+    }));
+
+    if (changes.length > 0) {
+      await prisma.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'UPDATE_COMMUNICATION_PREFERENCES',
+          entity: 'Customer',
+          entityId: req.params.id,
+          details: { source, changes, note }
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await consentService.preferences(prisma, req.params.id),
+      changes
+    });
+  } catch (error) {
+    handleError(res, error, 'Update preferences');
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,383 @@
+const prisma = require('../lib/prisma');
+const couponService = require('../services/coupon.service');
+const settingsService = require('../services/settings.service');
+
+const MAX_BULK_CODES = 1000;
+
+// Fields that may be set through create/update
+const pickCouponData = (body) => {
+  const data = {};
+  if (body.description !== undefined) data.description = body.description;
+  if (body.campaignId !== undefined) data.campaignId = body.campaignId || null;
+  if (body.discountType !== undefined) data.discountType = body.discountType;
+  if (body.discountValue !== undefined) data.discountValue = parseFloat(body.discountValue);
+  if (body.minOrderValue !== undefined) data.minOrderValue = parseFloat(body.minOrderValue || 0);
+  if (body.maxDiscount !== undefined) data.maxDiscount = body.maxDiscount === null ? null : parseFloat(body.maxDiscount);
+  if (body.buyQuantity !== undefined) data.buyQuantity = body.buyQuantity === null ? null : parseInt(body.buyQuantity);
+  if (body.getQuantity !== undefined) data.getQuantity = body.getQuantity === null ? null : parseInt(body.getQuantity);
+  if (body.startDate !== undefined) data.startDate = new Date(body.startDate);
+  if (body.endDate !== undefined) data.endDate = new Date(body.endDate);
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+  if (body.usageLimit !== undefined) data.usageLimit = body.usageLimit === null ? null : parseInt(body.usageLimit);
+  if (body.perUserLimit !== undefined) data.perUserLimit = body.perUserLimit === null ? null : parseInt(body.perUserLimit);
+  if (body.applicableCategories !== undefined) data.applicableCategories = body.applicableCategories;
+  if (body.applicableProducts !== undefined) data.applicableProducts = body.applicableProducts;
+  if (body.firstTimeOnly !== undefined) data.firstTimeOnly = Boolean(body.firstTimeOnly);
+  return data;
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private
+const getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, campaignId, status, search } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const now = new Date();
+
+    const where = {};
+    if (campaignId) where.campaignId = campaignId;
+    if (search) where.code = { contains: search, mode: 'insensitive' };
+
+    if (status === 'active') {
+      where.isActive = true;
+      where.startDate = { lte: now };
+      where.endDate = { gte: now };
+    } else if (status === 'expired') {
+      where.endDate = { lt: now };
+    } else if (status === 'inactive') {
+      where.isActive = false;
+    }
+
+    const coupons = await prisma.coupon.findMany({
+      where,
+      include: {
+        campaign: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take
+    });
+
+    const total = await prisma.coupon.count({ where });
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single coupon with recent redemptions
+// @route   GET /api/coupons/:id
+// @access  Private
+const getCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        campaign: {
+          select: { id: true, name: true }
+        },
+        usage: {
+          include: {
+            customer: { select: { id: true, name: true, phone: true } },
+            sale: { select: { id: true, invoiceNo: true } },
+            order: { select: { id: true, orderNumber: true } }
+          },
+          orderBy: { usedAt: 'desc' },
+          take: 50
+        }
+      }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const totals = await prisma.couponUsage.aggregate({
+      where: { couponId: id },
+      _sum: { discountAmount: true }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...coupon,
+        totalDiscountGiven: totals._sum.discountAmount || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Owner, Manager)
+const createCoupon = async (req, res) => {
+  try {
+    const code = couponService.normalizeCode(req.body.code);
+
+    const existing = await prisma.coupon.findUnique({ where: { code } });
+    if (existing) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...pickCouponData(req.body),
+        code
+      }
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'CREATE_COUPON',
+        entity: 'Coupon',
+        entityId: coupon.id,
+        details: { code }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Update coupon (the code itself cannot change)
+// @route   PUT /api/coupons/:id
+// @access  Private (Owner, Manager)
+const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data: pickCouponData(req.body)
+    });
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Delete coupon (deactivates it once redeemed)
+// @route   DELETE /api/coupons/:id
+// @access  Private (Owner, Manager)
+const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: { _count: { select: { usage: true } } }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // Redemptions reference the coupon, so keep it for the records
+    if (coupon._count.usage > 0) {
+      await prisma.coupon.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Coupon has been redeemed and was deactivated instead of deleted'
+      });
+    }
+
+    await prisma.coupon.delete({ where: { id } });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Generate unique single-use codes for a campaign
+// @route   POST /api/coupons/bulk
+// @access  Private (Owner, Manager)
+const generateCoupons = async (req, res) => {
+  try {
+    const { campaignId, count, prefix = '', length = 8 } = req.body;
+    const quantity = parseInt(count);
+
+    if (quantity > MAX_BULK_CODES) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_CODES} codes per batch` });
+    }
+
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    // Codes inherit the campaign's offer unless overridden
+    const template = {
+      description: campaign.name,
+      discountType: campaign.discountType,
+      discountValue: campaign.discountValue,
+      minOrderValue: campaign.minOrderValue,
+      maxDiscount: campaign.maxDiscount,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      applicableCategories: [],
+      applicableProducts: [],
+      ...pickCouponData(req.body),
+      campaignId,
+      usageLimit: 1,
+      perUserLimit: 1
+    };
+
+    const codePrefix = couponService.normalizeCode(prefix);
+    const codes = new Set();
+    let attempts = 0;
+
+    // Draw until enough new codes are stored; duplicates are skipped by the
+    // unique index, so races with other batches are harmless
+    while (codes.size < quantity && attempts < 10) {
+      attempts++;
+      const batch = new Set();
+      while (batch.size < quantity - codes.size) {
+        const code = codePrefix + couponService.randomCode(parseInt(length));
+        if (!codes.has(code)) batch.add(code);
+      }
+
+      const existing = await prisma.coupon.findMany({
+        where: { code: { in: [...batch] } },
+        select: { code: true }
+      });
+      existing.forEach(c => batch.delete(c.code));
+
+      const { count: created } = await prisma.coupon.createMany({
+        data: [...batch].map(code => ({ ...template, code })),
+        skipDuplicates: true
+      });
+
+      if (created === batch.size) {
+        batch.forEach(code => codes.add(code));
+      } else {
+        // Someone took a code between the check and the insert
+        const stored = await prisma.coupon.findMany({
+          where: { code: { in: [...batch] }, campaignId },
+          select: { code: true }
+        });
+        stored.forEach(c => codes.add(c.code));
+      }
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'GENERATE_COUPONS',
+        entity: 'Campaign',
+        entityId: campaignId,
+        details: { requested: quantity, generated: codes.size, prefix: codePrefix }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        campaignId,
+        generated: codes.size,
+        codes: [...codes]
+      }
+    });
+  } catch (error) {
+    console.error('Generate coupons error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Check a coupon against a cart or POS basket
+// @route   POST /api/coupons/validate
+// @access  Private
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, items, customerId, orderType = 'POS' } = req.body;
+
+    const lines = await couponService.priceBasket(prisma, items);
+    const subtotal = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+
+    // Online orders carry a delivery fee a free-delivery coupon can waive
+    const deliveryFee = orderType === 'ONLINE'
+      ? await settingsService.deliveryFeeFor(subtotal)
+      : undefined;
+
+    const result = await couponService.evaluate(prisma, code, { lines, customerId, deliveryFee });
+
+    if (!result.valid) {
+      return res.json({
+        success: true,
+        data: result
+      });
+    }
+
+    const { coupon, ...rest } = result;
+
+    res.json({
+      success: true,
+      data: {
+        ...rest,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        description: coupon.description
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  generateCoupons,
+  validateCoupon
+};
@@ -0,0 +1,308 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/prisma');
+const customerCreditService = require('../services/customer-credit.service');
+const notificationService = require('../services/notification.service');
+const { handleError } = require('../middleware/errorHandler');
+const { storeFilter } = require('../middleware/store');
+
+// @desc    Customer's credit account: limit, dues and open invoices
+// @route   GET /api/customers/:id/credit
+// @access  Private
+const getCreditAccount = async (req, res) => {
+  try {
+    const account = await customerCreditService.account(prisma, req.params.id);
+
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    handleError(res, error, 'Get credit account');
+  }
+};
+
+// @desc    Set a customer's credit limit (0 stops credit sales)
+// @route   PUT /api/customers/:id/credit
+// @access  Private (Manager, Owner)
+const updateCreditLimit = async (req, res) => {
+  try {
+    const creditLimit = parseFloat(req.body.creditLimit);
+
+    const existing = await prisma.customer.findUnique({
+      where: { id: req.params.id },
+      select: { creditLimit: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const customer = await prisma.customer.update({
+      where: { id: req.params.id },
+      data: { creditLimit },
+      select: { id: true, name: true, phone: true, creditLimit: true, creditBalance: true }
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_CREDIT_LIMIT',
+        entity: 'Customer',
+        entityId: customer.id,
+        details: {
+          from: existing.creditLimit,
+          to: creditLimit
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    handleError(res, error, 'Update credit limit');
+  }
+};
+
+// @desc    Collect a payment against a customer's dues
+// @route   POST /api/customers/:id/credit/payments
+// @access  Private (Cashier, Manager, Owner)
+const collectPayment = async (req, res) => {
+  try {
+    const { amount, paymentMethod, referenceNo, notes, allocations, paymentDate } = req.body;
+
+    const { payment, balance } = await prisma.$transaction((tx) => customerCreditService.collect(tx, {
+      customerId: req.params.id,
+      storeId: req.storeId,
+      amount,
+      paymentMethod,
+      referenceNo,
+      notes,
+      allocations,
+      paymentDate
+    }, req.user.id));
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'COLLECT_CREDIT_PAYMENT',
+        entity: 'CustomerPayment',
+        entityId: payment.id,
+        details: {
+          receiptNo: payment.receiptNo,
+          customerId: req.params.id,
+          amount: payment.amount,
+          invoices: payment.allocations.map(a => a.sale.invoiceNo)
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...payment,
+        balance
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Collect credit payment');
+  }
+};
+
+// @desc    Payments collected from a customer
+// @route   GET /api/customers/:id/credit/payments
+// @access  Private
+const getCreditPayments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { customerId: req.params.id };
+
+    const [payments, total] = await Promise.all([
+      prisma.customerPayment.findMany({
+        where,
+        include: {
+          store: { select: { id: true, code: true, name: true } },
+          receivedBy: { select: { id: true, name: true } },
+          allocations: {
+            include: {
+              sale: { select: { id: true, invoiceNo: true, saleDate: true, totalAmount: true } }
+            }
+          }
+        },
+        orderBy: { paymentDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.customerPayment.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get credit payments');
+  }
+};
+
+// @desc    Customer statement (JSON, or a PDF to hand over)
+// @route   GET /api/customers/:id/credit/statement?format=pdf&startDate=&endDate=
+// @access  Private
+const getCreditStatement = async (req, res) => {
+  try {
+    const { format, startDate, endDate } = req.query;
+
+    const statement = await customerCreditService.statement(prisma, req.params.id, { startDate, endDate });
+
+    if (format !== 'pdf') {
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+
+    const { customer, period, openingBalance, entries, summary } = statement;
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=statement-${customer.phone}.pdf`);
+
+    doc.pipe(res);
+
+    doc.fontSize(20).text('FRUGANO', { align: 'center' });
+    doc.fontSize(12).text('Customer Statement', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Customer: ${customer.name}`);
+    doc.text(`Phone: ${customer.phone}`);
+    doc.text(`Period: ${period.startDate ? period.startDate.toLocaleDateString() : 'Start'} to ${(period.endDate || new Date()).toLocaleDateString()}`);
+    doc.text(`Credit limit: ₹${customer.creditLimit.toFixed(2)}`);
+    doc.moveDown();
+
+    const row = (y, cells, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(cells[0], 50, y)
+        .text(cells[1], 120, y, { width: 220 })
+        .text(cells[2], 350, y, { width: 60, align: 'right' })
+        .text(cells[3], 415, y, { width: 60, align: 'right' })
+        .text(cells[4], 480, y, { width: 70, align: 'right' });
+    };
+    const amount = (value) => (value ? value.toFixed(2) : '');
+
+    let y = doc.y;
+    row(y, ['Date', 'Particulars', 'Debit', 'Credit', 'Balance'], true);
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+    y += 25;
+    row(y, ['', 'Balance brought forward', '', '', openingBalance.toFixed(2)]);
+    y += 20;
+
+    entries.forEach(e => {
+      if (y > 700) {
+        doc.addPage();
+        y = 50;
+      }
+      row(y, [e.date.toLocaleDateString(), e.description || e.type, amount(e.debit), amount(e.credit), e.balance.toFixed(2)]);
+      y += 20;
+    });
+
+    doc.moveTo(50, y).lineTo(550, y).stroke();
+    y += 10;
+    row(y, ['', 'Amount due', amount(summary.totalDebit), amount(summary.totalCredit), summary.closingBalance.toFixed(2)], true);
+
+    doc.end();
+  } catch (error) {
+    handleError(res, error, 'Get credit statement');
+  }
+};
+
+// @desc    Text the customer a reminder of what they owe
+// @route   POST /api/customers/:id/credit/reminder
+// @access  Private (Cashier, Manager, Owner)
+const sendCreditReminder = async (req, res) => {
+  try {
+    const { customer, invoices } = await customerCreditService.account(prisma, req.params.id);
+
+    if (customer.creditBalance <= 0) {
+      return res.status(400).json({ error: 'Customer has nothing due' });
+    }
+
+    const notification = await notificationService.paymentReminder(prisma, customer, customer.creditBalance);
+
+    if (notification.status === 'SUPPRESSED') {
+      return res.status(409).json({ error: 'Customer has opted out of these messages', reason: notification.suppressedReason });
+    }
+
+    if (notification.status === 'NOT_CONFIGURED') {
+      return res.status(503).json({ error: notification.error, notificationId: notification.id });
+    }
+
+    if (notification.status === 'DEAD') {
+      return res.status(502).json({ error: 'Reminder could not be sent', notificationId: notification.id });
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'SEND_CREDIT_REMINDER',
+        entity: 'Customer',
+        entityId: customer.id,
+        details: {
+          amount: customer.creditBalance,
+          invoices: invoices.length,
+          notificationId: notification.id
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: notification.status === 'PENDING' ? 'Reminder queued for retry' : 'Reminder sent',
+      notificationId: notification.id
+    });
+  } catch (error) {
+    handleError(res, error, 'Send credit reminder');
+  }
+};
+
+// @desc    Receivables aging: what customers owe by age of invoice
+// @route   GET /api/customers/credit/aging?customerId=&asOf=
+// @access  Private (Manager, Owner)
+const getReceivablesAging = async (req, res) => {
+  try {
+    const { customerId, asOf } = req.query;
+
+    const aging = await customerCreditService.aging(prisma, {
+      customerId,
+      ...storeFilter(req),
+      asOf: asOf ? new Date(asOf) : new Date()
+    });
+
+    res.json({
+      success: true,
+      data: aging
+    });
+  } catch (error) {
+    handleError(res, error, 'Get receivables aging');
+  }
+};
+
+module.exports = {
+  getCreditAccount,
+  updateCreditLimit,
+  collectPayment,
+  getCreditPayments,
+  getCreditStatement,
+  sendCreditReminder,
+  getReceivablesAging
+};
@@ -109,7 +109,7 @@ const createCustomer = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, phone, email, address } = req.body;
+    const { name, phone, email, address, preferredLanguage } = req.body;
 
     // Check if customer exists
     const existingCustomer = await prisma.customer.findUnique({
@@ -125,6 +125,7 @@ const createCustomer = async (req, res) => {
         name,
         phone,
         email,
+        preferredLanguage,
         addresses: address ? {
           create: {
             addressLine1: address,
@@ -155,7 +156,8 @@ const createCustomer = async (req, res) => {
 const updateCustomer = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Credit, dues, wallet money and points only change through their own endpoints
+    const { creditLimit, creditBalance, walletBalance, loyaltyPoints, ...updateData } = req.body;
 
     const customer = await prisma.customer.update({
       where: { id },
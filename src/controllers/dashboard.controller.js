@@ -1,4 +1,5 @@
 const prisma = require('../lib/prisma');
+const { storeFilter } = require('../middleware/store');
 
 // @desc    Get dashboard summary
 // @route   GET /api/dashboard/summary
@@ -14,6 +15,7 @@ const getSummary = async (req, res) => {
     
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
+    const store = storeFilter(req);
 
     // Run parallel queries
     const [
@@ -23,11 +25,15 @@ const getSummary = async (req, res) => {
       lowStockCount,
       totalCustomers,
       recentSales,
-      topProductsData
+      topProductsData,
+      todayWastage,
+      monthWastage,
+      storeSales
     ] = await Promise.all([
       // Today's sales
       prisma.sale.aggregate({
         where: {
+          ...store,
           saleDate: {
             gte: startOfDay,
             lte: endOfDay
@@ -41,6 +47,7 @@ const getSummary = async (req, res) => {
       // Month sales
       prisma.sale.aggregate({
         where: {
+          ...store,
           saleDate: {
             gte: startOfMonth,
             lte: endOfMonth
@@ -56,12 +63,13 @@ const getSummary = async (req, res) => {
         where: { isActive: true }
       }),
 
-      // Low stock count
-      prisma.product.count({
+      // Low stock count (store stock rows, so per store in the all-stores view)
+      prisma.productStock.count({
         where: {
-          isActive: true,
+          ...store,
+          product: { isActive: true },
           currentStock: {
-            lte: prisma.product.fields.minStockAlert
+            lte: prisma.productStock.fields.minStockAlert
           }
         }
       }),
@@ -71,6 +79,7 @@ const getSummary = async (req, res) => {
 
       // Recent sales - FIXED: Removed conflicting include/select
       prisma.sale.findMany({
+        where: store,
         take: 5,
         orderBy: { createdAt: 'desc' },
         select: {
@@ -80,6 +89,9 @@ const getSummary = async (req, res) => {
           createdAt: true,
           cashier: {
             select: { name: true }
+          },
+          store: {
+            select: { id: true, code: true, name: true }
           }
         }
       }),
@@ -87,6 +99,7 @@ const getSummary = async (req, res) => {
       // Top products
       prisma.saleItem.groupBy({
         by: ['productId'],
+        where: { sale: store },
         _sum: {
           quantity: true,
           total: true
@@ -97,7 +110,49 @@ const getSummary = async (req, res) => {
           }
         },
         take: 5
-      })
+      }),
+
+      // Today's wastage
+      prisma.wastage.aggregate({
+        where: {
+          ...store,
+          createdAt: {
+            gte: startOfDay,
+            lte: endOfDay
+          }
+        },
+        _sum: { totalLoss: true },
+        _count: true
+      }),
+
+      // Month wastage
+      prisma.wastage.aggregate({
+        where: {
+          ...store,
+          createdAt: {
+            gte: startOfMonth,
+            lte: endOfMonth
+          }
+        },
+        _sum: { totalLoss: true },
+        _count: true
+      }),
+
+      // Today's sales per store, for the owner's all-stores view
+      req.storeId
+        ? Promise.resolve([])
+        : prisma.sale.groupBy({
+          by: ['storeId'],
+          where: {
+            saleDate: {
+              gte: startOfDay,
+              lte: endOfDay
+            },
+            paymentStatus: { not: 'CANCELLED' }
+          },
+          _sum: { totalAmount: true },
+          _count: true
+        })
     ]);
 
     // Get product details for top products
@@ -129,11 +184,15 @@ const getSummary = async (req, res) => {
       data: {
         today: {
           sales: todaySales._count || 0,
-          revenue: todaySales._sum.totalAmount || 0
+          revenue: todaySales._sum.totalAmount || 0,
+          wastageEntries: todayWastage._count || 0,
+          wastageLoss: todayWastage._sum.totalLoss || 0
         },
         month: {
           sales: monthSales._count || 0,
-          revenue: monthSales._sum.totalAmount || 0
+          revenue: monthSales._sum.totalAmount || 0,
+          wastageEntries: monthWastage._count || 0,
+          wastageLoss: monthWastage._sum.totalLoss || 0
         },
         inventory: {
           totalProducts,
@@ -141,7 +200,19 @@ const getSummary = async (req, res) => {
         },
         customers: totalCustomers,
         recentSales,
-        topProducts: formattedTopProducts
+        topProducts: formattedTopProducts,
+        ...(!req.storeId && {
+          stores: req.stores.map(s => {
+            const sales = storeSales.find(row => row.storeId === s.id);
+            return {
+              storeId: s.id,
+              code: s.code,
+              name: s.name,
+              todaySales: sales ? sales._count : 0,
+              todayRevenue: sales ? sales._sum.totalAmount || 0 : 0
+            };
+          })
+        })
       }
     });
   } catch (error) {
@@ -169,6 +240,7 @@ const getCharts = async (req, res) => {
         const weekSales = await prisma.sale.groupBy({
           by: ['saleDate'],
           where: {
+            ...storeFilter(req),
             saleDate: {
               gte: startDate
             },
@@ -207,6 +279,7 @@ const getCharts = async (req, res) => {
         const monthSales = await prisma.sale.groupBy({
           by: ['saleDate'],
           where: {
+            ...storeFilter(req),
             saleDate: {
               gte: startDate
             },
@@ -246,6 +319,7 @@ const getCharts = async (req, res) => {
     // Get category distribution using Prisma
     const salesWithProducts = await prisma.sale.findMany({
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: startDate
         },
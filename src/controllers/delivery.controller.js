@@ -0,0 +1,680 @@
+const prisma = require('../lib/prisma');
+const orderService = require('../services/order.service');
+const notificationService = require('../services/notification.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+const { generateOTP } = require('../utils/helpers');
+
+// Allowed rider moves. Reattempts after a failure go through reassignment.
+const DELIVERY_TRANSITIONS = {
+  ASSIGNED: ['PICKED_UP'],
+  PICKED_UP: ['IN_TRANSIT', 'DELIVERED', 'FAILED'],
+  IN_TRANSIT: ['DELIVERED', 'FAILED'],
+  FAILED: ['RETURNED'],
+  DELIVERED: [],
+  RETURNED: []
+};
+
+// Order status each delivery step moves the order to
+const ORDER_STATUS_FOR = {
+  PICKED_UP: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+  RETURNED: 'RETURNED'
+};
+
+// Orders that can be handed to a rider: packed ones (pickup moves them
+// on to OUT_FOR_DELIVERY) and ones already out, for a reassignment
+const ASSIGNABLE_ORDER_STATUSES = ['PACKED', 'OUT_FOR_DELIVERY'];
+
+// Assignments that can still be moved to another rider
+const REASSIGNABLE_STATUSES = ['ASSIGNED', 'PICKED_UP', 'FAILED'];
+
+const MANAGER_ROLES = ['OWNER', 'MANAGER'];
+
+// Wrong handover OTPs allowed before a manager has to issue a new one
+const MAX_OTP_ATTEMPTS = 5;
+
+// The OTP is for the customer only and never leaves the API
+const deliverySelect = {
+  id: true,
+  orderId: true,
+  deliveryBoyId: true,
+  assignedAt: true,
+  startedAt: true,
+  completedAt: true,
+  status: true,
+  notes: true,
+  deliveryFee: true,
+  customerRating: true,
+  customerFeedback: true,
+  otpVerifiedAt: true,
+  proofPhoto: true,
+  failureReason: true,
+  deliveryBoy: {
+    select: {
+      id: true,
+      name: true,
+      phone: true
+    }
+  },
+  order: {
+    select: {
+      id: true,
+      orderNumber: true,
+      storeId: true,
+      orderStatus: true,
+      deliveryDate: true,
+      deliverySlot: true,
+      totalAmount: true,
+      paymentMethod: true,
+      paymentStatus: true,
+      notes: true,
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          phone: true
+        }
+      },
+      address: true
+    }
+  }
+};
+
+// Start of the given day and of the next one
+const dayRange = (date) => {
+  const start = date ? new Date(date) : new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { gte: start, lt: end };
+};
+
+// Where-clause fragment limiting deliveries to the request's store
+const deliveryStoreFilter = (req) => (req.storeId ? { order: storeFilter(req) } : {});
+
+// Text the handover OTP to the customer. A failed send is recorded on the
+// notification rather than blocking the pickup.
+const sendDeliveryOtp = (phone, otp, orderId) => notificationService.quietly('Delivery OTP',
+  () => notificationService.sendOtp(prisma, phone, otp, { event: 'DELIVERY_OTP', reference: orderId })
+);
+
+// @desc    Assign or reassign an order to a rider
+// @route   POST /api/deliveries/assign
+// @access  Private (Owner, Manager)
+const assignDelivery = async (req, res) => {
+  try {
+    const { orderId, riderId, deliveryFee, notes } = req.body;
+
+    const rider = await prisma.user.findUnique({
+      where: { id: riderId }
+    });
+
+    if (!rider || rider.role !== 'DELIVERY_BOY' || !rider.isActive) {
+      return res.status(400).json({ error: 'Rider not found or inactive' });
+    }
+
+    const delivery = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { delivery: true }
+      });
+
+      if (!order || !hasStoreAccess(req, order.storeId)) {
+        throw new AppError('Order not found', 404);
+      }
+
+      const member = await tx.storeUser.findUnique({
+        where: { storeId_userId: { storeId: order.storeId, userId: riderId } }
+      });
+
+      if (!member) {
+        throw new AppError('Rider does not work at the order\'s store');
+      }
+
+      if (!ASSIGNABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+        throw new AppError(`Cannot assign a ${order.orderStatus} order`, 409, {
+          allowed: ASSIGNABLE_ORDER_STATUSES
+        });
+      }
+
+      const existing = order.delivery;
+      if (existing && !REASSIGNABLE_STATUSES.includes(existing.status)) {
+        throw new AppError(`Delivery is already ${existing.status}`, 409);
+      }
+
+      const data = {
+        deliveryBoyId: riderId,
+        assignedAt: new Date(),
+        status: 'ASSIGNED',
+        notes,
+        deliveryFee: deliveryFee !== undefined ? parseFloat(deliveryFee) : order.deliveryFee,
+        failureReason: null
+      };
+
+      const assignment = existing
+        ? await tx.deliveryAssignment.update({
+          where: { id: existing.id },
+          data,
+          select: deliverySelect
+        })
+        : await tx.deliveryAssignment.create({
+          data: { ...data, orderId },
+          select: deliverySelect
+        });
+
+      await tx.orderTracking.create({
+        data: {
+          orderId,
+          status: order.orderStatus,
+          notes: existing
+            ? `Reassigned to ${rider.name}`
+            : `Assigned to ${rider.name}`,
+          updatedBy: req.user.id
+        }
+      });
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: existing ? 'REASSIGN_DELIVERY' : 'ASSIGN_DELIVERY',
+          entity: 'DeliveryAssignment',
+          entityId: assignment.id,
+          details: {
+            orderNumber: order.orderNumber,
+            riderId,
+            previousRiderId: existing ? existing.deliveryBoyId : null
+          }
+        }
+      });
+
+      return assignment;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Assign delivery error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get all delivery assignments
+// @route   GET /api/deliveries
+// @access  Private (Owner, Manager)
+const getDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, riderId, date } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...deliveryStoreFilter(req) };
+    if (status) where.status = { in: status.split(',') };
+    if (riderId) where.deliveryBoyId = riderId;
+    if (date) where.assignedAt = dayRange(date);
+
+    const deliveries = await prisma.deliveryAssignment.findMany({
+      where,
+      select: deliverySelect,
+      orderBy: { assignedAt: 'desc' },
+      skip,
+      take
+    });
+
+    const total = await prisma.deliveryAssignment.count({ where });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get riders with their open delivery count
+// @route   GET /api/deliveries/riders
+// @access  Private (Owner, Manager)
+const getRiders = async (req, res) => {
+  try {
+    const riders = await prisma.user.findMany({
+      where: {
+        role: 'DELIVERY_BOY',
+        isActive: true,
+        ...(req.storeId && { stores: { some: { storeId: req.storeId } } })
+      },
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        _count: {
+          select: {
+            deliveryTasks: {
+              where: { status: { in: ['ASSIGNED', 'PICKED_UP', 'IN_TRANSIT'] }, ...deliveryStoreFilter(req) }
+            }
+          }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: riders.map(({ _count, ...rider }) => ({
+        ...rider,
+        openDeliveries: _count.deliveryTasks
+      }))
+    });
+  } catch (error) {
+    console.error('Get riders error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get the logged in rider's deliveries
+// @route   GET /api/deliveries/my
+// @access  Private (Delivery)
+const getMyDeliveries = async (req, res) => {
+  try {
+    const { status, date } = req.query;
+
+    const where = { deliveryBoyId: req.user.id };
+
+    // Default feed: everything still on the rider's plate
+    if (status) {
+      where.status = { in: status.split(',') };
+    } else if (!date) {
+      where.status = { in: ['ASSIGNED', 'PICKED_UP', 'IN_TRANSIT', 'FAILED'] };
+    }
+    if (date) where.assignedAt = dayRange(date);
+
+    const deliveries = await prisma.deliveryAssignment.findMany({
+      where,
+      select: deliverySelect,
+      orderBy: { assignedAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get my deliveries error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single delivery assignment
+// @route   GET /api/deliveries/:id
+// @access  Private (Owner, Manager, assigned rider)
+const getDelivery = async (req, res) => {
+  try {
+    const delivery = await prisma.deliveryAssignment.findUnique({
+      where: { id: req.params.id },
+      select: deliverySelect
+    });
+
+    if (!delivery || !hasStoreAccess(req, delivery.order.storeId)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (!MANAGER_ROLES.includes(req.user.role) && delivery.deliveryBoyId !== req.user.id) {
+      return res.status(403).json({ error: 'Not your delivery' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...delivery,
+        allowedTransitions: DELIVERY_TRANSITIONS[delivery.status]
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Move a delivery to its next step (multipart when sending the proof photo)
+// @route   PATCH /api/deliveries/:id/status
+// @access  Private (Owner, Manager, assigned rider)
+const updateDeliveryStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes, location, reason, otp } = req.body;
+    const photo = req.file ? `/uploads/${req.file.filename}` : null;
+
+    let pickupOtp = null;
+
+    const delivery = await realtimeService.transaction(prisma, async (tx) => {
+      const current = await tx.deliveryAssignment.findUnique({
+        where: { id },
+        include: {
+          order: {
+            include: {
+              customer: { select: { phone: true } }
+            }
+          }
+        }
+      });
+
+      if (!current || !hasStoreAccess(req, current.order.storeId)) {
+        throw new AppError('Delivery not found', 404);
+      }
+
+      if (!MANAGER_ROLES.includes(req.user.role) && current.deliveryBoyId !== req.user.id) {
+        throw new AppError('Not your delivery', 403);
+      }
+
+      if (!(DELIVERY_TRANSITIONS[current.status] || []).includes(status)) {
+        throw new AppError(`Cannot move delivery from ${current.status} to ${status}`, 409, {
+          currentStatus: current.status,
+          allowed: DELIVERY_TRANSITIONS[current.status] || []
+        });
+      }
+
+      const data = { status };
+
+      if (status === 'PICKED_UP') {
+        pickupOtp = generateOTP();
+        data.startedAt = new Date();
+        data.deliveryOtp = pickupOtp;
+        data.otpAttempts = 0;
+      }
+
+      if (status === 'DELIVERED') {
+        if (!photo) {
+          throw new AppError('Proof of delivery photo is required');
+        }
+        if (current.otpAttempts >= MAX_OTP_ATTEMPTS) {
+          throw new AppError('Too many wrong OTPs, ask the store to send the customer a new one', 429);
+        }
+        if (!otp || otp !== current.deliveryOtp) {
+          // Counted in place of the move so the attempt survives the error
+          const { count } = await tx.deliveryAssignment.updateMany({
+            where: { id, status: current.status, otpAttempts: { lt: MAX_OTP_ATTEMPTS } },
+            data: { otpAttempts: { increment: 1 } }
+          });
+          if (count === 0) {
+            throw new AppError('Too many wrong OTPs, ask the store to send the customer a new one', 429);
+          }
+          return { attemptsLeft: MAX_OTP_ATTEMPTS - current.otpAttempts - 1 };
+        }
+        data.completedAt = new Date();
+        data.otpVerifiedAt = new Date();
+        data.proofPhoto = photo;
+      }
+
+      if (status === 'FAILED') {
+        if (!reason) {
+          throw new AppError('Failure reason is required');
+        }
+        data.failureReason = reason;
+      }
+
+      if (status === 'RETURNED') {
+        data.completedAt = new Date();
+      }
+
+      // Guard against a double tap from the rider app
+      const { count } = await tx.deliveryAssignment.updateMany({
+        where: { id, status: current.status },
+        data
+      });
+
+      if (count === 0) {
+        throw new AppError('Delivery was updated by someone else, please refresh', 409);
+      }
+
+      const orderStatus = ORDER_STATUS_FOR[status];
+      const trackingNotes = notes || (status === 'FAILED' ? `Delivery failed: ${reason}` : `Delivery ${status.toLowerCase().replace(/_/g, ' ')}`);
+
+      if (orderStatus && current.order.orderStatus !== orderStatus) {
+        await orderService.transition(tx, current.orderId, orderStatus, {
+          userId: req.user.id,
+          notes: trackingNotes,
+          location
+        });
+      } else {
+        await tx.orderTracking.create({
+          data: {
+            orderId: current.orderId,
+            status: current.order.orderStatus,
+            location,
+            notes: trackingNotes,
+            updatedBy: req.user.id
+          }
+        });
+      }
+
+      // Cash on delivery is collected at the door
+      if (status === 'DELIVERED' && current.order.paymentMethod === 'CASH' && current.order.paymentStatus !== 'PAID') {
+        await tx.order.update({
+          where: { id: current.orderId },
+          data: { paymentStatus: 'PAID' }
+        });
+        await tx.orderPayment.updateMany({
+          where: { orderId: current.orderId },
+          data: { status: 'PAID', paidAt: new Date() }
+        });
+      }
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'UPDATE_DELIVERY_STATUS',
+          entity: 'DeliveryAssignment',
+          entityId: id,
+          details: {
+            orderNumber: current.order.orderNumber,
+            from: current.status,
+            to: status,
+            reason
+          }
+        }
+      });
+
+      return {
+        assignment: await tx.deliveryAssignment.findUnique({
+          where: { id },
+          select: deliverySelect
+        }),
+        customerPhone: current.order.customer.phone,
+        orderId: current.orderId
+      };
+    }, { timeout: 15000 });
+
+    if (delivery.attemptsLeft !== undefined) {
+      return res.status(400).json({ error: 'Invalid delivery OTP', attemptsLeft: delivery.attemptsLeft });
+    }
+
+    if (pickupOtp) {
+      await sendDeliveryOtp(delivery.customerPhone, pickupOtp, delivery.orderId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...delivery.assignment,
+        allowedTransitions: DELIVERY_TRANSITIONS[delivery.assignment.status]
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Update delivery status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Send the customer a new handover OTP (after too many wrong ones)
+// @route   POST /api/deliveries/:id/otp
+// @access  Private (Owner, Manager)
+const reissueDeliveryOtp = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await prisma.deliveryAssignment.findUnique({
+      where: { id },
+      include: {
+        order: {
+          select: { orderNumber: true, storeId: true, customer: { select: { phone: true } } }
+        }
+      }
+    });
+
+    if (!current || !hasStoreAccess(req, current.order.storeId)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const otp = generateOTP();
+
+    // Only while the order is out with the rider
+    const { count } = await prisma.deliveryAssignment.updateMany({
+      where: { id, status: { in: ['PICKED_UP', 'IN_TRANSIT'] } },
+      data: { deliveryOtp: otp, otpAttempts: 0 }
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: `Cannot issue an OTP for a ${current.status} delivery` });
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'REISSUE_DELIVERY_OTP',
+        entity: 'DeliveryAssignment',
+        entityId: id,
+        details: { orderNumber: current.order.orderNumber, failedAttempts: current.otpAttempts }
+      }
+    });
+
+    await sendDeliveryOtp(current.order.customer.phone, otp, current.orderId);
+
+    res.json({
+      success: true,
+      message: 'New OTP sent to the customer'
+    });
+  } catch (error) {
+    console.error('Reissue delivery OTP error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Per-rider daily delivery report
+// @route   GET /api/deliveries/report/daily
+// @access  Private (Owner, Manager, rider for own report)
+const getDailyRiderReport = async (req, res) => {
+  try {
+    const { date, riderId } = req.query;
+
+    const where = { assignedAt: dayRange(date) };
+
+    // Riders only ever see their own numbers
+    if (!MANAGER_ROLES.includes(req.user.role)) {
+      where.deliveryBoyId = req.user.id;
+    } else {
+      Object.assign(where, deliveryStoreFilter(req));
+      if (riderId) where.deliveryBoyId = riderId;
+    }
+
+    const deliveries = await prisma.deliveryAssignment.findMany({
+      where,
+      select: {
+        status: true,
+        deliveryFee: true,
+        startedAt: true,
+        completedAt: true,
+        failureReason: true,
+        deliveryBoy: {
+          select: { id: true, name: true, phone: true }
+        }
+      }
+    });
+
+    const riders = {};
+    for (const delivery of deliveries) {
+      const rider = delivery.deliveryBoy;
+      if (!riders[rider.id]) {
+        riders[rider.id] = {
+          rider,
+          assigned: 0,
+          delivered: 0,
+          failed: 0,
+          returned: 0,
+          pending: 0,
+          feesEarned: 0,
+          totalDeliveryMinutes: 0,
+          failureReasons: {}
+        };
+      }
+
+      const row = riders[rider.id];
+      row.assigned++;
+
+      if (delivery.status === 'DELIVERED') {
+        row.delivered++;
+        row.feesEarned += delivery.deliveryFee;
+        if (delivery.startedAt && delivery.completedAt) {
+          row.totalDeliveryMinutes += (delivery.completedAt - delivery.startedAt) / 60000;
+        }
+      } else if (delivery.status === 'FAILED' || delivery.status === 'RETURNED') {
+        row[delivery.status === 'FAILED' ? 'failed' : 'returned']++;
+        const reason = delivery.failureReason || 'Unknown';
+        row.failureReasons[reason] = (row.failureReasons[reason] || 0) + 1;
+      } else {
+        row.pending++;
+      }
+    }
+
+    const report = Object.values(riders).map(({ totalDeliveryMinutes, ...row }) => ({
+      ...row,
+      avgDeliveryMinutes: row.delivered > 0 ? Math.round(totalDeliveryMinutes / row.delivered) : null,
+      successRate: row.assigned > 0 ? Math.round((row.delivered / row.assigned) * 100) : 0
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        date: dayRange(date).gte,
+        riders: report,
+        totals: {
+          assigned: report.reduce((sum, r) => sum + r.assigned, 0),
+          delivered: report.reduce((sum, r) => sum + r.delivered, 0),
+          failed: report.reduce((sum, r) => sum + r.failed, 0),
+          returned: report.reduce((sum, r) => sum + r.returned, 0),
+          feesEarned: report.reduce((sum, r) => sum + r.feesEarned, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Daily rider report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  assignDelivery,
+  getDeliveries,
+  getRiders,
+  getMyDeliveries,
+  getDelivery,
+  updateDeliveryStatus,
+  reissueDeliveryOtp,
+  getDailyRiderReport
+};
@@ -1,4 +1,5 @@
 const prisma = require('../lib/prisma');
+const settingsService = require('../services/settings.service');
 const { validationResult } = require('express-validator');
 
 
@@ -178,7 +179,7 @@ const printReceipt = async (req, res) => {
     }
 
     // Format receipt
-    const receipt = formatReceipt(sale);
+    const receipt = formatReceipt(sale, await settingsService.getAll());
 
     // Create print job
     const printJob = await prisma.printJob.create({
@@ -335,18 +336,22 @@ const configureWeighing = async (req, res) => {
 };
 
 // Helper function to format receipt
-function formatReceipt(sale) {
+function formatReceipt(sale, settings) {
   const lines = [];
   
   // Header
   lines.push('='.repeat(40));
-  lines.push('           FRUGANO');
+  const title = settings.storeName.toUpperCase().substring(0, 40);
+  lines.push(title.padStart(Math.floor((40 + title.length) / 2)));
   lines.push('    Freshness Delivered Daily');
   lines.push('='.repeat(40));
   
   // Store info
-  lines.push('Store: Main Branch');
-  lines.push(`Tel: +91 1234567890`);
+  lines.push(`Store: ${settings.city}`);
+  lines.push(`Tel: ${settings.phone}`);
+  if (settings.gstNumber) {
+    lines.push(`GSTIN: ${settings.gstNumber}`);
+  }
   lines.push('='.repeat(40));
   
   // Invoice details
@@ -385,7 +390,7 @@ function formatReceipt(sale) {
   lines.push('='.repeat(40));
   
   // Footer
-  lines.push('    Thank you for shopping!');
+  lines.push(`    ${settings.invoiceFooter}`);
   lines.push('    Visit us again!');
   lines.push('='.repeat(40));
   lines.push('');
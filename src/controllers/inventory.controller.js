@@ -1,90 +1,152 @@
 const prisma = require('../lib/prisma');
 const { validationResult } = require('express-validator');
+const batchService = require('../services/batch.service');
+const settingsService = require('../services/settings.service');
+const storeService = require('../services/store.service');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
 
+const storeSelect = { id: true, code: true, name: true };
 
+// Store stock rows flattened into the product shape the screens expect
+const stockAsProduct = ({ product, store, currentStock, minStockAlert }) => ({
+  ...product,
+  currentStock,
+  minStockAlert,
+  store
+});
 
-// @desc    Get inventory status
+// @desc    Get inventory status (per store; every store's rows for the owner's all-stores view)
 // @route   GET /api/inventory/status
 // @access  Private
 const getInventoryStatus = async (req, res) => {
   try {
+    const { byBatch } = req.query;
+    const stockInclude = {
+      product: { include: { category: true } },
+      store: { select: storeSelect }
+    };
+
     // Get low stock products
-    const lowStock = await prisma.product.findMany({
+    const lowStock = await prisma.productStock.findMany({
       where: {
+        ...storeFilter(req),
         currentStock: {
-          lte: prisma.product.fields.minStockAlert
+          lte: prisma.productStock.fields.minStockAlert
         },
-        isActive: true
-      },
-      include: {
-        category: true
+        product: { isActive: true }
       },
+      include: stockInclude,
       orderBy: {
         currentStock: 'asc'
       }
     });
 
     // Get out of stock products
-    const outOfStock = await prisma.product.findMany({
+    const outOfStock = await prisma.productStock.findMany({
       where: {
+        ...storeFilter(req),
         currentStock: 0,
-        isActive: true
+        product: { isActive: true }
       },
-      include: {
-        category: true
-      }
-    });
-
-    // Get inventory value
-    const inventoryValue = await prisma.product.aggregate({
-      where: {
-        isActive: true
-      },
-      _sum: {
-        currentStock: true,
-        purchasePrice: true
-      }
+      include: stockInclude
     });
 
     // Calculate total value
-    const products = await prisma.product.findMany({
+    const products = await prisma.productStock.findMany({
       where: {
-        isActive: true,
-        currentStock: { gt: 0 }
+        ...storeFilter(req),
+        currentStock: { gt: 0 },
+        product: { isActive: true }
       },
       select: {
         currentStock: true,
-        purchasePrice: true,
-        sellingPrice: true
+        product: {
+          select: { purchasePrice: true, sellingPrice: true }
+        }
       }
     });
 
     const totalValue = products.reduce(
-      (sum, p) => sum + (p.currentStock * p.purchasePrice),
+      (sum, p) => sum + (p.currentStock * p.product.purchasePrice),
       0
     );
 
     const potentialRevenue = products.reduce(
-      (sum, p) => sum + (p.currentStock * p.sellingPrice),
+      (sum, p) => sum + (p.currentStock * p.product.sellingPrice),
       0
     );
 
+    // Batches expired or about to expire
+    const nearExpiryDays = await settingsService.get('nearExpiryDays');
+    const expiring = await batchService.nearExpiry(prisma, { days: nearExpiryDays, storeId: req.storeId });
+    const expired = expiring.filter(b => b.isExpired);
+    const expiringSoon = expiring.filter(b => !b.isExpired);
+
+    // Open stock per product, batch by batch in FEFO order
+    let batches;
+    if (byBatch === 'true') {
+      const openBatches = await prisma.stockBatch.findMany({
+        where: { ...storeFilter(req), remainingQuantity: { gt: 0 } },
+        include: {
+          product: {
+            select: { id: true, name: true, sku: true, unit: true, currentStock: true }
+          }
+        },
+        orderBy: [
+          { productId: 'asc' },
+          { expiryDate: { sort: 'asc', nulls: 'last' } },
+          { receivedAt: 'asc' }
+        ]
+      });
+
+      // Compare against the store's own stock when looking at one store
+      const levels = req.storeId
+        ? await storeService.stockLevels(prisma, req.storeId, [...new Set(openBatches.map(b => b.productId))])
+        : null;
+
+      const byProduct = {};
+      for (const { product, ...batch } of openBatches) {
+        if (!byProduct[product.id]) {
+          byProduct[product.id] = {
+            product: levels ? { ...product, currentStock: levels[product.id]?.currentStock || 0 } : product,
+            batchedStock: 0,
+            batches: []
+          };
+        }
+        byProduct[product.id].batchedStock += batch.remainingQuantity;
+        byProduct[product.id].batches.push(batch);
+      }
+      batches = Object.values(byProduct);
+    }
+
     res.json({
       success: true,
       data: {
         lowStock: {
           count: lowStock.length,
-          items: lowStock
+          items: lowStock.map(stockAsProduct)
         },
         outOfStock: {
           count: outOfStock.length,
-          items: outOfStock
+          items: outOfStock.map(stockAsProduct)
         },
         valuation: {
           costValue: totalValue,
           retailValue: potentialRevenue,
           potentialProfit: potentialRevenue - totalValue
-        }
+        },
+        expiry: {
+          days: nearExpiryDays,
+          expired: {
+            count: expired.length,
+            costValue: expired.reduce((sum, b) => sum + b.costValue, 0)
+          },
+          expiringSoon: {
+            count: expiringSoon.length,
+            costValue: expiringSoon.reduce((sum, b) => sum + b.costValue, 0)
+          }
+        },
+        ...(batches && { batches })
       }
     });
   } catch (error) {
@@ -110,7 +172,7 @@ const getTransactions = async (req, res) => {
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
 
-    const where = {};
+    const where = { ...storeFilter(req) };
 
     if (productId) where.productId = productId;
     if (type) where.type = type;
@@ -123,6 +185,7 @@ const getTransactions = async (req, res) => {
     const transactions = await prisma.inventoryTransaction.findMany({
       where,
       include: {
+        store: { select: storeSelect },
         product: {
           select: {
             id: true,
@@ -135,6 +198,14 @@ const getTransactions = async (req, res) => {
             id: true,
             name: true
           }
+        },
+        batchMovements: {
+          select: {
+            quantity: true,
+            batch: {
+              select: { id: true, batchNumber: true, expiryDate: true }
+            }
+          }
         }
       },
       orderBy: {
@@ -169,9 +240,11 @@ const getStockAlerts = async (req, res) => {
   try {
     const alerts = await prisma.stockAlert.findMany({
       where: {
+        ...storeFilter(req),
         status: 'ACTIVE'
       },
       include: {
+        store: { select: storeSelect },
         product: {
           include: {
             category: true
@@ -200,6 +273,15 @@ const resolveAlert = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await prisma.stockAlert.findUnique({
+      where: { id },
+      select: { storeId: true }
+    });
+
+    if (!existing || !hasStoreAccess(req, existing.storeId)) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
     const alert = await prisma.stockAlert.update({
       where: { id },
       data: {
@@ -219,14 +301,55 @@ const resolveAlert = async (req, res) => {
   }
 };
 
+// Movement totals per batch and transaction type
+const getBatchMovements = async (where) => {
+  const movements = await prisma.stockBatchMovement.findMany({
+    where: { transaction: where },
+    include: {
+      transaction: { select: { type: true } },
+      batch: {
+        include: {
+          product: { select: { id: true, name: true, sku: true } }
+        }
+      }
+    }
+  });
+
+  const byBatch = {};
+  for (const movement of movements) {
+    const { batch } = movement;
+    if (!byBatch[batch.id]) {
+      byBatch[batch.id] = {
+        batchId: batch.id,
+        batchNumber: batch.batchNumber,
+        product: batch.product,
+        receivedAt: batch.receivedAt,
+        expiryDate: batch.expiryDate,
+        costPrice: batch.costPrice,
+        remainingQuantity: batch.remainingQuantity,
+        movements: {}
+      };
+    }
+
+    const totals = byBatch[batch.id].movements;
+    const type = movement.transaction.type;
+    if (!totals[type]) totals[type] = { totalQuantity: 0, transactionCount: 0 };
+    totals[type].totalQuantity += movement.quantity;
+    totals[type].transactionCount++;
+  }
+
+  return Object.values(byBatch);
+};
+
 // @desc    Get inventory movement report
 // @route   GET /api/inventory/movement
 // @access  Private
 const getMovementReport = async (req, res) => {
   try {
-    const { startDate, endDate, productId } = req.query;
+    const { startDate, endDate, productId, byBatch } = req.query;
 
     const where = {
+      ...storeFilter(req),
       createdAt: {
         gte: startDate ? new Date(startDate) : new Date(new Date().setDate(new Date().getDate() - 30)),
         lte: endDate ? new Date(endDate) : new Date()
@@ -235,6 +358,13 @@ const getMovementReport = async (req, res) => {
 
     if (productId) where.productId = productId;
 
+    if (byBatch === 'true') {
+      return res.json({
+        success: true,
+        data: await getBatchMovements(where)
+      });
+    }
+
     const movements = await prisma.inventoryTransaction.groupBy({
       by: ['type', 'productId'],
       where,
@@ -279,10 +409,113 @@ const getMovementReport = async (req, res) => {
   }
 };
 
+// @desc    Get stock batches
+// @route   GET /api/inventory/batches
+// @access  Private
+const getBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, productId, purchaseId, includeEmpty } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+    if (productId) where.productId = productId;
+    if (purchaseId) where.purchaseItem = { purchaseId };
+    if (includeEmpty !== 'true') where.remainingQuantity = { gt: 0 };
+
+    const batches = await prisma.stockBatch.findMany({
+      where,
+      include: {
+        store: { select: storeSelect },
+        product: {
+          select: { id: true, name: true, sku: true, unit: true }
+        },
+        purchaseItem: {
+          select: {
+            purchase: {
+              select: {
+                id: true,
+                invoiceNo: true,
+                supplier: { select: { id: true, name: true } }
+              }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { expiryDate: { sort: 'asc', nulls: 'last' } },
+        { receivedAt: 'asc' }
+      ],
+      skip,
+      take
+    });
+
+    const total = await prisma.stockBatch.count({ where });
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get batches expired or expiring soon
+// @route   GET /api/inventory/batches/expiring
+// @access  Private
+const getExpiringBatches = async (req, res) => {
+  try {
+    const { productId, categoryId } = req.query;
+    const days = req.query.days !== undefined
+      ? parseInt(req.query.days)
+      : await settingsService.get('nearExpiryDays');
+
+    const batches = await batchService.nearExpiry(prisma, { days, productId, categoryId, storeId: req.storeId });
+
+    // Grouped per product so the floor knows what to mark down first
+    const byProduct = {};
+    for (const { product, ...batch } of batches) {
+      if (!byProduct[product.id]) {
+        byProduct[product.id] = { product, quantity: 0, costValue: 0, batches: [] };
+      }
+      byProduct[product.id].quantity += batch.remainingQuantity;
+      byProduct[product.id].costValue += batch.costValue;
+      byProduct[product.id].batches.push(batch);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        summary: {
+          batches: batches.length,
+          expired: batches.filter(b => b.isExpired).length,
+          costValue: batches.reduce((sum, b) => sum + b.costValue, 0)
+        },
+        products: Object.values(byProduct)
+      }
+    });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 module.exports = {
   getInventoryStatus,
   getTransactions,
   getStockAlerts,
   resolveAlert,
-  getMovementReport
+  getMovementReport,
+  getBatches,
+  getExpiringBatches
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+const prisma = require('../lib/prisma');
+const loyaltyService = require('../services/loyalty.service');
+const { handleError } = require('../middleware/errorHandler');
+
+// @desc    Loyalty points, tier and points history
+// @route   GET /api/customers/:id/loyalty
+// @access  Private
+const getLoyalty = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const { pagination, ...account } = await loyaltyService.account(prisma, req.params.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: account,
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Get loyalty');
+  }
+};
+
+// @desc    Add or take away points by hand (goodwill, corrections)
+// @route   POST /api/customers/:id/loyalty/adjust
+// @access  Private (Manager, Owner)
+const adjustLoyalty = async (req, res) => {
+  try {
+    const points = parseInt(req.body.points);
+    const { reason } = req.body;
+
+    const transaction = await prisma.$transaction((tx) => loyaltyService.post(tx, req.params.id, {
+      type: 'ADJUSTMENT',
+      points,
+      description: reason,
+      userId: req.user.id
+    }));
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ADJUST_LOYALTY_POINTS',
+        entity: 'Customer',
+        entityId: req.params.id,
+        details: {
+          points,
+          reason,
+          balance: transaction.balance
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    handleError(res, error, 'Adjust loyalty');
+  }
+};
+
+// @desc    Expire points past their expiry date for all customers
+// @route   POST /api/customers/loyalty/expire
+// @access  Private (Manager, Owner)
+const expireLoyalty = async (req, res) => {
+  try {
+    const result = await loyaltyService.expire(prisma);
+
+    if (result.points > 0) {
+      await prisma.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'EXPIRE_LOYALTY_POINTS',
+          entity: 'Customer',
+          details: result
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Expire loyalty');
+  }
+};
+
+module.exports = {
+  getLoyalty,
+  adjustLoyalty,
+  expireLoyalty
+};
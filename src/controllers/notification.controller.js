@@ -0,0 +1,328 @@
+const prisma = require('../lib/prisma');
+const notificationService = require('../services/notification.service');
+const templateService = require('../services/notification-template.service');
+const { handleError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+// Webhooks carry NOTIFICATION_WEBHOOK_TOKEN in ?token=; without one set
+// they are turned off
+const webhookAllowed = (token) => Boolean(process.env.NOTIFICATION_WEBHOOK_TOKEN) &&
+  token === process.env.NOTIFICATION_WEBHOOK_TOKEN;
+
+// @desc    Messages sent and their delivery status
+// @route   GET /api/notifications?status=&channel=&event=&reference=&customerId=
+// @access  Private (Manager, Owner)
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, channel, event, reference, customerId } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { ...storeFilter(req) };
+
+    if (status) where.status = status;
+    if (channel) where.channel = channel;
+    if (event) where.event = event;
+    if (reference) where.reference = reference;
+    if (customerId) where.customerId = customerId;
+
+    const [notifications, total] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        include: {
+          customer: { select: { id: true, name: true, phone: true } },
+          store: { select: { id: true, code: true, name: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.notification.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get notifications');
+  }
+};
+
+// @desc    One message with its delivery status
+// @route   GET /api/notifications/:id
+// @access  Private (Manager, Owner)
+const getNotification = async (req, res) => {
+  try {
+    const notification = await prisma.notification.findUnique({
+      where: { id: req.params.id },
+      include: {
+        customer: { select: { id: true, name: true, phone: true } },
+        store: { select: { id: true, code: true, name: true } }
+      }
+    });
+
+    // Messages not tied to a store (sign-in codes, reminders) are the owner's
+    if (!notification || (notification.storeId ? !hasStoreAccess(req, notification.storeId) : req.user.role !== 'OWNER')) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    handleError(res, error, 'Get notification');
+  }
+};
+
+// @desc    Send a test message to check a channel's provider
+// @route   POST /api/notifications/test
+// @access  Private (Owner)
+const sendTestNotification = async (req, res) => {
+  try {
+    const { channel, to } = req.body;
+
+    const notification = await notificationService.send(prisma, {
+      channel,
+      to,
+      template: 'TEST',
+      event: 'TEST',
+      attempts: 1
+    });
+
+    const code = { SENT: 201, SUPPRESSED: 409, NOT_CONFIGURED: 503 }[notification.status] || 502;
+
+    res.status(code).json({
+      success: notification.status === 'SENT',
+      data: notification
+    });
+  } catch (error) {
+    handleError(res, error, 'Send test notification');
+  }
+};
+
+// @desc    Put a dead, failed or unconfigured message back in the queue
+// @route   POST /api/notifications/:id/retry
+// @access  Private (Manager, Owner)
+const retryNotification = async (req, res) => {
+  try {
+    const existing = await prisma.notification.findUnique({
+      where: { id: req.params.id },
+      select: { storeId: true }
+    });
+
+    if (!existing || (existing.storeId ? !hasStoreAccess(req, existing.storeId) : req.user.role !== 'OWNER')) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    await notificationService.retry(prisma, req.params.id);
+    notificationService.kick(prisma);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'RETRY_NOTIFICATION',
+        entity: 'Notification',
+        entityId: req.params.id
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification queued'
+    });
+  } catch (error) {
+    handleError(res, error, 'Retry notification');
+  }
+};
+
+// @desc    Deliver queued messages that are due (for hosts without the
+//          background worker, e.g. a cron hitting this endpoint)
+// @route   POST /api/notifications/process?limit=
+// @access  Private (Owner)
+const processOutbox = async (req, res) => {
+  try {
+    const result = await notificationService.processDue(prisma, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Process notifications');
+  }
+};
+
+// @desc    Message templates: every event and channel with its variables,
+//          built-in text and saved variants
+// @route   GET /api/notifications/templates
+// @access  Private (Manager, Owner)
+const getTemplates = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await templateService.list(prisma)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get notification templates');
+  }
+};
+
+// @desc    Save the template for an event, channel and language
+// @route   PUT /api/notifications/templates/:event/:channel/:language
+// @access  Private (Manager, Owner)
+const saveTemplate = async (req, res) => {
+  try {
+    const { event, channel, language } = req.params;
+    const { subject, body, html, isActive } = req.body;
+
+    const template = await templateService.save(prisma, {
+      event,
+      channel,
+      language,
+      subject,
+      body,
+      html,
+      isActive
+    }, req.user.id);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'SAVE_NOTIFICATION_TEMPLATE',
+        entity: 'NotificationTemplate',
+        entityId: template.id,
+        details: { event, channel, language }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    handleError(res, error, 'Save notification template');
+  }
+};
+
+// @desc    Remove a saved template; the event falls back to the next
+//          language or the built-in text
+// @route   DELETE /api/notifications/templates/:event/:channel/:language
+// @access  Private (Manager, Owner)
+const deleteTemplate = async (req, res) => {
+  try {
+    const { event, channel, language } = req.params;
+
+    const { count } = await prisma.notificationTemplate.deleteMany({
+      where: { event, channel, language }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_NOTIFICATION_TEMPLATE',
+        entity: 'NotificationTemplate',
+        details: { event, channel, language }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template removed'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete notification template');
+  }
+};
+
+// @desc    Render a template with sample variables. Without subject/body
+//          the template in effect for the language is used.
+// @route   POST /api/notifications/templates/preview
+// @access  Private (Manager, Owner)
+const previewTemplate = async (req, res) => {
+  try {
+    const { event, channel, language, subject, body, html, variables = {} } = req.body;
+
+    templateService.validate(event, { subject, body, html });
+
+    let message;
+    if (body) {
+      message = {
+        language,
+        subject: templateService.render(subject, variables),
+        body: templateService.render(body, variables),
+        html: templateService.render(html, variables, { html: true })
+      };
+    } else {
+      message = await templateService.compose(prisma, { event, channel, language, variables });
+    }
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    handleError(res, error, 'Preview notification template');
+  }
+};
+
+// @desc    Delivery reports and customer replies (STOP / START) from a
+//          provider
+// @route   POST /api/notifications/webhooks/:provider?token=
+// @access  Public (webhook token)
+const receiveStatusWebhook = async (req, res) => {
+  try {
+    if (!webhookAllowed(req.query.token)) {
+      return res.status(403).json({ error: 'Invalid webhook token' });
+    }
+
+    const updated = await notificationService.recordStatus(prisma, req.params.provider, req.body);
+    const replies = await notificationService.recordInbound(prisma, req.params.provider, req.body);
+
+    res.json({
+      success: true,
+      updated,
+      replies
+    });
+  } catch (error) {
+    handleError(res, error, 'Notification webhook');
+  }
+};
+
+// @desc    Webhook verification handshake (Meta)
+// @route   GET /api/notifications/webhooks/:provider
+// @access  Public (webhook token)
+const verifyStatusWebhook = (req, res) => {
+  if (req.query['hub.mode'] !== 'subscribe' || !webhookAllowed(req.query['hub.verify_token'])) {
+    return res.status(403).json({ error: 'Invalid webhook token' });
+  }
+
+  res.send(req.query['hub.challenge']);
+};
+
+module.exports = {
+  getNotifications,
+  getNotification,
+  sendTestNotification,
+  retryNotification,
+  processOutbox,
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  previewTemplate,
+  receiveStatusWebhook,
+  verifyStatusWebhook
+};
@@ -0,0 +1,432 @@
+const prisma = require('../lib/prisma');
+const orderService = require('../services/order.service');
+const notificationService = require('../services/notification.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+// Statuses that belong to the rider once a delivery is assigned, and the
+// assignment statuses during which the rider has the order
+const RIDER_ORDER_STATUSES = ['OUT_FOR_DELIVERY', 'DELIVERED'];
+const ACTIVE_DELIVERY_STATUSES = ['ASSIGNED', 'PICKED_UP', 'IN_TRANSIT'];
+
+const orderInclude = {
+  store: {
+    select: { id: true, code: true, name: true }
+  },
+  customer: {
+    select: {
+      id: true,
+      name: true,
+      phone: true,
+      email: true,
+      preferredLanguage: true
+    }
+  },
+  address: true,
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+          image: true
+        }
+      }
+    }
+  },
+  payment: true,
+  tracking: {
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// Start of the given day and of the next one
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { gte: start, lt: end };
+};
+
+// @desc    Get customer's cart
+// @route   GET /api/orders/cart/:customerId
+// @access  Private
+const getCart = async (req, res) => {
+  try {
+    const cart = await orderService.getCart(prisma, req.params.customerId, req.storeId);
+
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Get cart error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Add item to cart (adds to the quantity already in the cart)
+// @route   POST /api/orders/cart/:customerId/items
+// @access  Private
+const addCartItem = async (req, res) => {
+  try {
+    const { productId, quantity } = req.body;
+
+    const cart = await orderService.setCartItem(prisma, req.params.customerId, {
+      productId,
+      quantity: parseFloat(quantity),
+      storeId: req.storeId
+    });
+
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Add cart item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Change quantity of a cart item
+// @route   PUT /api/orders/cart/:customerId/items/:productId
+// @access  Private
+const updateCartItem = async (req, res) => {
+  try {
+    const { customerId, productId } = req.params;
+
+    const cart = await orderService.setCartItem(prisma, customerId, {
+      productId,
+      quantity: parseFloat(req.body.quantity),
+      replace: true,
+      storeId: req.storeId
+    });
+
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Update cart item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/orders/cart/:customerId/items/:productId
+// @access  Private
+const removeCartItem = async (req, res) => {
+  try {
+    const { customerId, productId } = req.params;
+
+    const cart = await orderService.removeCartItem(prisma, customerId, productId, req.storeId);
+
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Remove cart item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Empty the cart
+// @route   DELETE /api/orders/cart/:customerId
+// @access  Private
+const clearCart = async (req, res) => {
+  try {
+    const cart = await orderService.clearCart(prisma, req.params.customerId, req.storeId);
+
+    res.json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Clear cart error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Place an order from the customer's cart
+// @route   POST /api/orders/cart/:customerId/checkout
+// @access  Private
+const checkout = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id: customerId }
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      const created = await orderService.checkout(tx, customerId, { ...req.body, storeId: req.storeId }, req.user.id);
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'CREATE_ORDER',
+          entity: 'Order',
+          entityId: created.id,
+          details: {
+            orderNumber: created.orderNumber,
+            amount: created.totalAmount,
+            items: created.items.length
+          }
+        }
+      });
+
+      return created;
+    }, { timeout: 15000 });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get all orders
+// @route   GET /api/orders
+// @access  Private
+const getOrders = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      deliverySlot,
+      deliveryDate,
+      customerId,
+      startDate,
+      endDate,
+      search
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+
+    // status may be a comma separated list, e.g. CONFIRMED,PROCESSING
+    if (status) where.orderStatus = { in: status.split(',') };
+    if (deliverySlot) where.deliverySlot = deliverySlot;
+    if (deliveryDate) where.deliveryDate = dayRange(deliveryDate);
+    if (customerId) where.customerId = customerId;
+
+    if (startDate || endDate) {
+      where.orderDate = {};
+      if (startDate) where.orderDate.gte = new Date(startDate);
+      if (endDate) where.orderDate.lte = new Date(endDate);
+    }
+
+    if (search) {
+      where.OR = [
+        { orderNumber: { contains: search, mode: 'insensitive' } },
+        { customer: { name: { contains: search, mode: 'insensitive' } } },
+        { customer: { phone: { contains: search } } }
+      ];
+    }
+
+    const orders = await prisma.order.findMany({
+      where,
+      include: {
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            phone: true
+          }
+        },
+        address: true,
+        _count: {
+          select: { items: true }
+        }
+      },
+      orderBy: { orderDate: 'desc' },
+      skip,
+      take
+    });
+
+    const total = await prisma.order.count({ where });
+
+    const byStatus = await prisma.order.groupBy({
+      by: ['orderStatus'],
+      where,
+      _count: true,
+      _sum: { totalAmount: true }
+    });
+
+    res.json({
+      success: true,
+      data: orders,
+      summary: {
+        byStatus: byStatus.map(s => ({
+          status: s.orderStatus,
+          count: s._count,
+          amount: s._sum.totalAmount || 0
+        }))
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single order with its tracking history
+// @route   GET /api/orders/:id
+// @access  Private
+const getOrder = async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: orderInclude
+    });
+
+    if (!order || !hasStoreAccess(req, order.storeId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        allowedTransitions: orderService.transitions[order.orderStatus]
+      }
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Move order to its next status
+// @route   PATCH /api/orders/:id/status
+// @access  Private
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes, location, reason, refundToWallet } = req.body;
+
+    const current = await prisma.order.findUnique({
+      where: { id },
+      select: { storeId: true }
+    });
+
+    if (!current || !hasStoreAccess(req, current.storeId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await realtimeService.transaction(prisma, async (tx) => {
+      // Pickup and handover of an assigned order are recorded by the rider,
+      // who checks the customer's OTP, not set here by store staff
+      if (RIDER_ORDER_STATUSES.includes(status)) {
+        const delivery = await tx.deliveryAssignment.findUnique({
+          where: { orderId: id },
+          select: { id: true, status: true }
+        });
+
+        if (delivery && ACTIVE_DELIVERY_STATUSES.includes(delivery.status)) {
+          throw new AppError('Order is out with a rider; update it through PATCH /api/deliveries/:id/status', 409, {
+            deliveryId: delivery.id,
+            deliveryStatus: delivery.status
+          });
+        }
+      }
+
+      const result = await orderService.transition(tx, id, status, {
+        userId: req.user.id,
+        notes,
+        location,
+        reason,
+        refundToWallet
+      });
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'UPDATE_ORDER_STATUS',
+          entity: 'Order',
+          entityId: id,
+          details: result
+        }
+      });
+
+      const updated = await tx.order.findUnique({
+        where: { id },
+        include: orderInclude
+      });
+
+      if (updated.orderStatus === 'CONFIRMED') {
+        await notificationService.orderConfirmation(tx, updated);
+      }
+
+      return updated;
+    }, { timeout: 15000 });
+
+    notificationService.kick(prisma);
+
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        allowedTransitions: orderService.transitions[order.orderStatus]
+      },
+      message: `Order ${order.orderStatus.toLowerCase().replace(/_/g, ' ')}`
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Update order status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+  getOrders,
+  getOrder,
+  updateOrderStatus
+};
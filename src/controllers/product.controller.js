@@ -1,4 +1,11 @@
 const prisma = require('../lib/prisma');
+const saleService = require('../services/sale.service');
+const wastageService = require('../services/wastage.service');
+const storeService = require('../services/store.service');
+const notificationService = require('../services/notification.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter } = require('../middleware/store');
 const { validationResult } = require('express-validator');
 
 
@@ -34,8 +41,13 @@ const getProducts = async (req, res) => {
     }
     
     if (lowStock === 'true') {
-      where.currentStock = {
-        lte: prisma.product.fields.minStockAlert
+      where.stocks = {
+        some: {
+          ...storeFilter(req),
+          currentStock: {
+            lte: prisma.productStock.fields.minStockAlert
+          }
+        }
       };
     }
     
@@ -59,7 +71,7 @@ const getProducts = async (req, res) => {
           }
         },
         stockAlerts: {
-          where: { status: 'ACTIVE' },
+          where: { ...storeFilter(req), status: 'ACTIVE' },
           select: { id: true }
         }
       },
@@ -86,9 +98,23 @@ const getProducts = async (req, res) => {
       }
     });
 
+    // Stock figures are the store's own unless the owner is viewing all stores
+    let data = products;
+    if (req.storeId) {
+      const [levels, storeStock] = await Promise.all([
+        storeService.stockLevels(prisma, req.storeId, products.map(p => p.id)),
+        prisma.productStock.aggregate({
+          where: { storeId: req.storeId, product: where },
+          _sum: { currentStock: true }
+        })
+      ]);
+      data = storeService.withStoreStock(products, levels);
+      summary._sum.currentStock = storeStock._sum.currentStock;
+    }
+
     res.json({
       success: true,
-      data: products,
+      data,
       summary: {
         totalProducts: total,
         totalStock: summary._sum.currentStock || 0,
@@ -119,11 +145,17 @@ const getProduct = async (req, res) => {
       where: { id },
       include: {
         category: true,
+        stocks: {
+          include: {
+            store: { select: { id: true, code: true, name: true } }
+          }
+        },
         stockAlerts: {
-          where: { status: 'ACTIVE' },
+          where: { ...storeFilter(req), status: 'ACTIVE' },
           orderBy: { createdAt: 'desc' }
         },
         inventoryItems: {
+          where: storeFilter(req),
           take: 20,
           orderBy: { createdAt: 'desc' },
           include: {
@@ -142,6 +174,10 @@ const getProduct = async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // Each store's stock, limited to the stores the user works in
+    product.stocks = product.stocks.filter(s => req.stores.some(store => store.id === s.storeId));
+    const stock = req.storeId ? product.stocks.find(s => s.storeId === req.storeId) : null;
+
     // Calculate statistics
     const stats = await prisma.$transaction([
       prisma.saleItem.aggregate({
@@ -163,6 +199,11 @@ const getProduct = async (req, res) => {
       success: true,
       data: {
         ...product,
+        ...(req.storeId && {
+          totalStock: product.currentStock,
+          currentStock: stock ? stock.currentStock : 0,
+          minStockAlert: stock ? stock.minStockAlert : product.minStockAlert
+        }),
         statistics: {
           totalSold: stats[0]._sum.quantity || 0,
           totalRevenue: stats[0]._sum.total || 0,
@@ -249,7 +290,7 @@ const createProduct = async (req, res) => {
     }
 
     // Create product with transaction
-    const product = await prisma.$transaction(async (tx) => {
+    const product = await realtimeService.transaction(prisma, async (tx) => {
       const newProduct = await tx.product.create({
         data: {
           name,
@@ -261,9 +302,10 @@ const createProduct = async (req, res) => {
           sellingPrice: parseFloat(sellingPrice),
           mrp: mrp ? parseFloat(mrp) : null,
           unit,
-          taxRate: parseFloat(taxRate || 0),
+          // 0 unless given; null opts in to the store's taxRate setting
+          taxRate: taxRate === null ? null : parseFloat(taxRate || 0),
           minStockAlert: parseFloat(minStockAlert || 10),
-          currentStock: parseFloat(currentStock || 0),
+          currentStock: 0,
           image,
           images: images || [],
           isOrganic: isOrganic || false,
@@ -274,19 +316,20 @@ const createProduct = async (req, res) => {
         }
       });
 
-      // Create initial inventory transaction if stock > 0
+      await storeService.openStock(tx, newProduct);
+
+      // Opening stock goes into the store the product is created from
       if (currentStock > 0) {
-        await tx.inventoryTransaction.create({
-          data: {
-            productId: newProduct.id,
-            type: 'PURCHASE',
-            quantity: parseFloat(currentStock),
-            beforeStock: 0,
-            afterStock: parseFloat(currentStock),
-            notes: 'Initial stock',
-            createdById: req.user.id
-          }
+        const { product: stocked } = await saleService.moveStock(tx, {
+          productId: newProduct.id,
+          storeId: req.storeId,
+          quantity: parseFloat(currentStock),
+          type: 'PURCHASE',
+          notes: 'Initial stock',
+          userId: req.user.id,
+          batch: { batchNumber: 'OPENING' }
         });
+        return stocked;
       }
 
       return newProduct;
@@ -308,6 +351,9 @@ const createProduct = async (req, res) => {
       data: product
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Create product error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -324,13 +370,42 @@ const updateProduct = async (req, res) => {
     delete updateData.id;
     delete updateData.createdAt;
     delete updateData.updatedAt;
+    delete updateData.currentStock;
 
-    const product = await prisma.product.update({
-      where: { id },
-      data: updateData,
-      include: {
-        category: true
+    const product = await realtimeService.transaction(prisma, async (tx) => {
+      const updated = await tx.product.update({
+        where: { id },
+        data: updateData,
+        include: {
+          category: true
+        }
+      });
+
+      // The product's alert level applies to every store
+      if (updateData.minStockAlert !== undefined) {
+        await tx.productStock.updateMany({
+          where: { productId: id },
+          data: { minStockAlert: updated.minStockAlert }
+        });
+      }
+
+      // Every store that stocks the product shows the new details
+      const stocks = await tx.productStock.findMany({
+        where: { productId: id },
+        select: { storeId: true }
+      });
+      for (const { storeId } of stocks) {
+        realtimeService.queue(tx, storeId, 'product-updated', 'PRODUCT_UPDATED', {
+          id: updated.id,
+          name: updated.name,
+          sku: updated.sku,
+          sellingPrice: updated.sellingPrice,
+          mrp: updated.mrp,
+          isActive: updated.isActive
+        });
       }
+
+      return updated;
     });
 
     // Log activity
@@ -344,14 +419,6 @@ const updateProduct = async (req, res) => {
       }
     });
 
-    // Emit socket event if available
-    try {
-      const io = req.app.get('io');
-      if (io) io.emit('product-updated', { id: product.id, name: product.name });
-    } catch (e) {
-      // Socket not available, ignore
-    }
-
     res.json({
       success: true,
       data: product
@@ -374,7 +441,7 @@ const updateProduct = async (req, res) => {
 const updateStock = async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity, type, notes, reason } = req.body;
+    const { quantity, type, notes, reason, batchNumber, expiryDate, costPrice } = req.body;
 
     // Validate input
     if (!quantity || quantity <= 0) {
@@ -393,99 +460,96 @@ const updateStock = async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    const beforeStock = product.currentStock;
-    let afterStock = beforeStock;
-    let transactionType = 'ADJUSTMENT';
-
-    // Calculate new stock
-    switch (type) {
-      case 'ADD':
-        afterStock = beforeStock + parseFloat(quantity);
-        transactionType = 'PURCHASE';
-        break;
-      case 'REMOVE':
-        afterStock = beforeStock - parseFloat(quantity);
-        if (afterStock < 0) {
-          return res.status(400).json({ 
-            error: 'Insufficient stock',
-            available: beforeStock,
-            requested: quantity
-          });
-        }
-        transactionType = 'SALE';
-        break;
-      case 'SET':
-        afterStock = parseFloat(quantity);
-        break;
-      case 'WASTE':
-        afterStock = beforeStock - parseFloat(quantity);
-        if (afterStock < 0) {
-          return res.status(400).json({ error: 'Insufficient stock' });
-        }
-        transactionType = 'WASTAGE';
-        break;
-    }
+    let beforeStock;
+    let afterStock;
 
     // Update stock with transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Update product stock
-      const updatedProduct = await tx.product.update({
+    const result = await realtimeService.transaction(prisma, async (tx) => {
+      // Lock the product row before reading the store's stock, so a sale
+      // cannot land between the read and the write (SET must end exactly
+      // at the requested count)
+      await tx.product.update({
         where: { id },
-        data: { currentStock: afterStock }
+        data: { currentStock: { increment: 0 } }
       });
 
-      // Create inventory transaction
-      await tx.inventoryTransaction.create({
-        data: {
+      const stock = await storeService.stockFor(tx, id, req.storeId);
+      const minStockAlert = stock.minStockAlert !== null ? stock.minStockAlert : product.minStockAlert;
+      beforeStock = stock.currentStock;
+      afterStock = beforeStock;
+      let transactionType = 'ADJUSTMENT';
+
+      // Calculate new stock
+      switch (type) {
+        case 'ADD':
+          afterStock = beforeStock + parseFloat(quantity);
+          transactionType = 'PURCHASE';
+          break;
+        case 'REMOVE':
+          afterStock = beforeStock - parseFloat(quantity);
+          if (afterStock < 0) {
+            throw new AppError('Insufficient stock', 400, {
+              available: beforeStock,
+              requested: quantity
+            });
+          }
+          transactionType = 'SALE';
+          break;
+        case 'SET':
+          afterStock = parseFloat(quantity);
+          break;
+        case 'WASTE':
+          afterStock = beforeStock - parseFloat(quantity);
+          if (afterStock < 0) {
+            throw new AppError('Insufficient stock');
+          }
+          transactionType = 'WASTAGE';
+          break;
+      }
+
+      // Removals draw batches FEFO; additions open a new batch.
+      // Write-offs are recorded as wastage so they show up in loss reports.
+      const moved = type === 'WASTE'
+        ? await wastageService.record(tx, {
           productId: id,
+          storeId: req.storeId,
+          quantity: parseFloat(quantity),
+          reason: wastageService.reasons.includes(reason) ? reason : 'OTHER',
+          notes: notes || reason,
+          reference: req.body.reference,
+          userId: req.user.id
+        })
+        : await saleService.moveStock(tx, {
+          productId: id,
+          storeId: req.storeId,
+          quantity: afterStock - beforeStock,
           type: transactionType,
-          quantity: type === 'ADD' ? parseFloat(quantity) : -parseFloat(quantity),
-          beforeStock,
-          afterStock,
           reference: req.body.reference,
           notes: notes || reason,
-          createdById: req.user.id
-        }
-      });
-
-      // Check if stock is below minimum and create alert
-      if (afterStock < product.minStockAlert && afterStock > 0) {
-        const existingAlert = await tx.stockAlert.findFirst({
-          where: {
-            productId: id,
-            status: 'ACTIVE'
-          }
-        });
-
-        if (!existingAlert) {
-          await tx.stockAlert.create({
-            data: {
-              productId: id,
-              currentStock: afterStock,
-              minStockLevel: product.minStockAlert,
-              status: 'ACTIVE'
-            }
-          });
-        }
-      }
-
-      // If stock is 0, create urgent alert
-      if (afterStock === 0) {
-        await tx.stockAlert.create({
-          data: {
-            productId: id,
-            currentStock: 0,
-            minStockLevel: product.minStockAlert,
-            status: 'ACTIVE'
+          userId: req.user.id,
+          batch: {
+            batchNumber,
+            expiryDate,
+            costPrice: costPrice !== undefined ? parseFloat(costPrice) : undefined
           }
         });
-      }
+      const updatedProduct = moved.product;
+      afterStock = moved.afterStock;
+
+      // Open a low stock alert unless one is already active
+      await saleService.raiseStockAlert(tx, {
+        productId: id,
+        storeId: req.storeId,
+        currentStock: afterStock,
+        minStockAlert
+      });
 
       // Resolve alerts if stock is above minimum
-      if (afterStock >= product.minStockAlert) {
+      if (afterStock >= minStockAlert) {
         await tx.stockAlert.updateMany({
           where: {
             productId: id,
+            storeId: req.storeId,
             status: 'ACTIVE'
           },
           data: {
@@ -516,24 +580,16 @@ const updateStock = async (req, res) => {
       }
     });
 
-    // Emit socket event if available
-    try {
-      const io = req.app.get('io');
-      if (io) io.emit('stock-updated', { 
-        productId: id, 
-        beforeStock, 
-        afterStock,
-        type 
-      });
-    } catch (e) {
-      // Socket not available, ignore
-    }
+    notificationService.kick(prisma);
 
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Update stock error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -555,7 +611,7 @@ const bulkCreateProducts = async (req, res) => {
       failed: []
     };
 
-    await prisma.$transaction(async (tx) => {
+    await realtimeService.transaction(prisma, async (tx) => {
       for (const product of products) {
         try {
           const newProduct = await tx.product.create({
@@ -567,10 +623,27 @@ const bulkCreateProducts = async (req, res) => {
               purchasePrice: parseFloat(product.purchasePrice),
               sellingPrice: parseFloat(product.sellingPrice),
               unit: product.unit,
-              currentStock: parseFloat(product.currentStock || 0),
+              taxRate: product.taxRate === null ? null : parseFloat(product.taxRate || 0),
+              currentStock: 0,
               minStockAlert: parseFloat(product.minStockAlert || 10)
             }
           });
+          await storeService.openStock(tx, newProduct);
+
+          const openingStock = parseFloat(product.currentStock || 0);
+          if (openingStock > 0) {
+            const { product: stocked } = await saleService.moveStock(tx, {
+              productId: newProduct.id,
+              storeId: req.storeId,
+              quantity: openingStock,
+              type: 'PURCHASE',
+              notes: 'Initial stock',
+              userId: req.user.id,
+              batch: { batchNumber: 'OPENING' }
+            });
+            results.success.push(stocked);
+            continue;
+          }
           results.success.push(newProduct);
         } catch (error) {
           results.failed.push({
@@ -0,0 +1,388 @@
+const prisma = require('../lib/prisma');
+const purchaseOrderService = require('../services/purchase-order.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError, handleError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+const orderInclude = {
+  store: { select: { id: true, code: true, name: true } },
+  supplier: { select: { id: true, name: true, phone: true, email: true } },
+  createdBy: { select: { id: true, name: true } }
+};
+
+const productSelect = {
+  product: { select: { id: true, name: true, sku: true, unit: true } }
+};
+
+// Orders of stores the user does not work in are treated as missing
+const checkAccess = async (req) => {
+  const order = await prisma.purchaseOrder.findUnique({
+    where: { id: req.params.id },
+    select: { storeId: true }
+  });
+
+  if (!order || !hasStoreAccess(req, order.storeId)) {
+    throw new AppError('Purchase order not found', 404);
+  }
+};
+
+const logActivity = (userId, action, order, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId,
+      action,
+      entity: 'PurchaseOrder',
+      entityId: order.id,
+      details: { poNumber: order.poNumber, ...details }
+    }
+  });
+
+// @desc    Get purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private (Inventory, Manager)
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplierId, startDate, endDate, search } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = supplierId;
+    if (startDate || endDate) {
+      where.orderDate = {};
+      if (startDate) where.orderDate.gte = new Date(startDate);
+      if (endDate) where.orderDate.lte = new Date(endDate);
+    }
+    if (search) {
+      where.OR = [
+        { poNumber: { contains: search, mode: 'insensitive' } },
+        { notes: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.purchaseOrder.findMany({
+        where,
+        include: {
+          ...orderInclude,
+          _count: { select: { items: true, receipts: true } }
+        },
+        orderBy: { orderDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.purchaseOrder.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get purchase orders');
+  }
+};
+
+// @desc    Quantities still due from suppliers on open orders
+// @route   GET /api/purchase-orders/outstanding?supplierId=
+// @access  Private (Inventory, Manager)
+const getOutstanding = async (req, res) => {
+  try {
+    const suppliers = await purchaseOrderService.outstanding(prisma, {
+      supplierId: req.query.supplierId,
+      storeId: req.storeId
+    });
+
+    res.json({
+      success: true,
+      data: suppliers,
+      summary: {
+        suppliers: suppliers.length,
+        outstandingValue: roundAmount(suppliers.reduce((sum, s) => sum + s.outstandingValue, 0))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get outstanding purchase orders');
+  }
+};
+
+// @desc    Get a purchase order with its receipts and what is outstanding
+// @route   GET /api/purchase-orders/:id
+// @access  Private (Inventory, Manager)
+const getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await prisma.purchaseOrder.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...orderInclude,
+        items: {
+          include: productSelect,
+          orderBy: { product: { name: 'asc' } }
+        },
+        receipts: {
+          include: {
+            receivedBy: { select: { id: true, name: true } },
+            purchase: { select: { id: true, invoiceNo: true, netAmount: true, paymentStatus: true } },
+            items: true
+          },
+          orderBy: { receivedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!order || !hasStoreAccess(req, order.storeId)) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const { lines, summary } = purchaseOrderService.progress(order.items);
+
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        items: lines,
+        summary,
+        allowedTransitions: purchaseOrderService.transitions[order.status]
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get purchase order');
+  }
+};
+
+// @desc    Create a draft purchase order
+// @route   POST /api/purchase-orders
+// @access  Private (Inventory, Manager)
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, items, orderDate, expectedDate, notes } = req.body;
+
+    const order = await prisma.$transaction((tx) => purchaseOrderService.create(tx, {
+      storeId: req.storeId,
+      supplierId,
+      items,
+      orderDate,
+      expectedDate,
+      notes
+    }, req.user.id));
+
+    await logActivity(req.user.id, 'CREATE_PURCHASE_ORDER', order, {
+      supplierId,
+      amount: order.totalAmount
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    handleError(res, error, 'Create purchase order');
+  }
+};
+
+// @desc    Change a draft purchase order
+// @route   PUT /api/purchase-orders/:id
+// @access  Private (Inventory, Manager)
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const { items, expectedDate, notes } = req.body;
+    await checkAccess(req);
+
+    const order = await prisma.$transaction((tx) =>
+      purchaseOrderService.update(tx, req.params.id, { items, expectedDate, notes })
+    );
+
+    await logActivity(req.user.id, 'UPDATE_PURCHASE_ORDER', order, { amount: order.totalAmount });
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    handleError(res, error, 'Update purchase order');
+  }
+};
+
+// @desc    Delete a draft purchase order
+// @route   DELETE /api/purchase-orders/:id
+// @access  Private (Manager)
+const deletePurchaseOrder = async (req, res) => {
+  try {
+    await checkAccess(req);
+
+    const { count } = await prisma.purchaseOrder.deleteMany({
+      where: { id: req.params.id, status: 'DRAFT' }
+    });
+
+    if (count === 0) {
+      return res.status(409).json({ error: 'Only draft purchase orders can be deleted, close it instead' });
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_PURCHASE_ORDER',
+        entity: 'PurchaseOrder',
+        entityId: req.params.id
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Purchase order deleted'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete purchase order');
+  }
+};
+
+// @desc    Mark a purchase order as sent to the supplier
+// @route   POST /api/purchase-orders/:id/send
+// @access  Private (Inventory, Manager)
+const sendPurchaseOrder = async (req, res) => {
+  try {
+    await checkAccess(req);
+
+    const order = await prisma.$transaction((tx) =>
+      purchaseOrderService.transition(tx, req.params.id, 'SENT', { sentAt: new Date() })
+    );
+
+    await logActivity(req.user.id, 'SEND_PURCHASE_ORDER', order);
+
+    res.json({
+      success: true,
+      message: 'Purchase order sent'
+    });
+  } catch (error) {
+    handleError(res, error, 'Send purchase order');
+  }
+};
+
+// @desc    Close a purchase order; nothing more will be received against it
+// @route   POST /api/purchase-orders/:id/close
+// @access  Private (Manager)
+const closePurchaseOrder = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    await checkAccess(req);
+
+    const order = await prisma.$transaction((tx) =>
+      purchaseOrderService.transition(tx, req.params.id, 'CLOSED', {
+        closedAt: new Date(),
+        closeReason: reason
+      })
+    );
+
+    await logActivity(req.user.id, 'CLOSE_PURCHASE_ORDER', order, { reason, from: order.status });
+
+    res.json({
+      success: true,
+      message: 'Purchase order closed'
+    });
+  } catch (error) {
+    handleError(res, error, 'Close purchase order');
+  }
+};
+
+// @desc    Receive goods against a purchase order (GRN)
+// @route   POST /api/purchase-orders/:id/receipts
+// @access  Private (Inventory, Manager)
+const receiveGoods = async (req, res) => {
+  try {
+    const { items, supplierInvoiceNo, receivedAt, discount, taxAmount, notes } = req.body;
+    await checkAccess(req);
+
+    const { order, receipt, purchase, status } = await realtimeService.transaction(prisma,
+      (tx) => purchaseOrderService.receive(tx, req.params.id, {
+        items,
+        supplierInvoiceNo,
+        receivedAt,
+        discount,
+        taxAmount,
+        notes
+      }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    await logActivity(req.user.id, 'RECEIVE_GOODS', order, {
+      grnNo: receipt.grnNo,
+      purchaseId: purchase ? purchase.id : null,
+      amount: purchase ? purchase.netAmount : 0,
+      status
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        receipt,
+        purchase,
+        status
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A purchase with this supplier invoice number already exists' });
+    }
+    handleError(res, error, 'Receive goods');
+  }
+};
+
+// @desc    Get a goods receipt
+// @route   GET /api/purchase-orders/receipts/:receiptId
+// @access  Private (Inventory, Manager)
+const getGoodsReceipt = async (req, res) => {
+  try {
+    const receipt = await prisma.goodsReceipt.findUnique({
+      where: { id: req.params.receiptId },
+      include: {
+        store: { select: { id: true, code: true, name: true } },
+        purchaseOrder: {
+          select: {
+            id: true,
+            poNumber: true,
+            status: true,
+            supplier: { select: { id: true, name: true, phone: true } }
+          }
+        },
+        purchase: { select: { id: true, invoiceNo: true, netAmount: true, paymentStatus: true } },
+        receivedBy: { select: { id: true, name: true } },
+        items: {
+          include: productSelect
+        }
+      }
+    });
+
+    if (!receipt || !hasStoreAccess(req, receipt.storeId)) {
+      return res.status(404).json({ error: 'Goods receipt not found' });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    handleError(res, error, 'Get goods receipt');
+  }
+};
+
+module.exports = {
+  getPurchaseOrders,
+  getOutstanding,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  receiveGoods,
+  getGoodsReceipt
+};
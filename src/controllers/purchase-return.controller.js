@@ -0,0 +1,243 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/prisma');
+const purchaseService = require('../services/purchase.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError, handleError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+const returnInclude = {
+  store: { select: { id: true, code: true, name: true, address: true, city: true, phone: true, gstNumber: true } },
+  supplier: { select: { id: true, name: true, phone: true, address: true, gstNumber: true } },
+  purchase: { select: { id: true, invoiceNo: true, purchaseDate: true, netAmount: true } },
+  createdBy: { select: { id: true, name: true } }
+};
+
+// @desc    Return goods of a purchase to the supplier (debit note)
+// @route   POST /api/purchase-returns
+// @access  Private (Inventory, Manager)
+const createPurchaseReturn = async (req, res) => {
+  try {
+    const { purchaseId, items, reason, notes } = req.body;
+
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: purchaseId },
+      select: { storeId: true }
+    });
+
+    if (!purchase || !hasStoreAccess(req, purchase.storeId)) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    const { purchaseReturn } = await realtimeService.transaction(prisma,
+      (tx) => purchaseService.returnGoods(tx, { purchaseId, items, reason, notes }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'CREATE_PURCHASE_RETURN',
+        entity: 'PurchaseReturn',
+        entityId: purchaseReturn.id,
+        details: {
+          debitNoteNo: purchaseReturn.debitNoteNo,
+          purchaseId,
+          amount: purchaseReturn.totalAmount
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: purchaseReturn
+    });
+  } catch (error) {
+    handleError(res, error, 'Create purchase return');
+  }
+};
+
+// @desc    Get purchase returns
+// @route   GET /api/purchase-returns
+// @access  Private
+const getPurchaseReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, supplierId, purchaseId, startDate, endDate } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+    if (supplierId) where.supplierId = supplierId;
+    if (purchaseId) where.purchaseId = purchaseId;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [returns, total, summary] = await Promise.all([
+      prisma.purchaseReturn.findMany({
+        where,
+        include: {
+          ...returnInclude,
+          _count: { select: { items: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.purchaseReturn.count({ where }),
+      prisma.purchaseReturn.aggregate({
+        where,
+        _sum: { totalAmount: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: returns,
+      summary: {
+        totalReturns: total,
+        totalAmount: summary._sum.totalAmount || 0
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get purchase returns');
+  }
+};
+
+const loadReturn = async (req) => {
+  const purchaseReturn = await prisma.purchaseReturn.findUnique({
+    where: { id: req.params.id },
+    include: {
+      ...returnInclude,
+      items: {
+        include: {
+          product: { select: { id: true, name: true, sku: true, unit: true } }
+        }
+      }
+    }
+  });
+
+  if (!purchaseReturn || !hasStoreAccess(req, purchaseReturn.storeId)) {
+    throw new AppError('Purchase return not found', 404);
+  }
+
+  return purchaseReturn;
+};
+
+// @desc    Get a purchase return
+// @route   GET /api/purchase-returns/:id
+// @access  Private
+const getPurchaseReturn = async (req, res) => {
+  try {
+    const purchaseReturn = await loadReturn(req);
+
+    res.json({
+      success: true,
+      data: purchaseReturn
+    });
+  } catch (error) {
+    handleError(res, error, 'Get purchase return');
+  }
+};
+
+// @desc    Printable debit note (PDF)
+// @route   GET /api/purchase-returns/:id/note
+// @access  Private
+const getDebitNote = async (req, res) => {
+  try {
+    const purchaseReturn = await loadReturn(req);
+    const { store, supplier, purchase } = purchaseReturn;
+
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=debit-note-${purchaseReturn.debitNoteNo}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text('FRUGANO', { align: 'center' });
+    doc.fontSize(12).text('Debit Note', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Debit Note No: ${purchaseReturn.debitNoteNo}`);
+    doc.text(`Date: ${new Date(purchaseReturn.createdAt).toLocaleDateString()}`);
+    doc.text(`Against Bill: ${purchase.invoiceNo} dated ${new Date(purchase.purchaseDate).toLocaleDateString()} (₹${purchase.netAmount.toFixed(2)})`);
+    doc.moveDown();
+
+    doc.text(`From: ${[store.name, store.address, store.city].filter(Boolean).join(', ')}`);
+    if (store.gstNumber) doc.text(`GSTIN: ${store.gstNumber}`);
+    doc.text(`To: ${[supplier.name, supplier.address].filter(Boolean).join(', ')}`);
+    doc.text(`Phone: ${supplier.phone}`);
+    if (supplier.gstNumber) doc.text(`GSTIN: ${supplier.gstNumber}`);
+    doc.moveDown();
+
+    // Lines
+    let y = doc.y;
+    doc.font('Helvetica-Bold')
+      .text('Item', 50, y)
+      .text('Reason', 250, y)
+      .text('Qty', 350, y)
+      .text('Rate', 410, y)
+      .text('Amount', 480, y);
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+    doc.font('Helvetica');
+    y += 25;
+
+    purchaseReturn.items.forEach(item => {
+      if (y > 700) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(`${item.product.name.substring(0, 30)} (${item.product.unit})`, 50, y)
+        .text(item.reason.replace('_', ' '), 250, y)
+        .text(item.quantity.toString(), 350, y)
+        .text(`₹${item.purchasePrice.toFixed(2)}`, 410, y)
+        .text(`₹${item.total.toFixed(2)}`, 480, y);
+      y += 20;
+    });
+
+    doc.moveTo(350, y).lineTo(550, y).stroke();
+    y += 10;
+    doc.text('Goods value:', 350, y).text(`₹${purchaseReturn.subtotal.toFixed(2)}`, 480, y);
+    y += 15;
+    if (purchaseReturn.totalAmount !== purchaseReturn.subtotal) {
+      doc.text('Bill discount/tax share:', 350, y)
+        .text(`₹${(purchaseReturn.totalAmount - purchaseReturn.subtotal).toFixed(2)}`, 480, y);
+      y += 15;
+    }
+    doc.font('Helvetica-Bold')
+      .text('Amount debited:', 350, y)
+      .text(`₹${purchaseReturn.totalAmount.toFixed(2)}`, 480, y);
+
+    if (purchaseReturn.notes) {
+      y += 30;
+      doc.font('Helvetica').text(`Notes: ${purchaseReturn.notes}`, 50, y);
+    }
+
+    y += 60;
+    doc.font('Helvetica')
+      .text(`Prepared by: ${purchaseReturn.createdBy.name}`, 50, y)
+      .text('Supplier acknowledgement: ____________________', 300, y);
+
+    doc.end();
+  } catch (error) {
+    handleError(res, error, 'Debit note');
+  }
+};
+
+module.exports = {
+  createPurchaseReturn,
+  getPurchaseReturns,
+  getPurchaseReturn,
+  getDebitNote
+};
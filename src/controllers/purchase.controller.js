@@ -1,7 +1,11 @@
 
 const { validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
 
 const prisma = require('../lib/prisma');
+const purchaseService = require('../services/purchase.service');
+const realtimeService = require('../services/realtime.service');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
 
 // @desc    Get all purchases
 // @route   GET /api/purchases
@@ -21,7 +25,7 @@ const getPurchases = async (req, res) => {
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
 
-    const where = {};
+    const where = { ...storeFilter(req) };
 
     if (supplierId) where.supplierId = supplierId;
     if (paymentStatus) where.paymentStatus = paymentStatus;
@@ -42,6 +46,9 @@ const getPurchases = async (req, res) => {
     const purchases = await prisma.purchase.findMany({
       where,
       include: {
+        store: {
+          select: { id: true, code: true, name: true }
+        },
         supplier: {
           select: {
             id: true,
@@ -123,6 +130,7 @@ const getPurchase = async (req, res) => {
     const purchase = await prisma.purchase.findUnique({
       where: { id },
       include: {
+        store: true,
         supplier: true,
         createdBy: {
           select: {
@@ -145,17 +153,31 @@ const getPurchase = async (req, res) => {
               }
             }
           }
+        },
+        goodsReceipt: {
+          select: {
+            id: true,
+            grnNo: true,
+            purchaseOrder: { select: { id: true, poNumber: true } }
+          }
+        },
+        returns: {
+          include: { items: true },
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
 
-    if (!purchase) {
+    if (!purchase || !hasStoreAccess(req, purchase.storeId)) {
       return res.status(404).json({ error: 'Purchase not found' });
     }
 
     res.json({
       success: true,
-      data: purchase
+      data: {
+        ...purchase,
+        ...purchaseService.amountDue(purchase, purchase.payments, purchase.returns)
+      }
     });
   } catch (error) {
     console.error('Get purchase error:', error);
@@ -163,6 +185,114 @@ const getPurchase = async (req, res) => {
   }
 };
 
+// @desc    Purchase bill with its debit notes (PDF)
+// @route   GET /api/purchases/:id/pdf
+// @access  Private
+const getPurchasePdf = async (req, res) => {
+  try {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: req.params.id },
+      include: {
+        store: true,
+        supplier: true,
+        items: {
+          include: {
+            product: { select: { name: true, unit: true } }
+          }
+        },
+        payments: true,
+        returns: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!purchase || !hasStoreAccess(req, purchase.storeId)) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    const { paid, returned, due } = purchaseService.amountDue(purchase, purchase.payments, purchase.returns);
+
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=purchase-${purchase.invoiceNo}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text('FRUGANO', { align: 'center' });
+    doc.fontSize(12).text('Purchase', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Bill No: ${purchase.invoiceNo}`);
+    doc.text(`Date: ${new Date(purchase.purchaseDate).toLocaleDateString()}`);
+    doc.text(`Store: ${purchase.store.name}`);
+    doc.text(`Supplier: ${purchase.supplier.name} (${purchase.supplier.phone})`);
+    doc.moveDown();
+
+    // Items
+    let y = doc.y;
+    doc.font('Helvetica-Bold')
+      .text('Item', 50, y)
+      .text('Qty', 300, y)
+      .text('Rate', 380, y)
+      .text('Total', 470, y);
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+    doc.font('Helvetica');
+    y += 25;
+
+    purchase.items.forEach(item => {
+      if (y > 700) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(`${item.product.name.substring(0, 35)} (${item.product.unit})`, 50, y)
+        .text(item.quantity.toString(), 300, y)
+        .text(`₹${item.purchasePrice.toFixed(2)}`, 380, y)
+        .text(`₹${item.total.toFixed(2)}`, 470, y);
+      y += 20;
+    });
+
+    doc.moveTo(350, y).lineTo(550, y).stroke();
+    y += 10;
+    doc.text('Subtotal:', 350, y).text(`₹${purchase.totalAmount.toFixed(2)}`, 470, y);
+    y += 15;
+    if (purchase.discount > 0) {
+      doc.text('Discount:', 350, y).text(`-₹${purchase.discount.toFixed(2)}`, 470, y);
+      y += 15;
+    }
+    doc.text('Tax:', 350, y).text(`₹${purchase.taxAmount.toFixed(2)}`, 470, y);
+    y += 15;
+    doc.font('Helvetica-Bold').text('Net:', 350, y).text(`₹${purchase.netAmount.toFixed(2)}`, 470, y);
+    doc.font('Helvetica');
+
+    // Debit notes raised against the bill
+    if (purchase.returns.length > 0) {
+      y += 30;
+      doc.font('Helvetica-Bold').text('Debit notes', 50, y);
+      doc.font('Helvetica');
+      y += 15;
+      purchase.returns.forEach(r => {
+        doc.text(`${r.debitNoteNo}  ${new Date(r.createdAt).toLocaleDateString()}  ${r.reason.replace('_', ' ')}`, 50, y)
+          .text(`-₹${r.totalAmount.toFixed(2)}`, 470, y);
+        y += 15;
+      });
+    }
+
+    y += 20;
+    doc.text('Returned:', 350, y).text(`₹${returned.toFixed(2)}`, 470, y);
+    y += 15;
+    doc.text('Paid:', 350, y).text(`₹${paid.toFixed(2)}`, 470, y);
+    y += 15;
+    doc.font('Helvetica-Bold').text('Balance due:', 350, y).text(`₹${due.toFixed(2)}`, 470, y);
+
+    doc.end();
+  } catch (error) {
+    console.error('Purchase PDF error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // @desc    Create purchase
 // @route   POST /api/purchases
 // @access  Private (Owner, Manager, Inventory)
@@ -199,11 +329,7 @@ const createPurchase = async (req, res) => {
       return res.status(400).json({ error: 'At least one item is required' });
     }
 
-    // Generate invoice number if not provided
-    const finalInvoiceNo = invoiceNo || `PO-${Date.now()}`;
-
-    // Calculate totals
-    let totalAmount = 0;
+    // Price the lines
     const processedItems = [];
 
     for (const item of items) {
@@ -226,7 +352,6 @@ const createPurchase = async (req, res) => {
       }
 
       const itemTotal = item.purchasePrice * item.quantity;
-      totalAmount += itemTotal;
 
       processedItems.push({
         productId: item.productId,
@@ -234,80 +359,23 @@ const createPurchase = async (req, res) => {
         purchasePrice: parseFloat(item.purchasePrice),
         sellingPrice: item.sellingPrice ? parseFloat(item.sellingPrice) : product.sellingPrice,
         total: itemTotal,
-        expiryDate: item.expiryDate ? new Date(item.expiryDate) : null
+        expiryDate: item.expiryDate ? new Date(item.expiryDate) : null,
+        batchNumber: item.batchNumber || null
       });
     }
 
-    const netAmount = totalAmount - parseFloat(discount) + parseFloat(taxAmount);
-
-    // Create purchase
-    const newPurchase = await prisma.purchase.create({
-      data: {
-        invoiceNo: finalInvoiceNo,
-        supplierId,
-        purchaseDate: new Date(purchaseDate || Date.now()),
-        totalAmount,
-        discount: parseFloat(discount),
-        taxAmount: parseFloat(taxAmount),
-        netAmount,
-        paymentStatus,
-        paymentMethod,
-        notes,
-        createdById: req.user.id,
-        items: {
-          create: processedItems
-        }
-      },
-      include: {
-        supplier: true,
-        items: {
-          include: {
-            product: true
-          }
-        }
-      }
-    });
-
-    // Update stock and create inventory transactions
-    for (const item of processedItems) {
-      const product = await prisma.product.findUnique({
-        where: { id: item.productId }
-      });
-
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          currentStock: {
-            increment: item.quantity
-          }
-        }
-      });
-
-      await prisma.inventoryTransaction.create({
-        data: {
-          productId: item.productId,
-          type: 'PURCHASE',
-          quantity: item.quantity,
-          beforeStock: product.currentStock,
-          afterStock: product.currentStock + item.quantity,
-          reference: newPurchase.id,
-          notes: `Purchase #${finalInvoiceNo}`,
-          createdById: req.user.id
-        }
-      });
-    }
-
-    // Update supplier balance
-    if (paymentStatus === 'PENDING' || paymentStatus === 'PARTIAL') {
-      await prisma.supplier.update({
-        where: { id: supplierId },
-        data: {
-          currentBalance: {
-            increment: netAmount
-          }
-        }
-      });
-    }
+    const newPurchase = await realtimeService.transaction(prisma, (tx) => purchaseService.record(tx, {
+      storeId: req.storeId,
+      supplierId,
+      invoiceNo,
+      purchaseDate,
+      items: processedItems,
+      discount,
+      taxAmount,
+      paymentStatus,
+      paymentMethod,
+      notes
+    }, req.user.id), { timeout: 15000 });
 
     // Log activity
     await prisma.activityLog.create({
@@ -340,7 +408,16 @@ const createPurchase = async (req, res) => {
 const updatePurchase = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { storeId, ...updateData } = req.body;
+
+    const existing = await prisma.purchase.findUnique({
+      where: { id },
+      select: { storeId: true }
+    });
+
+    if (!existing || !hasStoreAccess(req, existing.storeId)) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
 
     const purchase = await prisma.purchase.update({
       where: { id },
@@ -426,23 +503,23 @@ const addPayment = async (req, res) => {
     const purchase = await prisma.purchase.findUnique({
       where: { id },
       include: {
-        payments: true
+        payments: true,
+        returns: true
       }
     });
 
-    if (!purchase) {
+    if (!purchase || !hasStoreAccess(req, purchase.storeId)) {
       return res.status(404).json({ error: 'Purchase not found' });
     }
 
-    // Calculate total paid so far
-    const totalPaid = purchase.payments?.reduce((sum, p) => sum + p.amount, 0) || 0;
-    const newTotalPaid = totalPaid + parseFloat(amount);
+    // What is left after earlier payments and debit notes
+    const { due } = purchaseService.amountDue(purchase, purchase.payments, purchase.returns);
 
     // Check if payment exceeds balance
-    if (newTotalPaid > purchase.netAmount) {
+    if (parseFloat(amount) > due) {
       return res.status(400).json({ 
         error: 'Payment amount exceeds remaining balance',
-        remainingBalance: purchase.netAmount - totalPaid
+        remainingBalance: due
       });
     }
 
@@ -463,7 +540,7 @@ const addPayment = async (req, res) => {
 
       // Determine new payment status
       let paymentStatus = 'PARTIAL';
-      if (newTotalPaid >= purchase.netAmount) {
+      if (parseFloat(amount) >= due) {
         paymentStatus = 'PAID';
       }
 
@@ -515,6 +592,7 @@ const addPayment = async (req, res) => {
 module.exports = {
   getPurchases,
   getPurchase,
+  getPurchasePdf,
   createPurchase,
   updatePurchase,
   deletePurchase,
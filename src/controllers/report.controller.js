@@ -1,8 +1,9 @@
 const prisma = require('../lib/prisma');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
-
-
+const { roundAmount, percentage } = require('../utils/helpers');
+const storeService = require('../services/store.service');
+const { storeFilter } = require('../middleware/store');
 
 // @desc    Get sales report
 // @route   GET /api/reports/sales
@@ -33,6 +34,7 @@ const getSalesReport = async (req, res) => {
 
     const sales = await prisma.sale.findMany({
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: start,
           lte: end
@@ -40,6 +42,9 @@ const getSalesReport = async (req, res) => {
         paymentStatus: { not: 'CANCELLED' }
       },
       include: {
+        store: {
+          select: { id: true, code: true, name: true }
+        },
         cashier: {
           select: { name: true }
         },
@@ -49,11 +54,31 @@ const getSalesReport = async (req, res) => {
               select: { name: true, sku: true }
             }
           }
-        }
+        },
+        payments: true
       },
       orderBy: { saleDate: 'desc' }
     });
 
+    // Collections per tender rather than per Sale.paymentMethod
+    const byPaymentMethod = {};
+    const byStore = {};
+    sales.forEach(sale => {
+      if (!byStore[sale.store.id]) {
+        byStore[sale.store.id] = { store: sale.store, count: 0, amount: 0 };
+      }
+      byStore[sale.store.id].count++;
+      byStore[sale.store.id].amount += sale.totalAmount;
+
+      sale.payments.forEach(payment => {
+        if (!byPaymentMethod[payment.paymentMethod]) {
+          byPaymentMethod[payment.paymentMethod] = { count: 0, amount: 0 };
+        }
+        byPaymentMethod[payment.paymentMethod].count++;
+        byPaymentMethod[payment.paymentMethod].amount += payment.amount;
+      });
+    });
+
     const summary = {
       totalSales: sales.length,
       totalRevenue: sales.reduce((sum, s) => sum + s.totalAmount, 0),
@@ -61,7 +86,9 @@ const getSalesReport = async (req, res) => {
       totalTax: sales.reduce((sum, s) => sum + s.taxAmount, 0),
       averageTicket: sales.length > 0 
         ? sales.reduce((sum, s) => sum + s.totalAmount, 0) / sales.length 
-        : 0
+        : 0,
+      byPaymentMethod,
+      byStore: Object.values(byStore)
     };
 
     res.json({
@@ -83,17 +110,43 @@ const getSalesReport = async (req, res) => {
 // @access  Private (Manager, Owner)
 const getInventoryReport = async (req, res) => {
   try {
-    const products = await prisma.product.findMany({
+    let products = await prisma.product.findMany({
       where: { isActive: true },
       include: {
         category: true,
         stockAlerts: {
-          where: { status: 'ACTIVE' }
+          where: { ...storeFilter(req), status: 'ACTIVE' }
         }
       },
       orderBy: { name: 'asc' }
     });
 
+    // One store's shelves, or the whole chain with a per-store valuation
+    let byStore;
+    if (req.storeId) {
+      products = storeService.withStoreStock(products, await storeService.stockLevels(prisma, req.storeId));
+    } else {
+      const stocks = await prisma.productStock.findMany({
+        where: { product: { isActive: true } },
+        select: {
+          storeId: true,
+          currentStock: true,
+          minStockAlert: true,
+          product: { select: { purchasePrice: true, sellingPrice: true } }
+        }
+      });
+      byStore = req.stores.map(store => {
+        const rows = stocks.filter(s => s.storeId === store.id);
+        return {
+          store: { id: store.id, code: store.code, name: store.name },
+          totalValue: roundAmount(rows.reduce((sum, s) => sum + s.currentStock * s.product.purchasePrice, 0)),
+          totalRetailValue: roundAmount(rows.reduce((sum, s) => sum + s.currentStock * s.product.sellingPrice, 0)),
+          lowStock: rows.filter(s => s.currentStock <= s.minStockAlert).length,
+          outOfStock: rows.filter(s => s.currentStock === 0).length
+        };
+      });
+    }
+
     const summary = {
       totalProducts: products.length,
       totalValue: products.reduce((sum, p) => sum + (p.currentStock * p.purchasePrice), 0),
@@ -106,6 +159,7 @@ const getInventoryReport = async (req, res) => {
       success: true,
       data: {
         summary,
+        ...(byStore && { byStore }),
         products
       }
     });
@@ -145,6 +199,7 @@ const getProfitReport = async (req, res) => {
     // Get sales data
     const sales = await prisma.sale.findMany({
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: start,
           lte: end
@@ -163,6 +218,7 @@ const getProfitReport = async (req, res) => {
     // Get purchase data
     const purchases = await prisma.purchase.findMany({
       where: {
+        ...storeFilter(req),
         purchaseDate: {
           gte: start,
           lte: end
@@ -214,6 +270,246 @@ const getProfitReport = async (req, res) => {
   }
 };
 
+// Report window from startDate/endDate, or the last `period`
+const reportRange = ({ startDate, endDate, period = 'month' }) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : new Date();
+
+  if (!startDate && !endDate) {
+    switch (period) {
+      case 'week':
+        start.setDate(start.getDate() - 7);
+        break;
+      case 'month':
+        start.setMonth(start.getMonth() - 1);
+        break;
+      case 'quarter':
+        start.setMonth(start.getMonth() - 3);
+        break;
+      case 'year':
+        start.setFullYear(start.getFullYear() - 1);
+        break;
+    }
+  }
+
+  return { start, end };
+};
+
+// Bucket key for a date: 2026-03-14, week starting 2026-03-09, or 2026-03
+const periodKey = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'month') {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  }
+  if (interval === 'week') {
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  }
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Add a wastage row to a keyed loss bucket
+const addLoss = (buckets, key, seed, entry) => {
+  if (!buckets[key]) buckets[key] = { ...seed, entries: 0, quantity: 0, totalLoss: 0 };
+  buckets[key].entries++;
+  buckets[key].quantity += entry.quantity;
+  buckets[key].totalLoss += entry.totalLoss;
+};
+
+const byLoss = (buckets) => Object.values(buckets)
+  .map(b => ({ ...b, totalLoss: roundAmount(b.totalLoss) }))
+  .sort((a, b) => b.totalLoss - a.totalLoss);
+
+// @desc    Get wastage loss report
+// @route   GET /api/reports/wastage
+// @access  Private (Manager, Owner)
+const getWastageReport = async (req, res) => {
+  try {
+    const { interval = 'day' } = req.query;
+    const { start, end } = reportRange(req.query);
+
+    const [entries, sales, purchases] = await Promise.all([
+      prisma.wastage.findMany({
+        where: { ...storeFilter(req), createdAt: { gte: start, lte: end } },
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              sku: true,
+              unit: true,
+              category: { select: { id: true, name: true } }
+            }
+          },
+          reportedBy: { select: { id: true, name: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.sale.aggregate({
+        where: {
+          ...storeFilter(req),
+          saleDate: { gte: start, lte: end },
+          paymentStatus: { not: 'CANCELLED' }
+        },
+        _sum: { totalAmount: true }
+      }),
+      prisma.purchase.aggregate({
+        where: { ...storeFilter(req), purchaseDate: { gte: start, lte: end } },
+        _sum: { netAmount: true }
+      })
+    ]);
+
+    const byProduct = {};
+    const byCategory = {};
+    const byReason = {};
+    const byReporter = {};
+    const byPeriod = {};
+
+    for (const entry of entries) {
+      const { product, reportedBy } = entry;
+      addLoss(byProduct, product.id, { product: { id: product.id, name: product.name, sku: product.sku, unit: product.unit } }, entry);
+      addLoss(byCategory, product.category.id, { category: product.category }, entry);
+      addLoss(byReason, entry.reason, { reason: entry.reason }, entry);
+      addLoss(byReporter, reportedBy.id, { reportedBy }, entry);
+      const key = periodKey(entry.createdAt, interval);
+      addLoss(byPeriod, key, { period: key }, entry);
+    }
+
+    const totalLoss = roundAmount(entries.reduce((sum, e) => sum + e.totalLoss, 0));
+    const revenue = sales._sum.totalAmount || 0;
+    const purchaseValue = purchases._sum.netAmount || 0;
+
+    res.json({
+      success: true,
+      data: {
+        period: { start, end, interval },
+        summary: {
+          entries: entries.length,
+          totalLoss,
+          revenue,
+          purchaseValue,
+          lossPercentOfSales: roundAmount(percentage(totalLoss, revenue)),
+          lossPercentOfPurchases: roundAmount(percentage(totalLoss, purchaseValue))
+        },
+        byProduct: byLoss(byProduct),
+        byCategory: byLoss(byCategory),
+        byReason: byLoss(byReason),
+        byReporter: byLoss(byReporter),
+        byPeriod: Object.values(byPeriod)
+          .map(b => ({ ...b, totalLoss: roundAmount(b.totalLoss) }))
+          .sort((a, b) => a.period.localeCompare(b.period))
+      }
+    });
+  } catch (error) {
+    console.error('Wastage report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get wastage as a share of purchases per supplier
+// @route   GET /api/reports/wastage/suppliers
+// @access  Private (Manager, Owner)
+const getSupplierWastageReport = async (req, res) => {
+  try {
+    const { start, end } = reportRange(req.query);
+
+    // Wasted stock is traced to a supplier through the batches it came from
+    const [entries, purchases, suppliers] = await Promise.all([
+      prisma.wastage.findMany({
+        where: { ...storeFilter(req), createdAt: { gte: start, lte: end } },
+        select: {
+          quantity: true,
+          costPrice: true,
+          totalLoss: true,
+          transaction: {
+            select: {
+              batchMovements: {
+                where: { quantity: { lt: 0 } },
+                select: {
+                  quantity: true,
+                  batch: {
+                    select: {
+                      purchaseItem: {
+                        select: { purchase: { select: { supplierId: true } } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }),
+      prisma.purchase.groupBy({
+        by: ['supplierId'],
+        where: { ...storeFilter(req), purchaseDate: { gte: start, lte: end } },
+        _sum: { netAmount: true },
+        _count: true
+      }),
+      prisma.supplier.findMany({
+        select: { id: true, name: true, phone: true }
+      })
+    ]);
+
+    const rows = {};
+    const rowFor = (supplierId) => {
+      if (!rows[supplierId]) {
+        rows[supplierId] = { supplierId, purchases: 0, purchaseValue: 0, wastedQuantity: 0, wastageLoss: 0 };
+      }
+      return rows[supplierId];
+    };
+
+    purchases.forEach(p => {
+      const row = rowFor(p.supplierId);
+      row.purchases = p._count;
+      row.purchaseValue = p._sum.netAmount || 0;
+    });
+
+    let unattributedLoss = 0;
+    for (const entry of entries) {
+      let attributed = 0;
+      const movements = entry.transaction ? entry.transaction.batchMovements : [];
+
+      for (const movement of movements) {
+        const supplierId = movement.batch.purchaseItem?.purchase.supplierId;
+        if (!supplierId) continue;
+
+        const quantity = -movement.quantity;
+        const row = rowFor(supplierId);
+        row.wastedQuantity += quantity;
+        row.wastageLoss += quantity * entry.costPrice;
+        attributed += quantity * entry.costPrice;
+      }
+
+      // Opening stock and manual additions have no supplier
+      unattributedLoss += entry.totalLoss - attributed;
+    }
+
+    const supplierMap = Object.fromEntries(suppliers.map(s => [s.id, s]));
+    const data = Object.values(rows)
+      .map(row => ({
+        supplier: supplierMap[row.supplierId] || { id: row.supplierId, name: 'Unknown' },
+        purchases: row.purchases,
+        purchaseValue: roundAmount(row.purchaseValue),
+        wastedQuantity: row.wastedQuantity,
+        wastageLoss: roundAmount(row.wastageLoss),
+        wastagePercent: roundAmount(percentage(row.wastageLoss, row.purchaseValue))
+      }))
+      .sort((a, b) => b.wastagePercent - a.wastagePercent || b.wastageLoss - a.wastageLoss);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start, end },
+        suppliers: data,
+        unattributedLoss: roundAmount(unattributedLoss)
+      }
+    });
+  } catch (error) {
+    console.error('Supplier wastage report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // @desc    Export report
 // @route   GET /api/reports/export/:type/:format
 // @access  Private (Manager, Owner)
@@ -228,14 +524,17 @@ const exportReport = async (req, res) => {
     // Get report data based on type
     switch (type) {
       case 'sales':
-        data = await getSalesReportData(startDate, endDate);
+        data = await getSalesReportData(startDate, endDate, req.storeId);
         break;
       case 'inventory':
-        data = await getInventoryReportData();
+        data = await getInventoryReportData(req.storeId);
         break;
       case 'profit':
         data = await getProfitReportData(startDate, endDate);
         break;
+      case 'wastage':
+        data = await getWastageReportData(startDate, endDate, req.storeId);
+        break;
       default:
         return res.status(400).json({ error: 'Invalid report type' });
     }
@@ -288,33 +587,42 @@ const exportReport = async (req, res) => {
 };
 
 // Helper functions
-async function getSalesReportData(startDate, endDate) {
+async function getSalesReportData(startDate, endDate, storeId) {
   const sales = await prisma.sale.findMany({
     where: {
+      ...(storeId && { storeId }),
       saleDate: {
         gte: new Date(startDate),
         lte: new Date(endDate)
       }
     },
     include: {
-      cashier: { select: { name: true } }
+      cashier: { select: { name: true } },
+      store: { select: { code: true } },
+      payments: true
     }
   });
 
   return sales.map(s => ({
     InvoiceNo: s.invoiceNo,
+    Store: s.store.code,
     Date: s.saleDate.toLocaleDateString(),
     Amount: s.totalAmount,
     PaymentMethod: s.paymentMethod,
+    Tenders: s.payments.map(p => `${p.paymentMethod}:${p.amount}`).join(' '),
     Cashier: s.cashier?.name || 'Unknown'
   }));
 }
 
-async function getInventoryReportData() {
-  const products = await prisma.product.findMany({
+async function getInventoryReportData(storeId) {
+  let products = await prisma.product.findMany({
     include: { category: true }
   });
 
+  if (storeId) {
+    products = storeService.withStoreStock(products, await storeService.stockLevels(prisma, storeId));
+  }
+
   return products.map(p => ({
     Name: p.name,
     SKU: p.sku,
@@ -327,6 +635,31 @@ async function getInventoryReportData() {
   }));
 }
 
+async function getWastageReportData(startDate, endDate, storeId) {
+  const { start, end } = reportRange({ startDate, endDate });
+
+  const entries = await prisma.wastage.findMany({
+    where: { ...(storeId && { storeId }), createdAt: { gte: start, lte: end } },
+    include: {
+      product: { select: { name: true, sku: true, unit: true } },
+      reportedBy: { select: { name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return entries.map(w => ({
+    Date: w.createdAt.toLocaleDateString(),
+    Product: w.product.name,
+    SKU: w.product.sku,
+    Quantity: w.quantity,
+    Unit: w.product.unit,
+    Reason: w.reason,
+    CostPrice: w.costPrice,
+    Loss: w.totalLoss,
+    ReportedBy: w.reportedBy?.name || 'Unknown'
+  }));
+}
+
 async function getProfitReportData(startDate, endDate) {
   // Similar to getProfitReport but returns array for export
   return [];
@@ -336,5 +669,7 @@ module.exports = {
   getSalesReport,
   getInventoryReport,
   getProfitReport,
+  getWastageReport,
+  getSupplierWastageReport,
   exportReport
 };
\ No newline at end of file
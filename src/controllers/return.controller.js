@@ -0,0 +1,606 @@
+const prisma = require('../lib/prisma');
+const { validationResult } = require('express-validator');
+const saleService = require('../services/sale.service');
+const sequenceService = require('../services/sequence.service');
+const wastageService = require('../services/wastage.service');
+const customerCreditService = require('../services/customer-credit.service');
+const walletService = require('../services/wallet.service');
+const loyaltyService = require('../services/loyalty.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+const { roundAmount } = require('../utils/helpers');
+
+const returnInclude = {
+  sale: {
+    select: {
+      id: true,
+      invoiceNo: true,
+      saleDate: true,
+      totalAmount: true,
+      storeId: true
+    }
+  },
+  exchangeSale: {
+    select: {
+      id: true,
+      invoiceNo: true,
+      totalAmount: true
+    }
+  },
+  customer: {
+    select: {
+      id: true,
+      name: true,
+      phone: true
+    }
+  },
+  processedBy: {
+    select: {
+      id: true,
+      name: true
+    }
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true
+        }
+      }
+    }
+  }
+};
+
+// Load a sale with everything needed to take goods back against it.
+// Goods go back into the store that sold them.
+async function loadReturnableSale(tx, saleId, req) {
+  // Lock the sale before reading it, so a void running alongside either
+  // waits for this return or has already cancelled the sale by now
+  await tx.sale.updateMany({
+    where: { id: saleId },
+    data: { updatedAt: new Date() }
+  });
+
+  const sale = await tx.sale.findUnique({
+    where: { id: saleId },
+    include: {
+      items: true,
+      payments: true,
+      returns: {
+        select: { totalAmount: true, refundDetails: true }
+      }
+    }
+  });
+
+  if (!sale || !hasStoreAccess(req, sale.storeId)) {
+    throw new AppError('Sale not found', 404);
+  }
+
+  if (sale.paymentStatus === 'CANCELLED') {
+    throw new AppError('Cannot return items from a cancelled sale');
+  }
+
+  return sale;
+}
+
+// Create the credit note and move the goods back into stock (or wastage)
+async function recordReturn(tx, sale, { items, refundMethod, reason, notes }, userId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('At least one return item is required');
+  }
+
+  // Line discounts (campaigns) stay with their line; the rest of the sale
+  // discount is shared out across the lines being returned
+  const netTotal = sale.items.reduce((sum, i) => sum + i.total - i.discount, 0);
+  const discountFactor = netTotal > 0 ? sale.totalAmount / netTotal : 1;
+
+  let subtotal = 0;
+  let taxAmount = 0;
+  const returnItems = [];
+
+  for (const line of items) {
+    const saleItem = sale.items.find(i => i.id === line.saleItemId);
+    if (!saleItem) {
+      throw new AppError(`Item ${line.saleItemId} is not part of sale ${sale.invoiceNo}`);
+    }
+
+    const quantity = parseFloat(line.quantity);
+    const returnable = saleItem.quantity - saleItem.returnedQuantity;
+    if (!quantity || quantity <= 0 || quantity > returnable + 1e-9) {
+      throw new AppError('Invalid return quantity', 400, {
+        saleItemId: saleItem.id,
+        returnable,
+        requested: line.quantity
+      });
+    }
+
+    const share = quantity / saleItem.quantity;
+    const lineTotal = roundAmount((saleItem.total - saleItem.discount) * share * discountFactor);
+    const lineTax = roundAmount(saleItem.taxAmount * share * discountFactor);
+
+    subtotal += lineTotal - lineTax;
+    taxAmount += lineTax;
+
+    returnItems.push({
+      saleItemId: saleItem.id,
+      productId: saleItem.productId,
+      quantity,
+      unitPrice: saleItem.sellingPrice,
+      taxAmount: lineTax,
+      total: lineTotal,
+      disposition: line.disposition === 'WASTAGE' ? 'WASTAGE' : 'RESTOCK',
+      wastageReason: line.disposition === 'WASTAGE' ? (line.wastageReason || 'SPOILED') : null
+    });
+  }
+
+  const totalAmount = roundAmount(subtotal + taxAmount);
+  const creditNoteNo = await sequenceService.next(tx, 'CREDIT_NOTE', { storeId: sale.storeId });
+
+  const saleReturn = await tx.saleReturn.create({
+    data: {
+      creditNoteNo,
+      saleId: sale.id,
+      customerId: sale.customerId,
+      subtotal: roundAmount(subtotal),
+      taxAmount: roundAmount(taxAmount),
+      totalAmount,
+      refundMethod,
+      reason,
+      notes,
+      processedById: userId,
+      items: {
+        create: returnItems
+      }
+    }
+  });
+
+  for (const item of returnItems) {
+    // Re-checked as it is written: a return running alongside this one may
+    // have taken the same goods back since the sale was read
+    const saleItem = sale.items.find(i => i.id === item.saleItemId);
+    const { count } = await tx.saleItem.updateMany({
+      where: {
+        id: item.saleItemId,
+        returnedQuantity: { lte: saleItem.quantity - item.quantity + 1e-9 }
+      },
+      data: {
+        returnedQuantity: { increment: item.quantity }
+      }
+    });
+
+    if (count === 0) {
+      throw new AppError('Items were returned by someone else meanwhile, please refresh', 409, {
+        saleItemId: item.saleItemId
+      });
+    }
+
+    const { batches } = await saleService.moveStock(tx, {
+      productId: item.productId,
+      storeId: sale.storeId,
+      quantity: item.quantity,
+      type: 'RETURN',
+      reference: saleReturn.id,
+      notes: `Return #${creditNoteNo} against ${sale.invoiceNo}`,
+      userId,
+      restoreFrom: sale.id
+    });
+
+    // Spoiled produce comes back on paper only, then is written off
+    if (item.disposition === 'WASTAGE') {
+      await wastageService.record(tx, {
+        productId: item.productId,
+        storeId: sale.storeId,
+        quantity: item.quantity,
+        reason: item.wastageReason,
+        notes: `Customer return ${creditNoteNo}`,
+        reference: saleReturn.id,
+        batchIds: batches.map(b => b.batchId),
+        userId
+      });
+    }
+  }
+
+  // Mark the sale refunded once every line has come back
+  const remaining = await tx.saleItem.count({
+    where: {
+      saleId: sale.id,
+      returnedQuantity: { lt: prisma.saleItem.fields.quantity }
+    }
+  });
+  if (remaining === 0) {
+    await tx.sale.update({
+      where: { id: sale.id },
+      data: { paymentStatus: 'REFUNDED' }
+    });
+  }
+
+  if (sale.customerId) {
+    await tx.customer.update({
+      where: { id: sale.customerId },
+      data: {
+        totalSpent: { decrement: totalAmount }
+      }
+    });
+
+    // Points earned (or redeemed) on the goods coming back are undone in
+    // proportion to what is left of the bill
+    const outstanding = sale.totalAmount - sale.returns.reduce((sum, r) => sum + r.totalAmount, 0);
+    await loyaltyService.reverse(tx, sale, outstanding > 0 ? totalAmount / outstanding : 1, {
+      reference: creditNoteNo,
+      description: `Return #${creditNoteNo} against ${sale.invoiceNo}`,
+      userId
+    });
+  }
+
+  return saleReturn;
+}
+
+// Pay the refund out and return the per-tender breakdown. Goods still
+// owed for on credit come off the customer's dues before anything is paid.
+async function settleRefund(tx, sale, saleReturn, refundMethod, total) {
+  if (total <= 0) return [];
+
+  const walletRefund = {
+    reference: saleReturn.id,
+    description: `Refund for ${saleReturn.creditNoteNo}`,
+    storeId: sale.storeId,
+    userId: saleReturn.processedById
+  };
+  const details = [];
+
+  const writtenOff = await customerCreditService.writeOff(tx, sale, total, {
+    type: 'RETURN',
+    reference: saleReturn.creditNoteNo,
+    description: `Return #${saleReturn.creditNoteNo} against ${sale.invoiceNo}`
+  });
+  if (writtenOff > 0) {
+    details.push({ paymentMethod: 'CREDIT', amount: writtenOff });
+  }
+
+  const amount = roundAmount(total - writtenOff);
+  if (amount <= 0) return details;
+
+  if (refundMethod === 'CASH') {
+    return [...details, { paymentMethod: 'CASH', amount }];
+  }
+
+  if (refundMethod === 'WALLET') {
+    await walletService.refund(tx, sale.customerId, amount, walletRefund);
+    return [...details, { paymentMethod: 'WALLET', amount }];
+  }
+
+  // ORIGINAL_TENDER: unwind tenders in reverse order, skipping what earlier
+  // returns have already refunded to each tender
+  const refunded = {};
+  sale.returns.forEach(previous => {
+    (previous.refundDetails || []).forEach(detail => {
+      refunded[detail.paymentMethod] = (refunded[detail.paymentMethod] || 0) + detail.amount;
+    });
+  });
+  refunded.CREDIT = (refunded.CREDIT || 0) + writtenOff;
+
+  let remaining = amount;
+
+  for (const payment of [...sale.payments].reverse()) {
+    if (remaining <= 0) break;
+
+    const alreadyRefunded = Math.min(refunded[payment.paymentMethod] || 0, payment.amount);
+    refunded[payment.paymentMethod] = (refunded[payment.paymentMethod] || 0) - alreadyRefunded;
+
+    const available = roundAmount(payment.amount - alreadyRefunded);
+    if (available <= 0) continue;
+
+    const portion = roundAmount(Math.min(available, remaining));
+    // A credit note redeemed on the sale, or credit the customer has since
+    // paid off, goes back as cash
+    const paymentMethod = ['CREDIT_NOTE', 'CREDIT'].includes(payment.paymentMethod) ? 'CASH' : payment.paymentMethod;
+
+    if (paymentMethod === 'WALLET') {
+      await walletService.refund(tx, sale.customerId, portion, walletRefund);
+    }
+
+    details.push({ paymentMethod, amount: portion, referenceNo: payment.referenceNo });
+    remaining = roundAmount(remaining - portion);
+  }
+
+  if (remaining > 0) {
+    throw new AppError('Refund exceeds what was paid on the original tenders', 400, {
+      unallocated: remaining
+    });
+  }
+
+  return details;
+}
+
+// What a refund actually paid out, leaving out dues written off
+const paidOut = (details) => roundAmount(
+  details.filter(d => d.paymentMethod !== 'CREDIT').reduce((sum, d) => sum + d.amount, 0)
+);
+
+// @desc    Return items from a sale and issue a credit note
+// @route   POST /api/returns
+// @access  Private (Manager, Owner)
+const createReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { saleId, items, refundMethod = 'CASH', reason, notes } = req.body;
+
+    const saleReturn = await realtimeService.transaction(prisma, async (tx) => {
+      const sale = await loadReturnableSale(tx, saleId, req);
+
+      const created = await recordReturn(tx, sale, { items, refundMethod, reason, notes }, req.user.id);
+      const refundDetails = await settleRefund(tx, sale, created, refundMethod, created.totalAmount);
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'CREATE_RETURN',
+          entity: 'SaleReturn',
+          entityId: created.id,
+          details: {
+            creditNoteNo: created.creditNoteNo,
+            invoiceNo: sale.invoiceNo,
+            amount: created.totalAmount,
+            refundMethod
+          }
+        }
+      });
+
+      return tx.saleReturn.update({
+        where: { id: created.id },
+        data: {
+          refundAmount: paidOut(refundDetails),
+          refundDetails
+        },
+        include: returnInclude
+      });
+    }, { timeout: 15000 });
+
+    res.status(201).json({
+      success: true,
+      data: saleReturn
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Create return error:', error);
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+};
+
+// @desc    Exchange: return items and net the credit against a new sale
+// @route   POST /api/returns/exchange
+// @access  Private (Manager, Owner)
+const createExchange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      saleId,
+      returnItems,
+      refundMethod = 'CASH',
+      reason,
+      notes,
+      ...newSale
+    } = req.body;
+
+    const result = await realtimeService.transaction(prisma, async (tx) => {
+      const sale = await loadReturnableSale(tx, saleId, req);
+
+      const created = await recordReturn(tx, sale, {
+        items: returnItems,
+        refundMethod: 'EXCHANGE',
+        reason,
+        notes
+      }, req.user.id);
+
+      const exchangeSale = await saleService.createSale(tx, {
+        customerId: sale.customerId,
+        customerName: sale.customerName,
+        customerPhone: sale.customerPhone,
+        ...newSale
+      }, req.user.id, {
+        storeId: sale.storeId,
+        credit: {
+          paymentMethod: 'CREDIT_NOTE',
+          amount: created.totalAmount,
+          referenceNo: created.creditNoteNo
+        }
+      });
+
+      // Any credit the new basket did not use is refunded
+      const balance = roundAmount(created.totalAmount - exchangeSale.creditApplied);
+      const refundDetails = await settleRefund(tx, sale, created, refundMethod, balance);
+
+      await tx.activityLog.create({
+        data: {
+          userId: req.user.id,
+          action: 'CREATE_EXCHANGE',
+          entity: 'SaleReturn',
+          entityId: created.id,
+          details: {
+            creditNoteNo: created.creditNoteNo,
+            invoiceNo: sale.invoiceNo,
+            exchangeInvoiceNo: exchangeSale.invoiceNo,
+            creditApplied: exchangeSale.creditApplied,
+            refunded: balance
+          }
+        }
+      });
+
+      const saleReturn = await tx.saleReturn.update({
+        where: { id: created.id },
+        data: {
+          exchangeSaleId: exchangeSale.id,
+          refundAmount: paidOut(refundDetails),
+          refundDetails
+        },
+        include: returnInclude
+      });
+
+      return { saleReturn, sale: exchangeSale };
+    }, { timeout: 20000 });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Create exchange error:', error);
+    res.status(500).json({ error: 'Server error: ' + error.message });
+  }
+};
+
+// @desc    Get all returns / credit notes
+// @route   GET /api/returns
+// @access  Private
+const getReturns = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      saleId,
+      customerId,
+      refundMethod,
+      startDate,
+      endDate,
+      search
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = {};
+
+    if (req.storeId) where.sale = storeFilter(req);
+    if (saleId) where.saleId = saleId;
+    if (customerId) where.customerId = customerId;
+    if (refundMethod) where.refundMethod = refundMethod;
+
+    if (startDate || endDate) {
+      where.returnDate = {};
+      if (startDate) where.returnDate.gte = new Date(startDate);
+      if (endDate) where.returnDate.lte = new Date(endDate);
+    }
+
+    if (search) {
+      where.OR = [
+        { creditNoteNo: { contains: search, mode: 'insensitive' } },
+        { sale: { invoiceNo: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    const returns = await prisma.saleReturn.findMany({
+      where,
+      include: returnInclude,
+      orderBy: { returnDate: 'desc' },
+      skip,
+      take
+    });
+
+    const total = await prisma.saleReturn.count({ where });
+
+    const summary = await prisma.saleReturn.aggregate({
+      where,
+      _sum: {
+        totalAmount: true,
+        refundAmount: true
+      },
+      _count: true
+    });
+
+    res.json({
+      success: true,
+      data: returns,
+      summary: {
+        totalReturns: summary._count,
+        totalCredit: summary._sum.totalAmount || 0,
+        totalRefunded: summary._sum.refundAmount || 0
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single return
+// @route   GET /api/returns/:id
+// @access  Private
+const getReturn = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const saleReturn = await prisma.saleReturn.findUnique({
+      where: { id },
+      include: returnInclude
+    });
+
+    if (!saleReturn || !hasStoreAccess(req, saleReturn.sale.storeId)) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json({
+      success: true,
+      data: saleReturn
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get return by credit note number
+// @route   GET /api/returns/credit-note/:creditNoteNo
+// @access  Private
+const getReturnByCreditNote = async (req, res) => {
+  try {
+    const { creditNoteNo } = req.params;
+
+    const saleReturn = await prisma.saleReturn.findUnique({
+      where: { creditNoteNo },
+      include: returnInclude
+    });
+
+    if (!saleReturn || !hasStoreAccess(req, saleReturn.sale.storeId)) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    res.json({
+      success: true,
+      data: saleReturn
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  createReturn,
+  createExchange,
+  getReturns,
+  getReturn,
+  getReturnByCreditNote
+};
@@ -1,7 +1,16 @@
 const prisma = require('../lib/prisma');
 const { validationResult } = require('express-validator');
-
-
+const saleService = require('../services/sale.service');
+const couponService = require('../services/coupon.service');
+const pricingService = require('../services/pricing.service');
+const customerCreditService = require('../services/customer-credit.service');
+const walletService = require('../services/wallet.service');
+const loyaltyService = require('../services/loyalty.service');
+const notificationService = require('../services/notification.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+const { roundAmount } = require('../utils/helpers');
 
 // @desc    Create new sale (POS)
 // @route   POST /api/sales
@@ -13,208 +22,27 @@ const createSale = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      customerName,
-      customerPhone,
-      customerId,
-      items,
-      discount = 0,
-      paymentMethod,
-      paymentReference,
-      notes
-    } = req.body;
-
-    // Validate items
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'At least one item is required' });
-    }
-
-    // Generate invoice number
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    const count = await prisma.sale.count({
-      where: {
-        createdAt: {
-          gte: new Date(date.setHours(0, 0, 0, 0)),
-          lt: new Date(date.setHours(23, 59, 59, 999))
-        }
-      }
-    });
-    
-    const invoiceNo = `INV-${year}${month}${day}-${(count + 1).toString().padStart(4, '0')}`;
-
-    // Process items and calculate totals
-    let subtotal = 0;
-    let totalTax = 0;
-    const processedItems = [];
-
-    for (const item of items) {
-      // Validate product exists
-      const product = await prisma.product.findUnique({
-        where: { id: item.productId }
-      });
-
-      if (!product) {
-        return res.status(400).json({ error: `Product not found: ${item.productId}` });
-      }
+    // A manager may let a credit sale go over the customer's limit
+    const creditOverrideBy = req.body.creditOverride
+      ? await customerCreditService.approveOverride(prisma, req.user, req.body.creditOverride)
+      : undefined;
 
-      // Validate stock
-      if (product.currentStock < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name}`,
-          product: product.name,
-          available: product.currentStock,
-          requested: item.quantity
-        });
-      }
+    const newSale = await realtimeService.transaction(prisma,
+      (tx) => saleService.createSale(tx, req.body, req.user.id, { storeId: req.storeId, creditOverrideBy }),
+      { timeout: 15000 }
+    );
 
-      const price = item.price || product.sellingPrice;
-      const itemTotal = price * item.quantity;
-      const itemTax = (itemTotal * (item.taxRate || product.taxRate)) / 100;
-      
-      subtotal += itemTotal;
-      totalTax += itemTax;
-
-      processedItems.push({
-        productId: item.productId,
-        quantity: item.quantity,
-        sellingPrice: price,
-        discount: item.discount || 0,
-        taxAmount: itemTax,
-        total: itemTotal + itemTax,
-        weightMeasured: item.weightMeasured || false,
-        weightId: item.weightId
-      });
-    }
-
-    const totalAmount = subtotal - discount + totalTax;
-
-    // Create sale
-    const newSale = await prisma.sale.create({
-      data: {
-        invoiceNo,
-        customerName,
-        customerPhone,
-        customerId,
-        subtotal,
-        discount,
-        taxAmount: totalTax,
-        totalAmount,
-        paymentMethod,
-        notes,
-        cashierId: req.user.id,
-        items: {
-          create: processedItems
-        },
-        payments: {
-          create: {
-            amount: totalAmount,
-            paymentMethod,
-            referenceNo: paymentReference
-          }
-        }
-      },
-      include: {
-        items: {
-          include: {
-            product: {
-              select: {
-                id: true,
-                name: true,
-                unit: true
-              }
-            }
-          }
-        }
-      }
-    });
-
-    // Update stock and create inventory transactions
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const product = await prisma.product.findUnique({
-        where: { id: item.productId }
-      });
-
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          currentStock: {
-            decrement: item.quantity
-          }
-        }
-      });
-
-      await prisma.inventoryTransaction.create({
-        data: {
-          productId: item.productId,
-          type: 'SALE',
-          quantity: -item.quantity,
-          beforeStock: product.currentStock,
-          afterStock: product.currentStock - item.quantity,
-          reference: newSale.id,
-          notes: `Sale #${invoiceNo}`,
-          createdById: req.user.id
-        }
-      });
-
-      // Check if stock is below minimum
-      if (product.currentStock - item.quantity < product.minStockAlert) {
-        const existingAlert = await prisma.stockAlert.findFirst({
-          where: {
-            productId: item.productId,
-            status: 'ACTIVE'
-          }
-        });
-
-        if (!existingAlert) {
-          await prisma.stockAlert.create({
-            data: {
-              productId: item.productId,
-              currentStock: product.currentStock - item.quantity,
-              minStockLevel: product.minStockAlert,
-              status: 'ACTIVE'
-            }
-          });
-        }
-      }
-    }
-
-    // Update customer total spent if customer exists
-    if (customerId) {
-      await prisma.customer.update({
-        where: { id: customerId },
-        data: {
-          totalOrders: { increment: 1 },
-          totalSpent: { increment: totalAmount },
-          loyaltyPoints: { increment: Math.floor(totalAmount / 100) }
-        }
-      });
-    }
-
-    // Log activity
-    await prisma.activityLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'CREATE_SALE',
-        entity: 'Sale',
-        entityId: newSale.id,
-        details: { 
-          invoiceNo, 
-          amount: totalAmount,
-          items: items.length
-        }
-      }
-    });
+    // The receipt and any low stock emails were queued with the sale
+    notificationService.kick(prisma);
 
     res.status(201).json({
       success: true,
       data: newSale
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Create sale error:', error);
     res.status(500).json({ error: 'Server error: ' + error.message });
   }
@@ -239,7 +67,7 @@ const getSales = async (req, res) => {
     const take = parseInt(limit);
 
     // Build filter
-    const where = {};
+    const where = { ...storeFilter(req) };
     
     if (startDate || endDate) {
       where.saleDate = {};
@@ -248,7 +76,7 @@ const getSales = async (req, res) => {
     }
     
     if (paymentMethod) {
-      where.paymentMethod = paymentMethod;
+      where.payments = { some: { paymentMethod } };
     }
     
     if (cashierId) {
@@ -270,6 +98,9 @@ const getSales = async (req, res) => {
     const sales = await prisma.sale.findMany({
       where,
       include: {
+        store: {
+          select: { id: true, code: true, name: true }
+        },
         cashier: {
           select: {
             id: true,
@@ -317,12 +148,14 @@ const getSales = async (req, res) => {
       _count: true
     });
 
-    // Get payment method breakdown
-    const paymentBreakdown = await prisma.sale.groupBy({
+    // Get collections per tender (a split sale counts under each of its tenders)
+    const paymentBreakdown = await prisma.salePayment.groupBy({
       by: ['paymentMethod'],
-      where,
+      where: {
+        sale: where
+      },
       _sum: {
-        totalAmount: true
+        amount: true
       },
       _count: true
     });
@@ -368,6 +201,7 @@ const getSale = async (req, res) => {
             email: true
           }
         },
+        store: true,
         customer: true,
         items: {
           include: {
@@ -378,7 +212,7 @@ const getSale = async (req, res) => {
       }
     });
 
-    if (!sale) {
+    if (!sale || !hasStoreAccess(req, sale.storeId)) {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
@@ -408,6 +242,7 @@ const getSaleByInvoice = async (req, res) => {
             name: true
           }
         },
+        store: true,
         customer: true,
         items: {
           include: {
@@ -418,7 +253,7 @@ const getSaleByInvoice = async (req, res) => {
       }
     });
 
-    if (!sale) {
+    if (!sale || !hasStoreAccess(req, sale.storeId)) {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
@@ -440,70 +275,126 @@ const voidSale = async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const sale = await prisma.sale.findUnique({
+    const found = await prisma.sale.findUnique({
       where: { id },
-      include: {
-        items: true
-      }
+      select: { storeId: true, paymentStatus: true }
     });
 
-    if (!sale) {
+    if (!found || !hasStoreAccess(req, found.storeId)) {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
-    if (sale.paymentStatus === 'CANCELLED') {
+    if (found.paymentStatus === 'CANCELLED') {
       return res.status(400).json({ error: 'Sale already cancelled' });
     }
 
+    if (found.paymentStatus === 'REFUNDED') {
+      return res.status(400).json({ error: 'Sale has been fully returned' });
+    }
+
     // Void sale with transaction
-    await prisma.$transaction(async (tx) => {
-      // Update sale status
-      await tx.sale.update({
-        where: { id },
+    await realtimeService.transaction(prisma, async (tx) => {
+      // Only one void (or last return) gets to close the sale; whoever
+      // loses the race must not restock or refund it a second time
+      const claimed = await tx.sale.updateMany({
+        where: { id, paymentStatus: { notIn: ['CANCELLED', 'REFUNDED'] } },
         data: {
           paymentStatus: 'CANCELLED',
           notes: `CANCELLED: ${reason || 'No reason provided'}`
         }
       });
 
-      // Restore stock
-      for (const item of sale.items) {
-        const product = await tx.product.findUnique({
-          where: { id: item.productId }
-        });
+      if (claimed.count === 0) {
+        throw new AppError('Sale was cancelled or fully returned meanwhile, please refresh', 409);
+      }
 
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            currentStock: {
-              increment: item.quantity
-            }
+      // Read what is left to undo only now, so returns recorded before
+      // the claim are not restocked or refunded again
+      const sale = await tx.sale.findUnique({
+        where: { id },
+        include: {
+          items: true,
+          payments: true,
+          returns: {
+            select: { totalAmount: true, refundDetails: true }
           }
+        }
+      });
+
+      // Goods already taken back on a credit note are not restocked twice
+      const returnedAmount = sale.returns.reduce((sum, r) => sum + r.totalAmount, 0);
+
+      // Whatever was still owed on credit is no longer due
+      await customerCreditService.writeOff(tx, sale, sale.amountDue, {
+        type: 'VOID',
+        reference: sale.invoiceNo,
+        description: `Sale #${sale.invoiceNo} voided`
+      });
+
+      // Money paid from the wallet goes back into it, less what returns
+      // have already refunded there
+      const walletPaid = sale.payments
+        .filter(p => p.paymentMethod === 'WALLET')
+        .reduce((sum, p) => sum + p.amount, 0);
+      const walletRefunded = sale.returns.reduce((sum, r) => sum + (r.refundDetails || [])
+        .filter(d => d.paymentMethod === 'WALLET')
+        .reduce((total, d) => total + d.amount, 0), 0);
+      const walletDue = roundAmount(Math.min(walletPaid - walletRefunded, sale.totalAmount - returnedAmount));
+
+      if (walletDue > 0) {
+        await walletService.refund(tx, sale.customerId, walletDue, {
+          reference: sale.id,
+          description: `Sale #${sale.invoiceNo} voided`,
+          storeId: sale.storeId,
+          userId: req.user.id
         });
+      }
 
-        await tx.inventoryTransaction.create({
-          data: {
-            productId: item.productId,
-            type: 'RETURN',
-            quantity: item.quantity,
-            beforeStock: product.currentStock,
-            afterStock: product.currentStock + item.quantity,
-            reference: sale.id,
-            notes: `Sale voided: ${reason}`,
-            createdById: req.user.id
-          }
+      await tx.sale.update({
+        where: { id },
+        data: { amountDue: 0 }
+      });
+
+      // Restore stock
+      for (const item of sale.items) {
+        const quantity = item.quantity - item.returnedQuantity;
+        if (quantity <= 0) continue;
+
+        // Back into the batches the sale drew from
+        await saleService.moveStock(tx, {
+          productId: item.productId,
+          storeId: sale.storeId,
+          quantity,
+          type: 'RETURN',
+          reference: sale.id,
+          notes: `Sale voided: ${reason}`,
+          userId: req.user.id,
+          restoreFrom: sale.id
         });
       }
 
+      // A voided bill gives its campaign and coupon redemptions back
+      await pricingService.releaseUsage(tx, sale.campaignDetails, sale.customerId);
+      if (sale.appliedCouponId) {
+        await couponService.releaseUsage(tx, { saleId: sale.id });
+      }
+
       // Update customer stats if exists
       if (sale.customerId) {
         await tx.customer.update({
           where: { id: sale.customerId },
           data: {
             totalOrders: { decrement: 1 },
-            totalSpent: { decrement: sale.totalAmount }
+            totalSpent: { decrement: sale.totalAmount - returnedAmount }
           }
         });
+
+        // Earned points are taken back and redeemed points given back
+        await loyaltyService.reverse(tx, sale, 1, {
+          reference: sale.invoiceNo,
+          description: `Sale #${sale.invoiceNo} voided`,
+          userId: req.user.id
+        });
       }
 
       // Log activity
@@ -520,13 +411,14 @@ const voidSale = async (req, res) => {
           }
         }
       });
-    });
 
-    // Emit socket event
-    const io = req.app.get('io');
-    io.emit('sale-voided', { 
-      invoiceNo: sale.invoiceNo,
-      reason 
+      realtimeService.queue(tx, sale.storeId, 'sale-updated', 'SALE_VOIDED', {
+        id: sale.id,
+        invoiceNo: sale.invoiceNo,
+        totalAmount: sale.totalAmount,
+        reason,
+        voidedById: req.user.id
+      });
     });
 
     res.json({
@@ -534,6 +426,9 @@ const voidSale = async (req, res) => {
       message: 'Sale voided successfully'
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Void sale error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -552,6 +447,7 @@ const getDailySummary = async (req, res) => {
 
     const sales = await prisma.sale.findMany({
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: startOfDay,
           lte: endOfDay
@@ -565,6 +461,9 @@ const getDailySummary = async (req, res) => {
             id: true,
             name: true
           }
+        },
+        store: {
+          select: { id: true, code: true, name: true }
         }
       },
       orderBy: {
@@ -579,22 +478,36 @@ const getDailySummary = async (req, res) => {
       totalRevenue: sales.reduce((sum, sale) => sum + sale.totalAmount, 0),
       totalDiscount: sales.reduce((sum, sale) => sum + sale.discount, 0),
       totalTax: sales.reduce((sum, sale) => sum + sale.taxAmount, 0),
+      splitSales: 0,
       byPaymentMethod: {},
       byCashier: {},
+      byStore: {},
       hourlyBreakdown: Array(24).fill(0).map(() => ({ count: 0, amount: 0 }))
     };
 
     // Calculate breakdowns
     sales.forEach(sale => {
-      // Payment method breakdown
-      if (!summary.byPaymentMethod[sale.paymentMethod]) {
-        summary.byPaymentMethod[sale.paymentMethod] = {
-          count: 0,
-          amount: 0
-        };
+      // Collections per tender, so split sales land under each tender used
+      const tendersUsed = new Set();
+      sale.payments.forEach(payment => {
+        if (!summary.byPaymentMethod[payment.paymentMethod]) {
+          summary.byPaymentMethod[payment.paymentMethod] = {
+            count: 0,
+            amount: 0,
+            changeGiven: 0
+          };
+        }
+        const tender = summary.byPaymentMethod[payment.paymentMethod];
+        if (!tendersUsed.has(payment.paymentMethod)) {
+          tender.count++;
+          tendersUsed.add(payment.paymentMethod);
+        }
+        tender.amount += payment.amount;
+        tender.changeGiven += payment.changeAmount || 0;
+      });
+      if (sale.paymentMethod === 'SPLIT') {
+        summary.splitSales++;
       }
-      summary.byPaymentMethod[sale.paymentMethod].count++;
-      summary.byPaymentMethod[sale.paymentMethod].amount += sale.totalAmount;
 
       // Cashier breakdown
       const cashierName = sale.cashier?.name || 'Unknown';
@@ -607,6 +520,18 @@ const getDailySummary = async (req, res) => {
       summary.byCashier[cashierName].count++;
       summary.byCashier[cashierName].amount += sale.totalAmount;
 
+      // Store breakdown (one entry unless the owner is viewing all stores)
+      if (!summary.byStore[sale.store.code]) {
+        summary.byStore[sale.store.code] = {
+          storeId: sale.store.id,
+          name: sale.store.name,
+          count: 0,
+          amount: 0
+        };
+      }
+      summary.byStore[sale.store.code].count++;
+      summary.byStore[sale.store.code].amount += sale.totalAmount;
+
       // Hourly breakdown
       const hour = new Date(sale.saleDate).getHours();
       summary.hourlyBreakdown[hour].count++;
@@ -621,6 +546,7 @@ const getDailySummary = async (req, res) => {
 
     const prevDaySales = await prisma.sale.aggregate({
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: prevDayStart,
           lte: prevDayEnd
@@ -685,6 +611,7 @@ const getSalesAnalytics = async (req, res) => {
     const sales = await prisma.sale.groupBy({
       by: ['saleDate'],
       where: {
+        ...storeFilter(req),
         saleDate: {
           gte: startDate,
           lte: endDate
@@ -705,6 +632,7 @@ const getSalesAnalytics = async (req, res) => {
       by: ['productId'],
       where: {
         sale: {
+          ...storeFilter(req),
           saleDate: {
             gte: startDate,
             lte: endDate
@@ -0,0 +1,245 @@
+const prisma = require('../lib/prisma');
+const settingsService = require('../services/settings.service');
+const sequenceService = require('../services/sequence.service');
+const { handleError } = require('../middleware/errorHandler');
+
+const DOCUMENT_TYPES = ['SALE', 'PURCHASE', 'CREDIT_NOTE', 'ORDER', 'STOCK_TAKE', 'TRANSFER', 'PURCHASE_ORDER', 'GOODS_RECEIPT', 'DEBIT_NOTE', 'RECEIPT'];
+const RESET_POLICIES = ['NEVER', 'FINANCIAL_YEAR'];
+
+const logSettingsChange = (userId, action, result) => prisma.activityLog.create({
+  data: {
+    userId,
+    action,
+    entity: 'Settings',
+    entityId: result.entry.id,
+    details: {
+      version: result.entry.version,
+      changed: Object.keys(result.changes)
+    }
+  }
+});
+
+// @desc    Get tax rate for storefront/POS before login
+// @route   GET /api/settings/public/tax-rate
+// @access  Public
+const getPublicTaxRate = async (req, res) => {
+  try {
+    const settings = await settingsService.getAll();
+
+    res.json({
+      success: true,
+      data: {
+        taxRate: settings.taxRate,
+        taxRateType: typeof settings.taxRate,
+        storeName: settings.storeName,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get public tax rate');
+  }
+};
+
+// @desc    Get store settings
+// @route   GET /api/settings/store
+// @access  Private
+const getStoreSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.getAll();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    handleError(res, error, 'Get settings');
+  }
+};
+
+// @desc    Update store settings (only the keys sent)
+// @route   PUT /api/settings/store
+// @access  Private (Owner, Manager)
+const updateStoreSettings = async (req, res) => {
+  try {
+    const { note, ...updates } = req.body;
+
+    const result = await settingsService.update(updates, req.user.id, { note });
+
+    if (result) {
+      await logSettingsChange(req.user.id, 'UPDATE_SETTINGS', result);
+    }
+
+    res.json({
+      success: true,
+      data: await settingsService.getAll(),
+      version: result ? result.entry.version : null,
+      message: result ? 'Store settings updated successfully' : 'No changes to save'
+    });
+  } catch (error) {
+    handleError(res, error, 'Update settings');
+  }
+};
+
+// @desc    Reset store settings to defaults
+// @route   POST /api/settings/reset
+// @access  Private (Owner)
+const resetStoreSettings = async (req, res) => {
+  try {
+    const result = await settingsService.reset(req.user.id);
+
+    if (result) {
+      await logSettingsChange(req.user.id, 'RESET_SETTINGS', result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Settings reset to defaults',
+      data: await settingsService.getAll()
+    });
+  } catch (error) {
+    handleError(res, error, 'Reset settings');
+  }
+};
+
+// @desc    Get settings change history
+// @route   GET /api/settings/history
+// @access  Private (Owner, Manager)
+const getSettingsHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { versions, total } = await settingsService.getHistory({ page, limit });
+
+    res.json({
+      success: true,
+      data: versions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get settings history');
+  }
+};
+
+// @desc    Get one settings version with its full snapshot
+// @route   GET /api/settings/history/:version
+// @access  Private (Owner, Manager)
+const getSettingsVersion = async (req, res) => {
+  try {
+    const version = await settingsService.getVersion(parseInt(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({ error: 'Settings version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    handleError(res, error, 'Get settings version');
+  }
+};
+
+// @desc    Roll settings back to an earlier version
+// @route   POST /api/settings/history/:version/rollback
+// @access  Private (Owner)
+const rollbackSettings = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const result = await settingsService.rollback(version, req.user.id, req.body.note);
+
+    if (result) {
+      await logSettingsChange(req.user.id, 'ROLLBACK_SETTINGS', result);
+    }
+
+    res.json({
+      success: true,
+      data: await settingsService.getAll(),
+      version: result ? result.entry.version : null,
+      message: result
+        ? `Settings restored to version ${version}`
+        : `Settings already match version ${version}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Rollback settings');
+  }
+};
+
+// @desc    List document number series (invoices, purchases, credit notes, orders)
+// @route   GET /api/settings/sequences
+// @access  Private (Owner, Manager)
+const getSequences = async (req, res) => {
+  try {
+    const series = await sequenceService.listSeries();
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    handleError(res, error, 'Get sequences');
+  }
+};
+
+// @desc    Configure a document number series
+// @route   PUT /api/settings/sequences/:documentType
+// @access  Private (Owner, Manager)
+const updateSequence = async (req, res) => {
+  try {
+    const { documentType } = req.params;
+    const { prefix, padding, startNumber, resetPolicy, storeId } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({ error: `Document type must be one of ${DOCUMENT_TYPES.join(', ')}` });
+    }
+    if (resetPolicy !== undefined && !RESET_POLICIES.includes(resetPolicy)) {
+      return res.status(400).json({ error: `Reset policy must be one of ${RESET_POLICIES.join(', ')}` });
+    }
+    if (padding !== undefined && (!Number.isInteger(Number(padding)) || padding < 1 || padding > 12)) {
+      return res.status(400).json({ error: 'Padding must be between 1 and 12' });
+    }
+    if (startNumber !== undefined && (!Number.isInteger(Number(startNumber)) || startNumber < 1)) {
+      return res.status(400).json({ error: 'Start number must be a positive integer' });
+    }
+
+    const series = await sequenceService.configureSeries(
+      documentType,
+      { prefix, padding, startNumber, resetPolicy },
+      storeId || undefined
+    );
+
+    // Keep the invoice settings in step with the global SALE series
+    if (documentType === 'SALE' && !storeId && (prefix !== undefined || startNumber !== undefined)) {
+      await settingsService.update({
+        invoicePrefix: series.prefix,
+        invoiceStartNumber: series.startNumber
+      }, req.user.id, { note: 'Invoice series updated' });
+    }
+
+    res.json({
+      success: true,
+      data: series,
+      message: 'Number series updated successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Update sequence');
+  }
+};
+
+module.exports = {
+  getPublicTaxRate,
+  getStoreSettings,
+  updateStoreSettings,
+  resetStoreSettings,
+  getSettingsHistory,
+  getSettingsVersion,
+  rollbackSettings,
+  getSequences,
+  updateSequence
+};
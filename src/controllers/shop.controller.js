@@ -0,0 +1,515 @@
+const prisma = require('../lib/prisma');
+const customerAuthService = require('../services/customer-auth.service');
+const pricingService = require('../services/pricing.service');
+const walletService = require('../services/wallet.service');
+const loyaltyService = require('../services/loyalty.service');
+const consentService = require('../services/consent.service');
+const { AppError, handleError } = require('../middleware/errorHandler');
+
+// What a customer sees of their orders: no staff or rider details
+const orderInclude = {
+  store: {
+    select: { id: true, name: true, phone: true }
+  },
+  address: true,
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          unit: true,
+          image: true
+        }
+      }
+    }
+  },
+  payment: {
+    select: { amount: true, paymentMethod: true, status: true, paidAt: true }
+  },
+  tracking: {
+    select: { status: true, location: true, notes: true, createdAt: true },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+const ADDRESS_FIELDS = [
+  'type', 'addressLine1', 'addressLine2', 'landmark',
+  'city', 'state', 'pincode', 'latitude', 'longitude'
+];
+
+const addressData = (body) => Object.fromEntries(
+  ADDRESS_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// @desc    Text a sign-in code to the customer's phone
+// @route   POST /api/shop/auth/otp
+// @access  Public
+const requestOtp = async (req, res) => {
+  try {
+    const { expiresAt } = await customerAuthService.requestOtp(prisma, req.body.phone);
+
+    res.json({
+      success: true,
+      message: 'Code sent',
+      expiresAt
+    });
+  } catch (error) {
+    handleError(res, error, 'Request customer OTP');
+  }
+};
+
+// @desc    Sign in (or sign up) with the code
+// @route   POST /api/shop/auth/verify
+// @access  Public
+const verifyOtp = async (req, res) => {
+  try {
+    const { phone, code, name, email } = req.body;
+
+    const { token, customer, isNew } = await customerAuthService.verifyOtp(prisma, { phone, code, name, email });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      token,
+      customer
+    });
+  } catch (error) {
+    handleError(res, error, 'Verify customer OTP');
+  }
+};
+
+// @desc    Signed-in customer's profile
+// @route   GET /api/shop/profile
+// @access  Customer
+const getProfile = async (req, res) => {
+  try {
+    const customer = await prisma.customer.findUnique({
+      where: { id: req.customer.id },
+      select: customerAuthService.profileSelect
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...customer,
+        tier: await pricingService.loyaltyTier(customer)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get profile');
+  }
+};
+
+// @desc    Update name, email or message language (the phone is the
+//          login and stays)
+// @route   PUT /api/shop/profile
+// @access  Customer
+const updateProfile = async (req, res) => {
+  try {
+    const { name, email, preferredLanguage } = req.body;
+
+    const customer = await prisma.customer.update({
+      where: { id: req.customer.id },
+      data: { name, email, preferredLanguage },
+      select: customerAuthService.profileSelect
+    });
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Email already belongs to another customer' });
+    }
+    handleError(res, error, 'Update profile');
+  }
+};
+
+// @desc    Saved delivery addresses, default first
+// @route   GET /api/shop/addresses
+// @access  Customer
+const getAddresses = async (req, res) => {
+  try {
+    const addresses = await prisma.customerAddress.findMany({
+      where: { customerId: req.customer.id },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: addresses
+    });
+  } catch (error) {
+    handleError(res, error, 'Get addresses');
+  }
+};
+
+// @desc    Save a delivery address (the first one becomes the default)
+// @route   POST /api/shop/addresses
+// @access  Customer
+const addAddress = async (req, res) => {
+  try {
+    const customerId = req.customer.id;
+
+    const address = await prisma.$transaction(async (tx) => {
+      const existing = await tx.customerAddress.count({ where: { customerId } });
+      const isDefault = existing === 0 || req.body.isDefault === true;
+
+      if (isDefault) {
+        await tx.customerAddress.updateMany({
+          where: { customerId, isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.customerAddress.create({
+        data: {
+          ...addressData(req.body),
+          customerId,
+          isDefault
+        }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: address
+    });
+  } catch (error) {
+    handleError(res, error, 'Add address');
+  }
+};
+
+// @desc    Edit a saved address or make it the default
+// @route   PUT /api/shop/addresses/:id
+// @access  Customer
+const updateAddress = async (req, res) => {
+  try {
+    const customerId = req.customer.id;
+
+    const address = await prisma.$transaction(async (tx) => {
+      const existing = await tx.customerAddress.findFirst({
+        where: { id: req.params.id, customerId }
+      });
+
+      if (!existing) {
+        throw new AppError('Address not found', 404);
+      }
+
+      if (req.body.isDefault === true) {
+        await tx.customerAddress.updateMany({
+          where: { customerId, isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.customerAddress.update({
+        where: { id: existing.id },
+        data: {
+          ...addressData(req.body),
+          ...(req.body.isDefault === true && { isDefault: true })
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: address
+    });
+  } catch (error) {
+    handleError(res, error, 'Update address');
+  }
+};
+
+// @desc    Remove a saved address
+// @route   DELETE /api/shop/addresses/:id
+// @access  Customer
+const deleteAddress = async (req, res) => {
+  try {
+    const customerId = req.customer.id;
+
+    const address = await prisma.customerAddress.findFirst({
+      where: { id: req.params.id, customerId },
+      include: { _count: { select: { orders: true } } }
+    });
+
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    // Orders keep pointing at the address they were delivered to
+    if (address._count.orders > 0) {
+      return res.status(400).json({ error: 'Address has orders delivered to it and cannot be removed' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.customerAddress.delete({ where: { id: address.id } });
+
+      if (address.isDefault) {
+        const next = await tx.customerAddress.findFirst({
+          where: { customerId },
+          orderBy: { createdAt: 'asc' }
+        });
+        if (next) {
+          await tx.customerAddress.update({
+            where: { id: next.id },
+            data: { isDefault: true }
+          });
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Address removed'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete address');
+  }
+};
+
+// @desc    Customer's order history
+// @route   GET /api/shop/orders?status=
+// @access  Customer
+const getMyOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { customerId: req.customer.id };
+    if (status) where.orderStatus = { in: status.split(',') };
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        select: {
+          id: true,
+          orderNumber: true,
+          orderDate: true,
+          deliveryDate: true,
+          deliverySlot: true,
+          totalAmount: true,
+          paymentStatus: true,
+          paymentMethod: true,
+          orderStatus: true,
+          store: { select: { id: true, name: true } },
+          _count: { select: { items: true } }
+        },
+        orderBy: { orderDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my orders');
+  }
+};
+
+// @desc    One of the customer's orders with its tracking
+// @route   GET /api/shop/orders/:id
+// @access  Customer
+const getMyOrder = async (req, res) => {
+  try {
+    const order = await prisma.order.findFirst({
+      where: { id: req.params.id, customerId: req.customer.id },
+      include: orderInclude
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my order');
+  }
+};
+
+// @desc    Wallet balance and movements
+// @route   GET /api/shop/wallet
+// @access  Customer
+const getMyWallet = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const { customer, transactions, pagination } = await walletService.history(prisma, req.customer.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        walletBalance: customer.walletBalance,
+        transactions: transactions.map(({ id, type, amount, balance, description, createdAt }) => ({
+          id, type, amount, balance, description, createdAt
+        }))
+      },
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my wallet');
+  }
+};
+
+// @desc    Loyalty points, tier and points history
+// @route   GET /api/shop/loyalty
+// @access  Customer
+const getMyLoyalty = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const { pagination, ...account } = await loyaltyService.account(prisma, req.customer.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...account,
+        transactions: account.transactions.map(({ id, type, points, balance, expiresAt, description, createdAt }) => ({
+          id, type, points, balance, expiresAt, description, createdAt
+        }))
+      },
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my loyalty');
+  }
+};
+
+// @desc    Which messages the customer gets on which channel
+// @route   GET /api/shop/preferences
+// @access  Customer
+const getMyPreferences = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await consentService.preferences(prisma, req.customer.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my preferences');
+  }
+};
+
+// @desc    Opt in to or out of messages per channel and category
+// @route   PUT /api/shop/preferences
+// @access  Customer
+const updateMyPreferences = async (req, res) => {
+  try {
+    const changes = await prisma.$transaction((tx) => consentService.record(tx, req.customer.id, req.body.preferences, {
+      source: 'SHOP_APP',
+      details: { ip: req.ip, userAgent: req.get('user-agent') }
+    }));
+
+    res.json({
+      success: true,
+      data: await consentService.preferences(prisma, req.customer.id),
+      changes
+    });
+  } catch (error) {
+    handleError(res, error, 'Update my preferences');
+  }
+};
+
+// @desc    Feedback the customer has left, with the store's replies
+// @route   GET /api/shop/feedback
+// @access  Customer
+const getMyFeedback = async (req, res) => {
+  try {
+    const feedback = await prisma.customerFeedback.findMany({
+      where: { customerId: req.customer.id },
+      select: {
+        id: true,
+        rating: true,
+        comment: true,
+        category: true,
+        response: true,
+        respondedAt: true,
+        createdAt: true,
+        order: { select: { id: true, orderNumber: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    handleError(res, error, 'Get my feedback');
+  }
+};
+
+// @desc    Rate the store or one of the customer's orders
+// @route   POST /api/shop/feedback
+// @access  Customer
+const submitFeedback = async (req, res) => {
+  try {
+    const { orderId, rating, comment, category } = req.body;
+    const customerId = req.customer.id;
+
+    if (orderId) {
+      const order = await prisma.order.findFirst({
+        where: { id: orderId, customerId },
+        select: { id: true, _count: { select: { feedback: true } } }
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      if (order._count.feedback > 0) {
+        return res.status(400).json({ error: 'Feedback already given for this order' });
+      }
+    }
+
+    const feedback = await prisma.customerFeedback.create({
+      data: {
+        customerId,
+        orderId,
+        rating: parseInt(rating),
+        comment,
+        category
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    handleError(res, error, 'Submit feedback');
+  }
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+  getProfile,
+  updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getMyOrders,
+  getMyOrder,
+  getMyWallet,
+  getMyLoyalty,
+  getMyPreferences,
+  updateMyPreferences,
+  getMyFeedback,
+  submitFeedback
+};
@@ -0,0 +1,340 @@
+const prisma = require('../lib/prisma');
+const stockTakeService = require('../services/stock-take.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError, handleError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+const stockTakeInclude = {
+  store: { select: { id: true, code: true, name: true } },
+  startedBy: { select: { id: true, name: true } },
+  approvedBy: { select: { id: true, name: true } }
+};
+
+const itemInclude = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      sku: true,
+      barcode: true,
+      unit: true,
+      category: { select: { id: true, name: true } }
+    }
+  },
+  countedBy: { select: { id: true, name: true } }
+};
+
+// Sessions of stores the user does not work in are treated as missing
+const checkAccess = async (req) => {
+  const stockTake = await prisma.stockTake.findUnique({
+    where: { id: req.params.id },
+    select: { storeId: true }
+  });
+
+  if (!stockTake || !hasStoreAccess(req, stockTake.storeId)) {
+    throw new AppError('Stock-take not found', 404);
+  }
+};
+
+const logActivity = (userId, action, stockTake, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId,
+      action,
+      entity: 'StockTake',
+      entityId: stockTake.id,
+      details: { sessionNo: stockTake.sessionNo, ...details }
+    }
+  });
+
+// @desc    Start a stock-take session (whole store or some categories)
+// @route   POST /api/stock-takes
+// @access  Private (Inventory, Manager)
+const createStockTake = async (req, res) => {
+  try {
+    const { name, categoryIds = [], notes } = req.body;
+
+    const stockTake = await prisma.$transaction(
+      (tx) => stockTakeService.open(tx, { storeId: req.storeId, name, categoryIds, notes }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    await logActivity(req.user.id, 'START_STOCK_TAKE', stockTake, {
+      categories: categoryIds,
+      products: stockTake._count.items
+    });
+
+    res.status(201).json({
+      success: true,
+      data: stockTake
+    });
+  } catch (error) {
+    handleError(res, error, 'Create stock-take');
+  }
+};
+
+// @desc    Get stock-take sessions
+// @route   GET /api/stock-takes
+// @access  Private (Inventory, Manager)
+const getStockTakes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, startDate, endDate } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+    if (status) where.status = status;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [stockTakes, total] = await Promise.all([
+      prisma.stockTake.findMany({
+        where,
+        include: {
+          ...stockTakeInclude,
+          _count: { select: { items: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.stockTake.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: stockTakes,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get stock-takes');
+  }
+};
+
+// @desc    Get a session with its lines and variances
+// @route   GET /api/stock-takes/:id?view=uncounted|variance
+// @access  Private (Inventory, Manager)
+const getStockTake = async (req, res) => {
+  try {
+    const { view } = req.query;
+
+    const stockTake = await prisma.stockTake.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...stockTakeInclude,
+        items: {
+          include: itemInclude,
+          orderBy: { product: { name: 'asc' } }
+        }
+      }
+    });
+
+    if (!stockTake || !hasStoreAccess(req, stockTake.storeId)) {
+      return res.status(404).json({ error: 'Stock-take not found' });
+    }
+
+    const summary = stockTakeService.summarize(stockTake.items);
+
+    let items = stockTake.items.map(item => ({
+      ...item,
+      ...stockTakeService.variance(item)
+    }));
+
+    if (view === 'uncounted') {
+      items = items.filter(i => i.countedQuantity === null);
+    } else if (view === 'variance') {
+      items = items
+        .filter(i => i.variance !== null && i.variance !== 0)
+        .sort((a, b) => a.varianceValue - b.varianceValue);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...stockTake,
+        items,
+        summary,
+        allowedTransitions: stockTakeService.transitions[stockTake.status]
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get stock-take');
+  }
+};
+
+// @desc    Upload a batch of counts from a handheld
+// @route   POST /api/stock-takes/:id/counts
+// @access  Private (Inventory, Manager)
+const recordCounts = async (req, res) => {
+  try {
+    const { deviceId, counts } = req.body;
+    await checkAccess(req);
+
+    const result = await prisma.$transaction(
+      (tx) => stockTakeService.recordCounts(tx, req.params.id, { deviceId, counts }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Record counts');
+  }
+};
+
+// @desc    Finish counting and send for approval
+// @route   POST /api/stock-takes/:id/submit
+// @access  Private (Inventory, Manager)
+const submitStockTake = async (req, res) => {
+  try {
+    const { id } = req.params;
+    await checkAccess(req);
+
+    const counted = await prisma.stockTakeItem.count({
+      where: { stockTakeId: id, countedQuantity: { not: null } }
+    });
+
+    if (counted === 0) {
+      return res.status(400).json({ error: 'Nothing has been counted yet' });
+    }
+
+    const stockTake = await prisma.$transaction((tx) =>
+      stockTakeService.transition(tx, id, 'SUBMITTED', { submittedAt: new Date() })
+    );
+
+    await logActivity(req.user.id, 'SUBMIT_STOCK_TAKE', stockTake, { counted });
+
+    res.json({
+      success: true,
+      message: 'Stock-take submitted for approval'
+    });
+  } catch (error) {
+    handleError(res, error, 'Submit stock-take');
+  }
+};
+
+// @desc    Send a submitted session back for recounting
+// @route   POST /api/stock-takes/:id/reopen
+// @access  Private (Manager)
+const reopenStockTake = async (req, res) => {
+  try {
+    await checkAccess(req);
+
+    const stockTake = await prisma.$transaction((tx) =>
+      stockTakeService.transition(tx, req.params.id, 'OPEN', { submittedAt: null })
+    );
+
+    await logActivity(req.user.id, 'REOPEN_STOCK_TAKE', stockTake, { reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Stock-take reopened for counting'
+    });
+  } catch (error) {
+    handleError(res, error, 'Reopen stock-take');
+  }
+};
+
+// @desc    Approve a session and post the variances as adjustments
+// @route   POST /api/stock-takes/:id/approve
+// @access  Private (Manager)
+const approveStockTake = async (req, res) => {
+  try {
+    const { uncountedAsZero = false } = req.body;
+    await checkAccess(req);
+
+    const { stockTake, adjustments } = await realtimeService.transaction(prisma,
+      (tx) => stockTakeService.approve(tx, req.params.id, req.user.id, { uncountedAsZero }),
+      { timeout: 60000 }
+    );
+
+    await logActivity(req.user.id, 'APPROVE_STOCK_TAKE', stockTake, {
+      adjustments: adjustments.length,
+      netValue: adjustments.reduce((sum, a) => sum + a.value, 0)
+    });
+
+    res.json({
+      success: true,
+      data: { adjustments }
+    });
+  } catch (error) {
+    handleError(res, error, 'Approve stock-take');
+  }
+};
+
+// @desc    Cancel a session without touching stock
+// @route   POST /api/stock-takes/:id/cancel
+// @access  Private (Manager)
+const cancelStockTake = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    await checkAccess(req);
+
+    const stockTake = await prisma.$transaction((tx) =>
+      stockTakeService.transition(tx, req.params.id, 'CANCELLED', { cancelReason: reason })
+    );
+
+    await logActivity(req.user.id, 'CANCEL_STOCK_TAKE', stockTake, { reason });
+
+    res.json({
+      success: true,
+      message: 'Stock-take cancelled'
+    });
+  } catch (error) {
+    handleError(res, error, 'Cancel stock-take');
+  }
+};
+
+// @desc    Shrinkage report for a session
+// @route   GET /api/stock-takes/:id/shrinkage
+// @access  Private (Manager)
+const getShrinkageReport = async (req, res) => {
+  try {
+    const stockTake = await prisma.stockTake.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...stockTakeInclude,
+        items: { include: itemInclude }
+      }
+    });
+
+    if (!stockTake || !hasStoreAccess(req, stockTake.storeId)) {
+      return res.status(404).json({ error: 'Stock-take not found' });
+    }
+
+    const { items, ...session } = stockTake;
+
+    res.json({
+      success: true,
+      data: {
+        stockTake: session,
+        ...stockTakeService.shrinkage(stockTake)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Shrinkage report');
+  }
+};
+
+module.exports = {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  recordCounts,
+  submitStockTake,
+  reopenStockTake,
+  approveStockTake,
+  cancelStockTake,
+  getShrinkageReport
+};
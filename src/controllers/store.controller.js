@@ -0,0 +1,346 @@
+const prisma = require('../lib/prisma');
+const storeService = require('../services/store.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { hasStoreAccess } = require('../middleware/store');
+
+const STORE_FIELDS = ['code', 'name', 'address', 'city', 'state', 'pincode', 'phone', 'email', 'gstNumber', 'isActive'];
+
+const pickStoreData = (body) => STORE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// @desc    Stores the current user works in (default first)
+// @route   GET /api/stores/mine
+// @access  Private
+const getMyStores = async (req, res) => {
+  try {
+    const stores = await storeService.storesFor(prisma, req.user);
+
+    res.json({
+      success: true,
+      data: stores
+    });
+  } catch (error) {
+    console.error('Get my stores error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get all stores
+// @route   GET /api/stores
+// @access  Private (Owner)
+const getStores = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const stores = await prisma.store.findMany({
+      where: isActive !== undefined ? { isActive: isActive === 'true' } : {},
+      include: {
+        _count: {
+          select: { users: true, sales: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: stores
+    });
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single store with its staff
+// @route   GET /api/stores/:id
+// @access  Private (Owner, Manager of the store)
+const getStore = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const store = await prisma.store.findUnique({
+      where: { id },
+      include: {
+        users: {
+          include: {
+            user: {
+              select: { id: true, name: true, email: true, role: true, isActive: true }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!store || !hasStoreAccess(req, store.id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const stock = await prisma.productStock.findMany({
+      where: { storeId: id, product: { isActive: true } },
+      select: {
+        currentStock: true,
+        minStockAlert: true,
+        product: { select: { purchasePrice: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...store,
+        inventory: {
+          products: stock.filter(s => s.currentStock > 0).length,
+          lowStock: stock.filter(s => s.currentStock <= s.minStockAlert).length,
+          costValue: stock.reduce((sum, s) => sum + s.currentStock * s.product.purchasePrice, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get store error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Create store
+// @route   POST /api/stores
+// @access  Private (Owner)
+const createStore = async (req, res) => {
+  try {
+    const data = pickStoreData(req.body);
+    data.code = data.code.toUpperCase();
+
+    const store = await prisma.$transaction(async (tx) => {
+      const created = await tx.store.create({ data });
+
+      // Every product starts at zero on the new store's shelves
+      const products = await tx.product.findMany({
+        select: { id: true, minStockAlert: true }
+      });
+      await tx.productStock.createMany({
+        data: products.map(p => ({
+          productId: p.id,
+          storeId: created.id,
+          currentStock: 0,
+          minStockAlert: p.minStockAlert
+        }))
+      });
+
+      return created;
+    }, { timeout: 30000 });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'CREATE_STORE',
+        entity: 'Store',
+        entityId: store.id,
+        details: { code: store.code, name: store.name }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: store
+    });
+  } catch (error) {
+    console.error('Create store error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Store with this code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Update store
+// @route   PUT /api/stores/:id
+// @access  Private (Owner)
+const updateStore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = pickStoreData(req.body);
+    if (data.code) data.code = data.code.toUpperCase();
+
+    const store = await prisma.store.update({
+      where: { id },
+      data
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_STORE',
+        entity: 'Store',
+        entityId: store.id,
+        details: { code: store.code, changes: Object.keys(data) }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: store
+    });
+  } catch (error) {
+    console.error('Update store error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Store with this code already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Assign a user to a store (optionally as their default store)
+// @route   POST /api/stores/:id/users
+// @access  Private (Owner)
+const assignUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, isDefault = false } = req.body;
+
+    const membership = await prisma.$transaction(async (tx) => {
+      const [store, user] = await Promise.all([
+        tx.store.findUnique({ where: { id } }),
+        tx.user.findUnique({ where: { id: userId } })
+      ]);
+
+      if (!store) throw new AppError('Store not found', 404);
+      if (!user) throw new AppError('User not found', 404);
+
+      // A user has one default store
+      const firstStore = (await tx.storeUser.count({ where: { userId } })) === 0;
+      if (isDefault) {
+        await tx.storeUser.updateMany({
+          where: { userId },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.storeUser.upsert({
+        where: { storeId_userId: { storeId: id, userId } },
+        create: { storeId: id, userId, isDefault: isDefault || firstStore },
+        update: { ...(isDefault && { isDefault: true }) },
+        include: {
+          store: { select: { id: true, code: true, name: true } },
+          user: { select: { id: true, name: true, role: true } }
+        }
+      });
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ASSIGN_STORE_USER',
+        entity: 'Store',
+        entityId: id,
+        details: { userId, isDefault: membership.isDefault }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: membership
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Assign store user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Remove a user from a store
+// @route   DELETE /api/stores/:id/users/:userId
+// @access  Private (Owner)
+const removeUser = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const { count } = await prisma.storeUser.deleteMany({
+      where: { storeId: id, userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'User is not assigned to this store' });
+    }
+
+    // Promote another store to default if the default one was removed
+    const remaining = await prisma.storeUser.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+    if (remaining.length > 0 && !remaining.some(m => m.isDefault)) {
+      await prisma.storeUser.update({
+        where: { id: remaining[0].id },
+        data: { isDefault: true }
+      });
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'REMOVE_STORE_USER',
+        entity: 'Store',
+        entityId: id,
+        details: { userId }
+      }
+    });
+
+    realtimeService.leaveStore(userId, id);
+
+    res.json({
+      success: true,
+      message: 'User removed from store'
+    });
+  } catch (error) {
+    console.error('Remove store user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Set a product's low stock level in one store
+// @route   PATCH /api/stores/:id/stock/:productId
+// @access  Private (Manager, Inventory of the store)
+const updateStoreStockLevel = async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+
+    if (!hasStoreAccess(req, id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const stock = await prisma.productStock.update({
+      where: { productId_storeId: { productId, storeId: id } },
+      data: { minStockAlert: parseFloat(req.body.minStockAlert) }
+    });
+
+    res.json({
+      success: true,
+      data: stock
+    });
+  } catch (error) {
+    console.error('Update store stock level error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Product not stocked in this store' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getMyStores,
+  getStores,
+  getStore,
+  createStore,
+  updateStore,
+  assignUser,
+  removeUser,
+  updateStoreStockLevel
+};
@@ -1,5 +1,9 @@
 const prisma = require('../lib/prisma');
 const { validationResult } = require('express-validator');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const supplierLedgerService = require('../services/supplier-ledger.service');
+const { AppError } = require('../middleware/errorHandler');
 
 
 
@@ -113,6 +117,18 @@ const getSupplier = async (req, res) => {
               }
             }
           }
+        },
+        purchaseReturns: {
+          take: 20,
+          orderBy: { createdAt: 'desc' },
+          include: {
+            purchase: {
+              select: {
+                id: true,
+                invoiceNo: true
+              }
+            }
+          }
         }
       }
     });
@@ -132,6 +148,14 @@ const getSupplier = async (req, res) => {
         where: { supplierId: id },
         _sum: { amount: true },
         _count: true
+      }),
+      prisma.purchaseOrder.count({
+        where: { supplierId: id, status: { in: ['SENT', 'PARTIALLY_RECEIVED'] } }
+      }),
+      prisma.purchaseReturn.aggregate({
+        where: { supplierId: id },
+        _sum: { totalAmount: true },
+        _count: true
       })
     ]);
 
@@ -144,6 +168,9 @@ const getSupplier = async (req, res) => {
           totalPurchaseAmount: stats[0]._sum.netAmount || 0,
           totalPayments: stats[1]._count,
           totalPaidAmount: stats[1]._sum.amount || 0,
+          totalReturns: stats[3]._count,
+          totalReturnAmount: stats[3]._sum.totalAmount || 0,
+          openPurchaseOrders: stats[2],
           currentBalance: supplier.currentBalance
         }
       }
@@ -294,9 +321,161 @@ const deleteSupplier = async (req, res) => {
   }
 };
 
+// @desc    Supplier ledger: purchases, payments, returns and running balance
+// @route   GET /api/suppliers/:id/ledger?startDate=&endDate=
+// @access  Private (Owner, Manager)
+const getSupplierLedger = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const ledger = await supplierLedgerService.ledger(prisma, req.params.id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Get supplier ledger error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Payables aging (0-7, 8-15, 16-30, 30+ days) with overdue bills
+// @route   GET /api/suppliers/aging?supplierId=&asOf=
+// @access  Private (Owner, Manager)
+const getPayablesAging = async (req, res) => {
+  try {
+    const { supplierId, asOf } = req.query;
+
+    const aging = await supplierLedgerService.aging(prisma, {
+      supplierId,
+      asOf: asOf ? new Date(asOf) : new Date()
+    });
+
+    res.json({
+      success: true,
+      data: aging
+    });
+  } catch (error) {
+    console.error('Get payables aging error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Export a supplier statement to send to the supplier
+// @route   GET /api/suppliers/:id/statement?format=pdf|excel&startDate=&endDate=
+// @access  Private (Owner, Manager)
+const exportSupplierStatement = async (req, res) => {
+  try {
+    const { format = 'pdf', startDate, endDate } = req.query;
+
+    const { supplier, period, openingBalance, entries, summary } =
+      await supplierLedgerService.ledger(prisma, req.params.id, { startDate, endDate });
+
+    const filename = `statement-${supplier.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+    const periodLabel = `${period.startDate ? period.startDate.toLocaleDateString() : 'Start'} to ${(period.endDate || new Date()).toLocaleDateString()}`;
+
+    if (format === 'excel') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Statement');
+
+      worksheet.addRow([`Statement of account: ${supplier.name}`]);
+      worksheet.addRow([`Period: ${periodLabel}`]);
+      worksheet.addRow([]);
+      worksheet.addRow(['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance']);
+      worksheet.addRow(['', 'OPENING', '', 'Balance brought forward', '', '', openingBalance]);
+      entries.forEach(e => {
+        worksheet.addRow([
+          e.date.toLocaleDateString(),
+          e.type,
+          e.reference || '',
+          e.description,
+          e.debit || '',
+          e.credit || '',
+          e.balance
+        ]);
+      });
+      worksheet.addRow(['', '', '', 'Total', summary.totalDebit, summary.totalCredit, summary.closingBalance]);
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+
+      await workbook.xlsx.write(res);
+      res.end();
+    } else if (format === 'pdf') {
+      const doc = new PDFDocument({ margin: 50 });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+
+      doc.pipe(res);
+
+      doc.fontSize(20).text('FRUGANO', { align: 'center' });
+      doc.fontSize(12).text('Statement of Account', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Supplier: ${supplier.name}`);
+      doc.text(`Phone: ${supplier.phone}`);
+      if (supplier.gstNumber) doc.text(`GSTIN: ${supplier.gstNumber}`);
+      doc.text(`Period: ${periodLabel}`);
+      doc.moveDown();
+
+      const row = (y, cells, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+          .text(cells[0], 50, y)
+          .text(cells[1], 120, y, { width: 220 })
+          .text(cells[2], 350, y, { width: 60, align: 'right' })
+          .text(cells[3], 415, y, { width: 60, align: 'right' })
+          .text(cells[4], 480, y, { width: 70, align: 'right' });
+      };
+      const amount = (value) => (value ? value.toFixed(2) : '');
+
+      let y = doc.y;
+      row(y, ['Date', 'Particulars', 'Debit', 'Credit', 'Balance'], true);
+      doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+      y += 25;
+      row(y, ['', 'Balance brought forward', '', '', openingBalance.toFixed(2)]);
+      y += 20;
+
+      entries.forEach(e => {
+        if (y > 700) {
+          doc.addPage();
+          y = 50;
+        }
+        row(y, [e.date.toLocaleDateString(), e.description, amount(e.debit), amount(e.credit), e.balance.toFixed(2)]);
+        y += 20;
+      });
+
+      doc.moveTo(50, y).lineTo(550, y).stroke();
+      y += 10;
+      row(y, ['', 'Closing balance payable', amount(summary.totalDebit), amount(summary.totalCredit), summary.closingBalance.toFixed(2)], true);
+
+      doc.font('Helvetica').fontSize(8)
+        .text('Please report any differences within 7 days of receiving this statement.', 50, y + 40);
+
+      doc.end();
+    } else {
+      res.status(400).json({ error: 'Invalid export format' });
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Export supplier statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 module.exports = {
   getSuppliers,
   getSupplier,
+  getSupplierLedger,
+  getPayablesAging,
+  exportSupplierStatement,
   createSupplier,
   updateSupplier,
   deleteSupplier
@@ -0,0 +1,346 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/prisma');
+const transferService = require('../services/transfer.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError, handleError } = require('../middleware/errorHandler');
+const { hasStoreAccess } = require('../middleware/store');
+
+const storeSelect = { select: { id: true, code: true, name: true, address: true, city: true, phone: true } };
+
+const transferInclude = {
+  fromStore: storeSelect,
+  toStore: storeSelect,
+  requestedBy: { select: { id: true, name: true } },
+  dispatchedBy: { select: { id: true, name: true } },
+  receivedBy: { select: { id: true, name: true } }
+};
+
+const itemInclude = {
+  product: {
+    select: { id: true, name: true, sku: true, barcode: true, unit: true }
+  }
+};
+
+// A transfer is visible to both stores; each leg only to its own store.
+// Transfers the user cannot see are treated as missing.
+const checkAccess = async (req, side) => {
+  const transfer = await prisma.stockTransfer.findUnique({
+    where: { id: req.params.id },
+    select: { fromStoreId: true, toStoreId: true }
+  });
+
+  const stores = !transfer ? []
+    : side === 'from' ? [transfer.fromStoreId]
+      : side === 'to' ? [transfer.toStoreId]
+        : [transfer.fromStoreId, transfer.toStoreId];
+
+  if (!stores.some(storeId => hasStoreAccess(req, storeId))) {
+    throw new AppError('Transfer not found', 404);
+  }
+};
+
+const loadTransfer = async (req) => {
+  await checkAccess(req);
+
+  return prisma.stockTransfer.findUnique({
+    where: { id: req.params.id },
+    include: {
+      ...transferInclude,
+      items: {
+        include: itemInclude,
+        orderBy: { product: { name: 'asc' } }
+      }
+    }
+  });
+};
+
+const logActivity = (userId, action, transfer, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId,
+      action,
+      entity: 'StockTransfer',
+      entityId: transfer.id,
+      details: { transferNo: transfer.transferNo, ...details }
+    }
+  });
+
+// @desc    Request stock from another store
+// @route   POST /api/transfers
+// @access  Private (Inventory, Manager)
+const createTransfer = async (req, res) => {
+  try {
+    const { fromStoreId, toStoreId = req.storeId, items, notes } = req.body;
+
+    if (!hasStoreAccess(req, toStoreId)) {
+      return res.status(403).json({ error: 'You do not have access to this store', storeId: toStoreId });
+    }
+
+    const transfer = await prisma.$transaction(
+      (tx) => transferService.request(tx, { fromStoreId, toStoreId, items, notes }, req.user.id)
+    );
+
+    await logActivity(req.user.id, 'REQUEST_TRANSFER', transfer, {
+      fromStoreId,
+      toStoreId,
+      items: transfer._count.items
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    handleError(res, error, 'Create transfer');
+  }
+};
+
+// @desc    Get transfers into or out of the current store
+// @route   GET /api/transfers?direction=in|out
+// @access  Private (Inventory, Manager)
+const getTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, direction, startDate, endDate } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = {};
+    if (req.storeId) {
+      if (direction === 'in') where.toStoreId = req.storeId;
+      else if (direction === 'out') where.fromStoreId = req.storeId;
+      else where.OR = [{ fromStoreId: req.storeId }, { toStoreId: req.storeId }];
+    }
+    if (status) where.status = status;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [transfers, total] = await Promise.all([
+      prisma.stockTransfer.findMany({
+        where,
+        include: {
+          ...transferInclude,
+          _count: { select: { items: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.stockTransfer.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get transfers');
+  }
+};
+
+// @desc    Get a transfer with its lines and values at cost
+// @route   GET /api/transfers/:id
+// @access  Private (Inventory, Manager)
+const getTransfer = async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req);
+    const { lines, summary } = transferService.summarize(transfer.items);
+
+    res.json({
+      success: true,
+      data: {
+        ...transfer,
+        items: lines,
+        summary,
+        allowedTransitions: transferService.transitions[transfer.status]
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get transfer');
+  }
+};
+
+// @desc    Dispatch a transfer from the source store
+// @route   POST /api/transfers/:id/dispatch
+// @access  Private (Inventory, Manager)
+const dispatchTransfer = async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+    await checkAccess(req, 'from');
+
+    const { transfer, movements } = await realtimeService.transaction(prisma,
+      (tx) => transferService.dispatch(tx, req.params.id, { items }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    await logActivity(req.user.id, 'DISPATCH_TRANSFER', transfer, { lines: movements.length });
+
+    res.json({
+      success: true,
+      message: 'Transfer dispatched'
+    });
+  } catch (error) {
+    handleError(res, error, 'Dispatch transfer');
+  }
+};
+
+// @desc    Receive a transfer at the destination store (shortfall becomes wastage)
+// @route   POST /api/transfers/:id/receive
+// @access  Private (Inventory, Manager)
+const receiveTransfer = async (req, res) => {
+  try {
+    const { items = [], reason } = req.body;
+    await checkAccess(req, 'to');
+
+    const { transfer, received } = await realtimeService.transaction(prisma,
+      (tx) => transferService.receive(tx, req.params.id, { items, ...(reason && { reason }) }, req.user.id),
+      { timeout: 30000 }
+    );
+
+    const lossValue = received.reduce((sum, r) => sum + r.lossValue, 0);
+    await logActivity(req.user.id, 'RECEIVE_TRANSFER', transfer, {
+      lines: received.length,
+      shortLines: received.filter(r => r.shortfall > 0).length,
+      lossValue
+    });
+
+    res.json({
+      success: true,
+      data: { received, lossValue }
+    });
+  } catch (error) {
+    handleError(res, error, 'Receive transfer');
+  }
+};
+
+// @desc    Cancel a transfer that has not been dispatched
+// @route   POST /api/transfers/:id/cancel
+// @access  Private (Inventory, Manager)
+const cancelTransfer = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    await checkAccess(req);
+
+    const transfer = await prisma.$transaction((tx) =>
+      transferService.transition(tx, req.params.id, 'CANCELLED', { cancelReason: reason })
+    );
+
+    await logActivity(req.user.id, 'CANCEL_TRANSFER', transfer, { reason });
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled'
+    });
+  } catch (error) {
+    handleError(res, error, 'Cancel transfer');
+  }
+};
+
+// @desc    Printable transfer note (PDF)
+// @route   GET /api/transfers/:id/note
+// @access  Private (Inventory, Manager)
+const getTransferNote = async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req);
+    const { lines, summary } = transferService.summarize(transfer.items);
+
+    const doc = new PDFDocument({ margin: 50 });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=transfer-${transfer.transferNo}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20).text('FRUGANO', { align: 'center' });
+    doc.fontSize(12).text('Stock Transfer Note', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Transfer No: ${transfer.transferNo}`);
+    doc.text(`Status: ${transfer.status}`);
+    doc.text(`Requested: ${new Date(transfer.createdAt).toLocaleString()} by ${transfer.requestedBy.name}`);
+    if (transfer.dispatchedAt) {
+      doc.text(`Dispatched: ${new Date(transfer.dispatchedAt).toLocaleString()} by ${transfer.dispatchedBy?.name || 'Unknown'}`);
+    }
+    if (transfer.receivedAt) {
+      doc.text(`Received: ${new Date(transfer.receivedAt).toLocaleString()} by ${transfer.receivedBy?.name || 'Unknown'}`);
+    }
+    doc.moveDown();
+
+    const storeLine = (store) => [store.code, store.name, store.address, store.city].filter(Boolean).join(', ');
+    doc.text(`From: ${storeLine(transfer.fromStore)}`);
+    doc.text(`To: ${storeLine(transfer.toStore)}`);
+    if (transfer.notes) {
+      doc.text(`Notes: ${transfer.notes}`);
+    }
+    doc.moveDown();
+
+    // Lines
+    const columns = [50, 230, 300, 370, 440, 490];
+    let y = doc.y;
+    doc.font('Helvetica-Bold')
+      .text('Item', columns[0], y)
+      .text('Requested', columns[1], y)
+      .text('Dispatched', columns[2], y)
+      .text('Received', columns[3], y)
+      .text('Cost', columns[4], y)
+      .text('Value', columns[5], y);
+    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+    doc.font('Helvetica');
+    y += 25;
+
+    const quantity = (value) => (value === null ? '-' : value.toString());
+    lines.forEach(line => {
+      if (y > 700) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(`${line.product.name.substring(0, 28)} (${line.product.unit})`, columns[0], y)
+        .text(quantity(line.requestedQuantity), columns[1], y)
+        .text(quantity(line.dispatchedQuantity), columns[2], y)
+        .text(quantity(line.receivedQuantity), columns[3], y)
+        .text(line.costPrice !== null ? `₹${line.costPrice.toFixed(2)}` : '-', columns[4], y)
+        .text(line.dispatchedValue !== null ? `₹${line.dispatchedValue.toFixed(2)}` : '-', columns[5], y);
+      y += 20;
+    });
+
+    doc.moveTo(50, y).lineTo(550, y).stroke();
+    y += 10;
+    doc.font('Helvetica-Bold')
+      .text(`Value dispatched: ₹${summary.dispatchedValue.toFixed(2)}`, 300, y, { width: 250, align: 'right' });
+    if (summary.lossValue > 0) {
+      y += 15;
+      doc.text(`Short on receipt (written off): ₹${summary.lossValue.toFixed(2)}`, 300, y, { width: 250, align: 'right' });
+    }
+
+    // Signatures
+    y += 60;
+    doc.font('Helvetica')
+      .text('Dispatched by: ____________________', 50, y)
+      .text('Received by: ____________________', 320, y);
+
+    doc.end();
+  } catch (error) {
+    handleError(res, error, 'Transfer note');
+  }
+};
+
+module.exports = {
+  createTransfer,
+  getTransfers,
+  getTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  getTransferNote
+};
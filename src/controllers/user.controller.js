@@ -2,7 +2,7 @@ const prisma = require('../lib/prisma');
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
 
-
+const realtimeService = require('../services/realtime.service');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -86,6 +86,12 @@ const getUser = async (req, res) => {
         lastLogin: true,
         createdAt: true,
         updatedAt: true,
+        stores: {
+          select: {
+            isDefault: true,
+            store: { select: { id: true, code: true, name: true } }
+          }
+        },
         sales: {
           take: 10,
           orderBy: { createdAt: 'desc' },
@@ -129,7 +135,7 @@ const createUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role, phone } = req.body;
+    const { name, email, password, role, phone, storeIds = [] } = req.body;
 
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
@@ -149,7 +155,11 @@ const createUser = async (req, res) => {
         password: hashedPassword,
         role,
         phone,
-        isActive: true
+        isActive: true,
+        // The first store listed becomes the user's default
+        stores: {
+          create: storeIds.map((storeId, index) => ({ storeId, isDefault: index === 0 }))
+        }
       },
       select: {
         id: true,
@@ -162,7 +172,7 @@ const createUser = async (req, res) => {
     });
 
     // Log activity
-    await prisma.activityLog.create({
+    const log = await prisma.activityLog.create({
       data: {
         userId: req.user.id,
         action: 'CREATE_USER',
@@ -171,6 +181,7 @@ const createUser = async (req, res) => {
         details: { email: user.email, role: user.role }
       }
     });
+    realtimeService.activity(log);
 
     res.status(201).json({
       success: true,
@@ -178,6 +189,9 @@ const createUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Create user error:', error);
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: 'Store not found' });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 };
@@ -215,7 +229,7 @@ const updateUser = async (req, res) => {
     });
 
     // Log activity
-    await prisma.activityLog.create({
+    const log = await prisma.activityLog.create({
       data: {
         userId: req.user.id,
         action: 'UPDATE_USER',
@@ -224,6 +238,10 @@ const updateUser = async (req, res) => {
         details: { email: user.email }
       }
     });
+    realtimeService.activity(log);
+
+    // Open sockets reconnect under the user's new role or not at all
+    realtimeService.disconnectUser(user.id);
 
     res.json({
       success: true,
@@ -261,7 +279,7 @@ const deleteUser = async (req, res) => {
     });
 
     // Log activity
-    await prisma.activityLog.create({
+    const log = await prisma.activityLog.create({
       data: {
         userId: req.user.id,
         action: 'DELETE_USER',
@@ -269,6 +287,8 @@ const deleteUser = async (req, res) => {
         entityId: id
       }
     });
+    realtimeService.activity(log);
+    realtimeService.disconnectUser(id);
 
     res.json({
       success: true,
@@ -0,0 +1,112 @@
+const prisma = require('../lib/prisma');
+const walletService = require('../services/wallet.service');
+const { handleError } = require('../middleware/errorHandler');
+
+// @desc    Wallet balance and movements
+// @route   GET /api/customers/:id/wallet?type=
+// @access  Private
+const getWallet = async (req, res) => {
+  try {
+    const { page, limit, type } = req.query;
+
+    const { customer, transactions, pagination } = await walletService.history(prisma, req.params.id, {
+      page,
+      limit,
+      type
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        transactions
+      },
+      pagination
+    });
+  } catch (error) {
+    handleError(res, error, 'Get wallet');
+  }
+};
+
+// @desc    Load money into a customer's wallet (cash or UPI)
+// @route   POST /api/customers/:id/wallet/top-up
+// @access  Private (Cashier, Manager, Owner)
+const topUpWallet = async (req, res) => {
+  try {
+    const { amount, paymentMethod, referenceNo } = req.body;
+
+    const { transaction, balance } = await prisma.$transaction((tx) => walletService.topUp(tx, {
+      customerId: req.params.id,
+      amount,
+      paymentMethod,
+      referenceNo,
+      storeId: req.storeId
+    }, req.user.id));
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'WALLET_TOP_UP',
+        entity: 'Customer',
+        entityId: req.params.id,
+        details: {
+          amount: transaction.amount,
+          paymentMethod,
+          balance
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Wallet top-up');
+  }
+};
+
+// @desc    Credit cashback to a customer's wallet
+// @route   POST /api/customers/:id/wallet/cashback
+// @access  Private (Manager, Owner)
+const addCashback = async (req, res) => {
+  try {
+    const { amount, reference, description } = req.body;
+
+    const { transaction, balance } = await prisma.$transaction((tx) => walletService.post(tx, req.params.id, {
+      type: 'CASHBACK',
+      amount,
+      reference,
+      description: description || 'Cashback',
+      storeId: req.storeId,
+      userId: req.user.id
+    }));
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'WALLET_CASHBACK',
+        entity: 'Customer',
+        entityId: req.params.id,
+        details: {
+          amount: transaction.amount,
+          reference,
+          balance
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    handleError(res, error, 'Wallet cashback');
+  }
+};
+
+module.exports = {
+  getWallet,
+  topUpWallet,
+  addCashback
+};
@@ -0,0 +1,201 @@
+const prisma = require('../lib/prisma');
+const wastageService = require('../services/wastage.service');
+const notificationService = require('../services/notification.service');
+const realtimeService = require('../services/realtime.service');
+const { AppError } = require('../middleware/errorHandler');
+const { storeFilter, hasStoreAccess } = require('../middleware/store');
+
+const wastageInclude = {
+  store: { select: { id: true, code: true, name: true } },
+  product: {
+    select: {
+      id: true,
+      name: true,
+      sku: true,
+      unit: true,
+      category: { select: { id: true, name: true } }
+    }
+  },
+  reportedBy: {
+    select: { id: true, name: true }
+  }
+};
+
+// @desc    Record spoiled / damaged stock
+// @route   POST /api/wastage
+// @access  Private (Inventory, Manager)
+const createWastage = async (req, res) => {
+  try {
+    const { productId, reason, notes, batchId } = req.body;
+    const quantity = parseFloat(req.body.quantity);
+    const photo = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const result = await realtimeService.transaction(prisma, async (tx) => {
+      const { wastage, beforeStock, afterStock, batches } = await wastageService.record(tx, {
+        productId,
+        storeId: req.storeId,
+        quantity,
+        reason,
+        notes,
+        photo,
+        batchIds: batchId ? [batchId] : [],
+        userId: req.user.id
+      });
+
+      return {
+        ...(await tx.wastage.findUnique({ where: { id: wastage.id }, include: wastageInclude })),
+        beforeStock,
+        afterStock,
+        batches
+      };
+    }, { timeout: 15000 });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'RECORD_WASTAGE',
+        entity: 'Wastage',
+        entityId: result.id,
+        details: {
+          product: product.name,
+          quantity,
+          reason,
+          totalLoss: result.totalLoss
+        }
+      }
+    });
+
+    notificationService.kick(prisma);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Create wastage error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get wastage entries
+// @route   GET /api/wastage
+// @access  Private
+const getWastage = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      productId,
+      categoryId,
+      reason,
+      reportedById,
+      startDate,
+      endDate
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = { ...storeFilter(req) };
+    if (productId) where.productId = productId;
+    if (categoryId) where.product = { categoryId };
+    if (reason) where.reason = reason;
+    if (reportedById) where.reportedById = reportedById;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [entries, total, totals] = await Promise.all([
+      prisma.wastage.findMany({
+        where,
+        include: wastageInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.wastage.count({ where }),
+      prisma.wastage.aggregate({
+        where,
+        _sum: { quantity: true, totalLoss: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      summary: {
+        totalLoss: totals._sum.totalLoss || 0,
+        totalQuantity: totals._sum.quantity || 0
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get wastage error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// @desc    Get single wastage entry with the batches it came from
+// @route   GET /api/wastage/:id
+// @access  Private
+const getWastageEntry = async (req, res) => {
+  try {
+    const wastage = await prisma.wastage.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...wastageInclude,
+        transaction: {
+          select: {
+            id: true,
+            beforeStock: true,
+            afterStock: true,
+            batchMovements: {
+              select: {
+                quantity: true,
+                batch: {
+                  select: { id: true, batchNumber: true, expiryDate: true, receivedAt: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!wastage || !hasStoreAccess(req, wastage.storeId)) {
+      return res.status(404).json({ error: 'Wastage entry not found' });
+    }
+
+    res.json({
+      success: true,
+      data: wastage
+    });
+  } catch (error) {
+    console.error('Get wastage entry error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  createWastage,
+  getWastage,
+  getWastageEntry
+};
@@ -13,22 +13,39 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
+const storeRoutes = require('./routes/store.routes');
 const categoryRoutes = require('./routes/category.routes');
 const productRoutes = require('./routes/product.routes');
 const saleRoutes = require('./routes/sale.routes');
+const returnRoutes = require('./routes/return.routes');
+const orderRoutes = require('./routes/order.routes');
+const deliveryRoutes = require('./routes/delivery.routes');
 const purchaseRoutes = require('./routes/purchase.routes');
+const purchaseOrderRoutes = require('./routes/purchase-order.routes');
+const purchaseReturnRoutes = require('./routes/purchase-return.routes');
 const supplierRoutes = require('./routes/supplier.routes');
 const inventoryRoutes = require('./routes/inventory.routes');
+const wastageRoutes = require('./routes/wastage.routes');
+const stockTakeRoutes = require('./routes/stock-take.routes');
+const transferRoutes = require('./routes/transfer.routes');
 const customerRoutes = require('./routes/customer.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const campaignRoutes = require('./routes/campaign.routes');
+const couponRoutes = require('./routes/coupon.routes');
 const reportRoutes = require('./routes/report.routes');
 const hardwareRoutes = require('./routes/hardware.routes');
+const settingsRoutes = require('./routes/settings.routes');
+const shopRoutes = require('./routes/shop.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticate } = require('./middleware/auth');
 
+const prisma = require('./lib/prisma');
+const notificationService = require('./services/notification.service');
+const realtimeService = require('./services/realtime.service');
+
 // Detect if running on Vercel
 const isVercel = process.env.VERCEL === '1';
 console.log(`🚀 Running on ${isVercel ? 'Vercel' : 'Local'} environment`);
@@ -66,7 +83,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Store-Id']
 }));
 
 // Handle preflight requests explicitly
@@ -110,43 +127,8 @@ if (!isVercel) {
     // Make io accessible to routes
     app.set('io', io);
 
-    // WebSocket connection handling
-    io.on('connection', (socket) => {
-      console.log('🔌 New client connected:', socket.id);
-      
-      socket.on('join-store', (storeId) => {
-        socket.join(`store-${storeId}`);
-        console.log(`Client ${socket.id} joined store ${storeId}`);
-      });
-      
-      socket.on('new-sale', (data) => {
-        io.to(`store-${data.storeId}`).emit('sale-updated', {
-          type: 'NEW_SALE',
-          data: data,
-          timestamp: new Date()
-        });
-      });
-      
-      socket.on('stock-update', (data) => {
-        io.to(`store-${data.storeId}`).emit('inventory-updated', {
-          type: 'STOCK_UPDATE',
-          data: data,
-          timestamp: new Date()
-        });
-      });
-      
-      socket.on('low-stock-alert', (data) => {
-        io.to(`store-${data.storeId}`).emit('alert', {
-          type: 'LOW_STOCK',
-          data: data,
-          timestamp: new Date()
-        });
-      });
-      
-      socket.on('disconnect', () => {
-        console.log('🔌 Client disconnected:', socket.id);
-      });
-    });
+    // Sockets sign in with the API token and only hear their own rooms
+    realtimeService.attach(io, prisma);
   } catch (error) {
     console.log('⚠️ Socket.io initialization failed:', error.message);
   }
@@ -292,17 +274,32 @@ app.use('/api/auth', authRoutes);
 
 // Protected routes (authentication required)
 app.use('/api/users', authenticate, userRoutes);
+app.use('/api/stores', authenticate, storeRoutes);
 app.use('/api/categories',  categoryRoutes);
 app.use('/api/products',  productRoutes);
 app.use('/api/sales', authenticate, saleRoutes);
+app.use('/api/returns', authenticate, returnRoutes);
+app.use('/api/orders', authenticate, orderRoutes);
+app.use('/api/deliveries', authenticate, deliveryRoutes);
 app.use('/api/purchases', authenticate, purchaseRoutes);
+app.use('/api/purchase-orders', authenticate, purchaseOrderRoutes);
+app.use('/api/purchase-returns', authenticate, purchaseReturnRoutes);
 app.use('/api/suppliers', authenticate, supplierRoutes);
 app.use('/api/inventory', authenticate, inventoryRoutes);
+app.use('/api/wastage', authenticate, wastageRoutes);
+app.use('/api/stock-takes', authenticate, stockTakeRoutes);
+app.use('/api/transfers', authenticate, transferRoutes);
 app.use('/api/customers', authenticate, customerRoutes);
 app.use('/api/dashboard', authenticate, dashboardRoutes);
 app.use('/api/campaigns', authenticate, campaignRoutes);
+app.use('/api/coupons', authenticate, couponRoutes);
 app.use('/api/reports', authenticate, reportRoutes);
 app.use('/api/hardware', authenticate, hardwareRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Shopping app (customer tokens only, see authenticateCustomer)
+app.use('/api/shop', shopRoutes);
 
 console.log('✅ API routes mounted');
 
@@ -336,6 +333,36 @@ app.get('/', (req, res) => {
         logout: 'POST /api/auth/logout (Auth)',
         changePassword: 'POST /api/auth/change-password (Auth)'
       },
+      notifications: {
+        list: 'GET /api/notifications?status=&channel=&event=&reference=&customerId= (Manager+; status=SUPPRESSED lists messages held back by customer preferences)',
+        get: 'GET /api/notifications/:id (Manager+)',
+        test: 'POST /api/notifications/test (Owner)',
+        retry: 'POST /api/notifications/:id/retry (Manager+, dead or failed messages)',
+        process: 'POST /api/notifications/process?limit= (Owner, delivers due messages; for cron on serverless)',
+        templates: 'GET /api/notifications/templates (Manager+)',
+        saveTemplate: 'PUT /api/notifications/templates/:event/:channel/:language { subject?, body, html?, isActive? } (Manager+)',
+        deleteTemplate: 'DELETE /api/notifications/templates/:event/:channel/:language (Manager+)',
+        previewTemplate: 'POST /api/notifications/templates/preview { event, channel, language?, subject?, body?, html?, variables } (Manager+)',
+        webhook: 'POST /api/notifications/webhooks/:provider?token= (provider delivery reports, STOP / START replies)'
+      },
+      shop: {
+        requestOtp: 'POST /api/shop/auth/otp',
+        verifyOtp: 'POST /api/shop/auth/verify (name required on first sign-in)',
+        profile: 'GET /api/shop/profile (Customer)',
+        updateProfile: 'PUT /api/shop/profile { name?, email?, preferredLanguage? } (Customer)',
+        addresses: 'GET /api/shop/addresses (Customer)',
+        addAddress: 'POST /api/shop/addresses (Customer)',
+        updateAddress: 'PUT /api/shop/addresses/:id (Customer)',
+        deleteAddress: 'DELETE /api/shop/addresses/:id (Customer)',
+        orders: 'GET /api/shop/orders?status= (Customer)',
+        order: 'GET /api/shop/orders/:id (Customer)',
+        wallet: 'GET /api/shop/wallet (Customer)',
+        loyalty: 'GET /api/shop/loyalty (Customer)',
+        preferences: 'GET /api/shop/preferences (Customer)',
+        updatePreferences: 'PUT /api/shop/preferences { preferences: [{ channel, category, optedIn }] } (Customer)',
+        feedback: 'GET /api/shop/feedback (Customer)',
+        submitFeedback: 'POST /api/shop/feedback (Customer)'
+      },
       users: {
         list: 'GET /api/users (Owner, Manager)',
         get: 'GET /api/users/:id (Owner, Manager)',
@@ -343,6 +370,17 @@ app.get('/', (req, res) => {
         update: 'PUT /api/users/:id (Owner, Manager)',
         delete: 'DELETE /api/users/:id (Owner)'
       },
+      stores: {
+        scope: 'Send X-Store-Id (or ?storeId=) to pick the store; the owner may pass "all" on GET for every store',
+        mine: 'GET /api/stores/mine',
+        list: 'GET /api/stores (Owner)',
+        get: 'GET /api/stores/:id (Manager+)',
+        create: 'POST /api/stores (Owner)',
+        update: 'PUT /api/stores/:id (Owner)',
+        assignUser: 'POST /api/stores/:id/users (Owner)',
+        removeUser: 'DELETE /api/stores/:id/users/:userId (Owner)',
+        stockLevel: 'PATCH /api/stores/:id/stock/:productId (Inventory+)'
+      },
       categories: {
         list: 'GET /api/categories',
         get: 'GET /api/categories/:id',
@@ -353,7 +391,7 @@ app.get('/', (req, res) => {
       products: {
         list: 'GET /api/products',
         get: 'GET /api/products/:id',
-        create: 'POST /api/products (Inventory+)',
+        create: 'POST /api/products (Inventory+, taxRate 0 unless given; null follows the store taxRate setting)',
         update: 'PUT /api/products/:id (Inventory+)',
         stock: 'PATCH /api/products/:id/stock (Inventory+)',
         bulk: 'POST /api/products/bulk (Manager+)',
@@ -368,17 +406,67 @@ app.get('/', (req, res) => {
         daily: 'GET /api/sales/summary/daily',
         analytics: 'GET /api/sales/analytics (Manager+)'
       },
+      returns: {
+        list: 'GET /api/returns',
+        get: 'GET /api/returns/:id',
+        creditNote: 'GET /api/returns/credit-note/:creditNoteNo',
+        create: 'POST /api/returns (Manager+)',
+        exchange: 'POST /api/returns/exchange (Manager+)'
+      },
+      orders: {
+        list: 'GET /api/orders?status=&deliverySlot=&deliveryDate=',
+        get: 'GET /api/orders/:id',
+        status: 'PATCH /api/orders/:id/status (Cashier+; OUT_FOR_DELIVERY/DELIVERED go through the delivery once a rider is assigned)',
+        cart: 'GET /api/orders/cart/:customerId',
+        addToCart: 'POST /api/orders/cart/:customerId/items',
+        updateCartItem: 'PUT /api/orders/cart/:customerId/items/:productId',
+        removeCartItem: 'DELETE /api/orders/cart/:customerId/items/:productId',
+        clearCart: 'DELETE /api/orders/cart/:customerId',
+        checkout: 'POST /api/orders/cart/:customerId/checkout'
+      },
+      deliveries: {
+        list: 'GET /api/deliveries (Manager+)',
+        riders: 'GET /api/deliveries/riders (Manager+)',
+        assign: 'POST /api/deliveries/assign (Manager+, PACKED or OUT_FOR_DELIVERY orders)',
+        my: 'GET /api/deliveries/my (Delivery)',
+        get: 'GET /api/deliveries/:id (Manager+, Delivery)',
+        status: 'PATCH /api/deliveries/:id/status (Manager+, Delivery; multipart photo + otp on DELIVERED)',
+        reissueOtp: 'POST /api/deliveries/:id/otp (Manager+, after too many wrong OTPs)',
+        dailyReport: 'GET /api/deliveries/report/daily (Manager+, Delivery)'
+      },
       purchases: {
         list: 'GET /api/purchases',
         get: 'GET /api/purchases/:id',
+        pdf: 'GET /api/purchases/:id/pdf (bill with its debit notes)',
         create: 'POST /api/purchases (Inventory+)',
         update: 'PUT /api/purchases/:id (Manager+)',
         delete: 'DELETE /api/purchases/:id (Owner)',
         payments: 'POST /api/purchases/:id/payments (Manager+)'
       },
+      purchaseOrders: {
+        list: 'GET /api/purchase-orders (Inventory+)',
+        outstanding: 'GET /api/purchase-orders/outstanding?supplierId= (Inventory+)',
+        get: 'GET /api/purchase-orders/:id (Inventory+)',
+        create: 'POST /api/purchase-orders (Inventory+, draft)',
+        update: 'PUT /api/purchase-orders/:id (Inventory+, draft only)',
+        delete: 'DELETE /api/purchase-orders/:id (Manager+, draft only)',
+        send: 'POST /api/purchase-orders/:id/send (Inventory+)',
+        close: 'POST /api/purchase-orders/:id/close (Manager+)',
+        receive: 'POST /api/purchase-orders/:id/receipts (Inventory+, GRN; accepted goods become a purchase)',
+        receipt: 'GET /api/purchase-orders/receipts/:receiptId (Inventory+)'
+      },
+      purchaseReturns: {
+        list: 'GET /api/purchase-returns',
+        get: 'GET /api/purchase-returns/:id',
+        debitNote: 'GET /api/purchase-returns/:id/note (PDF)',
+        create: 'POST /api/purchase-returns (Inventory+, debit note)'
+      },
       suppliers: {
         list: 'GET /api/suppliers',
         get: 'GET /api/suppliers/:id',
+        ledger: 'GET /api/suppliers/:id/ledger?startDate=&endDate= (Manager+)',
+        statement: 'GET /api/suppliers/:id/statement?format=pdf|excel&startDate=&endDate= (Manager+)',
+        aging: 'GET /api/suppliers/aging?supplierId=&asOf= (Manager+)',
         create: 'POST /api/suppliers (Inventory+)',
         update: 'PUT /api/suppliers/:id (Inventory+)',
         delete: 'DELETE /api/suppliers/:id (Owner)'
@@ -387,16 +475,58 @@ app.get('/', (req, res) => {
         status: 'GET /api/inventory/status',
         transactions: 'GET /api/inventory/transactions',
         alerts: 'GET /api/inventory/alerts',
-        movement: 'GET /api/inventory/movement (Manager+)',
+        movement: 'GET /api/inventory/movement?byBatch=true (Manager+)',
+        batches: 'GET /api/inventory/batches',
+        expiringBatches: 'GET /api/inventory/batches/expiring?days=3',
         resolveAlert: 'PATCH /api/inventory/alerts/:id/resolve (Inventory+)'
       },
+      wastage: {
+        list: 'GET /api/wastage',
+        get: 'GET /api/wastage/:id',
+        record: 'POST /api/wastage (Inventory+, multipart with optional photo)'
+      },
+      stockTakes: {
+        list: 'GET /api/stock-takes (Inventory+)',
+        get: 'GET /api/stock-takes/:id?view=uncounted|variance (Inventory+)',
+        start: 'POST /api/stock-takes (Inventory+)',
+        counts: 'POST /api/stock-takes/:id/counts (Inventory+)',
+        submit: 'POST /api/stock-takes/:id/submit (Inventory+)',
+        reopen: 'POST /api/stock-takes/:id/reopen (Manager+)',
+        approve: 'POST /api/stock-takes/:id/approve (Manager+)',
+        cancel: 'POST /api/stock-takes/:id/cancel (Manager+)',
+        shrinkage: 'GET /api/stock-takes/:id/shrinkage (Manager+)'
+      },
+      transfers: {
+        list: 'GET /api/transfers?direction=in|out (Inventory+)',
+        get: 'GET /api/transfers/:id (Inventory+)',
+        note: 'GET /api/transfers/:id/note (Inventory+, PDF)',
+        request: 'POST /api/transfers (Inventory+)',
+        dispatch: 'POST /api/transfers/:id/dispatch (Inventory+, source store)',
+        receive: 'POST /api/transfers/:id/receive (Inventory+, destination store)',
+        cancel: 'POST /api/transfers/:id/cancel (Manager+)'
+      },
       customers: {
         list: 'GET /api/customers',
         get: 'GET /api/customers/:id',
         create: 'POST /api/customers (Cashier+)',
         update: 'PUT /api/customers/:id (Cashier+)',
         delete: 'DELETE /api/customers/:id (Manager+)',
-        transactions: 'GET /api/customers/:id/transactions'
+        transactions: 'GET /api/customers/:id/transactions',
+        credit: 'GET /api/customers/:id/credit',
+        creditLimit: 'PUT /api/customers/:id/credit (Manager+)',
+        creditPayments: 'GET /api/customers/:id/credit/payments',
+        collectPayment: 'POST /api/customers/:id/credit/payments (Cashier+)',
+        statement: 'GET /api/customers/:id/credit/statement?format=pdf&startDate=&endDate=',
+        reminder: 'POST /api/customers/:id/credit/reminder (Cashier+)',
+        receivablesAging: 'GET /api/customers/credit/aging?customerId=&asOf= (Manager+)',
+        wallet: 'GET /api/customers/:id/wallet?type=',
+        walletTopUp: 'POST /api/customers/:id/wallet/top-up (Cashier+)',
+        walletCashback: 'POST /api/customers/:id/wallet/cashback (Manager+)',
+        loyalty: 'GET /api/customers/:id/loyalty',
+        loyaltyAdjust: 'POST /api/customers/:id/loyalty/adjust (Manager+)',
+        loyaltyExpire: 'POST /api/customers/loyalty/expire (Manager+)',
+        preferences: 'GET /api/customers/:id/preferences (with consent history)',
+        updatePreferences: 'PUT /api/customers/:id/preferences { preferences: [{ channel, category, optedIn }], source?, note? } (Cashier+)'
       },
       dashboard: {
         summary: 'GET /api/dashboard/summary',
@@ -410,12 +540,25 @@ app.get('/', (req, res) => {
         update: 'PUT /api/campaigns/:id (Manager+)',
         delete: 'DELETE /api/campaigns/:id (Owner)',
         activate: 'PATCH /api/campaigns/:id/activate (Manager+)',
-        deactivate: 'PATCH /api/campaigns/:id/deactivate (Manager+)'
+        deactivate: 'PATCH /api/campaigns/:id/deactivate (Manager+)',
+        announce: 'POST /api/campaigns/:id/announce { channel } (Manager+, consenting customers only)',
+        preview: 'POST /api/campaigns/preview'
+      },
+      coupons: {
+        list: 'GET /api/coupons',
+        get: 'GET /api/coupons/:id',
+        create: 'POST /api/coupons (Manager+)',
+        update: 'PUT /api/coupons/:id (Manager+)',
+        delete: 'DELETE /api/coupons/:id (Manager+)',
+        bulk: 'POST /api/coupons/bulk (Manager+)',
+        validate: 'POST /api/coupons/validate'
       },
       reports: {
         sales: 'GET /api/reports/sales',
         inventory: 'GET /api/reports/inventory',
         profit: 'GET /api/reports/profit',
+        wastage: 'GET /api/reports/wastage?interval=day|week|month',
+        wastageBySupplier: 'GET /api/reports/wastage/suppliers',
         export: 'GET /api/reports/export/:type/:format'
       },
       hardware: {
@@ -426,7 +569,25 @@ app.get('/', (req, res) => {
         weighingStatus: 'GET /api/hardware/weighing/status',
         readWeight: 'GET /api/hardware/weighing/read',
         configureWeighing: 'POST /api/hardware/weighing/configure (Manager+)'
+      },
+      settings: {
+        taxRate: 'GET /api/settings/public/tax-rate',
+        store: 'GET /api/settings/store (Auth)',
+        update: 'PUT /api/settings/store (Manager+)',
+        reset: 'POST /api/settings/reset (Owner)',
+        history: 'GET /api/settings/history (Manager+)',
+        version: 'GET /api/settings/history/:version (Manager+)',
+        rollback: 'POST /api/settings/history/:version/rollback (Owner)',
+        sequences: 'GET /api/settings/sequences (Manager+)',
+        configureSequence: 'PUT /api/settings/sequences/:documentType (Manager+)'
       }
+    },
+    realtime: {
+      auth: 'connect with { auth: { token } } (staff or shop app token)',
+      join: 'emit join-store (storeId, ack) for a store you are assigned to; leave-store (storeId)',
+      envelope: '{ type, storeId, data, timestamp }',
+      rooms: realtimeService.rooms,
+      events: realtimeService.events
     }
   });
 });
@@ -464,6 +625,10 @@ if (!isVercel) {
     console.log(`🔓 CORS:       ${allowedOrigins.join(', ')}`);
     console.log('='.repeat(70) + '\n');
   });
+
+  // Deliver queued notifications; serverless hosts call
+  // POST /api/notifications/process from a cron instead
+  notificationService.startWorker(prisma);
 }
 
 // Graceful shutdown (only for local)
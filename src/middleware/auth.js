@@ -12,6 +12,11 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Shopping app tokens never open staff routes
+    if (decoded.type === 'customer') {
+      return res.status(403).json({ error: 'Staff access only' });
+    }
     
     const user = await prisma.user.findUnique({
       where: { id: decoded.id },
@@ -47,6 +52,50 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Customer tokens from the shopping app OTP login. Sets req.customer.
+const authenticateCustomer = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'customer') {
+      return res.status(403).json({ error: 'Customer access only' });
+    }
+
+    const customer = await prisma.customer.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        email: true
+      }
+    });
+
+    if (!customer) {
+      return res.status(401).json({ error: 'Customer not found' });
+    }
+
+    req.customer = customer;
+    req.token = token;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+    console.error('Customer auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -69,4 +118,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { authenticate, authorize };
\ No newline at end of file
+module.exports = { authenticate, authenticateCustomer, authorize };
\ No newline at end of file
@@ -1,3 +1,24 @@
+// Business-rule failure raised from inside services and transactions.
+// Carries the HTTP status and any extra fields to merge into the response.
+class AppError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// For controllers that answer errors themselves: an AppError with its
+// status and details, anything else logged under `label` as a 500
+const handleError = (res, error, label) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
@@ -48,6 +69,13 @@ const errorHandler = (err, req, res, next) => {
     return res.status(401).json({ error: 'Token expired' });
   }
 
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json({
+      error: err.message,
+      ...err.details
+    });
+  }
+
   // Default error
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
@@ -56,4 +84,4 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { errorHandler };
\ No newline at end of file
+module.exports = { errorHandler, AppError, handleError };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const prisma = require('../lib/prisma');
+const storeService = require('../services/store.service');
+const { AppError } = require('./errorHandler');
+
+// Resolve the store a request works in from the X-Store-Id header (or
+// ?storeId=). Sets req.storeId (null when the owner asked for all stores)
+// and req.stores. Must run after authenticate.
+const scopeStore = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const requested = req.header('X-Store-Id') || req.query.storeId;
+    const { storeId, stores } = await storeService.resolve(prisma, req.user, requested, {
+      readOnly: req.method === 'GET'
+    });
+
+    req.storeId = storeId;
+    req.stores = stores;
+    next();
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Store scope error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Where-clause fragment limiting a query to the request's store
+const storeFilter = (req) => (req.storeId ? { storeId: req.storeId } : {});
+
+// Whether a record of the given store is visible to the request's user
+const hasStoreAccess = (req, storeId) => (req.stores || []).some(s => s.id === storeId);
+
+module.exports = { scopeStore, storeFilter, hasStoreAccess };
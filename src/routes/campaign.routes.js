@@ -7,7 +7,9 @@ const {
   updateCampaign,
   deleteCampaign,
   activateCampaign,
-  deactivateCampaign
+  deactivateCampaign,
+  announceCampaign,
+  previewPricing
 } = require('../controllers/campaign.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
@@ -21,7 +23,24 @@ const campaignValidation = [
   body('startDate').isISO8601().withMessage('Valid start date required'),
   body('endDate').isISO8601().withMessage('Valid end date required'),
   body('discountType').notEmpty().withMessage('Discount type is required'),
-  body('discountValue').isFloat({ min: 0 }).withMessage('Valid discount value required')
+  body('discountValue').isFloat({ min: 0 }).withMessage('Valid discount value required'),
+  body('buyQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid buy quantity'),
+  body('getQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid get quantity'),
+  body('products').optional().isArray().withMessage('Products must be a list'),
+  body('products.*.productId').notEmpty().withMessage('Product ID required'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('customers').optional().isArray().withMessage('Customers must be a list')
+];
+
+const previewValidation = [
+  body('items').isArray({ min: 1 }).withMessage('At least one item required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required'),
+  body('orderType').optional().isIn(['POS', 'ONLINE']).withMessage('Invalid order type')
+];
+
+const announceValidation = [
+  body('channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL')
 ];
 
 // All routes require authentication
@@ -29,11 +48,13 @@ router.use(authenticate);
 
 // Routes
 router.get('/', getCampaigns);
+router.post('/preview', previewValidation, validate, previewPricing);
 router.get('/:id', getCampaign);
 router.post('/', authorize('OWNER', 'MANAGER'), campaignValidation, validate, createCampaign);
 router.put('/:id', authorize('OWNER', 'MANAGER'), updateCampaign);
 router.delete('/:id', authorize('OWNER'), deleteCampaign);
 router.patch('/:id/activate', authorize('OWNER', 'MANAGER'), activateCampaign);
 router.patch('/:id/deactivate', authorize('OWNER', 'MANAGER'), deactivateCampaign);
+router.post('/:id/announce', authorize('OWNER', 'MANAGER'), announceValidation, validate, announceCampaign);
 
 module.exports = router;
\ No newline at end of file
@@ -15,7 +15,8 @@ const router = express.Router();
 // Validation rules
 const categoryValidation = [
   body('name').notEmpty().withMessage('Category name is required'),
-  body('description').optional()
+  body('description').optional(),
+  body('loyaltyMultiplier').optional().isFloat({ min: 0 }).withMessage('Loyalty multiplier must be 0 or more')
 ];
 
 // All routes require authentication
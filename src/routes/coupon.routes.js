@@ -0,0 +1,64 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  generateCoupons,
+  validateCoupon
+} = require('../controllers/coupon.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const discountTypes = ['PERCENTAGE', 'FIXED_AMOUNT', 'BUY_X_GET_Y', 'FREE_SHIPPING', 'BOGO'];
+
+// Validation rules
+const couponValidation = [
+  body('code').trim().isLength({ min: 3, max: 30 }).withMessage('Code must be 3-30 characters'),
+  body('discountType').isIn(discountTypes).withMessage('Invalid discount type'),
+  body('discountValue').isFloat({ min: 0 }).withMessage('Valid discount value required'),
+  body('discountValue')
+    .if(body('discountType').equals('PERCENTAGE'))
+    .isFloat({ max: 100 }).withMessage('Percentage cannot exceed 100'),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate').isISO8601().withMessage('Valid end date required'),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid usage limit'),
+  body('perUserLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid per user limit'),
+  body('buyQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid buy quantity'),
+  body('getQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid get quantity'),
+  body('applicableCategories').optional().isArray().withMessage('Categories must be a list'),
+  body('applicableProducts').optional().isArray().withMessage('Products must be a list')
+];
+
+const bulkValidation = [
+  body('campaignId').notEmpty().withMessage('Campaign ID is required'),
+  body('count').isInt({ min: 1 }).withMessage('Valid count required'),
+  body('length').optional().isInt({ min: 6, max: 16 }).withMessage('Code length must be 6-16'),
+  body('prefix').optional().isAlphanumeric().isLength({ max: 10 }).withMessage('Prefix must be letters/digits')
+];
+
+const validateValidation = [
+  body('code').notEmpty().withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required'),
+  body('orderType').optional().isIn(['POS', 'ONLINE']).withMessage('Invalid order type')
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// Routes
+router.post('/validate', validateValidation, validate, validateCoupon);
+router.post('/bulk', authorize('OWNER', 'MANAGER'), bulkValidation, validate, generateCoupons);
+router.get('/', getCoupons);
+router.get('/:id', getCoupon);
+router.post('/', authorize('OWNER', 'MANAGER'), couponValidation, validate, createCoupon);
+router.put('/:id', authorize('OWNER', 'MANAGER'), updateCoupon);
+router.delete('/:id', authorize('OWNER', 'MANAGER'), deleteCoupon);
+
+module.exports = router;
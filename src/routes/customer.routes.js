@@ -8,8 +8,32 @@ const {
   deleteCustomer,
   getCustomerTransactions
 } = require('../controllers/customer.controller');
+const {
+  getCreditAccount,
+  updateCreditLimit,
+  collectPayment,
+  getCreditPayments,
+  getCreditStatement,
+  sendCreditReminder,
+  getReceivablesAging
+} = require('../controllers/customer-credit.controller');
+const {
+  getWallet,
+  topUpWallet,
+  addCashback
+} = require('../controllers/wallet.controller');
+const {
+  getLoyalty,
+  adjustLoyalty,
+  expireLoyalty
+} = require('../controllers/loyalty.controller');
+const {
+  getPreferences,
+  updatePreferences
+} = require('../controllers/consent.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
@@ -17,7 +41,42 @@ const router = express.Router();
 const customerValidation = [
   body('name').notEmpty().withMessage('Customer name is required'),
   body('phone').notEmpty().withMessage('Phone number is required'),
-  body('email').optional().isEmail().withMessage('Valid email required')
+  body('email').optional().isEmail().withMessage('Valid email required'),
+  body('preferredLanguage').optional().matches(/^[a-z]{2}$/).withMessage('Language must be a two-letter code')
+];
+
+const creditLimitValidation = [
+  body('creditLimit').isFloat({ min: 0 }).withMessage('Valid credit limit required')
+];
+
+const creditPaymentValidation = [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Valid payment amount required'),
+  body('paymentMethod').notEmpty().withMessage('Payment method required'),
+  body('allocations').optional().isArray({ min: 1 }).withMessage('Allocations must be a non-empty array'),
+  body('allocations.*.saleId').notEmpty().withMessage('Invoice required'),
+  body('allocations.*.amount').isFloat({ min: 0.01 }).withMessage('Valid allocation amount required')
+];
+
+const walletAmountValidation = [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Valid amount required')
+];
+
+const topUpValidation = [
+  ...walletAmountValidation,
+  body('paymentMethod').isIn(['CASH', 'UPI']).withMessage('Top-ups are paid by CASH or UPI')
+];
+
+const preferencesValidation = [
+  body('preferences').isArray({ min: 1 }).withMessage('At least one preference required'),
+  body('preferences.*.channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL'),
+  body('preferences.*.category').isIn(['TRANSACTIONAL', 'PROMOTIONAL']).withMessage('Category must be TRANSACTIONAL or PROMOTIONAL'),
+  body('preferences.*.optedIn').isBoolean().withMessage('optedIn must be true or false'),
+  body('source').optional().isIn(['STAFF', 'IMPORT']).withMessage('Source must be STAFF or IMPORT')
+];
+
+const loyaltyAdjustValidation = [
+  body('points').isInt().not().equals('0').withMessage('Points must be a non-zero whole number'),
+  body('reason').notEmpty().withMessage('Reason required')
 ];
 
 // All routes require authentication
@@ -25,8 +84,32 @@ router.use(authenticate);
 
 // Routes
 router.get('/', getCustomers);
+router.get('/credit/aging', authorize('MANAGER', 'OWNER'), scopeStore, getReceivablesAging);
+router.post('/loyalty/expire', authorize('MANAGER', 'OWNER'), expireLoyalty);
 router.get('/:id', getCustomer);
 router.get('/:id/transactions', getCustomerTransactions);
+
+// Credit (khata)
+router.get('/:id/credit', getCreditAccount);
+router.put('/:id/credit', authorize('MANAGER', 'OWNER'), creditLimitValidation, validate, updateCreditLimit);
+router.get('/:id/credit/payments', getCreditPayments);
+router.post('/:id/credit/payments', authorize('CASHIER', 'MANAGER', 'OWNER'), scopeStore, creditPaymentValidation, validate, collectPayment);
+router.get('/:id/credit/statement', getCreditStatement);
+router.post('/:id/credit/reminder', authorize('CASHIER', 'MANAGER', 'OWNER'), sendCreditReminder);
+
+// Wallet
+router.get('/:id/wallet', getWallet);
+router.post('/:id/wallet/top-up', authorize('CASHIER', 'MANAGER', 'OWNER'), scopeStore, topUpValidation, validate, topUpWallet);
+router.post('/:id/wallet/cashback', authorize('MANAGER', 'OWNER'), scopeStore, walletAmountValidation, validate, addCashback);
+
+// Loyalty points
+router.get('/:id/loyalty', getLoyalty);
+router.post('/:id/loyalty/adjust', authorize('MANAGER', 'OWNER'), loyaltyAdjustValidation, validate, adjustLoyalty);
+
+// Message preferences and consent
+router.get('/:id/preferences', getPreferences);
+router.put('/:id/preferences', authorize('CASHIER', 'MANAGER', 'OWNER'), preferencesValidation, validate, updatePreferences);
+
 router.post('/', authorize('CASHIER', 'MANAGER', 'OWNER'), customerValidation, validate, createCustomer);
 router.put('/:id', authorize('CASHIER', 'MANAGER', 'OWNER'), updateCustomer);
 router.delete('/:id', authorize('MANAGER', 'OWNER'), deleteCustomer);
@@ -5,11 +5,12 @@ const {
   getRecentActivities
 } = require('../controllers/dashboard.controller');
 const { authenticate } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/summary', getSummary);
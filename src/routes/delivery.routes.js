@@ -0,0 +1,53 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  assignDelivery,
+  getDeliveries,
+  getRiders,
+  getMyDeliveries,
+  getDelivery,
+  updateDeliveryStatus,
+  reissueDeliveryOtp,
+  getDailyRiderReport
+} = require('../controllers/delivery.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { upload } = require('../middleware/upload');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const assignValidation = [
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('riderId').notEmpty().withMessage('Rider ID is required'),
+  body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Invalid delivery fee')
+];
+
+const statusValidation = [
+  body('status').isIn(['PICKED_UP', 'IN_TRANSIT', 'DELIVERED', 'FAILED', 'RETURNED']).withMessage('Invalid delivery status'),
+  body('otp').if(body('status').equals('DELIVERED')).notEmpty().withMessage('Customer OTP is required'),
+  body('reason').if(body('status').equals('FAILED')).notEmpty().withMessage('Failure reason is required')
+];
+
+// All routes require authentication
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', authorize('MANAGER'), getDeliveries);
+router.get('/riders', authorize('MANAGER'), getRiders);
+router.get('/my', authorize('DELIVERY_BOY'), getMyDeliveries);
+router.get('/report/daily', authorize('MANAGER', 'DELIVERY_BOY'), getDailyRiderReport);
+router.get('/:id', authorize('MANAGER', 'DELIVERY_BOY'), getDelivery);
+router.post('/assign', authorize('MANAGER'), assignValidation, validate, assignDelivery);
+router.patch(
+  '/:id/status',
+  authorize('MANAGER', 'DELIVERY_BOY'),
+  upload.single('photo'),
+  statusValidation,
+  validate,
+  updateDeliveryStatus
+);
+router.post('/:id/otp', authorize('MANAGER'), reissueDeliveryOtp);
+
+module.exports = router;
@@ -4,20 +4,25 @@ const {
   getTransactions,
   getStockAlerts,
   resolveAlert,
-  getMovementReport
+  getMovementReport,
+  getBatches,
+  getExpiringBatches
 } = require('../controllers/inventory.controller');
 const { authenticate, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/status', authorize('OWNER', 'MANAGER', 'INVENTORY_STAFF'), getInventoryStatus);
 router.get('/transactions', getTransactions);
 router.get('/alerts', getStockAlerts);
 router.get('/movement', authorize('OWNER', 'MANAGER'), getMovementReport);
+router.get('/batches', getBatches);
+router.get('/batches/expiring', getExpiringBatches);
 router.patch('/alerts/:id/resolve', authorize('INVENTORY_STAFF', 'MANAGER'), resolveAlert);
 
 module.exports = router;
\ No newline at end of file
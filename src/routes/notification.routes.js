@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getNotifications,
+  getNotification,
+  sendTestNotification,
+  retryNotification,
+  processOutbox,
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  previewTemplate,
+  receiveStatusWebhook,
+  verifyStatusWebhook
+} = require('../controllers/notification.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const testValidation = [
+  body('channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL'),
+  body('to').notEmpty().withMessage('Recipient is required')
+];
+
+const templateKeyValidation = [
+  param('channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL'),
+  param('language').matches(/^[a-z]{2}$/).withMessage('Language must be a two-letter code')
+];
+
+const templateValidation = [
+  ...templateKeyValidation,
+  body('body').trim().notEmpty().withMessage('Template body is required'),
+  body('subject').optional({ nullable: true }).isString(),
+  body('html').optional({ nullable: true }).isString(),
+  body('isActive').optional().isBoolean()
+];
+
+const previewValidation = [
+  body('event').notEmpty().withMessage('Event is required'),
+  body('channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL'),
+  body('language').optional().matches(/^[a-z]{2}$/).withMessage('Language must be a two-letter code'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+];
+
+// Provider delivery reports (token checked in the controller)
+router.get('/webhooks/:provider', verifyStatusWebhook);
+router.post('/webhooks/:provider', receiveStatusWebhook);
+
+// Everything else is staff only
+router.use(authenticate, scopeStore);
+
+router.get('/', authorize('MANAGER', 'OWNER'), getNotifications);
+router.post('/test', authorize('OWNER'), testValidation, validate, sendTestNotification);
+router.post('/process', authorize('OWNER'), processOutbox);
+
+router.get('/templates', authorize('MANAGER', 'OWNER'), getTemplates);
+router.post('/templates/preview', authorize('MANAGER', 'OWNER'), previewValidation, validate, previewTemplate);
+router.put('/templates/:event/:channel/:language', authorize('MANAGER', 'OWNER'), templateValidation, validate, saveTemplate);
+router.delete('/templates/:event/:channel/:language', authorize('MANAGER', 'OWNER'), templateKeyValidation, validate, deleteTemplate);
+
+router.get('/:id', authorize('MANAGER', 'OWNER'), getNotification);
+router.post('/:id/retry', authorize('MANAGER', 'OWNER'), retryNotification);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+  getOrders,
+  getOrder,
+  updateOrderStatus
+} = require('../controllers/order.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+const orderStatuses = [
+  'PENDING', 'CONFIRMED', 'PROCESSING', 'PACKED', 'OUT_FOR_DELIVERY',
+  'DELIVERED', 'CANCELLED', 'RETURNED', 'REFUNDED'
+];
+
+// Validation rules
+const cartItemValidation = [
+  body('productId').notEmpty().withMessage('Product ID is required'),
+  body('quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required')
+];
+
+const cartQuantityValidation = [
+  body('quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required')
+];
+
+const checkoutValidation = [
+  body('addressId').optional().notEmpty().withMessage('Invalid address'),
+  body('deliveryDate').optional().isISO8601().withMessage('Invalid delivery date'),
+  body('deliverySlot').optional().isString().trim().notEmpty().withMessage('Invalid delivery slot'),
+  body('paymentMethod').optional().isIn(['CASH', 'UPI', 'CARD', 'ONLINE', 'WALLET']).withMessage('Invalid payment method'),
+  body('couponCode').optional().isString().trim().notEmpty().withMessage('Invalid coupon code')
+];
+
+const statusValidation = [
+  body('status').isIn(orderStatuses).withMessage('Invalid order status'),
+  body('reason').if(body('status').equals('CANCELLED')).notEmpty().withMessage('Cancellation reason is required'),
+  body('refundToWallet').optional().isBoolean().withMessage('refundToWallet must be true or false')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Cart
+router.get('/cart/:customerId', getCart);
+router.post('/cart/:customerId/items', cartItemValidation, validate, addCartItem);
+router.put('/cart/:customerId/items/:productId', cartQuantityValidation, validate, updateCartItem);
+router.delete('/cart/:customerId/items/:productId', removeCartItem);
+router.delete('/cart/:customerId', clearCart);
+router.post('/cart/:customerId/checkout', checkoutValidation, validate, checkout);
+
+// Orders
+router.get('/', getOrders);
+router.get('/:id', getOrder);
+router.patch('/:id/status', authorize('MANAGER', 'CASHIER', 'INVENTORY_STAFF'), statusValidation, validate, updateOrderStatus);
+
+module.exports = router;
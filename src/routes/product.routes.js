@@ -11,6 +11,7 @@ const {
 } = require('../controllers/product.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
@@ -26,11 +27,13 @@ const productValidation = [
 
 const stockValidation = [
   body('quantity').isFloat({ min: 0 }).withMessage('Valid quantity required'),
-  body('type').isIn(['ADD', 'REMOVE', 'SET', 'WASTE']).withMessage('Invalid stock operation')
+  body('type').isIn(['ADD', 'REMOVE', 'SET', 'WASTE']).withMessage('Invalid stock operation'),
+  body('expiryDate').optional().isISO8601().withMessage('Invalid expiry date'),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Invalid cost price')
 ];
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/', getProducts);
@@ -0,0 +1,71 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getPurchaseOrders,
+  getOutstanding,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  receiveGoods,
+  getGoodsReceipt
+} = require('../controllers/purchase-order.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const lineValidation = [
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0.001 }).withMessage('Valid quantity required'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Valid unit price required')
+];
+
+const orderValidation = [
+  body('supplierId').notEmpty().withMessage('Supplier ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item required'),
+  ...lineValidation,
+  body('expectedDate').optional({ nullable: true }).isISO8601().withMessage('Valid expected date required')
+];
+
+const updateValidation = [
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item required'),
+  ...lineValidation,
+  body('expectedDate').optional({ nullable: true }).isISO8601().withMessage('Valid expected date required')
+];
+
+const receiptValidation = [
+  body('items').isArray({ min: 1 }).withMessage('At least one received item required'),
+  body('items.*.receivedQuantity').isFloat({ min: 0 }).withMessage('Valid received quantity required'),
+  body('items.*.acceptedQuantity').optional().isFloat({ min: 0 }).withMessage('Valid accepted quantity required'),
+  body('items.*.rejectedQuantity').optional().isFloat({ min: 0 }).withMessage('Valid rejected quantity required'),
+  body('items.*.purchasePrice').optional().isFloat({ min: 0 }).withMessage('Valid purchase price required'),
+  body('items.*.expiryDate').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date required'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Valid discount required'),
+  body('taxAmount').optional().isFloat({ min: 0 }).withMessage('Valid tax amount required')
+];
+
+const closeValidation = [
+  body('reason').notEmpty().withMessage('Reason for closing is required')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', authorize('MANAGER', 'INVENTORY_STAFF'), getPurchaseOrders);
+router.get('/outstanding', authorize('MANAGER', 'INVENTORY_STAFF'), getOutstanding);
+router.get('/receipts/:receiptId', authorize('MANAGER', 'INVENTORY_STAFF'), getGoodsReceipt);
+router.get('/:id', authorize('MANAGER', 'INVENTORY_STAFF'), getPurchaseOrder);
+router.post('/', authorize('MANAGER', 'INVENTORY_STAFF'), orderValidation, validate, createPurchaseOrder);
+router.put('/:id', authorize('MANAGER', 'INVENTORY_STAFF'), updateValidation, validate, updatePurchaseOrder);
+router.delete('/:id', authorize('MANAGER'), deletePurchaseOrder);
+router.post('/:id/send', authorize('MANAGER', 'INVENTORY_STAFF'), sendPurchaseOrder);
+router.post('/:id/close', authorize('MANAGER'), closeValidation, validate, closePurchaseOrder);
+router.post('/:id/receipts', authorize('MANAGER', 'INVENTORY_STAFF'), receiptValidation, validate, receiveGoods);
+
+module.exports = router;
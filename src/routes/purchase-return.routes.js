@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createPurchaseReturn,
+  getPurchaseReturns,
+  getPurchaseReturn,
+  getDebitNote
+} = require('../controllers/purchase-return.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+const reasons = ['ROTTEN', 'DAMAGED', 'SHORT_SUPPLY', 'QUALITY', 'OTHER'];
+
+// Validation rules
+const returnValidation = [
+  body('purchaseId').notEmpty().withMessage('Purchase ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one return item required'),
+  body('items.*.quantity').isFloat({ min: 0.001 }).withMessage('Valid return quantity required'),
+  body('items.*.reason').optional().isIn(reasons).withMessage('Invalid return reason'),
+  body('reason').optional().isIn(reasons).withMessage('Invalid return reason')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', getPurchaseReturns);
+router.get('/:id', getPurchaseReturn);
+router.get('/:id/note', getDebitNote);
+router.post('/', authorize('MANAGER', 'INVENTORY_STAFF'), returnValidation, validate, createPurchaseReturn);
+
+module.exports = router;
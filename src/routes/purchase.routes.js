@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const {
   getPurchases,
   getPurchase,
+  getPurchasePdf,
   createPurchase,
   updatePurchase,
   deletePurchase,
@@ -10,6 +11,7 @@ const {
 } = require('../controllers/purchase.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
@@ -27,12 +29,13 @@ const paymentValidation = [
   body('paymentMethod').notEmpty().withMessage('Payment method required')
 ];
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/', getPurchases);
 router.get('/:id', getPurchase);
+router.get('/:id/pdf', getPurchasePdf);
 router.post('/', authorize('OWNER', 'MANAGER', 'INVENTORY_STAFF'), purchaseValidation, validate, createPurchase);
 router.put('/:id', authorize('OWNER', 'MANAGER'), updatePurchase);
 router.delete('/:id', authorize('OWNER'), deletePurchase);
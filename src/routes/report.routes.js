@@ -3,19 +3,24 @@ const {
   getSalesReport,
   getInventoryReport,
   getProfitReport,
+  getWastageReport,
+  getSupplierWastageReport,
   exportReport
 } = require('../controllers/report.controller');
 const { authenticate, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/sales', authorize('MANAGER', 'OWNER'), getSalesReport);
 router.get('/inventory', authorize('MANAGER', 'OWNER'), getInventoryReport);
 router.get('/profit', authorize('OWNER'), getProfitReport);
+router.get('/wastage', authorize('MANAGER', 'OWNER'), getWastageReport);
+router.get('/wastage/suppliers', authorize('MANAGER', 'OWNER'), getSupplierWastageReport);
 router.get('/export/:type/:format', authorize('MANAGER', 'OWNER'), exportReport);
 
 module.exports = router;
\ No newline at end of file
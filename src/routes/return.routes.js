@@ -0,0 +1,49 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createReturn,
+  createExchange,
+  getReturns,
+  getReturn,
+  getReturnByCreditNote
+} = require('../controllers/return.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+const refundMethods = ['CASH', 'ORIGINAL_TENDER', 'WALLET'];
+
+// Validation rules
+const returnValidation = [
+  body('saleId').notEmpty().withMessage('Sale ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one return item required'),
+  body('items.*.saleItemId').notEmpty().withMessage('Sale item ID required'),
+  body('items.*.quantity').isFloat({ min: 0.001 }).withMessage('Valid return quantity required'),
+  body('items.*.disposition').optional().isIn(['RESTOCK', 'WASTAGE']).withMessage('Invalid disposition'),
+  body('refundMethod').optional().isIn(refundMethods).withMessage('Invalid refund method')
+];
+
+const exchangeValidation = [
+  body('saleId').notEmpty().withMessage('Sale ID is required'),
+  body('returnItems').isArray({ min: 1 }).withMessage('At least one return item required'),
+  body('returnItems.*.saleItemId').notEmpty().withMessage('Sale item ID required'),
+  body('returnItems.*.quantity').isFloat({ min: 0.001 }).withMessage('Valid return quantity required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one new item required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required'),
+  body('refundMethod').optional().isIn(refundMethods).withMessage('Invalid refund method')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', getReturns);
+router.get('/credit-note/:creditNoteNo', getReturnByCreditNote);
+router.get('/:id', getReturn);
+router.post('/', authorize('MANAGER', 'OWNER'), returnValidation, validate, createReturn);
+router.post('/exchange', authorize('MANAGER', 'OWNER'), exchangeValidation, validate, createExchange);
+
+module.exports = router;
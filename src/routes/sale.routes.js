@@ -11,6 +11,7 @@ const {
 } = require('../controllers/sale.controller');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
 
 const router = express.Router();
 
@@ -19,11 +20,16 @@ const saleValidation = [
   body('items').isArray({ min: 1 }).withMessage('At least one item required'),
   body('items.*.productId').notEmpty().withMessage('Product ID required'),
   body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('Valid quantity required'),
-  body('paymentMethod').notEmpty().withMessage('Payment method required')
+  body('paymentMethod').if(body('payments').not().exists()).notEmpty().withMessage('Payment method required'),
+  body('payments').optional().isArray({ min: 1 }).withMessage('Payments must be a non-empty array'),
+  body('payments.*.paymentMethod').notEmpty().withMessage('Tender type required'),
+  body('payments.*.amount').isFloat({ min: 0.01 }).withMessage('Valid tender amount required'),
+  body('couponCode').optional().isString().trim().notEmpty().withMessage('Invalid coupon code'),
+  body('redeemPoints').optional().isInt({ min: 1 }).withMessage('Points to redeem must be a whole number')
 ];
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
 
 // Routes
 router.get('/', getSales);
@@ -0,0 +1,108 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  requestOtp,
+  verifyOtp,
+  getProfile,
+  updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getMyOrders,
+  getMyOrder,
+  getMyWallet,
+  getMyLoyalty,
+  getMyPreferences,
+  updateMyPreferences,
+  getMyFeedback,
+  submitFeedback
+} = require('../controllers/shop.controller');
+const { authenticateCustomer } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const phoneValidation = [
+  body('phone').trim().matches(/^\+?\d{10,15}$/).withMessage('Valid phone number required')
+];
+
+const verifyValidation = [
+  ...phoneValidation,
+  body('code').trim().isLength({ min: 4, max: 8 }).isNumeric().withMessage('Valid code required'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Valid email required')
+];
+
+const profileValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Valid email required'),
+  body('preferredLanguage').optional().matches(/^[a-z]{2}$/).withMessage('Language must be a two-letter code')
+];
+
+const addressValidation = [
+  body('type').optional().isIn(['HOME', 'OFFICE', 'OTHER']).withMessage('Invalid address type'),
+  body('addressLine1').notEmpty().withMessage('Address is required'),
+  body('city').notEmpty().withMessage('City is required'),
+  body('state').notEmpty().withMessage('State is required'),
+  body('pincode').matches(/^\d{6}$/).withMessage('Valid pincode required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false')
+];
+
+const addressUpdateValidation = [
+  body('type').optional().isIn(['HOME', 'OFFICE', 'OTHER']).withMessage('Invalid address type'),
+  body('addressLine1').optional().notEmpty().withMessage('Address cannot be empty'),
+  body('city').optional().notEmpty().withMessage('City cannot be empty'),
+  body('state').optional().notEmpty().withMessage('State cannot be empty'),
+  body('pincode').optional().matches(/^\d{6}$/).withMessage('Valid pincode required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false')
+];
+
+const preferencesValidation = [
+  body('preferences').isArray({ min: 1 }).withMessage('At least one preference required'),
+  body('preferences.*.channel').isIn(['SMS', 'WHATSAPP', 'EMAIL']).withMessage('Channel must be SMS, WHATSAPP or EMAIL'),
+  body('preferences.*.category').isIn(['TRANSACTIONAL', 'PROMOTIONAL']).withMessage('Category must be TRANSACTIONAL or PROMOTIONAL'),
+  body('preferences.*.optedIn').isBoolean().withMessage('optedIn must be true or false')
+];
+
+const feedbackValidation = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1 to 5'),
+  body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment is too long'),
+  body('category').optional()
+    .isIn(['PRODUCT_QUALITY', 'DELIVERY', 'PACKAGING', 'PRICE', 'SERVICE', 'OTHER'])
+    .withMessage('Invalid feedback category')
+];
+
+// Sign-in with a code texted to the phone
+router.post('/auth/otp', authLimiter, phoneValidation, validate, requestOtp);
+router.post('/auth/verify', authLimiter, verifyValidation, validate, verifyOtp);
+
+// Everything else is the signed-in customer's own data only
+router.use(authenticateCustomer);
+
+router.get('/profile', getProfile);
+router.put('/profile', profileValidation, validate, updateProfile);
+
+router.get('/addresses', getAddresses);
+router.post('/addresses', addressValidation, validate, addAddress);
+router.put('/addresses/:id', addressUpdateValidation, validate, updateAddress);
+router.delete('/addresses/:id', deleteAddress);
+
+router.get('/orders', getMyOrders);
+router.get('/orders/:id', getMyOrder);
+
+router.get('/wallet', getMyWallet);
+router.get('/loyalty', getMyLoyalty);
+router.get('/preferences', getMyPreferences);
+router.put('/preferences', preferencesValidation, validate, updateMyPreferences);
+
+router.get('/feedback', getMyFeedback);
+router.post('/feedback', feedbackValidation, validate, submitFeedback);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  recordCounts,
+  submitStockTake,
+  reopenStockTake,
+  approveStockTake,
+  cancelStockTake,
+  getShrinkageReport
+} = require('../controllers/stock-take.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const createValidation = [
+  body('categoryIds').optional().isArray().withMessage('Categories must be a list'),
+  body('name').optional().isString().trim()
+];
+
+const countValidation = [
+  body('counts').isArray({ min: 1 }).withMessage('At least one count required'),
+  body('counts.*.quantity').isFloat({ min: 0 }).withMessage('Valid counted quantity required'),
+  body('counts.*.mode').optional().isIn(['SET', 'ADD']).withMessage('Mode must be SET or ADD'),
+  body('deviceId').optional().isString().trim()
+];
+
+const cancelValidation = [
+  body('reason').notEmpty().withMessage('Cancellation reason is required')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', authorize('MANAGER', 'INVENTORY_STAFF'), getStockTakes);
+router.get('/:id', authorize('MANAGER', 'INVENTORY_STAFF'), getStockTake);
+router.get('/:id/shrinkage', authorize('MANAGER'), getShrinkageReport);
+router.post('/', authorize('MANAGER', 'INVENTORY_STAFF'), createValidation, validate, createStockTake);
+router.post('/:id/counts', authorize('MANAGER', 'INVENTORY_STAFF'), countValidation, validate, recordCounts);
+router.post('/:id/submit', authorize('MANAGER', 'INVENTORY_STAFF'), submitStockTake);
+router.post('/:id/reopen', authorize('MANAGER'), reopenStockTake);
+router.post('/:id/approve', authorize('MANAGER'), approveStockTake);
+router.post('/:id/cancel', authorize('MANAGER'), cancelValidation, validate, cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMyStores,
+  getStores,
+  getStore,
+  createStore,
+  updateStore,
+  assignUser,
+  removeUser,
+  updateStoreStockLevel
+} = require('../controllers/store.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const storeValidation = [
+  body('code').notEmpty().isAlphanumeric().withMessage('Store code must be letters and digits'),
+  body('name').notEmpty().withMessage('Store name is required'),
+  body('email').optional().isEmail().withMessage('Valid email required')
+];
+
+const assignValidation = [
+  body('userId').notEmpty().withMessage('User ID is required'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false')
+];
+
+const stockLevelValidation = [
+  body('minStockAlert').isFloat({ min: 0 }).withMessage('Valid stock level required')
+];
+
+// All routes require authentication
+router.use(authenticate);
+
+// Routes
+router.get('/mine', getMyStores);
+router.get('/', authorize('OWNER'), getStores);
+router.get('/:id', authorize('MANAGER'), scopeStore, getStore);
+router.post('/', authorize('OWNER'), storeValidation, validate, createStore);
+router.put('/:id', authorize('OWNER'), updateStore);
+router.post('/:id/users', authorize('OWNER'), assignValidation, validate, assignUser);
+router.delete('/:id/users/:userId', authorize('OWNER'), removeUser);
+router.patch('/:id/stock/:productId', authorize('MANAGER', 'INVENTORY_STAFF'), scopeStore, stockLevelValidation, validate, updateStoreStockLevel);
+
+module.exports = router;
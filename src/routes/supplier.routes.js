@@ -3,6 +3,9 @@ const { body } = require('express-validator');
 const {
   getSuppliers,
   getSupplier,
+  getSupplierLedger,
+  getPayablesAging,
+  exportSupplierStatement,
   createSupplier,
   updateSupplier,
   deleteSupplier
@@ -24,7 +27,10 @@ router.use(authenticate);
 
 // Routes
 router.get('/', getSuppliers);
+router.get('/aging', authorize('OWNER', 'MANAGER'), getPayablesAging);
 router.get('/:id', getSupplier);
+router.get('/:id/ledger', authorize('OWNER', 'MANAGER'), getSupplierLedger);
+router.get('/:id/statement', authorize('OWNER', 'MANAGER'), exportSupplierStatement);
 router.post('/', authorize('OWNER', 'MANAGER', 'INVENTORY_STAFF'), supplierValidation, validate, createSupplier);
 router.put('/:id', authorize('OWNER', 'MANAGER', 'INVENTORY_STAFF'), updateSupplier);
 router.delete('/:id', authorize('OWNER'), deleteSupplier);
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createTransfer,
+  getTransfers,
+  getTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  getTransferNote
+} = require('../controllers/transfer.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const requestValidation = [
+  body('fromStoreId').notEmpty().withMessage('Source store is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0.001 }).withMessage('Valid quantity required')
+];
+
+const dispatchValidation = [
+  body('items').optional().isArray().withMessage('Items must be a list'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Valid dispatched quantity required')
+];
+
+const receiveValidation = [
+  body('items').optional().isArray().withMessage('Items must be a list'),
+  body('items.*.productId').notEmpty().withMessage('Product ID required'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Valid received quantity required'),
+  body('items.*.reason').optional().isIn(['SPOILED', 'DAMAGED', 'EXPIRED', 'OTHER']).withMessage('Invalid wastage reason'),
+  body('reason').optional().isIn(['SPOILED', 'DAMAGED', 'EXPIRED', 'OTHER']).withMessage('Invalid wastage reason')
+];
+
+const cancelValidation = [
+  body('reason').notEmpty().withMessage('Cancellation reason is required')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', authorize('MANAGER', 'INVENTORY_STAFF'), getTransfers);
+router.get('/:id', authorize('MANAGER', 'INVENTORY_STAFF'), getTransfer);
+router.get('/:id/note', authorize('MANAGER', 'INVENTORY_STAFF'), getTransferNote);
+router.post('/', authorize('MANAGER', 'INVENTORY_STAFF'), requestValidation, validate, createTransfer);
+router.post('/:id/dispatch', authorize('MANAGER', 'INVENTORY_STAFF'), dispatchValidation, validate, dispatchTransfer);
+router.post('/:id/receive', authorize('MANAGER', 'INVENTORY_STAFF'), receiveValidation, validate, receiveTransfer);
+router.post('/:id/cancel', authorize('MANAGER'), cancelValidation, validate, cancelTransfer);
+
+module.exports = router;
@@ -17,7 +17,8 @@ const userValidation = [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['OWNER', 'MANAGER', 'CASHIER', 'INVENTORY_STAFF', 'DELIVERY_BOY']).withMessage('Valid role required')
+  body('role').isIn(['OWNER', 'MANAGER', 'CASHIER', 'INVENTORY_STAFF', 'DELIVERY_BOY']).withMessage('Valid role required'),
+  body('storeIds').optional().isArray().withMessage('Stores must be a list')
 ];
 
 // All routes require authentication
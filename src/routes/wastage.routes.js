@@ -0,0 +1,38 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createWastage,
+  getWastage,
+  getWastageEntry
+} = require('../controllers/wastage.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { upload } = require('../middleware/upload');
+const { scopeStore } = require('../middleware/store');
+
+const router = express.Router();
+
+// Validation rules
+const wastageValidation = [
+  body('productId').notEmpty().withMessage('Product ID is required'),
+  body('quantity').isFloat({ min: 0.001 }).withMessage('Valid quantity required'),
+  body('reason').isIn(['SPOILED', 'DAMAGED', 'EXPIRED', 'OTHER']).withMessage('Invalid wastage reason'),
+  body('batchId').optional().notEmpty().withMessage('Invalid batch')
+];
+
+// All routes require authentication and work in the caller's store
+router.use(authenticate, scopeStore);
+
+// Routes
+router.get('/', getWastage);
+router.get('/:id', getWastageEntry);
+router.post(
+  '/',
+  authorize('INVENTORY_STAFF', 'MANAGER'),
+  upload.single('photo'),
+  wastageValidation,
+  validate,
+  createWastage
+);
+
+module.exports = router;
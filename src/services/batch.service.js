@@ -0,0 +1,175 @@
+const { roundAmount } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First-expiry-first-out: dated batches by expiry, undated ones last,
+// oldest receipt first within the same expiry
+const FEFO_ORDER = [
+  { expiryDate: { sort: 'asc', nulls: 'last' } },
+  { receivedAt: 'asc' }
+];
+
+// Batch quantities are kept to 3 decimals (grams) so FEFO draws do not
+// leave float dust behind
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+class BatchService {
+  // Open a batch for stock coming into a store. Without an expiry date the
+  // product's shelf life is used, if it has one.
+  async receive(tx, { product, storeId, quantity, transactionId, purchaseItemId, batchNumber, costPrice, expiryDate, receivedAt = new Date() }) {
+    let expiry = expiryDate ? new Date(expiryDate) : null;
+    if (!expiry && product.expiryDays) {
+      expiry = new Date(receivedAt.getTime() + product.expiryDays * DAY_MS);
+    }
+
+    const batch = await tx.stockBatch.create({
+      data: {
+        productId: product.id,
+        storeId,
+        purchaseItemId,
+        batchNumber,
+        receivedAt,
+        expiryDate: expiry,
+        costPrice: costPrice !== undefined && costPrice !== null ? costPrice : product.purchasePrice,
+        initialQuantity: quantity,
+        remainingQuantity: quantity
+      }
+    });
+
+    if (transactionId) {
+      await tx.stockBatchMovement.create({
+        data: { batchId: batch.id, transactionId, quantity }
+      });
+    }
+
+    return batch;
+  }
+
+  // Draw stock out of the product's open batches in a store FEFO (batches
+  // listed in preferBatchIds go first). The caller holds the product row
+  // lock (moveStock updates it first), so two bills cannot draw the same
+  // batch at once. Returns what each batch gave.
+  async consume(tx, { productId, storeId, quantity, transactionId, preferBatchIds = [] }) {
+    const open = await tx.stockBatch.findMany({
+      where: { productId, storeId, remainingQuantity: { gt: 0 } },
+      orderBy: FEFO_ORDER
+    });
+    const batches = [
+      ...open.filter(b => preferBatchIds.includes(b.id)),
+      ...open.filter(b => !preferBatchIds.includes(b.id))
+    ];
+
+    const draws = [];
+    let outstanding = roundQuantity(quantity);
+
+    for (const batch of batches) {
+      if (outstanding <= 0) break;
+
+      const take = roundQuantity(Math.min(batch.remainingQuantity, outstanding));
+      await tx.stockBatch.update({
+        where: { id: batch.id },
+        data: { remainingQuantity: roundQuantity(batch.remainingQuantity - take) }
+      });
+      await tx.stockBatchMovement.create({
+        data: { batchId: batch.id, transactionId, quantity: -take }
+      });
+
+      draws.push({ batchId: batch.id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: take, costPrice: batch.costPrice });
+      outstanding = roundQuantity(outstanding - take);
+    }
+
+    // Stock that predates batch tracking is not in any batch
+    return { draws, unbatched: outstanding > 0 ? outstanding : 0 };
+  }
+
+  // Put stock back into the batches an earlier movement (a sale, an order
+  // reservation) drew it from, latest expiry first. Also returns how much
+  // could not be matched to a draw.
+  async restore(tx, { productId, quantity, reference, transactionId }) {
+    const drawn = await tx.stockBatchMovement.findMany({
+      where: {
+        quantity: { lt: 0 },
+        transaction: { productId, reference }
+      },
+      include: {
+        batch: true,
+        restores: { select: { quantity: true } }
+      }
+    });
+
+    const expiryTime = (batch) => batch.expiryDate ? batch.expiryDate.getTime() : Number.MAX_SAFE_INTEGER;
+    drawn.sort((a, b) => expiryTime(b.batch) - expiryTime(a.batch));
+
+    const restored = [];
+    let outstanding = roundQuantity(quantity);
+
+    for (const draw of drawn) {
+      if (outstanding <= 0) break;
+
+      const alreadyBack = draw.restores.reduce((sum, r) => sum + r.quantity, 0);
+      const open = roundQuantity(-draw.quantity - alreadyBack);
+      if (open <= 0) continue;
+
+      const give = roundQuantity(Math.min(open, outstanding));
+      await tx.stockBatch.update({
+        where: { id: draw.batchId },
+        data: { remainingQuantity: { increment: give } }
+      });
+      await tx.stockBatchMovement.create({
+        data: { batchId: draw.batchId, transactionId, quantity: give, restoredFromId: draw.id }
+      });
+
+      restored.push({ batchId: draw.batchId, batchNumber: draw.batch.batchNumber, expiryDate: draw.batch.expiryDate, quantity: give, costPrice: draw.batch.costPrice });
+      outstanding = roundQuantity(outstanding - give);
+    }
+
+    return { restored, unmatched: outstanding > 0 ? outstanding : 0 };
+  }
+
+  // Open batches expiring within `days` (already expired ones included)
+  async nearExpiry(client, { days, productId, categoryId, storeId, now = new Date() }) {
+    const until = new Date(now.getTime() + days * DAY_MS);
+
+    const batches = await client.stockBatch.findMany({
+      where: {
+        remainingQuantity: { gt: 0 },
+        expiryDate: { not: null, lte: until },
+        ...(productId && { productId }),
+        ...(storeId && { storeId }),
+        ...(categoryId && { product: { categoryId } })
+      },
+      include: {
+        product: {
+          select: {
+            id: true,
+            name: true,
+            sku: true,
+            unit: true,
+            sellingPrice: true,
+            category: { select: { id: true, name: true } }
+          }
+        },
+        store: { select: { id: true, code: true, name: true } }
+      },
+      orderBy: FEFO_ORDER
+    });
+
+    return batches.map(batch => ({
+      ...batch,
+      daysLeft: Math.ceil((batch.expiryDate.getTime() - now.getTime()) / DAY_MS),
+      isExpired: batch.expiryDate < now,
+      costValue: roundAmount(batch.remainingQuantity * batch.costPrice)
+    }));
+  }
+
+  // Open batches of a product in the order they will be sold, in one
+  // store or all of them
+  async stockByBatch(client, productId, storeId) {
+    return client.stockBatch.findMany({
+      where: { productId, ...(storeId && { storeId }), remainingQuantity: { gt: 0 } },
+      orderBy: FEFO_ORDER
+    });
+  }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,171 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const CHANNELS = ['SMS', 'WHATSAPP', 'EMAIL'];
+const CATEGORIES = ['TRANSACTIONAL', 'PROMOTIONAL'];
+const SOURCES = ['SHOP_APP', 'STAFF', 'KEYWORD', 'IMPORT'];
+
+// What a customer gets before they have said anything: messages about
+// their own purchases, but no offers without consent
+const DEFAULT_OPTED_IN = { TRANSACTIONAL: true, PROMOTIONAL: false };
+
+// Replies that turn every message on the channel they came in on off / on
+const STOP_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+const START_WORDS = ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN'];
+
+class ConsentService {
+  get channels() {
+    return CHANNELS;
+  }
+
+  get categories() {
+    return CATEGORIES;
+  }
+
+  get sources() {
+    return SOURCES;
+  }
+
+  // Customer a phone number or email address belongs to. Phones are
+  // matched on their last ten digits as providers add the country code.
+  async findCustomer(client, channel, address) {
+    if (!address) return null;
+
+    if (channel === 'EMAIL') {
+      return client.customer.findFirst({
+        where: { email: { equals: address, mode: 'insensitive' } },
+        select: { id: true }
+      });
+    }
+
+    const exact = await client.customer.findUnique({ where: { phone: address }, select: { id: true } });
+    if (exact) return exact;
+
+    const digits = String(address).replace(/\D/g, '').slice(-10);
+    if (digits.length < 10) return null;
+
+    return client.customer.findFirst({
+      where: { phone: { endsWith: digits } },
+      select: { id: true }
+    });
+  }
+
+  // The choice in effect for every channel and category, and where it
+  // came from (isDefault when the customer has not said)
+  async preferences(client, customerId) {
+    const rows = await client.communicationPreference.findMany({ where: { customerId } });
+
+    return CHANNELS.flatMap(channel => CATEGORIES.map(category => {
+      const row = rows.find(r => r.channel === channel && r.category === category);
+
+      return row
+        ? { channel, category, optedIn: row.optedIn, consentAt: row.consentAt, source: row.source, isDefault: false }
+        : { channel, category, optedIn: DEFAULT_OPTED_IN[category], consentAt: null, source: null, isDefault: true };
+    }));
+  }
+
+  // Record choices with when and how they were made. A choice the customer
+  // has already made is not written again; every change is logged.
+  async record(tx, customerId, changes, { source, userId, details } = {}) {
+    const customer = await tx.customer.findUnique({ where: { id: customerId }, select: { id: true } });
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const existing = await tx.communicationPreference.findMany({ where: { customerId } });
+    const now = new Date();
+    const recorded = [];
+
+    for (const { channel, category, optedIn } of changes) {
+      const current = existing.find(r => r.channel === channel && r.category === category);
+      if (current && current.optedIn === optedIn) continue;
+
+      await tx.communicationPreference.upsert({
+        where: { customerId_channel_category: { customerId, channel, category } },
+        create: { customerId, channel, category, optedIn, consentAt: now, source, recordedById: userId },
+        update: { optedIn, consentAt: now, source, recordedById: userId || null }
+      });
+
+      await tx.consentLog.create({
+        data: { customerId, channel, category, optedIn, source, recordedById: userId, details }
+      });
+
+      recorded.push({ channel, category, optedIn });
+    }
+
+    return recorded;
+  }
+
+  // Consent changes, newest first
+  async history(client, customerId, { page = 1, limit = 50 } = {}) {
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      client.consentLog.findMany({
+        where: { customerId },
+        include: { recordedBy: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      client.consentLog.count({ where: { customerId } })
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    };
+  }
+
+  // Why a message may not go to a recipient, or null when it may. No
+  // category means the customer asked for the message (sign-in codes).
+  async suppressionReason(client, { channel, to, customerId, category }) {
+    if (!category) return null;
+
+    const customer = customerId ? { id: customerId } : await this.findCustomer(client, channel, to);
+
+    const preference = customer
+      ? await client.communicationPreference.findUnique({
+        where: { customerId_channel_category: { customerId: customer.id, channel, category } }
+      })
+      : null;
+
+    if (!preference) {
+      return DEFAULT_OPTED_IN[category] ? null : `No consent for ${category.toLowerCase()} ${channel}`;
+    }
+
+    return preference.optedIn
+      ? null
+      : `Opted out of ${category.toLowerCase()} ${channel} (${preference.source}, ${preference.consentAt.toISOString()})`;
+  }
+
+  // Act on a STOP / START style reply. Returns null when the message is not
+  // one, else what changed; replies from unknown numbers change nothing.
+  async keyword(client, { channel, from, text }) {
+    const word = String(text || '').trim().split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+    const optedIn = STOP_WORDS.includes(word) ? false : START_WORDS.includes(word) ? true : null;
+
+    if (optedIn === null) return null;
+
+    const customer = await this.findCustomer(client, channel, from);
+    if (!customer) {
+      return { keyword: word, channel, customerId: null, changes: [] };
+    }
+
+    const changes = await client.$transaction((tx) => this.record(
+      tx,
+      customer.id,
+      CATEGORIES.map(category => ({ channel, category, optedIn })),
+      { source: 'KEYWORD', details: { keyword: word, from } }
+    ));
+
+    return { keyword: word, channel, customerId: customer.id, changes };
+  }
+}
+
+module.exports = new ConsentService();
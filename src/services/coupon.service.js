@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+
+// No 0/O or 1/I, so codes survive being read out at the till
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Rejection reasons returned by evaluate()
+const REASONS = {
+  NOT_FOUND: 'Coupon code not found',
+  INACTIVE: 'Coupon is not active',
+  CAMPAIGN_INACTIVE: 'The campaign for this coupon has ended',
+  NOT_STARTED: 'Coupon is not valid yet',
+  EXPIRED: 'Coupon has expired',
+  USAGE_LIMIT_REACHED: 'Coupon has been fully redeemed',
+  CUSTOMER_REQUIRED: 'Coupon needs a customer on the bill',
+  PER_USER_LIMIT_REACHED: 'Customer has already used this coupon',
+  NOT_FIRST_ORDER: 'Coupon is only valid on a first order',
+  MIN_ORDER_NOT_MET: 'Order value is below the coupon minimum',
+  NOT_APPLICABLE: 'No items in the basket qualify for this coupon',
+  DELIVERY_ONLY: 'Free delivery coupons apply to online orders only'
+};
+
+class CouponService {
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  randomCode(length = 8) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += CODE_CHARS[crypto.randomInt(0, CODE_CHARS.length)];
+    }
+    return code;
+  }
+
+  // Price raw basket lines ({ productId, quantity, price? }) the same way
+  // billing does, for the validate endpoint
+  async priceBasket(client, items) {
+    const products = await client.product.findMany({
+      where: { id: { in: items.map(item => item.productId) } },
+      select: { id: true, categoryId: true, sellingPrice: true }
+    });
+    const byId = Object.fromEntries(products.map(p => [p.id, p]));
+
+    return items
+      .filter(item => byId[item.productId])
+      .map(item => ({
+        productId: item.productId,
+        categoryId: byId[item.productId].categoryId,
+        quantity: parseFloat(item.quantity),
+        unitPrice: item.price || byId[item.productId].sellingPrice
+      }));
+  }
+
+  reject(reason, extra = {}) {
+    return { valid: false, reason, message: REASONS[reason], ...extra };
+  }
+
+  // Check a coupon against a basket and work out the discount.
+  // lines: [{ productId, categoryId, quantity, unitPrice }] before tax.
+  // deliveryFee is only passed for online orders.
+  async evaluate(client, code, { lines, customerId, deliveryFee, now = new Date() }) {
+    const coupon = await client.coupon.findUnique({
+      where: { code: this.normalizeCode(code) },
+      include: {
+        campaign: {
+          select: { id: true, name: true, isActive: true, endDate: true }
+        }
+      }
+    });
+
+    if (!coupon) return this.reject('NOT_FOUND');
+    if (!coupon.isActive) return this.reject('INACTIVE');
+    if (coupon.campaign && (!coupon.campaign.isActive || coupon.campaign.endDate < now)) {
+      return this.reject('CAMPAIGN_INACTIVE');
+    }
+    if (coupon.startDate > now) return this.reject('NOT_STARTED', { startDate: coupon.startDate });
+    if (coupon.endDate < now) return this.reject('EXPIRED', { endDate: coupon.endDate });
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+      return this.reject('USAGE_LIMIT_REACHED');
+    }
+
+    // A per-user limit only needs a known customer when the overall limit
+    // does not already cap it (single-use codes work for walk-ins)
+    const perUserLimited = coupon.perUserLimit &&
+      (coupon.usageLimit === null || coupon.usageLimit > coupon.perUserLimit);
+
+    if (perUserLimited || coupon.firstTimeOnly) {
+      if (!customerId) return this.reject('CUSTOMER_REQUIRED');
+
+      if (coupon.perUserLimit) {
+        const used = await client.couponUsage.count({
+          where: { couponId: coupon.id, customerId }
+        });
+        if (used >= coupon.perUserLimit) {
+          return this.reject('PER_USER_LIMIT_REACHED', { perUserLimit: coupon.perUserLimit });
+        }
+      }
+
+      if (coupon.firstTimeOnly) {
+        const [sales, orders] = await Promise.all([
+          client.sale.count({
+            where: { customerId, paymentStatus: { not: 'CANCELLED' } }
+          }),
+          client.order.count({
+            where: { customerId, orderStatus: { not: 'CANCELLED' } }
+          })
+        ]);
+        if (sales + orders > 0) return this.reject('NOT_FIRST_ORDER');
+      }
+    }
+
+    const subtotal = roundAmount(lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+    if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
+      return this.reject('MIN_ORDER_NOT_MET', {
+        minOrderValue: coupon.minOrderValue,
+        subtotal,
+        shortBy: roundAmount(coupon.minOrderValue - subtotal)
+      });
+    }
+
+    const restricted = coupon.applicableProducts.length > 0 || coupon.applicableCategories.length > 0;
+    const eligible = restricted
+      ? lines.filter(l =>
+        coupon.applicableProducts.includes(l.productId) ||
+        coupon.applicableCategories.includes(l.categoryId))
+      : lines;
+
+    if (eligible.length === 0) return this.reject('NOT_APPLICABLE');
+
+    const eligibleSubtotal = roundAmount(eligible.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+    let discount = 0;
+    let freeDelivery = false;
+
+    switch (coupon.discountType) {
+      case 'PERCENTAGE':
+        discount = (eligibleSubtotal * coupon.discountValue) / 100;
+        if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+        break;
+      case 'FIXED_AMOUNT':
+        discount = Math.min(coupon.discountValue, eligibleSubtotal);
+        break;
+      case 'FREE_SHIPPING':
+        if (deliveryFee === undefined) return this.reject('DELIVERY_ONLY');
+        discount = deliveryFee;
+        freeDelivery = true;
+        break;
+      case 'BUY_X_GET_Y':
+      case 'BOGO': {
+        const buy = coupon.discountType === 'BOGO' ? 1 : (coupon.buyQuantity || 1);
+        const get = coupon.discountType === 'BOGO' ? 1 : (coupon.getQuantity || 1);
+        for (const line of eligible) {
+          const freeUnits = Math.floor(line.quantity / (buy + get)) * get;
+          discount += freeUnits * line.unitPrice;
+        }
+        if (discount === 0) {
+          return this.reject('NOT_APPLICABLE', { buyQuantity: buy, getQuantity: get });
+        }
+        break;
+      }
+    }
+
+    return {
+      valid: true,
+      coupon,
+      discount: roundAmount(discount),
+      freeDelivery,
+      subtotal,
+      eligibleSubtotal,
+      eligibleProducts: eligible.map(l => l.productId)
+    };
+  }
+
+  // evaluate() for billing: throws instead of returning a rejection
+  async apply(tx, code, basket) {
+    const result = await this.evaluate(tx, code, basket);
+
+    if (!result.valid) {
+      const { message, ...details } = result;
+      throw new AppError(message, 400, details);
+    }
+
+    return result;
+  }
+
+  // Record a redemption inside the billing transaction. The usedCount bump is
+  // conditional and takes the coupon row lock, so concurrent redemptions of
+  // the last use (or by the same customer) queue up and only one wins.
+  async recordUsage(tx, coupon, { customerId, saleId, orderId, discountAmount }) {
+    const { count } = await tx.coupon.updateMany({
+      where: {
+        id: coupon.id,
+        ...(coupon.usageLimit !== null && { usedCount: { lt: coupon.usageLimit } })
+      },
+      data: { usedCount: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      throw new AppError(REASONS.USAGE_LIMIT_REACHED, 409, { reason: 'USAGE_LIMIT_REACHED' });
+    }
+
+    if (customerId && coupon.perUserLimit) {
+      const used = await tx.couponUsage.count({
+        where: { couponId: coupon.id, customerId }
+      });
+      if (used >= coupon.perUserLimit) {
+        throw new AppError(REASONS.PER_USER_LIMIT_REACHED, 409, { reason: 'PER_USER_LIMIT_REACHED' });
+      }
+    }
+
+    return tx.couponUsage.create({
+      data: {
+        couponId: coupon.id,
+        customerId,
+        saleId,
+        orderId,
+        discountAmount
+      }
+    });
+  }
+
+  // Give a redemption back when its sale is voided or order cancelled
+  async releaseUsage(tx, { saleId, orderId }) {
+    const usages = await tx.couponUsage.findMany({
+      where: saleId ? { saleId } : { orderId }
+    });
+
+    for (const usage of usages) {
+      await tx.couponUsage.delete({ where: { id: usage.id } });
+      await tx.coupon.update({
+        where: { id: usage.couponId },
+        data: { usedCount: { decrement: 1 } }
+      });
+    }
+
+    return usages.length;
+  }
+}
+
+module.exports = new CouponService();
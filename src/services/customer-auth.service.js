@@ -0,0 +1,162 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+const { generateOTP } = require('../utils/helpers');
+const notificationService = require('./notification.service');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const RESEND_AFTER_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+const MAX_ATTEMPTS = 5;
+
+// Fields a customer sees of their own account
+const PROFILE_SELECT = {
+  id: true,
+  name: true,
+  phone: true,
+  email: true,
+  preferredLanguage: true,
+  isVerified: true,
+  loyaltyPoints: true,
+  walletBalance: true,
+  totalOrders: true,
+  totalSpent: true,
+  createdAt: true
+};
+
+class CustomerAuthService {
+  get profileSelect() {
+    return PROFILE_SELECT;
+  }
+
+  // Tokens for the shopping app. They carry type 'customer' so staff
+  // routes can turn them away.
+  sign(customer) {
+    return jwt.sign(
+      { id: customer.id, phone: customer.phone, type: 'customer' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.CUSTOMER_JWT_EXPIRE || '30d' }
+    );
+  }
+
+  // Text a fresh sign-in code to a phone. Older codes stop working, and a
+  // phone can only ask again after a short wait and a few times an hour.
+  async requestOtp(client, phone) {
+    const now = new Date();
+
+    const [latest, recent] = await Promise.all([
+      client.customerOtp.findFirst({
+        where: { phone },
+        orderBy: { createdAt: 'desc' }
+      }),
+      client.customerOtp.count({
+        where: { phone, createdAt: { gte: new Date(now.getTime() - 60 * 60 * 1000) } }
+      })
+    ]);
+
+    if (latest) {
+      const wait = Math.ceil((latest.createdAt.getTime() + RESEND_AFTER_SECONDS * 1000 - now.getTime()) / 1000);
+      if (wait > 0) {
+        throw new AppError('Please wait before asking for another code', 429, { retryAfter: wait });
+      }
+    }
+
+    if (recent >= MAX_CODES_PER_HOUR) {
+      throw new AppError('Too many codes requested, please try again later', 429);
+    }
+
+    const code = generateOTP(OTP_LENGTH);
+    const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+    await client.customerOtp.updateMany({
+      where: { phone, consumedAt: null },
+      data: { consumedAt: now }
+    });
+
+    const otp = await client.customerOtp.create({
+      data: {
+        phone,
+        codeHash: await bcrypt.hash(code, 10),
+        expiresAt
+      }
+    });
+
+    const notification = await notificationService.sendOtp(client, phone, code, { event: 'LOGIN_OTP' });
+
+    if (notification.status !== 'SENT') {
+      await client.customerOtp.delete({ where: { id: otp.id } });
+      throw new AppError('Code could not be sent', 502);
+    }
+
+    return { expiresAt };
+  }
+
+  // Check a sign-in code and return a token. A phone that is not a
+  // customer yet signs up here, which needs a name.
+  async verifyOtp(client, { phone, code, name, email }) {
+    const now = new Date();
+
+    const otp = await client.customerOtp.findFirst({
+      where: { phone, consumedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!otp || otp.expiresAt <= now) {
+      throw new AppError('Code expired or not requested');
+    }
+
+    if (otp.attempts >= MAX_ATTEMPTS) {
+      throw new AppError('Too many wrong attempts, please request a new code', 429);
+    }
+
+    if (!(await bcrypt.compare(String(code), otp.codeHash))) {
+      await client.customerOtp.update({
+        where: { id: otp.id },
+        data: { attempts: { increment: 1 } }
+      });
+      throw new AppError('Invalid code', 400, { attemptsLeft: MAX_ATTEMPTS - otp.attempts - 1 });
+    }
+
+    let customer = await client.customer.findUnique({ where: { phone } });
+
+    if (!customer && !name) {
+      throw new AppError('Name required to sign up', 400, { signupRequired: true });
+    }
+
+    // A code signs in once, even if two requests race with it
+    const { count } = await client.customerOtp.updateMany({
+      where: { id: otp.id, consumedAt: null },
+      data: { consumedAt: now }
+    });
+
+    if (count === 0) {
+      throw new AppError('Code already used');
+    }
+
+    const isNew = !customer;
+    if (isNew) {
+      try {
+        customer = await client.customer.create({
+          data: { phone, name, email, isVerified: true, lastLogin: now },
+          select: PROFILE_SELECT
+        });
+      } catch (error) {
+        if (error.code === 'P2002') {
+          throw new AppError('Email already belongs to another customer');
+        }
+        throw error;
+      }
+    } else {
+      customer = await client.customer.update({
+        where: { id: customer.id },
+        data: { isVerified: true, lastLogin: now },
+        select: PROFILE_SELECT
+      });
+    }
+
+    return { token: this.sign(customer), customer, isNew };
+  }
+}
+
+module.exports = new CustomerAuthService();
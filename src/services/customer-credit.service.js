@@ -0,0 +1,451 @@
+const bcrypt = require('bcryptjs');
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const sequenceService = require('./sequence.service');
+const supplierLedgerService = require('./supplier-ledger.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tenders dues can be collected in
+const COLLECTION_METHODS = ['CASH', 'UPI', 'CARD', 'ONLINE'];
+
+// Roles that may let a sale go over a customer's credit limit
+const OVERRIDE_ROLES = ['OWNER', 'MANAGER'];
+
+class CustomerCreditService {
+  get collectionMethods() {
+    return COLLECTION_METHODS;
+  }
+
+  // Change what a customer owes and write the ledger row with the new
+  // balance. The balance moves in the database first so two tills cannot
+  // both spend the last of a limit; a sale past the limit is refused unless
+  // a manager let it through.
+  async post(tx, customerId, { type, amount, saleId, paymentId, reference, description }, { allowOverLimit = false } = {}) {
+    const customer = await tx.customer.update({
+      where: { id: customerId },
+      data: {
+        creditBalance: { increment: amount }
+      }
+    });
+
+    const balance = roundAmount(customer.creditBalance);
+    const before = roundAmount(balance - amount);
+    const overLimit = amount > 0 && balance > customer.creditLimit;
+
+    if (overLimit && !allowOverLimit) {
+      throw new AppError('Credit limit exceeded', 400, {
+        overrideRequired: true,
+        creditLimit: customer.creditLimit,
+        outstanding: before,
+        requested: amount,
+        available: roundAmount(Math.max(0, customer.creditLimit - before))
+      });
+    }
+
+    if (balance < 0) {
+      throw new AppError('Payment is more than the customer owes', 400, {
+        outstanding: before
+      });
+    }
+
+    const transaction = await tx.creditTransaction.create({
+      data: {
+        customerId,
+        type,
+        amount,
+        balance,
+        saleId,
+        paymentId,
+        reference,
+        description
+      }
+    });
+
+    return { customer, transaction, overLimit };
+  }
+
+  // Check who is letting a sale go over the limit: a manager ringing it up
+  // themselves, or one who signs in at the till ({ email, password })
+  async approveOverride(client, user, override) {
+    if (override === true) {
+      if (!OVERRIDE_ROLES.includes(user.role)) {
+        throw new AppError('A manager must approve going over the credit limit', 403);
+      }
+      return { id: user.id, name: user.name, role: user.role };
+    }
+
+    const approver = override.email
+      ? await client.user.findUnique({ where: { email: override.email } })
+      : null;
+
+    if (
+      !approver ||
+      !approver.isActive ||
+      !OVERRIDE_ROLES.includes(approver.role) ||
+      !(await bcrypt.compare(override.password || '', approver.password))
+    ) {
+      throw new AppError('Manager approval failed', 403);
+    }
+
+    return { id: approver.id, name: approver.name, role: approver.role };
+  }
+
+  // Take up to `amount` off what is still owed on a sale (returns, voids).
+  // Returns the amount written off.
+  async writeOff(tx, sale, amount, { type, reference, description }) {
+    const written = roundAmount(Math.min(amount, sale.amountDue || 0));
+    if (written <= 0 || !sale.customerId) return 0;
+
+    const updated = await tx.sale.update({
+      where: { id: sale.id },
+      data: {
+        amountDue: { decrement: written }
+      }
+    });
+
+    if (updated.amountDue < -0.005) {
+      throw new AppError('Dues on this sale changed, please try again', 409);
+    }
+
+    if (updated.amountDue <= 0.005 && ['PENDING', 'PARTIAL'].includes(updated.paymentStatus)) {
+      await tx.sale.update({
+        where: { id: sale.id },
+        data: { amountDue: 0, paymentStatus: 'PAID' }
+      });
+    }
+
+    await this.post(tx, sale.customerId, {
+      type,
+      amount: -written,
+      saleId: sale.id,
+      reference,
+      description
+    });
+
+    return written;
+  }
+
+  // Split a payment over open invoices: as asked ([{ saleId, amount }]),
+  // otherwise oldest first
+  allocate(openSales, amount, requested) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+      const allocations = [];
+      let left = amount;
+      for (const sale of openSales) {
+        if (left <= 0) break;
+        const portion = roundAmount(Math.min(left, sale.amountDue));
+        allocations.push({ sale, amount: portion });
+        left = roundAmount(left - portion);
+      }
+
+      if (left > 0) {
+        throw new AppError('Payment is more than the customer owes', 400, {
+          outstanding: roundAmount(openSales.reduce((sum, s) => sum + s.amountDue, 0))
+        });
+      }
+
+      return allocations;
+    }
+
+    const seen = new Set();
+    const allocations = requested.map(entry => {
+      const sale = openSales.find(s => s.id === entry.saleId);
+      const portion = roundAmount(parseFloat(entry.amount));
+
+      if (!sale) {
+        throw new AppError('Invoice has nothing due for this customer', 400, { saleId: entry.saleId });
+      }
+      if (seen.has(sale.id)) {
+        throw new AppError(`Invoice ${sale.invoiceNo} is listed twice`);
+      }
+      seen.add(sale.id);
+
+      if (!portion || portion <= 0 || portion > roundAmount(sale.amountDue)) {
+        throw new AppError(`Only ${roundAmount(sale.amountDue)} is due on ${sale.invoiceNo}`, 400, {
+          saleId: sale.id,
+          amountDue: roundAmount(sale.amountDue),
+          requested: entry.amount
+        });
+      }
+
+      return { sale, amount: portion };
+    });
+
+    const allocated = roundAmount(allocations.reduce((sum, a) => sum + a.amount, 0));
+    if (allocated !== roundAmount(amount)) {
+      throw new AppError('Allocations must add up to the payment amount', 400, {
+        amount: roundAmount(amount),
+        allocated
+      });
+    }
+
+    return allocations;
+  }
+
+  // Collect money against a customer's dues in a store and settle the
+  // invoices it covers; fully settled invoices are marked paid
+  async collect(tx, { customerId, storeId, amount, paymentMethod, referenceNo, notes, allocations, paymentDate }, userId) {
+    const total = roundAmount(parseFloat(amount));
+    if (!total || total <= 0) {
+      throw new AppError('Valid payment amount required');
+    }
+    if (!COLLECTION_METHODS.includes(paymentMethod)) {
+      throw new AppError(`Payment method must be one of ${COLLECTION_METHODS.join(', ')}`);
+    }
+
+    const customer = await tx.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, name: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const openSales = await tx.sale.findMany({
+      where: {
+        customerId,
+        amountDue: { gt: 0 },
+        paymentStatus: { not: 'CANCELLED' }
+      },
+      select: { id: true, invoiceNo: true, saleDate: true, amountDue: true },
+      orderBy: { saleDate: 'asc' }
+    });
+
+    const lines = this.allocate(openSales, total, allocations);
+    const receiptNo = await sequenceService.next(tx, 'RECEIPT', { storeId });
+
+    const payment = await tx.customerPayment.create({
+      data: {
+        receiptNo,
+        customerId,
+        storeId,
+        amount: total,
+        paymentMethod,
+        referenceNo,
+        notes,
+        paymentDate: paymentDate ? new Date(paymentDate) : undefined,
+        receivedById: userId,
+        allocations: {
+          create: lines.map(l => ({ saleId: l.sale.id, amount: l.amount }))
+        }
+      },
+      include: {
+        allocations: {
+          include: {
+            sale: { select: { id: true, invoiceNo: true, saleDate: true, totalAmount: true } }
+          }
+        }
+      }
+    });
+
+    for (const line of lines) {
+      // Only take off what is still due, in case the invoice moved meanwhile
+      const settled = await tx.sale.updateMany({
+        where: { id: line.sale.id, amountDue: { gte: line.amount - 0.005 } },
+        data: { amountDue: { decrement: line.amount } }
+      });
+
+      if (settled.count === 0) {
+        throw new AppError(`Dues on ${line.sale.invoiceNo} changed, please try again`, 409);
+      }
+
+      const remaining = roundAmount(line.sale.amountDue - line.amount);
+      await tx.sale.update({
+        where: { id: line.sale.id },
+        data: remaining <= 0
+          ? { amountDue: 0, paymentStatus: 'PAID' }
+          : { paymentStatus: 'PARTIAL' }
+      });
+    }
+
+    const { customer: updated } = await this.post(tx, customerId, {
+      type: 'PAYMENT',
+      amount: -total,
+      paymentId: payment.id,
+      reference: receiptNo,
+      description: `Payment ${receiptNo} (${paymentMethod}) for ${lines.map(l => l.sale.invoiceNo).join(', ')}`
+    });
+
+    return { payment, balance: roundAmount(updated.creditBalance) };
+  }
+
+  // Open invoices of a customer with their age
+  openInvoices(sales, asOf = new Date()) {
+    return sales.map(sale => {
+      const ageDays = Math.max(0, Math.floor((asOf - sale.saleDate) / DAY_MS));
+      return {
+        ...sale,
+        amountDue: roundAmount(sale.amountDue),
+        ageDays,
+        bucket: supplierLedgerService.bucketFor(ageDays)
+      };
+    });
+  }
+
+  // Limit, what is owed and the invoices it is owed on
+  async account(client, customerId) {
+    const customer = await client.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, name: true, phone: true, preferredLanguage: true, creditLimit: true, creditBalance: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const sales = await client.sale.findMany({
+      where: {
+        customerId,
+        amountDue: { gt: 0 },
+        paymentStatus: { not: 'CANCELLED' }
+      },
+      select: {
+        id: true,
+        invoiceNo: true,
+        saleDate: true,
+        totalAmount: true,
+        amountDue: true,
+        paymentStatus: true,
+        store: { select: { id: true, code: true, name: true } }
+      },
+      orderBy: { saleDate: 'asc' }
+    });
+
+    const balance = roundAmount(customer.creditBalance);
+
+    return {
+      customer: { ...customer, creditBalance: balance },
+      available: roundAmount(Math.max(0, customer.creditLimit - balance)),
+      overLimit: balance > customer.creditLimit,
+      invoices: this.openInvoices(sales)
+    };
+  }
+
+  // Dated statement of what the customer owes. Movements before the start
+  // date are carried in as the balance brought forward.
+  async statement(client, customerId, { startDate, endDate } = {}) {
+    const customer = await client.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, name: true, phone: true, email: true, creditLimit: true, creditBalance: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+
+    const range = {};
+    if (from) range.gte = from;
+    if (to) range.lte = to;
+
+    const [previous, transactions] = await Promise.all([
+      from
+        ? client.creditTransaction.findFirst({
+          where: { customerId, createdAt: { lt: from } },
+          orderBy: { createdAt: 'desc' }
+        })
+        : null,
+      client.creditTransaction.findMany({
+        where: { customerId, ...(from || to ? { createdAt: range } : {}) },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    const entries = transactions.map(t => ({
+      date: t.createdAt,
+      type: t.type,
+      reference: t.reference,
+      description: t.description,
+      saleId: t.saleId,
+      paymentId: t.paymentId,
+      debit: t.amount > 0 ? t.amount : 0,
+      credit: t.amount < 0 ? -t.amount : 0,
+      balance: roundAmount(t.balance)
+    }));
+
+    const openingBalance = previous ? roundAmount(previous.balance) : 0;
+    const totalDebit = roundAmount(entries.reduce((sum, e) => sum + e.debit, 0));
+    const totalCredit = roundAmount(entries.reduce((sum, e) => sum + e.credit, 0));
+
+    return {
+      customer,
+      period: { startDate: from, endDate: to },
+      openingBalance,
+      entries,
+      summary: {
+        totalDebit,
+        totalCredit,
+        closingBalance: roundAmount(openingBalance + totalDebit - totalCredit),
+        currentBalance: roundAmount(customer.creditBalance)
+      }
+    };
+  }
+
+  // What customers owe by age of the invoice (same buckets as payables)
+  async aging(client, { customerId, storeId, asOf = new Date() } = {}) {
+    const where = {
+      amountDue: { gt: 0 },
+      paymentStatus: { not: 'CANCELLED' },
+      customerId: customerId || { not: null },
+      saleDate: { lte: asOf }
+    };
+    if (storeId) where.storeId = storeId;
+
+    const sales = await client.sale.findMany({
+      where,
+      select: {
+        id: true,
+        invoiceNo: true,
+        storeId: true,
+        saleDate: true,
+        totalAmount: true,
+        amountDue: true,
+        customer: {
+          select: { id: true, name: true, phone: true, creditLimit: true, creditBalance: true }
+        }
+      },
+      orderBy: { saleDate: 'asc' }
+    });
+
+    const byCustomer = new Map();
+    for (const invoice of this.openInvoices(sales, asOf)) {
+      const { customer, ...sale } = invoice;
+      if (!byCustomer.has(customer.id)) {
+        byCustomer.set(customer.id, {
+          customer,
+          totalDue: 0,
+          buckets: supplierLedgerService.emptyBuckets(),
+          invoices: []
+        });
+      }
+
+      const row = byCustomer.get(customer.id);
+      row.totalDue = roundAmount(row.totalDue + sale.amountDue);
+      row.buckets[sale.bucket] = roundAmount(row.buckets[sale.bucket] + sale.amountDue);
+      row.invoices.push(sale);
+    }
+
+    const rows = [...byCustomer.values()].sort((a, b) => b.totalDue - a.totalDue);
+    const buckets = supplierLedgerService.emptyBuckets();
+    rows.forEach(row => {
+      Object.keys(buckets).forEach(label => { buckets[label] = roundAmount(buckets[label] + row.buckets[label]); });
+    });
+
+    return {
+      asOf,
+      buckets: supplierLedgerService.agingBuckets,
+      customers: rows,
+      totals: {
+        customers: rows.length,
+        totalDue: roundAmount(rows.reduce((sum, r) => sum + r.totalDue, 0)),
+        buckets
+      }
+    };
+  }
+}
+
+module.exports = new CustomerCreditService();
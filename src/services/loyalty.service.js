@@ -0,0 +1,329 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const settingsService = require('./settings.service');
+const pricingService = require('./pricing.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LoyaltyService {
+  // Change a customer's points and write the ledger row with the balance
+  // after it. Points coming in open a lot that expires after
+  // loyaltyPointsExpiryDays; points going out use up the lots that expire
+  // first (points from before lots were kept never expire). A deduction
+  // only goes through if the balance covers it, unless capAtBalance asks
+  // to take what there is.
+  async post(tx, customerId, { type, points, saleId, reference, description, userId }, { capAtBalance = false } = {}) {
+    if (!Number.isInteger(points) || points === 0) return null;
+
+    let customer;
+    if (points > 0) {
+      const expiryDays = await settingsService.get('loyaltyPointsExpiryDays');
+
+      customer = await tx.customer.update({
+        where: { id: customerId },
+        data: { loyaltyPoints: { increment: points } },
+        select: { loyaltyPoints: true }
+      });
+
+      return tx.loyaltyTransaction.create({
+        data: {
+          customerId,
+          type,
+          points,
+          balance: customer.loyaltyPoints,
+          remaining: points,
+          expiresAt: expiryDays > 0 ? new Date(Date.now() + expiryDays * DAY_MS) : null,
+          saleId,
+          reference,
+          description,
+          createdById: userId
+        }
+      });
+    }
+
+    let take = -points;
+    if (capAtBalance) {
+      customer = await tx.customer.findUnique({
+        where: { id: customerId },
+        select: { loyaltyPoints: true }
+      });
+      take = Math.min(take, customer ? customer.loyaltyPoints : 0);
+      if (take <= 0) return null;
+    }
+
+    const { count } = await tx.customer.updateMany({
+      where: { id: customerId, loyaltyPoints: { gte: take } },
+      data: { loyaltyPoints: { decrement: take } }
+    });
+
+    customer = await tx.customer.findUnique({
+      where: { id: customerId },
+      select: { loyaltyPoints: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    if (count === 0) {
+      throw new AppError('Not enough loyalty points', 400, {
+        available: customer.loyaltyPoints,
+        requested: take
+      });
+    }
+
+    const lots = await tx.loyaltyTransaction.findMany({
+      where: { customerId, remaining: { gt: 0 } },
+      orderBy: [{ expiresAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }]
+    });
+
+    let left = take;
+    for (const lot of lots) {
+      if (left <= 0) break;
+      const used = Math.min(lot.remaining, left);
+      await tx.loyaltyTransaction.update({
+        where: { id: lot.id },
+        data: { remaining: { decrement: used } }
+      });
+      left -= used;
+    }
+
+    return tx.loyaltyTransaction.create({
+      data: {
+        customerId,
+        type,
+        points: -take,
+        balance: customer.loyaltyPoints,
+        saleId,
+        reference,
+        description,
+        createdById: userId
+      }
+    });
+  }
+
+  // Expire a customer's lots that have run out
+  async expireFor(tx, customerId, now = new Date()) {
+    const expired = await tx.loyaltyTransaction.aggregate({
+      where: { customerId, remaining: { gt: 0 }, expiresAt: { lte: now } },
+      _sum: { remaining: true }
+    });
+
+    const points = expired._sum.remaining || 0;
+    if (points === 0) return 0;
+
+    const entry = await this.post(tx, customerId, {
+      type: 'EXPIRE',
+      points: -points,
+      description: 'Points expired'
+    }, { capAtBalance: true });
+
+    return entry ? -entry.points : 0;
+  }
+
+  // Expire run-out points for every customer (or one), one transaction each
+  async expire(client, { customerId, now = new Date() } = {}) {
+    const due = await client.loyaltyTransaction.groupBy({
+      by: ['customerId'],
+      where: {
+        remaining: { gt: 0 },
+        expiresAt: { lte: now },
+        ...(customerId && { customerId })
+      }
+    });
+
+    let points = 0;
+    for (const { customerId: id } of due) {
+      points += await client.$transaction((tx) => this.expireFor(tx, id, now));
+    }
+
+    return { customers: due.length, points };
+  }
+
+  // Running LOYALTY_REWARD campaigns the customer qualifies for. The
+  // campaign's discountValue is its points multiplier; these campaigns give
+  // points, not discounts, so they are not counted against usage limits.
+  async rewardCampaigns(tx, customer, now = new Date()) {
+    const campaigns = await tx.campaign.findMany({
+      where: {
+        isActive: true,
+        type: 'LOYALTY_REWARD',
+        startDate: { lte: now },
+        endDate: { gte: now }
+      },
+      include: {
+        products: true,
+        categories: true,
+        customers: { where: { customerId: customer.id } }
+      }
+    });
+
+    const segment = await pricingService.customerSegment(customer);
+    const tier = await pricingService.loyaltyTier(customer);
+
+    const eligible = [];
+    for (const campaign of campaigns) {
+      const reason = await pricingService.ineligibleReason(campaign, { customer, segment, tier, now });
+      if (!reason && campaign.discountValue > 0) eligible.push(campaign);
+    }
+    return eligible;
+  }
+
+  // Points a bill earns. lines: [{ productId, categoryId, amount }] with
+  // amount what the customer pays for the line. Each line is weighted by its
+  // category's multiplier and the best reward campaign covering it.
+  async pointsFor(tx, customer, lines) {
+    const categoryIds = [...new Set(lines.map(l => l.categoryId).filter(Boolean))];
+    const categories = await tx.category.findMany({
+      where: { id: { in: categoryIds } },
+      select: { id: true, loyaltyMultiplier: true }
+    });
+    const categoryMultiplier = Object.fromEntries(categories.map(c => [c.id, c.loyaltyMultiplier]));
+
+    const campaigns = await this.rewardCampaigns(tx, customer);
+    const applied = new Set();
+
+    let weighted = 0;
+    for (const line of lines) {
+      let best = null;
+      for (const campaign of campaigns) {
+        const scoped = campaign.products.length > 0 || campaign.categories.length > 0;
+        const covers = !scoped ||
+          campaign.products.some(p => p.productId === line.productId) ||
+          campaign.categories.some(c => c.categoryId === line.categoryId);
+        if (covers && (!best || campaign.discountValue > best.discountValue)) best = campaign;
+      }
+      if (best) applied.add(best.name);
+
+      const multiplier = (categoryMultiplier[line.categoryId] ?? 1) * (best ? best.discountValue : 1);
+      weighted += line.amount * multiplier;
+    }
+
+    return {
+      points: await settingsService.loyaltyPointsFor(weighted),
+      campaigns: [...applied]
+    };
+  }
+
+  // Check a redemption at billing and work out what it is worth.
+  // billAmount is the bill before points.
+  async quote(tx, customerId, points, billAmount) {
+    if (!customerId) {
+      throw new AppError('Redeeming points needs a registered customer');
+    }
+
+    const requested = parseInt(points);
+    const {
+      loyaltyRedeemValue,
+      loyaltyMinRedeemPoints,
+      loyaltyMaxRedeemPercent
+    } = await settingsService.getAll();
+
+    if (!requested || requested < loyaltyMinRedeemPoints) {
+      throw new AppError(`At least ${loyaltyMinRedeemPoints} points must be redeemed`);
+    }
+
+    await this.expireFor(tx, customerId);
+
+    const customer = await tx.customer.findUnique({
+      where: { id: customerId },
+      select: { loyaltyPoints: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    if (requested > customer.loyaltyPoints) {
+      throw new AppError('Not enough loyalty points', 400, {
+        available: customer.loyaltyPoints,
+        requested
+      });
+    }
+
+    const value = roundAmount(requested * loyaltyRedeemValue);
+    const maxValue = roundAmount((billAmount * loyaltyMaxRedeemPercent) / 100);
+
+    if (value > maxValue) {
+      throw new AppError(`Points can pay for at most ${loyaltyMaxRedeemPercent}% of the bill`, 400, {
+        maxPoints: loyaltyRedeemValue > 0 ? Math.floor(maxValue / loyaltyRedeemValue) : 0,
+        requested
+      });
+    }
+
+    return { points: requested, value };
+  }
+
+  // Undo a share (0-1) of what a sale still has on the points ledger:
+  // earned points are taken back and redeemed points given back. A void
+  // undoes all of it; a return its share of what is left.
+  async reverse(tx, sale, share, { reference, description, userId }) {
+    if (!sale.customerId) return null;
+
+    const net = await tx.loyaltyTransaction.aggregate({
+      where: { saleId: sale.id },
+      _sum: { points: true }
+    });
+
+    const points = -Math.round((net._sum.points || 0) * Math.min(share, 1));
+
+    return this.post(tx, sale.customerId, {
+      type: 'REVERSAL',
+      points,
+      saleId: sale.id,
+      reference,
+      description,
+      userId
+    }, { capAtBalance: true });
+  }
+
+  // Points, tier and what they are worth, with the ledger newest first
+  async account(client, customerId, { page = 1, limit = 20 } = {}) {
+    await client.$transaction((tx) => this.expireFor(tx, customerId));
+
+    const customer = await client.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, name: true, phone: true, loyaltyPoints: true, totalSpent: true, totalOrders: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const now = new Date();
+    const soon = new Date(now.getTime() + 30 * DAY_MS);
+
+    const [settings, tier, transactions, total, expiring] = await Promise.all([
+      settingsService.getAll(),
+      pricingService.loyaltyTier(customer),
+      client.loyaltyTransaction.findMany({
+        where: { customerId },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      client.loyaltyTransaction.count({ where: { customerId } }),
+      client.loyaltyTransaction.aggregate({
+        where: { customerId, remaining: { gt: 0 }, expiresAt: { gt: now, lte: soon } },
+        _sum: { remaining: true }
+      })
+    ]);
+
+    return {
+      customer: { ...customer, tier },
+      pointsValue: roundAmount(customer.loyaltyPoints * settings.loyaltyRedeemValue),
+      expiringIn30Days: expiring._sum.remaining || 0,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    };
+  }
+}
+
+module.exports = new LoyaltyService();
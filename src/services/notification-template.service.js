@@ -0,0 +1,239 @@
+const { AppError } = require('../middleware/errorHandler');
+const settingsService = require('./settings.service');
+
+// Variables each event fills in; templates may use any of them
+const VARIABLES = {
+  OTP: ['code', 'minutes'],
+  SALE_RECEIPT: ['customerName', 'invoiceNo', 'totalAmount', 'paymentMethod', 'date', 'storeName'],
+  ORDER_CONFIRMED: ['customerName', 'orderNumber', 'totalAmount', 'deliveryDate', 'deliverySlot', 'trackingUrl', 'storeName'],
+  PAYMENT_REMINDER: ['customerName', 'amount', 'date', 'payUrl'],
+  LOW_STOCK: ['productName', 'currentStock', 'minStockLevel', 'unit', 'storeName', 'inventoryUrl'],
+  CAMPAIGN: ['customerName', 'campaignName', 'description', 'endDate', 'shopUrl'],
+  TEST: []
+};
+
+const emailLayout = (title, content, colour = '#1B4D3E') => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <div style="background-color: ${colour}; color: white; padding: 20px; text-align: center;">
+      <h1>FRUGANO</h1>
+      <p>${title}</p>
+    </div>
+    <div style="padding: 20px;">${content}</div>
+  </div>
+`;
+
+// Built-in English text, used until a template is saved for the event
+const DEFAULTS = {
+  OTP: {
+    SMS: {
+      body: 'FRUGANO: Your verification code is {{code}}. This code will expire in {{minutes}} minutes. Do not share this code with anyone.'
+    }
+  },
+  SALE_RECEIPT: {
+    SMS: {
+      body: 'FRUGANO: Thank you for shopping with us, {{customerName}}! Invoice #{{invoiceNo}}, total ₹{{totalAmount}}.'
+    },
+    WHATSAPP: {
+      body: 'FRUGANO: Thank you for shopping with us, {{customerName}}! Invoice #{{invoiceNo}}, total ₹{{totalAmount}}.'
+    },
+    EMAIL: {
+      subject: 'Invoice #{{invoiceNo}} from Frugano',
+      body: 'Invoice #{{invoiceNo}} dated {{date}}: total ₹{{totalAmount}}, paid by {{paymentMethod}}. Thank you for shopping with Frugano.',
+      html: emailLayout('Freshness Delivered Daily', `
+        <h2>Invoice #{{invoiceNo}}</h2>
+        <p>Dear {{customerName}},</p>
+        <p>Thank you for shopping with Frugano.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3>Order Summary</h3>
+          <p><strong>Date:</strong> {{date}}</p>
+          <p><strong>Total Amount:</strong> ₹{{totalAmount}}</p>
+          <p><strong>Payment Method:</strong> {{paymentMethod}}</p>
+        </div>
+        <p>If you have any questions, please contact us at support@frugano.com</p>
+      `)
+    }
+  },
+  ORDER_CONFIRMED: {
+    SMS: {
+      body: 'FRUGANO: Order #{{orderNumber}} confirmed! Total ₹{{totalAmount}}. Expected delivery: {{deliveryDate}} {{deliverySlot}}. Track your order: {{trackingUrl}}'
+    },
+    WHATSAPP: {
+      body: 'FRUGANO: Order #{{orderNumber}} confirmed! Total ₹{{totalAmount}}. Expected delivery: {{deliveryDate}} {{deliverySlot}}. Track your order: {{trackingUrl}}'
+    },
+    EMAIL: {
+      subject: 'Order #{{orderNumber}} confirmed',
+      body: 'Your order #{{orderNumber}} is confirmed. Total ₹{{totalAmount}}. Expected delivery: {{deliveryDate}} {{deliverySlot}}. Track it at {{trackingUrl}}',
+      html: emailLayout('Order Confirmed', `
+        <p>Dear {{customerName}},</p>
+        <p>Your order <strong>#{{orderNumber}}</strong> is confirmed.</p>
+        <p><strong>Total:</strong> ₹{{totalAmount}}<br><strong>Expected delivery:</strong> {{deliveryDate}} {{deliverySlot}}</p>
+        <p><a href="{{trackingUrl}}">Track your order</a></p>
+      `)
+    }
+  },
+  PAYMENT_REMINDER: {
+    SMS: {
+      body: 'FRUGANO: Payment reminder. Amount due: ₹{{amount}} as of {{date}}. Pay now: {{payUrl}}'
+    },
+    WHATSAPP: {
+      body: 'FRUGANO: Payment reminder. Amount due: ₹{{amount}} as of {{date}}. Pay now: {{payUrl}}'
+    }
+  },
+  LOW_STOCK: {
+    EMAIL: {
+      subject: 'Low Stock Alert - {{productName}} at {{storeName}}',
+      body: '{{productName}} is running low at {{storeName}}: {{currentStock}} {{unit}} left, minimum {{minStockLevel}} {{unit}}. Please reorder soon.',
+      html: emailLayout('Low Stock Alert', `
+        <p>The following product is running low at {{storeName}}:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr style="background-color: #f5f5f5;">
+            <th style="padding: 10px; text-align: left;">Product</th>
+            <th style="padding: 10px; text-align: left;">Current Stock</th>
+            <th style="padding: 10px; text-align: left;">Min Level</th>
+          </tr>
+          <tr>
+            <td style="padding: 10px;">{{productName}}</td>
+            <td style="padding: 10px;">{{currentStock}} {{unit}}</td>
+            <td style="padding: 10px; color: #FF4F4F;">{{minStockLevel}} {{unit}}</td>
+          </tr>
+        </table>
+        <p>Please reorder soon to avoid stockouts.</p>
+        <p><a href="{{inventoryUrl}}">View Inventory</a></p>
+      `, '#FF4F4F')
+    }
+  },
+  CAMPAIGN: {
+    SMS: {
+      body: 'FRUGANO: {{campaignName}}! {{description}} Valid till {{endDate}}. Shop now: {{shopUrl}} Reply STOP to opt out.'
+    },
+    WHATSAPP: {
+      body: 'FRUGANO: {{campaignName}}! {{description}} Valid till {{endDate}}. Shop now: {{shopUrl}} Reply STOP to opt out.'
+    },
+    EMAIL: {
+      subject: '{{campaignName}} at Frugano',
+      body: '{{campaignName}}: {{description}} Valid till {{endDate}}. Shop now at {{shopUrl}}',
+      html: emailLayout('Freshness Delivered Daily', `
+        <p>Dear {{customerName}},</p>
+        <h2>{{campaignName}}</h2>
+        <p>{{description}}</p>
+        <p>Valid till {{endDate}}.</p>
+        <p><a href="{{shopUrl}}">Shop now</a></p>
+        <p style="color: #888; font-size: 12px;">You are receiving this because you agreed to hear about offers. Change this any time in the Frugano app.</p>
+      `)
+    }
+  },
+  TEST: {
+    SMS: { body: 'FRUGANO: This is a test message. Your notification settings work.' },
+    WHATSAPP: { body: 'FRUGANO: This is a test message. Your notification settings work.' },
+    EMAIL: {
+      subject: 'Frugano test message',
+      body: 'This is a test message. Your notification settings work.'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+class NotificationTemplateService {
+  get variables() {
+    return VARIABLES;
+  }
+
+  // Fill {{name}} placeholders; missing values leave nothing behind
+  render(text, variables, { html = false } = {}) {
+    if (!text) return text;
+    return text.replace(PLACEHOLDER, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) return '';
+      return html ? escapeHtml(value) : String(value);
+    }).replace(/ {2,}/g, ' ');
+  }
+
+  // Template for an event in the wanted language, falling back to the
+  // store's default language and then the built-in English text
+  async resolve(client, event, channel, language) {
+    const defaultLanguage = await settingsService.get('notificationLanguage');
+    const languages = [...new Set([language, defaultLanguage, 'en'].filter(Boolean))];
+
+    const saved = await client.notificationTemplate.findMany({
+      where: { event, channel, language: { in: languages }, isActive: true }
+    });
+
+    for (const lang of languages) {
+      const template = saved.find(t => t.language === lang);
+      if (template) return template;
+    }
+
+    const builtIn = DEFAULTS[event] && DEFAULTS[event][channel];
+    if (!builtIn) {
+      throw new AppError(`No ${channel} template for ${event}`, 404);
+    }
+
+    return { event, channel, language: 'en', subject: null, html: null, ...builtIn, builtIn: true };
+  }
+
+  // Rendered subject, body and html for a message
+  async compose(client, { event, channel, language, variables = {} }) {
+    const template = await this.resolve(client, event, channel, language);
+
+    return {
+      language: template.language,
+      subject: this.render(template.subject, variables),
+      body: this.render(template.body, variables),
+      html: this.render(template.html, variables, { html: true })
+    };
+  }
+
+  // Every event and channel with the built-in text and any saved variants
+  async list(client) {
+    const saved = await client.notificationTemplate.findMany({
+      include: { updatedBy: { select: { id: true, name: true } } },
+      orderBy: [{ event: 'asc' }, { channel: 'asc' }, { language: 'asc' }]
+    });
+
+    return Object.entries(DEFAULTS).flatMap(([event, channels]) => Object.entries(channels).map(([channel, builtIn]) => ({
+      event,
+      channel,
+      variables: VARIABLES[event],
+      builtIn,
+      templates: saved.filter(t => t.event === event && t.channel === channel)
+    })));
+  }
+
+  // Check a template only uses variables its event provides
+  validate(event, { subject, body, html }) {
+    if (!VARIABLES[event]) {
+      throw new AppError(`Unknown event ${event}`, 400, { events: Object.keys(VARIABLES) });
+    }
+
+    const used = [subject, body, html]
+      .filter(Boolean)
+      .flatMap(text => [...text.matchAll(PLACEHOLDER)].map(m => m[1]));
+    const unknown = [...new Set(used.filter(name => !VARIABLES[event].includes(name)))];
+
+    if (unknown.length > 0) {
+      throw new AppError('Template uses unknown variables', 400, {
+        unknown,
+        allowed: VARIABLES[event]
+      });
+    }
+  }
+
+  async save(client, { event, channel, language, subject, body, html, isActive = true }, userId) {
+    this.validate(event, { subject, body, html });
+
+    return client.notificationTemplate.upsert({
+      where: { event_channel_language: { event, channel, language } },
+      create: { event, channel, language, subject, body, html, isActive, updatedById: userId },
+      update: { subject, body, html, isActive, updatedById: userId }
+    });
+  }
+}
+
+module.exports = new NotificationTemplateService();
@@ -0,0 +1,548 @@
+const { AppError } = require('../middleware/errorHandler');
+const settingsService = require('./settings.service');
+const templateService = require('./notification-template.service');
+const consentService = require('./consent.service');
+const twilioProvider = require('./providers/twilio.provider');
+const metaWhatsAppProvider = require('./providers/meta-whatsapp.provider');
+const smtpProvider = require('./providers/smtp.provider');
+const sandboxProvider = require('./providers/sandbox.provider');
+
+const CHANNELS = ['SMS', 'WHATSAPP', 'EMAIL'];
+
+// Provider used for a channel when <CHANNEL>_PROVIDER is not set: the
+// real one once its credentials are there. Outside production the sandbox
+// stands in; in production the channel is left unconfigured rather than
+// pretending messages went out.
+const sandboxFallback = () => (process.env.NODE_ENV === 'production' ? null : 'sandbox');
+
+const DEFAULT_PROVIDERS = {
+  SMS: () => (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : sandboxFallback()),
+  WHATSAPP: () => (process.env.WHATSAPP_ACCESS_TOKEN ? 'meta' : sandboxFallback()),
+  EMAIL: () => (process.env.SMTP_HOST || process.env.SMTP_USER ? 'smtp' : sandboxFallback())
+};
+
+// Statuses a provider report may move a notification out of; reports can
+// arrive out of order and must not undo a later status
+const STATUS_FROM = {
+  SENT: ['SENDING'],
+  DELIVERED: ['SENDING', 'SENT'],
+  FAILED: ['SENDING', 'SENT']
+};
+
+// A send that has not finished after this long is taken to have died with
+// its process and is tried again
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const OTP_MINUTES = 10;
+
+// Kind of message each template is, for the customer's preferences.
+// Sign-in codes are only sent when asked for and are never held back.
+const CATEGORIES = {
+  OTP: null,
+  CAMPAIGN: 'PROMOTIONAL'
+};
+
+const categoryOf = (template) => (template in CATEGORIES ? CATEGORIES[template] : 'TRANSACTIONAL');
+
+const maxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const retryBaseSeconds = () => parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+
+const amount = (value) => Number(value).toFixed(2);
+const day = (date) => new Date(date).toLocaleDateString();
+
+class NotificationService {
+  constructor() {
+    this.providers = {};
+    this.timer = null;
+    this.running = null;
+    this.again = false;
+    [twilioProvider, metaWhatsAppProvider, smtpProvider, sandboxProvider].forEach(p => this.registerProvider(p));
+  }
+
+  get channels() {
+    return CHANNELS;
+  }
+
+  // Add or replace a provider. A provider has a name, the channels it
+  // serves, send({ channel, to, subject, body, html, attachments }) that
+  // resolves to { id } and, optionally, parseStatus(webhookPayload) and
+  // parseInbound(webhookPayload) for replies ([{ channel, from, text }]).
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  // The provider serving a channel, or null when none is configured
+  providerFor(channel) {
+    const name = process.env[`${channel}_PROVIDER`] || DEFAULT_PROVIDERS[channel]();
+    if (!name) return null;
+
+    const provider = this.providers[name];
+
+    if (!provider || !provider.channels.includes(channel)) {
+      throw new AppError(`No ${channel} provider named ${name}`, 500);
+    }
+
+    return provider;
+  }
+
+  configured(channel) {
+    return this.providerFor(channel) !== null;
+  }
+
+  // Write a message to the outbox. Pass the business transaction so the
+  // message exists exactly when the sale, order, ... it is about does;
+  // the worker sends it once that transaction has committed. A message the
+  // customer has opted out of is written as SUPPRESSED, with the reason,
+  // and one for a channel without a provider as NOT_CONFIGURED.
+  async enqueue(client, { channel, to, template, event, variables, language, reference, customerId, storeId, attempts }) {
+    const provider = this.providerFor(channel);
+    const category = categoryOf(template || event);
+    const [message, suppressedReason] = await Promise.all([
+      templateService.compose(client, { event: template || event, channel, language, variables }),
+      consentService.suppressionReason(client, { channel, to, customerId, category })
+    ]);
+
+    const status = suppressedReason
+      ? { status: 'SUPPRESSED', suppressedReason }
+      : !provider && { status: 'NOT_CONFIGURED', error: `No ${channel} provider configured` };
+
+    return client.notification.create({
+      data: {
+        channel,
+        provider: provider ? provider.name : 'none',
+        recipient: to,
+        event,
+        language: message.language,
+        category: category || 'TRANSACTIONAL',
+        subject: message.subject,
+        body: message.body,
+        html: message.html,
+        maxAttempts: attempts || maxAttempts(),
+        reference,
+        customerId,
+        storeId,
+        ...status
+      }
+    });
+  }
+
+  // Make one delivery attempt. The row is claimed first so the worker and
+  // an inline send never both deliver it. A failure is retried after a
+  // doubling wait until maxAttempts, then the message is dead-lettered.
+  // override replaces the stored text for this attempt only (OTPs).
+  async deliver(client, notification, override = {}) {
+    const now = new Date();
+
+    const { count } = await client.notification.updateMany({
+      where: { id: notification.id, status: 'PENDING' },
+      data: { status: 'SENDING', lockedAt: now, attempts: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      return client.notification.findUnique({ where: { id: notification.id } });
+    }
+
+    const claimed = await client.notification.findUnique({ where: { id: notification.id } });
+    const provider = this.providers[claimed.provider];
+
+    try {
+      if (!provider) {
+        throw new Error(`Provider ${claimed.provider} is not registered`);
+      }
+
+      const { id } = await provider.send({
+        channel: claimed.channel,
+        to: claimed.recipient,
+        subject: claimed.subject,
+        body: override.body || claimed.body,
+        html: claimed.html
+      });
+
+      return client.notification.update({
+        where: { id: claimed.id },
+        data: {
+          status: 'SENT',
+          providerMessageId: id,
+          sentAt: new Date(),
+          lockedAt: null,
+          error: null
+        }
+      });
+    } catch (error) {
+      console.error(`${claimed.channel} send error (${claimed.provider}):`, error.message);
+
+      const dead = claimed.attempts >= claimed.maxAttempts;
+      const wait = retryBaseSeconds() * 2 ** (claimed.attempts - 1) * 1000;
+
+      return client.notification.update({
+        where: { id: claimed.id },
+        data: {
+          status: dead ? 'DEAD' : 'PENDING',
+          lockedAt: null,
+          error: String(error.message).slice(0, 500),
+          ...(!dead && { nextAttemptAt: new Date(Date.now() + wait) })
+        }
+      });
+    }
+  }
+
+  // Write a message and try it straight away, for staff actions that want
+  // to know how it went. Failures are recorded on the row, not thrown.
+  async send(client, message) {
+    return this.deliver(client, await this.enqueue(client, message));
+  }
+
+  // Deliver messages that are due. Sends left hanging by a crashed process
+  // go back in the queue first (the provider may have got them, so a
+  // message can, rarely, arrive twice).
+  async processDue(client, { limit = 50 } = {}) {
+    await client.notification.updateMany({
+      where: { status: 'SENDING', lockedAt: { lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      data: { status: 'PENDING', lockedAt: null }
+    });
+
+    const due = await client.notification.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: limit
+    });
+
+    const result = { processed: due.length, sent: 0, retrying: 0, dead: 0, suppressed: 0 };
+    for (const notification of due) {
+      // The customer may have opted out while the message waited
+      const suppressedReason = await consentService.suppressionReason(client, {
+        channel: notification.channel,
+        to: notification.recipient,
+        customerId: notification.customerId,
+        category: notification.category
+      });
+
+      if (suppressedReason) {
+        const { count } = await client.notification.updateMany({
+          where: { id: notification.id, status: 'PENDING' },
+          data: { status: 'SUPPRESSED', suppressedReason }
+        });
+        result.suppressed += count;
+        continue;
+      }
+
+      const { status } = await this.deliver(client, notification);
+      if (status === 'SENT') result.sent++;
+      else if (status === 'PENDING') result.retrying++;
+      else if (status === 'DEAD') result.dead++;
+    }
+
+    return result;
+  }
+
+  // Run the outbox now, in the background. Called after a commit that
+  // queued messages; a call during a run makes it go round once more.
+  kick(client) {
+    if (this.running) {
+      this.again = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      do {
+        this.again = false;
+        await this.processDue(client);
+      } while (this.again);
+    })()
+      .catch(error => console.error('Notification worker error:', error.message))
+      .finally(() => { this.running = null; });
+
+    return this.running;
+  }
+
+  // Poll the outbox for retries and anything a kick missed
+  startWorker(client, intervalMs = parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS) || 15000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.kick(client), intervalMs);
+    this.timer.unref();
+  }
+
+  stopWorker() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Put a dead or failed message back in the queue with fresh attempts.
+  // Suppressed messages stay suppressed.
+  async retry(client, id) {
+    const notification = await client.notification.findUnique({ where: { id } });
+
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    // Goes out through whichever provider serves the channel now
+    const provider = this.providerFor(notification.channel);
+    if (!provider) {
+      throw new AppError(`No ${notification.channel} provider configured`, 503);
+    }
+
+    const { count } = await client.notification.updateMany({
+      where: { id, status: { in: ['DEAD', 'FAILED', 'NOT_CONFIGURED'] } },
+      data: { status: 'PENDING', provider: provider.name, attempts: 0, nextAttemptAt: new Date(), error: null }
+    });
+
+    if (count === 0) {
+      throw new AppError('Only dead, failed or unconfigured notifications can be retried');
+    }
+
+    return client.notification.findUnique({ where: { id } });
+  }
+
+  // Apply a provider's delivery report; returns how many rows it moved
+  async recordStatus(client, providerName, payload) {
+    const provider = this.providers[providerName];
+
+    if (!provider || !provider.parseStatus) {
+      throw new AppError('Unknown notification provider', 404);
+    }
+
+    let updated = 0;
+    for (const report of provider.parseStatus(payload)) {
+      if (!STATUS_FROM[report.status]) continue;
+
+      const { count } = await client.notification.updateMany({
+        where: {
+          provider: provider.name,
+          providerMessageId: report.id,
+          status: { in: STATUS_FROM[report.status] }
+        },
+        data: {
+          status: report.status,
+          ...(report.status === 'DELIVERED' && { deliveredAt: new Date() }),
+          ...(report.error && { error: report.error })
+        }
+      });
+      updated += count;
+    }
+
+    return updated;
+  }
+
+  // Act on customers' replies (STOP, START, ...) in a provider webhook
+  async recordInbound(client, providerName, payload) {
+    const provider = this.providers[providerName];
+
+    if (!provider) {
+      throw new AppError('Unknown notification provider', 404);
+    }
+
+    if (!provider.parseInbound) return [];
+
+    const handled = [];
+    for (const message of provider.parseInbound(payload)) {
+      const result = await consentService.keyword(client, message);
+      if (result) handled.push(result);
+    }
+
+    return handled;
+  }
+
+  // Channel customers hear from the store on, or null when turned off
+  async customerChannel() {
+    const channel = await settingsService.get('customerNotificationChannel');
+    return channel === 'NONE' ? null : channel;
+  }
+
+  // Text a one-time code. It goes out inline with a single attempt (a late
+  // code is no use) and the stored copy has the code masked.
+  async sendOtp(client, phone, code, { event = 'OTP', language, reference, customerId, storeId } = {}) {
+    const message = { channel: 'SMS', to: phone, template: 'OTP', event, language, reference, customerId, storeId };
+
+    const notification = await this.enqueue(client, {
+      ...message,
+      variables: { code: '*'.repeat(String(code).length), minutes: OTP_MINUTES },
+      attempts: 1
+    });
+
+    const { body } = await templateService.compose(client, {
+      event: 'OTP',
+      channel: 'SMS',
+      language: notification.language,
+      variables: { code, minutes: OTP_MINUTES }
+    });
+
+    return this.deliver(client, notification, { body });
+  }
+
+  // Queue the thank-you message for a POS bill, and the invoice by email
+  // when the store emails invoices and the customer has an address
+  async saleReceipt(tx, sale) {
+    const [channel, emailInvoice, customer, store] = await Promise.all([
+      this.customerChannel(),
+      settingsService.get('emailInvoice'),
+      sale.customerId
+        ? tx.customer.findUnique({ where: { id: sale.customerId }, select: { email: true, preferredLanguage: true } })
+        : null,
+      tx.store.findUnique({ where: { id: sale.storeId }, select: { name: true } })
+    ]);
+
+    const message = {
+      template: 'SALE_RECEIPT',
+      event: 'SALE_RECEIPT',
+      language: customer && customer.preferredLanguage,
+      variables: {
+        customerName: sale.customerName || 'Customer',
+        invoiceNo: sale.invoiceNo,
+        totalAmount: amount(sale.totalAmount),
+        paymentMethod: sale.paymentMethod,
+        date: day(sale.saleDate || sale.createdAt || new Date()),
+        storeName: store && store.name
+      },
+      reference: sale.id,
+      customerId: sale.customerId,
+      storeId: sale.storeId
+    };
+
+    const queued = [];
+    if (channel && sale.customerPhone) {
+      queued.push(await this.enqueue(tx, { ...message, channel, to: sale.customerPhone }));
+    }
+    if (emailInvoice && customer && customer.email) {
+      queued.push(await this.enqueue(tx, { ...message, channel: 'EMAIL', to: customer.email }));
+    }
+
+    return queued;
+  }
+
+  // Queue the message telling a customer their online order is confirmed.
+  // order.customer needs id, name, phone and preferredLanguage.
+  async orderConfirmation(tx, order) {
+    const channel = await this.customerChannel();
+    if (!channel || !order.customer) return null;
+
+    const store = await tx.store.findUnique({ where: { id: order.storeId }, select: { name: true } });
+
+    return this.enqueue(tx, {
+      channel,
+      to: order.customer.phone,
+      template: 'ORDER_CONFIRMED',
+      event: 'ORDER_CONFIRMED',
+      language: order.customer.preferredLanguage,
+      variables: {
+        customerName: order.customer.name,
+        orderNumber: order.orderNumber,
+        totalAmount: amount(order.totalAmount),
+        deliveryDate: order.deliveryDate ? day(order.deliveryDate) : '',
+        deliverySlot: order.deliverySlot || '',
+        trackingUrl: `${process.env.FRONTEND_URL}/track/${order.id}`,
+        storeName: store && store.name
+      },
+      reference: order.id,
+      customerId: order.customer.id,
+      storeId: order.storeId
+    });
+  }
+
+  // Remind a customer what they owe on credit. Sent straight away for the
+  // staff member asking; a failed send stays queued for retry.
+  async paymentReminder(client, customer, due) {
+    return this.send(client, {
+      channel: 'SMS',
+      to: customer.phone,
+      template: 'PAYMENT_REMINDER',
+      event: 'PAYMENT_REMINDER',
+      language: customer.preferredLanguage,
+      variables: {
+        customerName: customer.name,
+        amount: amount(due),
+        date: day(new Date()),
+        payUrl: `${process.env.FRONTEND_URL}/payments`
+      },
+      reference: customer.id,
+      customerId: customer.id
+    });
+  }
+
+  // Queue a campaign offer to one customer. It is promotional, so it is
+  // held back (SUPPRESSED) unless they agreed to offers on the channel.
+  // Returns null when the customer has no address for the channel.
+  async campaignAnnouncement(client, campaign, customer, channel) {
+    const to = channel === 'EMAIL' ? customer.email : customer.phone;
+    if (!to) return null;
+
+    return this.enqueue(client, {
+      channel,
+      to,
+      template: 'CAMPAIGN',
+      event: 'CAMPAIGN',
+      language: customer.preferredLanguage,
+      variables: {
+        customerName: customer.name,
+        campaignName: campaign.name,
+        description: campaign.description || '',
+        endDate: day(campaign.endDate),
+        shopUrl: process.env.FRONTEND_URL
+      },
+      reference: campaign.id,
+      customerId: customer.id
+    });
+  }
+
+  // Queue low stock emails to the store's managers (and owners) for an
+  // alert just raised in tx. notifiedAt marks alerts already reported.
+  async lowStockAlert(tx, alert) {
+    if (!alert || alert.notifiedAt || !(await settingsService.get('lowStockEmailAlerts'))) return [];
+
+    const [{ product, store }, recipients] = await Promise.all([
+      tx.stockAlert.update({
+        where: { id: alert.id },
+        data: { notifiedAt: new Date() },
+        include: {
+          product: { select: { name: true, unit: true } },
+          store: { select: { name: true } }
+        }
+      }),
+      tx.user.findMany({
+        where: {
+          isActive: true,
+          OR: [
+            { role: 'OWNER' },
+            { role: 'MANAGER', stores: { some: { storeId: alert.storeId } } }
+          ]
+        },
+        select: { email: true }
+      })
+    ]);
+
+    const queued = [];
+    for (const { email } of recipients) {
+      queued.push(await this.enqueue(tx, {
+        channel: 'EMAIL',
+        to: email,
+        template: 'LOW_STOCK',
+        event: 'LOW_STOCK',
+        variables: {
+          productName: product.name,
+          currentStock: alert.currentStock,
+          minStockLevel: alert.minStockLevel,
+          unit: product.unit,
+          storeName: store.name,
+          inventoryUrl: `${process.env.FRONTEND_URL}/inventory`
+        },
+        reference: alert.id,
+        storeId: alert.storeId
+      }));
+    }
+
+    return queued;
+  }
+
+  // For callers that notify after their work is done: a failure to notify
+  // is logged and never fails the request
+  async quietly(label, send) {
+    try {
+      return await send();
+    } catch (error) {
+      console.error(`${label} notification error:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new NotificationService();
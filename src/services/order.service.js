@@ -0,0 +1,458 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const saleService = require('./sale.service');
+const sequenceService = require('./sequence.service');
+const settingsService = require('./settings.service');
+const couponService = require('./coupon.service');
+const pricingService = require('./pricing.service');
+const storeService = require('./store.service');
+const walletService = require('./wallet.service');
+const realtimeService = require('./realtime.service');
+
+// Allowed status moves. Anything not listed is rejected.
+const TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['PACKED', 'CANCELLED'],
+  PACKED: ['OUT_FOR_DELIVERY', 'CANCELLED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'RETURNED'],
+  DELIVERED: ['RETURNED'],
+  CANCELLED: ['REFUNDED'],
+  RETURNED: ['REFUNDED'],
+  REFUNDED: []
+};
+
+// Statuses in which the order's stock is held back from the shelf
+const RESERVED_STATUSES = ['CONFIRMED', 'PROCESSING', 'PACKED', 'OUT_FOR_DELIVERY'];
+
+const cartInclude = {
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+          image: true,
+          sellingPrice: true,
+          mrp: true,
+          taxRate: true,
+          currentStock: true,
+          isActive: true
+        }
+      }
+    },
+    orderBy: { addedAt: 'asc' }
+  }
+};
+
+class OrderService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Fetch the customer's cart, creating an empty one on first use
+  async findOrCreateCart(client, customerId, include) {
+    try {
+      return await client.cart.upsert({
+        where: { customerId },
+        create: { customerId },
+        update: {},
+        include
+      });
+    } catch (error) {
+      // Foreign key violation: no such customer
+      if (error.code === 'P2003') {
+        throw new AppError('Customer not found', 404);
+      }
+      throw error;
+    }
+  }
+
+  // Store a checkout of the cart would be fulfilled from
+  async cartStore(client, storeId) {
+    return storeId || (await storeService.defaultStore(client)).id;
+  }
+
+  // Cart with current prices; these are estimates until checkout snapshots
+  // them. Stock is that of the store checkout would reserve it in.
+  async getCart(client, customerId, storeId) {
+    const cart = await this.findOrCreateCart(client, customerId, cartInclude);
+    const fulfilFrom = await this.cartStore(client, storeId);
+    const levels = await storeService.stockLevels(client, fulfilFrom, cart.items.map(item => item.productId));
+    const storeTaxRate = await settingsService.get('taxRate');
+
+    let subtotal = 0;
+    let taxAmount = 0;
+    const items = cart.items.map(item => {
+      const lineTotal = item.product.sellingPrice * item.quantity;
+      const lineTax = (lineTotal * (item.product.taxRate ?? storeTaxRate)) / 100;
+      const currentStock = levels[item.productId] ? levels[item.productId].currentStock : 0;
+      subtotal += lineTotal;
+      taxAmount += lineTax;
+      return {
+        ...item,
+        product: { ...item.product, currentStock },
+        lineTotal: roundAmount(lineTotal),
+        taxAmount: roundAmount(lineTax),
+        available: item.product.isActive && currentStock >= item.quantity
+      };
+    });
+
+    const deliveryFee = items.length > 0 ? await settingsService.deliveryFeeFor(subtotal) : 0;
+
+    return {
+      ...cart,
+      storeId: fulfilFrom,
+      items,
+      summary: {
+        itemCount: items.length,
+        subtotal: roundAmount(subtotal),
+        taxAmount: roundAmount(taxAmount),
+        deliveryFee,
+        totalAmount: roundAmount(subtotal + taxAmount + deliveryFee)
+      }
+    };
+  }
+
+  // Add a product to the cart, or set its quantity when replace is true
+  async setCartItem(client, customerId, { productId, quantity, replace = false, storeId }) {
+    const product = await client.product.findUnique({ where: { id: productId } });
+
+    if (!product || !product.isActive) {
+      throw new AppError('Product not available', 404);
+    }
+
+    const cart = await this.findOrCreateCart(client, customerId);
+
+    const where = { cartId_productId: { cartId: cart.id, productId } };
+    const existing = await client.cartItem.findUnique({ where });
+
+    if (replace && !existing) {
+      throw new AppError('Item not in cart', 404);
+    }
+
+    const newQuantity = replace || !existing ? quantity : existing.quantity + quantity;
+    const fulfilFrom = await this.cartStore(client, storeId);
+    const stock = await storeService.stockFor(client, productId, fulfilFrom);
+
+    if (newQuantity > stock.currentStock) {
+      throw new AppError(`Only ${stock.currentStock} ${product.unit} of ${product.name} available`, 400, {
+        product: product.name,
+        available: stock.currentStock,
+        requested: newQuantity
+      });
+    }
+
+    await client.cartItem.upsert({
+      where,
+      create: { cartId: cart.id, productId, quantity: newQuantity },
+      update: { quantity: newQuantity }
+    });
+
+    return this.getCart(client, customerId, fulfilFrom);
+  }
+
+  async removeCartItem(client, customerId, productId, storeId) {
+    const cart = await client.cart.findUnique({ where: { customerId } });
+
+    if (cart) {
+      await client.cartItem.deleteMany({
+        where: { cartId: cart.id, productId }
+      });
+    }
+
+    return this.getCart(client, customerId, storeId);
+  }
+
+  async clearCart(client, customerId, storeId) {
+    const cart = await client.cart.findUnique({ where: { customerId } });
+
+    if (cart) {
+      await client.cartItem.deleteMany({ where: { cartId: cart.id } });
+    }
+
+    return this.getCart(client, customerId, storeId);
+  }
+
+  // Turn the customer's cart into a PENDING order, snapshotting prices.
+  // Stock is checked in the fulfilling store here but only reserved once
+  // the order is confirmed.
+  async checkout(tx, customerId, input, userId) {
+    const { addressId, deliveryDate, deliverySlot, paymentMethod, couponCode, notes } = input;
+    const storeId = await this.cartStore(tx, input.storeId);
+
+    const cart = await tx.cart.findUnique({
+      where: { customerId },
+      include: { items: true }
+    });
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('Cart is empty');
+    }
+
+    if (addressId) {
+      const address = await tx.customerAddress.findFirst({
+        where: { id: addressId, customerId }
+      });
+      if (!address) {
+        throw new AppError('Delivery address not found', 404);
+      }
+    }
+
+    const priced = await saleService.priceItems(
+      tx,
+      cart.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+      storeId
+    );
+    const { processedItems, products, subtotal, totalTax } = priced;
+
+    const inactive = Object.values(products).find(p => !p.isActive);
+    if (inactive) {
+      throw new AppError(`${inactive.name} is no longer available`);
+    }
+
+    const deliveryFee = await settingsService.deliveryFeeFor(subtotal);
+
+    const offers = await saleService.applyOffers(tx, priced, { customerId, couponCode, deliveryFee });
+
+    const discount = roundAmount(offers.campaignDiscount + offers.couponDiscount);
+    const totalAmount = roundAmount(subtotal + totalTax + deliveryFee - discount);
+    const orderNumber = await sequenceService.next(tx, 'ORDER', { storeId });
+
+    // Wallet orders are paid for at checkout
+    const paidFromWallet = paymentMethod === 'WALLET';
+
+    const order = await tx.order.create({
+      data: {
+        orderNumber,
+        storeId,
+        customerId,
+        addressId,
+        deliveryDate: deliveryDate ? new Date(deliveryDate) : null,
+        deliverySlot,
+        subtotal: roundAmount(subtotal),
+        deliveryFee,
+        discount,
+        taxAmount: roundAmount(totalTax),
+        totalAmount,
+        paymentMethod,
+        paymentStatus: paidFromWallet ? 'PAID' : undefined,
+        appliedCouponId: offers.coupon ? offers.coupon.coupon.id : null,
+        campaignDetails: offers.campaignDetails,
+        notes,
+        items: {
+          create: processedItems.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            unitPrice: item.sellingPrice,
+            discount: item.discount,
+            taxAmount: roundAmount(item.taxAmount),
+            total: roundAmount(item.total)
+          }))
+        },
+        payment: paymentMethod
+          ? {
+            create: {
+              amount: totalAmount,
+              paymentMethod,
+              ...(paidFromWallet && { status: 'PAID', paidAt: new Date() })
+            }
+          }
+          : undefined,
+        tracking: {
+          create: {
+            status: 'PENDING',
+            notes: 'Order placed',
+            updatedBy: userId
+          }
+        }
+      },
+      include: {
+        items: {
+          include: {
+            product: {
+              select: { id: true, name: true, unit: true }
+            }
+          }
+        },
+        payment: true,
+        tracking: true
+      }
+    });
+
+    await saleService.recordOffers(tx, offers, { customerId, orderId: order.id });
+
+    if (paidFromWallet) {
+      await walletService.spend(tx, customerId, totalAmount, {
+        reference: order.id,
+        description: `Order #${orderNumber}`,
+        storeId,
+        userId
+      });
+    }
+
+    await tx.cartItem.deleteMany({ where: { cartId: cart.id } });
+
+    return order;
+  }
+
+  // Move an order to a new status, reserving or releasing stock as needed.
+  // A paid order is refunded into the wallet when it was paid from there
+  // or refundToWallet is asked for.
+  async transition(tx, orderId, toStatus, { userId, notes, location, reason, refundToWallet = false } = {}) {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const fromStatus = order.orderStatus;
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new AppError(`Cannot move order from ${fromStatus} to ${toStatus}`, 409, {
+        currentStatus: fromStatus,
+        allowed: TRANSITIONS[fromStatus] || []
+      });
+    }
+
+    if (toStatus === 'CANCELLED' && !reason) {
+      throw new AppError('Cancellation reason is required');
+    }
+
+    // Guard against two staff moving the same order at once
+    const { count } = await tx.order.updateMany({
+      where: { id: orderId, orderStatus: fromStatus },
+      data: {
+        orderStatus: toStatus,
+        ...(toStatus === 'CANCELLED' && { cancellationReason: reason }),
+        ...(toStatus === 'DELIVERED' && { deliveryDate: new Date() })
+      }
+    });
+
+    if (count === 0) {
+      throw new AppError('Order was updated by someone else, please refresh', 409);
+    }
+
+    const activeItems = order.items.filter(item => !item.isCancelled);
+    const wasReserved = RESERVED_STATUSES.includes(fromStatus);
+
+    if (toStatus === 'CONFIRMED') {
+      for (const item of activeItems) {
+        const { stock } = await saleService.moveStock(tx, {
+          productId: item.productId,
+          storeId: order.storeId,
+          quantity: -item.quantity,
+          type: 'SALE',
+          reference: order.id,
+          notes: `Reserved for order #${order.orderNumber}`,
+          userId
+        });
+        await saleService.raiseStockAlert(tx, stock);
+      }
+    } else if (toStatus === 'RETURNED' || (toStatus === 'CANCELLED' && wasReserved)) {
+      // Goods come back whether the rider brought them back or the
+      // customer returned them after delivery
+      for (const item of activeItems) {
+        await saleService.moveStock(tx, {
+          productId: item.productId,
+          storeId: order.storeId,
+          quantity: item.quantity,
+          type: 'RETURN',
+          reference: order.id,
+          notes: `Released from ${toStatus.toLowerCase()} order #${order.orderNumber}`,
+          userId,
+          restoreFrom: order.id
+        });
+      }
+    }
+
+    if (toStatus === 'CANCELLED') {
+      await pricingService.releaseUsage(tx, order.campaignDetails, order.customerId);
+      if (order.appliedCouponId) {
+        await couponService.releaseUsage(tx, { orderId });
+      }
+    }
+
+    if (toStatus === 'DELIVERED') {
+      await tx.customer.update({
+        where: { id: order.customerId },
+        data: {
+          totalOrders: { increment: 1 },
+          totalSpent: { increment: order.totalAmount }
+        }
+      });
+    } else if (toStatus === 'RETURNED' && fromStatus === 'DELIVERED') {
+      await tx.customer.update({
+        where: { id: order.customerId },
+        data: {
+          totalOrders: { decrement: 1 },
+          totalSpent: { decrement: order.totalAmount }
+        }
+      });
+    }
+
+    if (toStatus === 'REFUNDED') {
+      if (order.paymentStatus === 'PAID' && (order.paymentMethod === 'WALLET' || refundToWallet)) {
+        await walletService.refund(tx, order.customerId, order.totalAmount, {
+          reference: order.id,
+          description: `Refund for order #${order.orderNumber}`,
+          storeId: order.storeId,
+          userId
+        });
+      }
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: { paymentStatus: 'REFUNDED' }
+      });
+      await tx.orderPayment.updateMany({
+        where: { orderId },
+        data: {
+          status: 'REFUNDED',
+          refundAmount: order.totalAmount,
+          refundReason: notes || order.cancellationReason
+        }
+      });
+    } else if (toStatus === 'CANCELLED' && order.paymentStatus === 'PENDING') {
+      await tx.order.update({
+        where: { id: orderId },
+        data: { paymentStatus: 'CANCELLED' }
+      });
+      await tx.orderPayment.updateMany({
+        where: { orderId },
+        data: { status: 'CANCELLED' }
+      });
+    }
+
+    await tx.orderTracking.create({
+      data: {
+        orderId,
+        status: toStatus,
+        location,
+        notes: notes || reason,
+        updatedBy: userId
+      }
+    });
+
+    realtimeService.queue(tx, order.storeId, 'order-updated', 'ORDER_STATUS', {
+      id: order.id,
+      orderNumber: order.orderNumber,
+      status: toStatus,
+      previousStatus: fromStatus,
+      customerId: order.customerId
+    });
+
+    return { fromStatus, toStatus, orderNumber: order.orderNumber };
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,334 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const settingsService = require('./settings.service');
+
+// Campaign types that do not change prices at the till
+const NON_PRICING_TYPES = ['LOYALTY_REWARD', 'REFERRAL'];
+
+const formatRupees = (amount) => `₹${roundAmount(amount)}`;
+
+class PricingService {
+  // Loyalty tier from lifetime spend: SILVER, GOLD past goldSpendThreshold,
+  // VIP past vipSpendThreshold
+  async loyaltyTier(customer) {
+    if (!customer) return null;
+    const { goldSpendThreshold, vipSpendThreshold } = await settingsService.getAll();
+    if (customer.totalSpent >= vipSpendThreshold) return 'VIP';
+    if (customer.totalSpent >= goldSpendThreshold) return 'GOLD';
+    return 'SILVER';
+  }
+
+  // NEW (never bought), VIP (VIP tier) or REGULAR
+  async customerSegment(customer) {
+    if (!customer) return null;
+    if (customer.totalOrders === 0) return 'NEW';
+    return (await this.loyaltyTier(customer)) === 'VIP' ? 'VIP' : 'REGULAR';
+  }
+
+  async isWeekend(now) {
+    const timeZone = await settingsService.get('timezone');
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(now);
+    return weekday === 'Sat' || weekday === 'Sun';
+  }
+
+  // Why a campaign is not meant for this customer, or null if it is.
+  // campaign.customers must be loaded.
+  targetingReason(campaign, { customer, segment, tier }) {
+    const link = customer ? campaign.customers.find(c => c.customerId === customer.id) : null;
+
+    switch (campaign.targetType) {
+      case 'SPECIFIC_CUSTOMERS':
+        if (!link || !link.isEligible) return 'Customer not targeted';
+        break;
+      case 'NEW_CUSTOMERS':
+        if (segment !== 'NEW') return 'New customers only';
+        break;
+      case 'EXISTING_CUSTOMERS':
+        if (!customer || segment === 'NEW') return 'Existing customers only';
+        break;
+      case 'VIP_CUSTOMERS':
+        if (segment !== 'VIP') return 'VIP customers only';
+        break;
+      case 'LOCATION_BASED':
+        return 'Location based campaigns are not priced at billing';
+      default:
+        break;
+    }
+
+    // Segments may name a loyalty tier (SILVER, GOLD, VIP) as well
+    if (
+      campaign.customerSegments.length > 0 &&
+      !campaign.customerSegments.includes(segment) &&
+      !campaign.customerSegments.includes(tier)
+    ) {
+      return `Segments ${campaign.customerSegments.join(', ')} only`;
+    }
+
+    return null;
+  }
+
+  // Why a campaign cannot be used for this bill, or null if it can
+  async ineligibleReason(campaign, { customer, segment, tier, now }) {
+    if (campaign.usageLimit !== null && campaign.usedCount >= campaign.usageLimit) {
+      return 'Usage limit reached';
+    }
+
+    if (campaign.type === 'WEEKEND_SPECIAL' && !(await this.isWeekend(now))) {
+      return 'Weekend only';
+    }
+
+    const targeting = this.targetingReason(campaign, { customer, segment, tier });
+    if (targeting) return targeting;
+
+    const link = customer ? campaign.customers.find(c => c.customerId === customer.id) : null;
+
+    if (campaign.perUserLimit) {
+      // Walk-ins cannot be counted against a per-customer limit
+      if (!customer && campaign.targetType !== 'ALL_CUSTOMERS') return 'Customer required';
+      if (link && link.timesUsed >= campaign.perUserLimit) return 'Customer limit reached';
+    }
+
+    return null;
+  }
+
+  // Discount one campaign gives on the lines it covers (ignoring lines
+  // already taken by a higher priority campaign)
+  evaluateCampaign(campaign, lines, basketSubtotal, deliveryFee) {
+    const productLinks = Object.fromEntries(campaign.products.map(p => [p.productId, p]));
+    const categoryIds = campaign.categories.map(c => c.categoryId);
+    const scoped = campaign.products.length > 0 || campaign.categories.length > 0;
+
+    if (campaign.minOrderValue && basketSubtotal < campaign.minOrderValue) {
+      return { reason: `Minimum order ${formatRupees(campaign.minOrderValue)}` };
+    }
+
+    const eligible = lines.filter(line =>
+      !scoped || productLinks[line.productId] || categoryIds.includes(line.categoryId));
+
+    if (campaign.discountType === 'FREE_SHIPPING') {
+      if (!deliveryFee) return { reason: 'No delivery fee to waive' };
+      return {
+        lineDiscounts: [],
+        deliveryDiscount: deliveryFee,
+        total: deliveryFee
+      };
+    }
+
+    if (eligible.length === 0) return { reason: 'No qualifying items' };
+
+    const lineDiscounts = [];
+    const buy = campaign.discountType === 'BOGO' ? 1 : (campaign.buyQuantity || 1);
+    const get = campaign.discountType === 'BOGO' ? 1 : (campaign.getQuantity || 1);
+    const eligibleTotal = eligible.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+
+    for (const line of eligible) {
+      const lineTotal = line.unitPrice * line.quantity;
+      const specialPrice = productLinks[line.productId]?.specialPrice;
+      let discount = 0;
+      let explanation;
+
+      // A special price on the product overrides the campaign's rule
+      if (specialPrice !== null && specialPrice !== undefined && specialPrice < line.unitPrice) {
+        discount = (line.unitPrice - specialPrice) * line.quantity;
+        explanation = `Special price ${formatRupees(specialPrice)} instead of ${formatRupees(line.unitPrice)}`;
+      } else {
+        switch (campaign.discountType) {
+          case 'PERCENTAGE':
+            discount = (lineTotal * campaign.discountValue) / 100;
+            explanation = `${campaign.discountValue}% off`;
+            break;
+          case 'FIXED_AMOUNT':
+            // Fixed amount off the qualifying items, shared by value
+            discount = eligibleTotal > 0
+              ? (Math.min(campaign.discountValue, eligibleTotal) * lineTotal) / eligibleTotal
+              : 0;
+            explanation = `${formatRupees(campaign.discountValue)} off shared across ${eligible.length} item(s)`;
+            break;
+          case 'BUY_X_GET_Y':
+          case 'BOGO': {
+            const freeUnits = Math.floor(line.quantity / (buy + get)) * get;
+            discount = freeUnits * line.unitPrice;
+            explanation = `Buy ${buy} get ${get} free: ${freeUnits} free`;
+            break;
+          }
+          default:
+            break;
+        }
+      }
+
+      discount = Math.min(discount, lineTotal);
+      if (discount > 0) {
+        lineDiscounts.push({ index: line.index, productId: line.productId, discount, explanation });
+      }
+    }
+
+    let total = lineDiscounts.reduce((sum, l) => sum + l.discount, 0);
+    if (total === 0) return { reason: 'No discount on qualifying items' };
+
+    // Cap the campaign and scale each line down to fit
+    if (campaign.maxDiscount && total > campaign.maxDiscount) {
+      const scale = campaign.maxDiscount / total;
+      lineDiscounts.forEach(l => {
+        l.discount *= scale;
+        l.explanation += ` (capped at ${formatRupees(campaign.maxDiscount)})`;
+      });
+      total = campaign.maxDiscount;
+    }
+
+    return { lineDiscounts, deliveryDiscount: 0, total };
+  }
+
+  // Resolve every running campaign for a basket.
+  // lines: [{ productId, categoryId, quantity, unitPrice }] before tax.
+  async price(client, { lines, customerId, deliveryFee, now = new Date() }) {
+    const customer = customerId
+      ? await client.customer.findUnique({ where: { id: customerId } })
+      : null;
+    const segment = await this.customerSegment(customer);
+    const tier = await this.loyaltyTier(customer);
+
+    const campaigns = await client.campaign.findMany({
+      where: {
+        isActive: true,
+        startDate: { lte: now },
+        endDate: { gte: now },
+        type: { notIn: NON_PRICING_TYPES }
+      },
+      include: {
+        products: true,
+        categories: true,
+        customers: customerId ? { where: { customerId } } : false
+      },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    const basketSubtotal = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+    const indexed = lines.map((line, index) => ({ ...line, index }));
+    const claimed = {};
+    const applied = [];
+    const skipped = [];
+    let deliveryDiscount = 0;
+
+    for (const campaign of campaigns) {
+      campaign.customers = campaign.customers || [];
+
+      const reason = await this.ineligibleReason(campaign, { customer, segment, tier, now });
+      if (reason) {
+        skipped.push({ campaignId: campaign.id, name: campaign.name, reason });
+        continue;
+      }
+
+      // One campaign per line; higher priority campaigns took theirs first
+      const openLines = indexed.filter(l => !claimed[l.index]);
+      const result = this.evaluateCampaign(
+        campaign,
+        openLines,
+        basketSubtotal,
+        deliveryDiscount > 0 ? 0 : deliveryFee
+      );
+
+      if (result.reason) {
+        skipped.push({ campaignId: campaign.id, name: campaign.name, reason: result.reason });
+        continue;
+      }
+
+      for (const line of result.lineDiscounts) {
+        claimed[line.index] = {
+          campaignId: campaign.id,
+          campaignName: campaign.name,
+          discount: roundAmount(line.discount),
+          explanation: `${line.explanation} (${campaign.name})`
+        };
+      }
+      deliveryDiscount += result.deliveryDiscount;
+
+      applied.push({
+        campaignId: campaign.id,
+        name: campaign.name,
+        type: campaign.type,
+        discountType: campaign.discountType,
+        discount: roundAmount(result.total),
+        products: result.lineDiscounts.map(l => l.productId)
+      });
+    }
+
+    const pricedLines = lines.map((line, index) => {
+      const claim = claimed[index];
+      return {
+        productId: line.productId,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        discount: claim ? claim.discount : 0,
+        campaignId: claim ? claim.campaignId : null,
+        campaignName: claim ? claim.campaignName : null,
+        explanation: claim ? claim.explanation : null
+      };
+    });
+
+    const lineDiscount = pricedLines.reduce((sum, l) => sum + l.discount, 0);
+
+    return {
+      lines: pricedLines,
+      applied,
+      skipped,
+      lineDiscount: roundAmount(lineDiscount),
+      deliveryDiscount: roundAmount(deliveryDiscount),
+      totalDiscount: roundAmount(lineDiscount + deliveryDiscount)
+    };
+  }
+
+  // Count the bill against each applied campaign. The conditional bump takes
+  // the campaign row lock, so concurrent bills cannot overrun usageLimit.
+  async recordUsage(tx, applied, customerId) {
+    for (const entry of applied) {
+      const campaign = await tx.campaign.findUnique({ where: { id: entry.campaignId } });
+
+      const { count } = await tx.campaign.updateMany({
+        where: {
+          id: campaign.id,
+          ...(campaign.usageLimit !== null && { usedCount: { lt: campaign.usageLimit } })
+        },
+        data: { usedCount: { increment: 1 } }
+      });
+
+      if (count === 0) {
+        throw new AppError(`Campaign ${campaign.name} has reached its usage limit`, 409);
+      }
+
+      if (customerId) {
+        const link = await tx.campaignCustomer.upsert({
+          where: {
+            campaignId_customerId: { campaignId: campaign.id, customerId }
+          },
+          create: { campaignId: campaign.id, customerId, timesUsed: 1 },
+          update: { timesUsed: { increment: 1 } }
+        });
+
+        if (campaign.perUserLimit && link.timesUsed > campaign.perUserLimit) {
+          throw new AppError(`Customer has already used campaign ${campaign.name}`, 409);
+        }
+      }
+    }
+  }
+
+  // Give the usage back when a bill is voided or an order cancelled
+  async releaseUsage(tx, campaignDetails, customerId) {
+    const applied = (campaignDetails && campaignDetails.applied) || [];
+
+    for (const entry of applied) {
+      await tx.campaign.updateMany({
+        where: { id: entry.campaignId, usedCount: { gt: 0 } },
+        data: { usedCount: { decrement: 1 } }
+      });
+
+      if (customerId) {
+        await tx.campaignCustomer.updateMany({
+          where: { campaignId: entry.campaignId, customerId, timesUsed: { gt: 0 } },
+          data: { timesUsed: { decrement: 1 } }
+        });
+      }
+    }
+  }
+}
+
+module.exports = new PricingService();
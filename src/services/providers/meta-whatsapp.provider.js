@@ -0,0 +1,66 @@
+// WhatsApp through the Meta Cloud API
+class MetaWhatsAppProvider {
+  constructor() {
+    this.name = 'meta';
+    this.channels = ['WHATSAPP'];
+    this.apiUrl = 'https://graph.facebook.com/v17.0';
+  }
+
+  async send({ to, body, attachments = [] }) {
+    if (!process.env.WHATSAPP_PHONE_NUMBER_ID || !process.env.WHATSAPP_ACCESS_TOKEN) {
+      throw new Error('WhatsApp credentials are not configured');
+    }
+
+    // Documents go by link with the text as caption
+    const document = attachments.find(a => a.url);
+    const message = document
+      ? { type: 'document', document: { link: document.url, filename: document.filename, caption: body } }
+      : { type: 'text', text: { body } };
+
+    const response = await fetch(`${this.apiUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to,
+        ...message
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error ? data.error.message : `WhatsApp API responded ${response.status}`);
+    }
+
+    return { id: data.messages && data.messages[0] ? data.messages[0].id : undefined };
+  }
+
+  // Webhook: entry[].changes[].value.statuses[]
+  parseStatus(payload) {
+    const statuses = (payload.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .flatMap(change => (change.value && change.value.statuses) || []);
+
+    return statuses
+      .map(s => ({
+        id: s.id,
+        status: { sent: 'SENT', delivered: 'DELIVERED', read: 'DELIVERED', failed: 'FAILED' }[s.status],
+        error: s.errors && s.errors[0] ? s.errors[0].title : undefined
+      }))
+      .filter(s => s.status);
+  }
+
+  // Same webhook: entry[].changes[].value.messages[] for replies
+  parseInbound(payload) {
+    return (payload.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .flatMap(change => (change.value && change.value.messages) || [])
+      .filter(m => m.type === 'text' && m.text)
+      .map(m => ({ channel: 'WHATSAPP', from: m.from, text: m.text.body }));
+  }
+}
+
+module.exports = new MetaWhatsAppProvider();
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stand-in for every channel in development and tests. With
+// NOTIFICATION_SANDBOX_FILE set messages are appended to that file one JSON
+// object per line; otherwise only the fact one was sent is logged, never
+// its text (it may carry a sign-in or delivery code). Recipients listed in
+// NOTIFICATION_SANDBOX_FAIL_TO fail, to exercise error handling.
+class SandboxProvider {
+  constructor() {
+    this.name = 'sandbox';
+    this.channels = ['SMS', 'WHATSAPP', 'EMAIL'];
+  }
+
+  async send({ channel, to, subject, body, attachments = [] }) {
+    const failing = (process.env.NOTIFICATION_SANDBOX_FAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (failing.includes(to)) {
+      throw new Error(`Sandbox rejected ${to}`);
+    }
+
+    const id = `sandbox-${crypto.randomUUID()}`;
+    const entry = {
+      id,
+      channel,
+      to,
+      subject,
+      body,
+      attachments: attachments.map(a => a.filename),
+      sentAt: new Date().toISOString()
+    };
+
+    const file = process.env.NOTIFICATION_SANDBOX_FILE;
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    } else {
+      console.log(`[sandbox ${channel}] ${id} to ${to}${subject ? ` (${subject})` : ''}, ${body.length} characters`);
+    }
+
+    return { id };
+  }
+
+  // Lets tests mark sandbox messages delivered: { id, status }
+  parseStatus(payload) {
+    return payload.id && payload.status ? [{ id: payload.id, status: payload.status, error: payload.error }] : [];
+  }
+
+  // And simulate replies: { from, text, channel? }
+  parseInbound(payload) {
+    return payload.from && payload.text ? [{ channel: payload.channel || 'SMS', from: payload.from, text: payload.text }] : [];
+  }
+}
+
+module.exports = new SandboxProvider();
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+// Email through any SMTP server
+class SmtpProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.channels = ['EMAIL'];
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: process.env.SMTP_PORT || 587,
+        secure: false,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  async send({ to, subject, body, html, attachments = [] }) {
+    const info = await this.getTransporter().sendMail({
+      from: `"Frugano" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to,
+      subject,
+      text: body,
+      html,
+      attachments: attachments.filter(a => a.content)
+    });
+
+    return { id: info.messageId };
+  }
+}
+
+module.exports = new SmtpProvider();
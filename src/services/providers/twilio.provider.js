@@ -0,0 +1,65 @@
+// SMS through Twilio. The SDK is only loaded on the first send, so
+// installs that do not use Twilio do not need the package.
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.channels = ['SMS'];
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+        throw new Error('Twilio credentials are not configured');
+      }
+      let twilio;
+      try {
+        twilio = require('twilio');
+      } catch (error) {
+        throw new Error('Install the twilio package to send SMS through Twilio');
+      }
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  async send({ to, body }) {
+    const result = await this.getClient().messages.create({
+      body,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to,
+      statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL
+    });
+
+    return { id: result.sid };
+  }
+
+  // Status callback: MessageSid / MessageStatus form fields
+  parseStatus(payload) {
+    if (!payload.MessageSid || !payload.MessageStatus) return [];
+
+    const status = {
+      sent: 'SENT',
+      delivered: 'DELIVERED',
+      undelivered: 'FAILED',
+      failed: 'FAILED'
+    }[payload.MessageStatus];
+
+    if (!status) return [];
+
+    return [{
+      id: payload.MessageSid,
+      status,
+      error: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : undefined
+    }];
+  }
+
+  // Incoming SMS: From / Body form fields (no MessageStatus)
+  parseInbound(payload) {
+    if (!payload.From || payload.Body === undefined || payload.MessageStatus) return [];
+
+    return [{ channel: 'SMS', from: payload.From, text: payload.Body }];
+  }
+}
+
+module.exports = new TwilioProvider();
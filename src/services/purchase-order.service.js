@@ -0,0 +1,422 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const purchaseService = require('./purchase.service');
+const sequenceService = require('./sequence.service');
+
+// Quantities to 3 decimals (grams), amounts to 2
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Orders goods can still be received against
+const OPEN_STATUSES = ['SENT', 'PARTIALLY_RECEIVED'];
+
+const TRANSITIONS = {
+  DRAFT: ['SENT'],
+  SENT: ['PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED'],
+  PARTIALLY_RECEIVED: ['RECEIVED', 'CLOSED'],
+  RECEIVED: ['CLOSED'],
+  CLOSED: []
+};
+
+class PurchaseOrderService {
+  get transitions() {
+    return TRANSITIONS;
+  }
+
+  get openStatuses() {
+    return OPEN_STATUSES;
+  }
+
+  // Order lines at the agreed price (the product's purchase price unless
+  // given). A product may appear once per order.
+  async priceLines(tx, items) {
+    const productIds = items.map(i => i.productId);
+    if (new Set(productIds).size !== productIds.length) {
+      throw new AppError('Each product can only be ordered once per purchase order');
+    }
+
+    const products = await tx.product.findMany({
+      where: { id: { in: productIds }, isActive: true },
+      select: { id: true, purchasePrice: true }
+    });
+    const byId = products.reduce((map, p) => ({ ...map, [p.id]: p }), {});
+
+    const missing = productIds.filter(id => !byId[id]);
+    if (missing.length > 0) {
+      throw new AppError('Product not found', 400, { productIds: missing });
+    }
+
+    const lines = items.map(item => ({
+      productId: item.productId,
+      quantity: roundQuantity(parseFloat(item.quantity)),
+      unitPrice: item.unitPrice !== undefined && item.unitPrice !== null
+        ? parseFloat(item.unitPrice)
+        : byId[item.productId].purchasePrice,
+      notes: item.notes
+    }));
+
+    return {
+      lines,
+      totalAmount: roundAmount(lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0))
+    };
+  }
+
+  async create(tx, { storeId, supplierId, items, orderDate, expectedDate, notes }, userId) {
+    const supplier = await tx.supplier.findUnique({ where: { id: supplierId } });
+    if (!supplier || !supplier.isActive) {
+      throw new AppError('Supplier not found', 400);
+    }
+
+    const { lines, totalAmount } = await this.priceLines(tx, items);
+    const poNumber = await sequenceService.next(tx, 'PURCHASE_ORDER', { storeId });
+
+    return tx.purchaseOrder.create({
+      data: {
+        poNumber,
+        storeId,
+        supplierId,
+        orderDate: orderDate ? new Date(orderDate) : undefined,
+        expectedDate: expectedDate ? new Date(expectedDate) : null,
+        totalAmount,
+        notes,
+        createdById: userId,
+        items: { create: lines }
+      },
+      include: {
+        supplier: { select: { id: true, name: true, phone: true } },
+        items: true
+      }
+    });
+  }
+
+  // Drafts can be changed freely; once sent the supplier has the order
+  async update(tx, id, { items, expectedDate, notes }) {
+    const data = {};
+    if (expectedDate !== undefined) data.expectedDate = expectedDate ? new Date(expectedDate) : null;
+    if (notes !== undefined) data.notes = notes;
+
+    let lines;
+    if (items) {
+      const priced = await this.priceLines(tx, items);
+      lines = priced.lines;
+      data.totalAmount = priced.totalAmount;
+    }
+
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id, status: 'DRAFT' },
+      data
+    });
+
+    if (count === 0) {
+      const order = await tx.purchaseOrder.findUnique({ where: { id } });
+      if (!order) throw new AppError('Purchase order not found', 404);
+      throw new AppError(`Purchase order is ${order.status.toLowerCase()}, only drafts can be changed`, 409);
+    }
+
+    if (lines) {
+      await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: id } });
+      await tx.purchaseOrderItem.createMany({
+        data: lines.map(line => ({ ...line, purchaseOrderId: id }))
+      });
+    }
+
+    return tx.purchaseOrder.findUnique({
+      where: { id },
+      include: { items: true }
+    });
+  }
+
+  // Guarded status change so two people cannot act on an order at once
+  async transition(tx, id, toStatus, data = {}) {
+    const order = await tx.purchaseOrder.findUnique({ where: { id } });
+
+    if (!order) {
+      throw new AppError('Purchase order not found', 404);
+    }
+
+    if (!TRANSITIONS[order.status].includes(toStatus)) {
+      throw new AppError(`Cannot move purchase order from ${order.status} to ${toStatus}`, 409, {
+        currentStatus: order.status,
+        allowed: TRANSITIONS[order.status]
+      });
+    }
+
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id, status: order.status },
+      data: { status: toStatus, ...data }
+    });
+
+    if (count === 0) {
+      throw new AppError('Purchase order was updated by someone else, please refresh', 409);
+    }
+
+    return order;
+  }
+
+  // Check a delivery in against the order (a GRN). Each line records what
+  // arrived and how much of it passed inspection; only the accepted part
+  // goes into stock, billed as a Purchase. Rejected goods stay outstanding
+  // on the order until it is closed.
+  async receive(tx, id, input, userId) {
+    const { items, supplierInvoiceNo, receivedAt, discount = 0, taxAmount = 0, notes } = input;
+
+    // Touch the order first: its row lock queues receipts against it
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id, status: { in: OPEN_STATUSES } },
+      data: { updatedAt: new Date() }
+    });
+
+    if (count === 0) {
+      const existing = await tx.purchaseOrder.findUnique({ where: { id } });
+      if (!existing) throw new AppError('Purchase order not found', 404);
+      throw new AppError(`Purchase order is ${existing.status.toLowerCase()}, goods cannot be received against it`, 409, {
+        currentStatus: existing.status
+      });
+    }
+
+    const order = await tx.purchaseOrder.findUnique({
+      where: { id },
+      include: {
+        items: {
+          include: { product: { select: { name: true, sellingPrice: true } } }
+        }
+      }
+    });
+
+    const seen = new Set();
+    const receiptLines = items.map(item => {
+      const line = order.items.find(l =>
+        item.purchaseOrderItemId ? l.id === item.purchaseOrderItemId : l.productId === item.productId
+      );
+
+      if (!line) {
+        throw new AppError('Item is not on this purchase order', 400, {
+          productId: item.productId,
+          purchaseOrderItemId: item.purchaseOrderItemId
+        });
+      }
+
+      if (seen.has(line.id)) {
+        throw new AppError(`${line.product.name} is listed twice on this receipt`);
+      }
+      seen.add(line.id);
+
+      const received = roundQuantity(parseFloat(item.receivedQuantity));
+      let rejected;
+      let accepted;
+      if (item.rejectedQuantity !== undefined) {
+        rejected = roundQuantity(parseFloat(item.rejectedQuantity));
+        accepted = roundQuantity(received - rejected);
+      } else if (item.acceptedQuantity !== undefined) {
+        accepted = roundQuantity(parseFloat(item.acceptedQuantity));
+        rejected = roundQuantity(received - accepted);
+      } else {
+        accepted = received;
+        rejected = 0;
+      }
+
+      if ([received, accepted, rejected].some(q => isNaN(q) || q < 0)) {
+        throw new AppError(`Accepted and rejected quantities of ${line.product.name} must add up to what was received`, 400, {
+          product: line.product.name
+        });
+      }
+
+      const outstanding = roundQuantity(line.quantity - line.acceptedQuantity);
+      if (accepted > outstanding) {
+        throw new AppError(`Cannot accept more ${line.product.name} than is outstanding on the order`, 400, {
+          product: line.product.name,
+          ordered: line.quantity,
+          alreadyAccepted: line.acceptedQuantity,
+          outstanding
+        });
+      }
+
+      return {
+        line,
+        receivedQuantity: received,
+        acceptedQuantity: accepted,
+        rejectedQuantity: rejected,
+        purchasePrice: item.purchasePrice !== undefined ? parseFloat(item.purchasePrice) : line.unitPrice,
+        expiryDate: item.expiryDate ? new Date(item.expiryDate) : null,
+        batchNumber: item.batchNumber || null,
+        qualityNotes: item.qualityNotes
+      };
+    });
+
+    if (receiptLines.every(r => r.receivedQuantity === 0)) {
+      throw new AppError('Nothing was received');
+    }
+
+    const grnNo = await sequenceService.next(tx, 'GOODS_RECEIPT', { storeId: order.storeId });
+    const receiptDate = receivedAt ? new Date(receivedAt) : new Date();
+
+    // The accepted goods are the supplier's bill
+    const accepted = receiptLines.filter(r => r.acceptedQuantity > 0);
+    let purchase = null;
+    if (accepted.length > 0) {
+      purchase = await purchaseService.record(tx, {
+        storeId: order.storeId,
+        supplierId: order.supplierId,
+        invoiceNo: supplierInvoiceNo,
+        purchaseDate: receiptDate,
+        items: accepted.map(r => ({
+          productId: r.line.productId,
+          quantity: r.acceptedQuantity,
+          purchasePrice: r.purchasePrice,
+          sellingPrice: r.line.product.sellingPrice,
+          total: r.acceptedQuantity * r.purchasePrice,
+          expiryDate: r.expiryDate,
+          batchNumber: r.batchNumber
+        })),
+        discount,
+        taxAmount,
+        notes: `${grnNo} against ${order.poNumber}`
+      }, userId);
+    }
+
+    const receipt = await tx.goodsReceipt.create({
+      data: {
+        grnNo,
+        purchaseOrderId: id,
+        storeId: order.storeId,
+        purchaseId: purchase ? purchase.id : null,
+        supplierInvoiceNo,
+        receivedAt: receiptDate,
+        notes,
+        receivedById: userId,
+        items: {
+          create: receiptLines.map(r => ({
+            purchaseOrderItemId: r.line.id,
+            productId: r.line.productId,
+            receivedQuantity: r.receivedQuantity,
+            acceptedQuantity: r.acceptedQuantity,
+            rejectedQuantity: r.rejectedQuantity,
+            purchasePrice: r.purchasePrice,
+            expiryDate: r.expiryDate,
+            batchNumber: r.batchNumber,
+            qualityNotes: r.qualityNotes
+          }))
+        }
+      },
+      include: { items: true }
+    });
+
+    for (const r of receiptLines) {
+      await tx.purchaseOrderItem.update({
+        where: { id: r.line.id },
+        data: {
+          receivedQuantity: { increment: r.receivedQuantity },
+          acceptedQuantity: { increment: r.acceptedQuantity },
+          rejectedQuantity: { increment: r.rejectedQuantity }
+        }
+      });
+    }
+
+    const complete = order.items.every(line => {
+      const r = receiptLines.find(x => x.line.id === line.id);
+      return roundQuantity(line.acceptedQuantity + (r ? r.acceptedQuantity : 0)) >= line.quantity;
+    });
+    const status = complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+
+    await tx.purchaseOrder.update({
+      where: { id },
+      data: { status }
+    });
+
+    return { order, receipt, purchase, status };
+  }
+
+  // Ordered, accepted and still outstanding per line, with values at the
+  // agreed price
+  progress(items) {
+    const lines = items.map(item => {
+      const outstanding = Math.max(0, roundQuantity(item.quantity - item.acceptedQuantity));
+      return {
+        ...item,
+        outstandingQuantity: outstanding,
+        outstandingValue: roundAmount(outstanding * item.unitPrice)
+      };
+    });
+
+    return {
+      lines,
+      summary: {
+        orderedValue: roundAmount(lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0)),
+        acceptedValue: roundAmount(lines.reduce((sum, l) => sum + l.acceptedQuantity * l.unitPrice, 0)),
+        rejectedQuantity: roundQuantity(lines.reduce((sum, l) => sum + l.rejectedQuantity, 0)),
+        outstandingValue: roundAmount(lines.reduce((sum, l) => sum + l.outstandingValue, 0))
+      }
+    };
+  }
+
+  // What suppliers still owe us on open orders, per supplier and product
+  async outstanding(client, { supplierId, storeId } = {}) {
+    const items = await client.purchaseOrderItem.findMany({
+      where: {
+        purchaseOrder: {
+          status: { in: OPEN_STATUSES },
+          ...(supplierId && { supplierId }),
+          ...(storeId && { storeId })
+        }
+      },
+      include: {
+        product: { select: { id: true, name: true, sku: true, unit: true } },
+        purchaseOrder: {
+          select: {
+            id: true,
+            poNumber: true,
+            storeId: true,
+            orderDate: true,
+            expectedDate: true,
+            supplier: { select: { id: true, name: true, phone: true } }
+          }
+        }
+      },
+      orderBy: { purchaseOrder: { orderDate: 'asc' } }
+    });
+
+    const bySupplier = {};
+
+    for (const item of items) {
+      const outstanding = roundQuantity(item.quantity - item.acceptedQuantity);
+      if (outstanding <= 0) continue;
+
+      const { supplier, ...order } = item.purchaseOrder;
+      if (!bySupplier[supplier.id]) {
+        bySupplier[supplier.id] = { supplier, outstandingValue: 0, products: {}, lines: [] };
+      }
+      const row = bySupplier[supplier.id];
+      const value = outstanding * item.unitPrice;
+      row.outstandingValue += value;
+
+      if (!row.products[item.productId]) {
+        row.products[item.productId] = { product: item.product, outstandingQuantity: 0, outstandingValue: 0 };
+      }
+      row.products[item.productId].outstandingQuantity += outstanding;
+      row.products[item.productId].outstandingValue += value;
+
+      row.lines.push({
+        purchaseOrder: order,
+        product: item.product,
+        orderedQuantity: item.quantity,
+        acceptedQuantity: item.acceptedQuantity,
+        outstandingQuantity: outstanding,
+        unitPrice: item.unitPrice,
+        outstandingValue: roundAmount(value)
+      });
+    }
+
+    return Object.values(bySupplier)
+      .map(row => ({
+        ...row,
+        outstandingValue: roundAmount(row.outstandingValue),
+        products: Object.values(row.products).map(p => ({
+          ...p,
+          outstandingQuantity: roundQuantity(p.outstandingQuantity),
+          outstandingValue: roundAmount(p.outstandingValue)
+        }))
+      }))
+      .sort((a, b) => b.outstandingValue - a.outstandingValue);
+  }
+}
+
+module.exports = new PurchaseOrderService();
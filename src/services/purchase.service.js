@@ -0,0 +1,270 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const saleService = require('./sale.service');
+const sequenceService = require('./sequence.service');
+const realtimeService = require('./realtime.service');
+
+const RETURN_REASONS = ['ROTTEN', 'DAMAGED', 'SHORT_SUPPLY', 'QUALITY', 'OTHER'];
+
+// Quantities to 3 decimals (grams)
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+class PurchaseService {
+  get returnReasons() {
+    return RETURN_REASONS;
+  }
+
+  // Record a supplier bill in a store: the purchase, its stock (each line
+  // received as its own batch) and what we now owe the supplier. Items come
+  // priced: { productId, quantity, purchasePrice, sellingPrice, total, ... }
+  async record(tx, input, userId) {
+    const {
+      storeId,
+      supplierId,
+      invoiceNo,
+      purchaseDate,
+      items,
+      discount = 0,
+      taxAmount = 0,
+      paymentStatus = 'PENDING',
+      paymentMethod,
+      notes
+    } = input;
+
+    const totalAmount = items.reduce((sum, item) => sum + item.total, 0);
+    const netAmount = totalAmount - parseFloat(discount) + parseFloat(taxAmount);
+
+    // Number from the purchase series when the supplier bill has none
+    const finalInvoiceNo = invoiceNo || await sequenceService.next(tx, 'PURCHASE', { storeId });
+
+    const purchase = await tx.purchase.create({
+      data: {
+        invoiceNo: finalInvoiceNo,
+        storeId,
+        supplierId,
+        purchaseDate: new Date(purchaseDate || Date.now()),
+        totalAmount,
+        discount: parseFloat(discount),
+        taxAmount: parseFloat(taxAmount),
+        netAmount,
+        paymentStatus,
+        paymentMethod,
+        notes,
+        createdById: userId,
+        items: {
+          create: items
+        }
+      },
+      include: {
+        supplier: true,
+        items: {
+          include: {
+            product: true
+          }
+        }
+      }
+    });
+
+    // Update stock and create inventory transactions; each line is
+    // received as its own batch
+    for (const item of purchase.items) {
+      await saleService.moveStock(tx, {
+        productId: item.productId,
+        storeId,
+        quantity: item.quantity,
+        type: 'PURCHASE',
+        reference: purchase.id,
+        notes: `Purchase #${finalInvoiceNo}`,
+        userId,
+        batch: {
+          purchaseItemId: item.id,
+          batchNumber: item.batchNumber || finalInvoiceNo,
+          costPrice: item.purchasePrice,
+          expiryDate: item.expiryDate,
+          receivedAt: purchase.purchaseDate
+        }
+      });
+    }
+
+    // Update supplier balance
+    if (paymentStatus === 'PENDING' || paymentStatus === 'PARTIAL') {
+      await tx.supplier.update({
+        where: { id: supplierId },
+        data: {
+          currentBalance: {
+            increment: netAmount
+          }
+        }
+      });
+    }
+
+    realtimeService.queue(tx, storeId, 'inventory-updated', 'PURCHASE_RECEIVED', {
+      id: purchase.id,
+      invoiceNo: finalInvoiceNo,
+      supplierId,
+      totalAmount: netAmount,
+      itemCount: purchase.items.length
+    });
+
+    return purchase;
+  }
+
+  // What is still to be paid on a bill once debit notes are taken off
+  // (negative when the supplier owes us for goods returned after paying).
+  // Bills entered as paid up front have no payment rows.
+  amountDue(purchase, payments = [], returns = []) {
+    const paid = purchase.paymentStatus === 'PAID' && payments.length === 0
+      ? purchase.netAmount
+      : payments.reduce((sum, p) => sum + p.amount, 0);
+    const returned = returns.reduce((sum, r) => sum + r.totalAmount, 0);
+
+    return {
+      paid: roundAmount(paid),
+      returned: roundAmount(returned),
+      due: roundAmount(purchase.netAmount - returned - paid)
+    };
+  }
+
+  // Send goods of a purchase back to the supplier. Stock leaves the store
+  // (from the purchase's own batches first), a debit note is numbered and
+  // the supplier's balance drops by the goods' share of the bill, so the
+  // bill's discount and tax are returned in proportion.
+  async returnGoods(tx, { purchaseId, items, reason = 'OTHER', notes }, userId) {
+    // Lock the purchase so two returns cannot both pass the quantity check
+    const locked = await tx.purchase.updateMany({
+      where: { id: purchaseId },
+      data: { updatedAt: new Date() }
+    });
+
+    if (locked.count === 0) {
+      throw new AppError('Purchase not found', 404);
+    }
+
+    const purchase = await tx.purchase.findUnique({
+      where: { id: purchaseId },
+      include: {
+        items: {
+          include: {
+            product: { select: { name: true } },
+            batches: { select: { id: true } },
+            returnItems: { select: { quantity: true } }
+          }
+        },
+        payments: { select: { amount: true } },
+        returns: { select: { totalAmount: true } }
+      }
+    });
+
+    const seen = new Set();
+    const lines = items.map(entry => {
+      const item = purchase.items.find(i =>
+        entry.purchaseItemId ? i.id === entry.purchaseItemId : i.productId === entry.productId
+      );
+
+      if (!item) {
+        throw new AppError('Item is not on this purchase', 400, {
+          productId: entry.productId,
+          purchaseItemId: entry.purchaseItemId
+        });
+      }
+
+      if (seen.has(item.id)) {
+        throw new AppError(`${item.product.name} is listed twice on this return`);
+      }
+      seen.add(item.id);
+
+      const lineReason = entry.reason || reason;
+      if (!RETURN_REASONS.includes(lineReason)) {
+        throw new AppError('Invalid return reason', 400, { reasons: RETURN_REASONS });
+      }
+
+      const quantity = roundQuantity(parseFloat(entry.quantity));
+      const alreadyReturned = item.returnItems.reduce((sum, r) => sum + r.quantity, 0);
+      const returnable = roundQuantity(item.quantity - alreadyReturned);
+
+      if (isNaN(quantity) || quantity <= 0 || quantity > returnable) {
+        throw new AppError(`Only ${returnable} of ${item.product.name} can be returned`, 400, {
+          product: item.product.name,
+          purchased: item.quantity,
+          alreadyReturned,
+          returnable
+        });
+      }
+
+      return { item, quantity, reason: lineReason, total: roundAmount(quantity * item.purchasePrice) };
+    });
+
+    const debitNoteNo = await sequenceService.next(tx, 'DEBIT_NOTE', { storeId: purchase.storeId });
+
+    const subtotal = roundAmount(lines.reduce((sum, l) => sum + l.total, 0));
+    const totalAmount = purchase.totalAmount > 0
+      ? roundAmount(subtotal * purchase.netAmount / purchase.totalAmount)
+      : subtotal;
+
+    const purchaseReturn = await tx.purchaseReturn.create({
+      data: {
+        debitNoteNo,
+        purchaseId,
+        storeId: purchase.storeId,
+        supplierId: purchase.supplierId,
+        subtotal,
+        totalAmount,
+        reason,
+        notes,
+        createdById: userId,
+        items: {
+          create: lines.map(l => ({
+            purchaseItemId: l.item.id,
+            productId: l.item.productId,
+            quantity: l.quantity,
+            purchasePrice: l.item.purchasePrice,
+            total: l.total,
+            reason: l.reason
+          }))
+        }
+      },
+      include: { items: true }
+    });
+
+    const movements = [];
+    for (const line of lines) {
+      const { stock, afterStock } = await saleService.moveStock(tx, {
+        productId: line.item.productId,
+        storeId: purchase.storeId,
+        quantity: -line.quantity,
+        type: 'RETURN',
+        reference: purchaseReturn.id,
+        notes: `Debit note ${debitNoteNo} (purchase #${purchase.invoiceNo})`,
+        userId,
+        drawFrom: line.item.batches.map(b => b.id)
+      });
+
+      await saleService.raiseStockAlert(tx, stock);
+      movements.push({ productId: line.item.productId, storeId: purchase.storeId, afterStock });
+    }
+
+    await tx.supplier.update({
+      where: { id: purchase.supplierId },
+      data: {
+        currentBalance: {
+          decrement: totalAmount
+        }
+      }
+    });
+
+    // A bill the return leaves fully covered by payments is settled
+    if (['PENDING', 'PARTIAL'].includes(purchase.paymentStatus)) {
+      const { due } = this.amountDue(purchase, purchase.payments, [...purchase.returns, purchaseReturn]);
+      if (due <= 0) {
+        await tx.purchase.update({
+          where: { id: purchaseId },
+          data: { paymentStatus: 'PAID' }
+        });
+      }
+    }
+
+    return { purchase, purchaseReturn, movements };
+  }
+}
+
+module.exports = new PurchaseService();
@@ -0,0 +1,320 @@
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+const storeService = require('./store.service');
+
+// Events the server pushes to socket.io clients, as
+//   { type, storeId, data, timestamp }
+// on one of the socket events below, to the room the event belongs in.
+// Clients must not emit these; only the server does, once the change is
+// committed. `customer` events also go to the customer they are about.
+const EVENTS = {
+  'sale-updated': {
+    room: 'store',
+    types: {
+      NEW_SALE: 'Bill completed at the POS: { id, invoiceNo, totalAmount, paymentMethod, paymentStatus, itemCount, customerId, cashierId }',
+      SALE_VOIDED: 'Bill voided: { id, invoiceNo, totalAmount, reason, voidedById }'
+    }
+  },
+  'inventory-updated': {
+    room: 'store',
+    types: {
+      STOCK_UPDATE: 'Stock of a product changed: { productId, movement, quantity, beforeStock, afterStock, reference }',
+      PURCHASE_RECEIVED: 'Supplier purchase recorded: { id, invoiceNo, supplierId, totalAmount, itemCount }'
+    }
+  },
+  'product-updated': {
+    room: 'store',
+    types: {
+      PRODUCT_UPDATED: 'Product details edited: { id, name, sku, sellingPrice, mrp, isActive }'
+    }
+  },
+  alert: {
+    room: 'store',
+    types: {
+      LOW_STOCK: 'Product fell below its minimum: { id, productId, currentStock, minStockLevel }'
+    }
+  },
+  'order-updated': {
+    room: 'store',
+    customer: true,
+    types: {
+      ORDER_STATUS: 'Online order moved on: { id, orderNumber, status, previousStatus, customerId }'
+    }
+  },
+  'profit-updated': {
+    room: 'profit',
+    types: {
+      SALE_PROFIT: 'Margin on a completed bill at batch cost: { id, invoiceNo, revenue, cost, profit, margin }'
+    }
+  },
+  'user-activity': {
+    room: 'activity',
+    types: {
+      ACTIVITY: 'Staff sign-in or account change: { id, userId, action, entity, entityId, details, createdAt }'
+    }
+  }
+};
+
+// The rooms events go to and who gets into them
+const ROOMS = {
+  store: 'store-<storeId>: staff assigned to the store, on join-store',
+  profit: 'store-<storeId>:profit: the owner, joined along with the store',
+  activity: 'activity: owner and managers, joined on connect',
+  customer: 'customer-<customerId>: shop app sockets of that customer, joined on connect'
+};
+
+// Rooms only some roles may listen in (the owner may listen everywhere)
+const ROOM_ROLES = {
+  profit: ['OWNER'],
+  activity: ['OWNER', 'MANAGER']
+};
+
+// Handshake failures, worded as the REST API words them
+const authMessage = (error) => {
+  if (error.name === 'JsonWebTokenError') return 'Invalid token';
+  if (error.name === 'TokenExpiredError') return 'Token expired';
+  if (error instanceof AppError) return error.message;
+  console.error('Socket auth error:', error);
+  return 'Authentication failed';
+};
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.queued = new WeakMap();
+  }
+
+  get events() {
+    return EVENTS;
+  }
+
+  get rooms() {
+    return ROOMS;
+  }
+
+  // Take over the socket server: every connection must present a valid
+  // token and is put in the rooms its user or customer may hear
+  attach(io, client) {
+    this.io = io;
+
+    io.use(async (socket, next) => {
+      try {
+        Object.assign(socket.data, await this.identify(client, socket.handshake));
+        next();
+      } catch (error) {
+        next(new Error(authMessage(error)));
+      }
+    });
+
+    io.on('connection', (socket) => this.connect(client, socket));
+  }
+
+  // Who is on the other end of a socket, from the same token the REST API
+  // takes (auth.token in the handshake or a Bearer Authorization header)
+  async identify(client, handshake) {
+    const token = (handshake.auth && handshake.auth.token)
+      || (handshake.headers.authorization || '').replace('Bearer ', '');
+
+    if (!token) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type === 'customer') {
+      const customer = await client.customer.findUnique({
+        where: { id: decoded.id },
+        select: { id: true }
+      });
+
+      if (!customer) {
+        throw new AppError('Customer not found', 401);
+      }
+
+      return { customer };
+    }
+
+    return { user: await this.staff(client, decoded.id) };
+  }
+
+  // A staff user as they are now; sockets outlive role and account changes
+  async staff(client, id) {
+    const user = await client.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, isActive: true }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 401);
+    }
+
+    if (!user.isActive) {
+      throw new AppError('Account is deactivated', 401);
+    }
+
+    return user;
+  }
+
+  allowed(role, room) {
+    const roles = ROOM_ROLES[room];
+    return !roles || role === 'OWNER' || roles.includes(role);
+  }
+
+  roomName(room, id) {
+    switch (room) {
+      case 'store':
+        return `store-${id}`;
+      case 'profit':
+        return `store-${id}:profit`;
+      case 'customer':
+        return `customer-${id}`;
+      default:
+        return room;
+    }
+  }
+
+  connect(client, socket) {
+    const { user, customer } = socket.data;
+    console.log('🔌 New client connected:', socket.id);
+
+    if (customer) {
+      // Shop app: only the customer's own orders, no store rooms
+      socket.join(this.roomName('customer', customer.id));
+    } else {
+      socket.join(`user-${user.id}`);
+      if (this.allowed(user.role, 'activity')) socket.join('activity');
+    }
+
+    // join-store (storeId, ack?) answers { success, rooms } or { error }
+    socket.on('join-store', async (storeId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const rooms = await this.joinStore(client, socket, storeId);
+        console.log(`Client ${socket.id} joined store ${storeId}`);
+        reply({ success: true, rooms });
+      } catch (error) {
+        if (!(error instanceof AppError)) console.error('Join store error:', error);
+        reply({ error: error instanceof AppError ? error.message : 'Server error' });
+      }
+    });
+
+    socket.on('leave-store', (storeId) => {
+      ['store', 'profit'].forEach(room => socket.leave(this.roomName(room, storeId)));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  }
+
+  // Put a staff socket in a store's rooms, checked against the user's
+  // current store assignments and role
+  async joinStore(client, socket, storeId) {
+    if (!socket.data.user) {
+      throw new AppError('Staff access only', 403);
+    }
+
+    const user = await this.staff(client, socket.data.user.id);
+    const stores = await storeService.storesFor(client, user);
+
+    if (!storeId || !stores.some(s => s.id === storeId)) {
+      throw new AppError('You do not have access to this store', 403);
+    }
+
+    const rooms = ['store', 'profit']
+      .filter(room => this.allowed(user.role, room))
+      .map(room => this.roomName(room, storeId));
+
+    socket.join(rooms);
+    return rooms;
+  }
+
+  // Take a user out of a store's rooms (unassigned from the store)
+  leaveStore(userId, storeId) {
+    if (!this.io) return;
+    this.io.in(`user-${userId}`).socketsLeave(['store', 'profit'].map(room => this.roomName(room, storeId)));
+  }
+
+  // Drop a user's sockets after their account changed; clients reconnect
+  // and are let back in on what the user may hear now
+  disconnectUser(userId) {
+    if (!this.io) return;
+    this.io.in(`user-${userId}`).disconnectSockets(true);
+  }
+
+  check(event, type) {
+    if (!EVENTS[event] || !EVENTS[event].types[type]) {
+      throw new Error(`Unknown realtime event ${event}/${type}`);
+    }
+  }
+
+  // Push an event now. Does nothing without a socket server (serverless).
+  publish(storeId, event, type, data) {
+    this.check(event, type);
+
+    if (!this.io) return;
+
+    const { room, customer } = EVENTS[event];
+    const message = { type, storeId, data, timestamp: new Date() };
+
+    if (room === 'activity') {
+      this.io.to(this.roomName(room)).emit(event, message);
+    } else if (storeId) {
+      this.io.to(this.roomName(room, storeId)).emit(event, message);
+    }
+
+    if (customer && data.customerId) {
+      this.io.to(this.roomName('customer', data.customerId)).emit(event, message);
+    }
+  }
+
+  // Tell the owner and managers about an activity log row
+  activity(log) {
+    try {
+      this.publish(null, 'user-activity', 'ACTIVITY', {
+        id: log.id,
+        userId: log.userId,
+        action: log.action,
+        entity: log.entity,
+        entityId: log.entityId,
+        details: log.details,
+        createdAt: log.createdAt
+      });
+    } catch (error) {
+      console.error('Realtime publish error:', error.message);
+    }
+  }
+
+  // Hold an event until the transaction it belongs to commits; it is
+  // dropped if the transaction rolls back. Only transactions run through
+  // transaction() below publish what they queued.
+  queue(tx, storeId, event, type, data) {
+    this.check(event, type);
+    if (!this.queued.has(tx)) this.queued.set(tx, []);
+    this.queued.get(tx).push([storeId, event, type, data]);
+  }
+
+  // client.$transaction(fn, options), then publish the events queued on it
+  async transaction(client, fn, options) {
+    let transaction;
+
+    const result = await client.$transaction((tx) => {
+      transaction = tx;
+      return fn(tx);
+    }, options);
+
+    for (const args of this.queued.get(transaction) || []) {
+      try {
+        this.publish(...args);
+      } catch (error) {
+        console.error('Realtime publish error:', error.message);
+      }
+    }
+    this.queued.delete(transaction);
+
+    return result;
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,643 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const sequenceService = require('./sequence.service');
+const settingsService = require('./settings.service');
+const couponService = require('./coupon.service');
+const pricingService = require('./pricing.service');
+const batchService = require('./batch.service');
+const storeService = require('./store.service');
+const customerCreditService = require('./customer-credit.service');
+const walletService = require('./wallet.service');
+const loyaltyService = require('./loyalty.service');
+const notificationService = require('./notification.service');
+const realtimeService = require('./realtime.service');
+
+// Tenders that can be over-paid; the excess is handed back as change
+const CHANGE_TENDERS = ['CASH'];
+
+// Tenders the POS may not take directly (applied by the server only)
+const INTERNAL_TENDERS = ['SPLIT', 'CREDIT_NOTE'];
+
+class SaleService {
+  // Run priced lines through the campaign engine and the coupon, if any.
+  // Campaign discounts are written onto each line; the coupon is worked out
+  // on what the customer pays after campaigns.
+  async applyOffers(tx, { processedItems, products }, { customerId, couponCode, deliveryFee }) {
+    const pricing = await pricingService.price(tx, {
+      customerId,
+      deliveryFee,
+      lines: processedItems.map(item => ({
+        productId: item.productId,
+        categoryId: products[item.productId].categoryId,
+        quantity: item.quantity,
+        unitPrice: item.sellingPrice
+      }))
+    });
+
+    pricing.lines.forEach((line, i) => {
+      processedItems[i].discount = roundAmount((processedItems[i].discount || 0) + line.discount);
+    });
+
+    let coupon = null;
+    if (couponCode) {
+      coupon = await couponService.apply(tx, couponCode, {
+        customerId,
+        deliveryFee: deliveryFee === undefined ? undefined : deliveryFee - pricing.deliveryDiscount,
+        lines: pricing.lines.map((line, i) => ({
+          productId: line.productId,
+          categoryId: products[line.productId].categoryId,
+          quantity: line.quantity,
+          unitPrice: (processedItems[i].sellingPrice * line.quantity - line.discount) / line.quantity
+        }))
+      });
+    }
+
+    return {
+      pricing,
+      coupon,
+      campaignDiscount: pricing.totalDiscount,
+      couponDiscount: coupon ? coupon.discount : 0,
+      campaignDetails: pricing.applied.length > 0
+        ? { applied: pricing.applied, lines: pricing.lines.filter(line => line.campaignId) }
+        : undefined
+    };
+  }
+
+  // Count the offers against their limits once the bill exists
+  async recordOffers(tx, offers, { customerId, saleId, orderId }) {
+    await pricingService.recordUsage(tx, offers.pricing.applied, customerId);
+
+    if (offers.coupon) {
+      await couponService.recordUsage(tx, offers.coupon.coupon, {
+        customerId,
+        saleId,
+        orderId,
+        discountAmount: offers.couponDiscount
+      });
+    }
+  }
+
+  // Price basket lines from the product master, checking stock in the
+  // store that will fulfil them
+  async priceItems(tx, items, storeId) {
+    let subtotal = 0;
+    let totalTax = 0;
+    const processedItems = [];
+    const products = {};
+    // Products with no GST rate of their own are taxed at the store's
+    const storeTaxRate = await settingsService.get('taxRate');
+
+    for (const item of items) {
+      const product = await tx.product.findUnique({
+        where: { id: item.productId }
+      });
+
+      if (!product) {
+        throw new AppError(`Product not found: ${item.productId}`);
+      }
+
+      const stock = await storeService.stockFor(tx, product.id, storeId);
+      if (stock.currentStock < item.quantity) {
+        throw new AppError(`Insufficient stock for ${product.name}`, 400, {
+          product: product.name,
+          available: stock.currentStock,
+          requested: item.quantity
+        });
+      }
+
+      const price = item.price || product.sellingPrice;
+      const itemTotal = price * item.quantity;
+      const itemTax = (itemTotal * (item.taxRate || (product.taxRate ?? storeTaxRate))) / 100;
+
+      subtotal += itemTotal;
+      totalTax += itemTax;
+      products[product.id] = product;
+
+      processedItems.push({
+        productId: item.productId,
+        quantity: item.quantity,
+        sellingPrice: price,
+        discount: item.discount || 0,
+        taxAmount: itemTax,
+        total: itemTotal + itemTax,
+        weightMeasured: item.weightMeasured || false,
+        weightId: item.weightId
+      });
+    }
+
+    return { processedItems, products, subtotal, totalTax };
+  }
+
+  // Normalise the tenders of a sale and check they settle the total.
+  // Falls back to a single tender for clients that only send paymentMethod.
+  resolveTenders({ payments, paymentMethod, paymentReference }, totalAmount, appliedTenders = []) {
+    const processed = appliedTenders.map(tender => ({ ...tender, tendered: roundAmount(tender.amount) }));
+    let tenderedTotal = processed.reduce((sum, t) => sum + t.tendered, 0);
+    let changeableTotal = 0;
+
+    const balance = roundAmount(totalAmount - tenderedTotal);
+    let tenders = [];
+    if (Array.isArray(payments) && payments.length > 0) {
+      tenders = payments;
+    } else if (paymentMethod && balance > 0) {
+      tenders = [{ paymentMethod, amount: balance, referenceNo: paymentReference }];
+    }
+
+    for (const tender of tenders) {
+      const amount = roundAmount(parseFloat(tender.amount));
+
+      if (!tender.paymentMethod || INTERNAL_TENDERS.includes(tender.paymentMethod)) {
+        throw new AppError(`Invalid tender type: ${tender.paymentMethod || 'missing'}`);
+      }
+      if (!amount || amount <= 0) {
+        throw new AppError(`Invalid amount for ${tender.paymentMethod} payment`);
+      }
+
+      tenderedTotal += amount;
+      if (CHANGE_TENDERS.includes(tender.paymentMethod)) {
+        changeableTotal += amount;
+      }
+
+      processed.push({
+        paymentMethod: tender.paymentMethod,
+        tendered: amount,
+        referenceNo: tender.referenceNo || tender.paymentReference,
+        notes: tender.notes
+      });
+    }
+
+    tenderedTotal = roundAmount(tenderedTotal);
+    const total = roundAmount(totalAmount);
+
+    if (tenderedTotal < total) {
+      throw new AppError('Payments do not cover the sale total', 400, {
+        totalAmount: total,
+        paid: tenderedTotal,
+        balance: roundAmount(total - tenderedTotal)
+      });
+    }
+
+    const changeDue = roundAmount(tenderedTotal - total);
+    if (changeDue > roundAmount(changeableTotal)) {
+      throw new AppError('Only cash payments can exceed the sale total', 400, {
+        totalAmount: total,
+        paid: tenderedTotal
+      });
+    }
+
+    // Hand change back from the cash tenders, last tender first
+    let changeLeft = changeDue;
+    for (let i = processed.length - 1; i >= 0 && changeLeft > 0; i--) {
+      const tender = processed[i];
+      if (!CHANGE_TENDERS.includes(tender.paymentMethod)) continue;
+      const change = Math.min(changeLeft, tender.tendered);
+      tender.changeAmount = roundAmount(change);
+      changeLeft = roundAmount(changeLeft - change);
+    }
+
+    const salePayments = processed.map(tender => ({
+      amount: roundAmount(tender.tendered - (tender.changeAmount || 0)),
+      paymentMethod: tender.paymentMethod,
+      referenceNo: tender.referenceNo,
+      tenderedAmount: tender.tendered,
+      changeAmount: tender.changeAmount || 0,
+      notes: tender.notes
+    }));
+
+    const methods = [...new Set(salePayments.map(p => p.paymentMethod))];
+
+    return {
+      salePayments,
+      changeDue,
+      paymentMethod: methods.length > 1 ? 'SPLIT' : methods[0]
+    };
+  }
+
+  // Apply a signed stock movement in one store and log it. The decrement
+  // happens in the database so concurrent tills cannot both sell the last
+  // unit. Product.currentStock carries the total over all stores.
+  // Outgoing stock is drawn from the store's batches FEFO (`drawFrom` batch
+  // ids first). Incoming stock goes back to the batches `restoreFrom` (an
+  // earlier reference) drew from, or else opens a new batch described by
+  // `batch`.
+  async moveStock(tx, { productId, storeId, quantity, type, reference, notes, userId, batch = {}, restoreFrom, drawFrom }) {
+    if (!storeId) {
+      throw new AppError('A store is required to move stock');
+    }
+
+    // The product row is updated first: its lock serialises movements of
+    // the product across stores
+    const updated = await tx.product.update({
+      where: { id: productId },
+      data: {
+        currentStock: {
+          increment: quantity
+        }
+      }
+    });
+
+    const stock = await tx.productStock.upsert({
+      where: { productId_storeId: { productId, storeId } },
+      create: {
+        productId,
+        storeId,
+        currentStock: quantity,
+        minStockAlert: updated.minStockAlert
+      },
+      update: {
+        currentStock: {
+          increment: quantity
+        }
+      }
+    });
+
+    const afterStock = stock.currentStock;
+    const beforeStock = afterStock - quantity;
+
+    if (afterStock < 0) {
+      throw new AppError(`Insufficient stock for ${updated.name}`, 400, {
+        product: updated.name,
+        available: beforeStock,
+        requested: -quantity
+      });
+    }
+
+    const transaction = await tx.inventoryTransaction.create({
+      data: {
+        productId,
+        storeId,
+        type,
+        quantity,
+        beforeStock,
+        afterStock,
+        reference,
+        notes,
+        createdById: userId
+      }
+    });
+
+    let batches = [];
+    if (quantity < 0) {
+      ({ draws: batches } = await batchService.consume(tx, {
+        productId,
+        storeId,
+        quantity: -quantity,
+        transactionId: transaction.id,
+        preferBatchIds: drawFrom
+      }));
+    } else if (quantity > 0) {
+      let unmatched = quantity;
+      if (restoreFrom) {
+        ({ restored: batches, unmatched } = await batchService.restore(tx, {
+          productId,
+          quantity,
+          reference: restoreFrom,
+          transactionId: transaction.id
+        }));
+      }
+
+      // `batch` may list several lots, each with its quantity (stock that
+      // keeps its expiry and cost when moved from another store); the last
+      // lot takes whatever is left
+      const lots = Array.isArray(batch) ? batch : [batch];
+      for (const [index, lot] of lots.entries()) {
+        if (unmatched <= 0) break;
+
+        const lotQuantity = index === lots.length - 1 ? unmatched : Math.min(lot.quantity, unmatched);
+        if (lotQuantity <= 0) continue;
+
+        const received = await batchService.receive(tx, {
+          ...lot,
+          product: updated,
+          storeId,
+          quantity: lotQuantity,
+          transactionId: transaction.id
+        });
+        batches.push({
+          batchId: received.id,
+          batchNumber: received.batchNumber,
+          expiryDate: received.expiryDate,
+          quantity: lotQuantity,
+          costPrice: received.costPrice
+        });
+        unmatched -= lotQuantity;
+      }
+    }
+
+    realtimeService.queue(tx, storeId, 'inventory-updated', 'STOCK_UPDATE', {
+      productId,
+      movement: type,
+      quantity,
+      beforeStock,
+      afterStock,
+      reference
+    });
+
+    return { product: updated, stock, beforeStock, afterStock, transaction, batches };
+  }
+
+  // Open a low stock alert for a store's stock (as returned by moveStock)
+  // unless one is already active there, and queue the emails about it
+  async raiseStockAlert(tx, stock) {
+    if (stock.currentStock >= stock.minStockAlert) return null;
+
+    const existingAlert = await tx.stockAlert.findFirst({
+      where: {
+        productId: stock.productId,
+        storeId: stock.storeId,
+        status: 'ACTIVE'
+      }
+    });
+
+    if (existingAlert) return null;
+
+    const alert = await tx.stockAlert.create({
+      data: {
+        productId: stock.productId,
+        storeId: stock.storeId,
+        currentStock: stock.currentStock,
+        minStockLevel: stock.minStockAlert,
+        status: 'ACTIVE'
+      }
+    });
+
+    await notificationService.lowStockAlert(tx, alert);
+
+    realtimeService.queue(tx, alert.storeId, 'alert', 'LOW_STOCK', {
+      id: alert.id,
+      productId: alert.productId,
+      currentStock: alert.currentStock,
+      minStockLevel: alert.minStockLevel
+    });
+
+    return alert;
+  }
+
+  // Ring up a POS sale in a store inside the caller's transaction.
+  // credit is a server-side tender (e.g. a credit note in an exchange) that
+  // is applied first, up to the sale total. A CREDIT tender goes on the
+  // customer's khata; creditOverrideBy is the manager who approved going
+  // over their limit. redeemPoints pays part of the bill with the
+  // customer's loyalty points.
+  async createSale(tx, input, userId, { storeId, credit, creditOverrideBy } = {}) {
+    const {
+      customerName,
+      customerPhone,
+      customerId,
+      items,
+      discount = 0,
+      couponCode,
+      redeemPoints,
+      notes
+    } = input;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new AppError('At least one item is required');
+    }
+
+    const invoiceNo = await sequenceService.next(tx, 'SALE', { storeId });
+    const priced = await this.priceItems(tx, items, storeId);
+    const { processedItems, subtotal, totalTax } = priced;
+    const offers = await this.applyOffers(tx, priced, { customerId, couponCode });
+
+    const offerDiscount = roundAmount(discount + offers.campaignDiscount + offers.couponDiscount);
+
+    // Points are redeemed against the bill after every other discount
+    const redemption = redeemPoints
+      ? await loyaltyService.quote(tx, customerId, redeemPoints, subtotal - offerDiscount + totalTax)
+      : { points: 0, value: 0 };
+
+    const totalDiscount = roundAmount(offerDiscount + redemption.value);
+    const totalAmount = subtotal - totalDiscount + totalTax;
+
+    // Points earned on what the customer pays, spread over the lines so
+    // category and campaign multipliers apply to their share
+    let earned = { points: 0, campaigns: [] };
+    if (customerId) {
+      const customer = await tx.customer.findUnique({ where: { id: customerId } });
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+
+      const lineNets = processedItems.map(item => Math.max(item.total - item.discount, 0));
+      const netTotal = lineNets.reduce((sum, net) => sum + net, 0);
+      earned = await loyaltyService.pointsFor(tx, customer, processedItems.map((item, i) => ({
+        productId: item.productId,
+        categoryId: priced.products[item.productId].categoryId,
+        amount: netTotal > 0 ? (lineNets[i] / netTotal) * totalAmount : 0
+      })));
+    }
+
+    const appliedTenders = [];
+    if (credit && credit.amount > 0) {
+      appliedTenders.push({ ...credit, amount: Math.min(credit.amount, roundAmount(totalAmount)) });
+    }
+    const tenders = this.resolveTenders(input, totalAmount, appliedTenders);
+
+    // Whatever is put on credit stays due on the invoice
+    const amountDue = roundAmount(tenders.salePayments
+      .filter(p => p.paymentMethod === 'CREDIT')
+      .reduce((sum, p) => sum + p.amount, 0));
+
+    if (amountDue > 0 && !customerId) {
+      throw new AppError('Credit sales need a registered customer');
+    }
+
+    const walletAmount = roundAmount(tenders.salePayments
+      .filter(p => p.paymentMethod === 'WALLET')
+      .reduce((sum, p) => sum + p.amount, 0));
+
+    const sale = await tx.sale.create({
+      data: {
+        invoiceNo,
+        storeId,
+        customerName,
+        customerPhone,
+        customerId,
+        subtotal,
+        discount: totalDiscount,
+        taxAmount: totalTax,
+        totalAmount,
+        paymentMethod: tenders.paymentMethod,
+        paymentStatus: amountDue > 0
+          ? (amountDue >= roundAmount(totalAmount) ? 'PENDING' : 'PARTIAL')
+          : 'PAID',
+        amountDue,
+        loyaltyPointsRedeemed: redemption.points,
+        loyaltyDiscount: redemption.value,
+        loyaltyPointsEarned: earned.points,
+        appliedCouponId: offers.coupon ? offers.coupon.coupon.id : null,
+        campaignDetails: offers.campaignDetails,
+        notes,
+        cashierId: userId,
+        items: {
+          create: processedItems
+        },
+        payments: {
+          create: tenders.salePayments
+        }
+      },
+      include: {
+        items: {
+          include: {
+            product: {
+              select: {
+                id: true,
+                name: true,
+                unit: true
+              }
+            }
+          }
+        },
+        payments: true
+      }
+    });
+
+    await this.recordOffers(tx, offers, { customerId, saleId: sale.id });
+
+    if (redemption.points > 0) {
+      await loyaltyService.post(tx, customerId, {
+        type: 'REDEEM',
+        points: -redemption.points,
+        saleId: sale.id,
+        reference: invoiceNo,
+        description: `Redeemed on sale #${invoiceNo}`,
+        userId
+      });
+    }
+
+    if (earned.points > 0) {
+      await loyaltyService.post(tx, customerId, {
+        type: 'EARN',
+        points: earned.points,
+        saleId: sale.id,
+        reference: invoiceNo,
+        description: earned.campaigns.length > 0
+          ? `Sale #${invoiceNo} (${earned.campaigns.join(', ')})`
+          : `Sale #${invoiceNo}`,
+        userId
+      });
+    }
+
+    if (walletAmount > 0) {
+      await walletService.spend(tx, customerId, walletAmount, {
+        reference: sale.id,
+        description: `Sale #${invoiceNo}`,
+        storeId,
+        userId
+      });
+    }
+
+    if (amountDue > 0) {
+      const { customer, overLimit } = await customerCreditService.post(tx, customerId, {
+        type: 'SALE',
+        amount: amountDue,
+        saleId: sale.id,
+        reference: invoiceNo,
+        description: `Sale #${invoiceNo}`
+      }, { allowOverLimit: Boolean(creditOverrideBy) });
+
+      if (overLimit) {
+        await tx.activityLog.create({
+          data: {
+            userId: creditOverrideBy.id,
+            action: 'CREDIT_LIMIT_OVERRIDE',
+            entity: 'Sale',
+            entityId: sale.id,
+            details: {
+              invoiceNo,
+              customerId,
+              cashierId: userId,
+              creditLimit: customer.creditLimit,
+              balance: roundAmount(customer.creditBalance)
+            }
+          }
+        });
+      }
+    }
+
+    // Update stock and create inventory transactions. Goods are costed at
+    // the batches they came out of, unbatched stock at the purchase price.
+    let cost = 0;
+    for (const item of processedItems) {
+      const { product, stock, batches } = await this.moveStock(tx, {
+        productId: item.productId,
+        storeId,
+        quantity: -item.quantity,
+        type: 'SALE',
+        reference: sale.id,
+        notes: `Sale #${invoiceNo}`,
+        userId
+      });
+
+      const batched = batches.reduce((sum, b) => sum + b.quantity, 0);
+      cost += batches.reduce((sum, b) => sum + b.quantity * b.costPrice, 0)
+        + (item.quantity - batched) * product.purchasePrice;
+
+      await this.raiseStockAlert(tx, stock);
+    }
+
+    // Update customer total spent if customer exists
+    if (customerId) {
+      await tx.customer.update({
+        where: { id: customerId },
+        data: {
+          totalOrders: { increment: 1 },
+          totalSpent: { increment: totalAmount }
+        }
+      });
+    }
+
+    await tx.activityLog.create({
+      data: {
+        userId,
+        action: 'CREATE_SALE',
+        entity: 'Sale',
+        entityId: sale.id,
+        details: {
+          invoiceNo,
+          amount: totalAmount,
+          items: items.length,
+          paymentMethod: tenders.paymentMethod,
+          campaigns: offers.pricing.applied.map(c => c.name),
+          couponCode: offers.coupon ? offers.coupon.coupon.code : undefined,
+          pointsRedeemed: redemption.points || undefined,
+          pointsEarned: earned.points || undefined
+        }
+      }
+    });
+
+    await notificationService.saleReceipt(tx, sale);
+
+    realtimeService.queue(tx, storeId, 'sale-updated', 'NEW_SALE', {
+      id: sale.id,
+      invoiceNo,
+      totalAmount,
+      paymentMethod: sale.paymentMethod,
+      paymentStatus: sale.paymentStatus,
+      itemCount: items.length,
+      customerId,
+      cashierId: userId
+    });
+
+    realtimeService.queue(tx, storeId, 'profit-updated', 'SALE_PROFIT', {
+      id: sale.id,
+      invoiceNo,
+      revenue: totalAmount,
+      cost: roundAmount(cost),
+      profit: roundAmount(totalAmount - cost),
+      margin: totalAmount > 0 ? roundAmount(((totalAmount - cost) / totalAmount) * 100) : 0
+    });
+
+    return {
+      ...sale,
+      changeDue: tenders.changeDue,
+      campaignDiscount: offers.campaignDiscount,
+      couponDiscount: offers.couponDiscount,
+      pricing: offers.pricing.lines,
+      creditApplied: appliedTenders.length > 0 ? appliedTenders[0].amount : 0
+    };
+  }
+}
+
+module.exports = new SaleService();
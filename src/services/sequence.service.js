@@ -0,0 +1,175 @@
+const prisma = require('../lib/prisma');
+
+// Defaults used the first time a document type is numbered
+const DEFAULT_SERIES = {
+  SALE: { prefix: 'INV-', padding: 6, startNumber: 1001, resetPolicy: 'FINANCIAL_YEAR' },
+  PURCHASE: { prefix: 'PO-', padding: 6, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  CREDIT_NOTE: { prefix: 'CN-', padding: 6, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  ORDER: { prefix: 'ORD-', padding: 6, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  STOCK_TAKE: { prefix: 'ST-', padding: 4, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  TRANSFER: { prefix: 'TRF-', padding: 5, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  PURCHASE_ORDER: { prefix: 'PORD-', padding: 5, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  GOODS_RECEIPT: { prefix: 'GRN-', padding: 5, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  DEBIT_NOTE: { prefix: 'DN-', padding: 6, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' },
+  RECEIPT: { prefix: 'RCP-', padding: 6, startNumber: 1, resetPolicy: 'FINANCIAL_YEAR' }
+};
+
+const GLOBAL_SCOPE = 'global';
+
+class DocumentSequenceService {
+  constructor() {
+    this.timeZone = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+  }
+
+  // Indian financial year (April-March) a date falls in, in store time
+  financialYear(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: 'numeric'
+    }).formatToParts(date);
+
+    const year = parseInt(parts.find(p => p.type === 'year').value);
+    const month = parseInt(parts.find(p => p.type === 'month').value);
+    const startYear = month >= 4 ? year : year - 1;
+    const endYear = (startYear + 1) % 100;
+
+    return {
+      period: `${startYear}-${endYear.toString().padStart(2, '0')}`,
+      label: `${(startYear % 100).toString().padStart(2, '0')}${endYear.toString().padStart(2, '0')}`
+    };
+  }
+
+  // Fetch (or lazily create) the series for a document type and scope.
+  // Pass the root client, not a transaction, so a lost create race is
+  // recoverable.
+  async getSeries(client, documentType, scope = GLOBAL_SCOPE) {
+    const defaults = DEFAULT_SERIES[documentType];
+    if (!defaults) {
+      throw new Error(`Unknown document type: ${documentType}`);
+    }
+
+    const where = {
+      documentType_scope: { documentType, scope }
+    };
+
+    const existing = await client.documentSeries.findUnique({ where });
+    if (existing) return existing;
+
+    try {
+      return await client.documentSeries.create({
+        data: {
+          documentType,
+          scope,
+          ...defaults
+        }
+      });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 'P2002') {
+        return client.documentSeries.findUnique({ where });
+      }
+      throw error;
+    }
+  }
+
+  // Issue the next number. Must run inside the transaction that writes the
+  // document: the counter row stays locked until commit, so concurrent
+  // requests queue behind each other and a rollback gives the number back.
+  async next(tx, documentType, { storeId, date = new Date() } = {}) {
+    // A store numbers on its own series only once one has been configured
+    // for it (with its own prefix); until then it shares the global series
+    let series = storeId
+      ? await tx.documentSeries.findUnique({
+        where: { documentType_scope: { documentType, scope: storeId } }
+      })
+      : null;
+
+    // Series rows are created outside the caller's transaction: a unique
+    // violation there would abort the whole sale
+    if (!series) {
+      series = await this.getSeries(prisma, documentType);
+    }
+
+    const fy = this.financialYear(date);
+    const period = series.resetPolicy === 'FINANCIAL_YEAR' ? fy.period : 'all';
+
+    const counter = await tx.documentCounter.upsert({
+      where: {
+        seriesId_period: { seriesId: series.id, period }
+      },
+      create: {
+        seriesId: series.id,
+        period,
+        lastNumber: series.startNumber
+      },
+      update: {
+        lastNumber: { increment: 1 }
+      }
+    });
+
+    return this.format(series, counter.lastNumber, fy.label);
+  }
+
+  format(series, number, fyLabel) {
+    const padded = number.toString().padStart(series.padding, '0');
+    return series.resetPolicy === 'FINANCIAL_YEAR'
+      ? `${series.prefix}${fyLabel}-${padded}`
+      : `${series.prefix}${padded}`;
+  }
+
+  // List all configured series with the number each will issue next
+  async listSeries() {
+    const fy = this.financialYear();
+    const series = await prisma.documentSeries.findMany({
+      include: { counters: true },
+      orderBy: [{ documentType: 'asc' }, { scope: 'asc' }]
+    });
+
+    return series.map(({ counters, ...s }) => {
+      const period = s.resetPolicy === 'FINANCIAL_YEAR' ? fy.period : 'all';
+      const counter = counters.find(c => c.period === period);
+      const nextNumber = counter ? counter.lastNumber + 1 : s.startNumber;
+      return {
+        ...s,
+        currentPeriod: period,
+        nextNumber,
+        preview: this.format(s, nextNumber, fy.label)
+      };
+    });
+  }
+
+  // Change prefix / padding / start number / reset policy of a series.
+  // Raising startNumber above the current counter moves the counter up;
+  // lowering it never rewinds issued numbers.
+  async configureSeries(documentType, config, scope = GLOBAL_SCOPE) {
+    const data = {};
+    if (config.prefix !== undefined) data.prefix = String(config.prefix);
+    if (config.padding !== undefined) data.padding = parseInt(config.padding);
+    if (config.startNumber !== undefined) data.startNumber = parseInt(config.startNumber);
+    if (config.resetPolicy !== undefined) data.resetPolicy = config.resetPolicy;
+
+    const series = await this.getSeries(prisma, documentType, scope);
+
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.documentSeries.update({
+        where: { id: series.id },
+        data
+      });
+
+      if (data.startNumber !== undefined) {
+        await tx.documentCounter.updateMany({
+          where: {
+            seriesId: series.id,
+            lastNumber: { lt: data.startNumber - 1 }
+          },
+          data: { lastNumber: data.startNumber - 1 }
+        });
+      }
+
+      return updated;
+    });
+  }
+}
+
+module.exports = new DocumentSequenceService();
@@ -0,0 +1,297 @@
+const prisma = require('../lib/prisma');
+const { AppError } = require('../middleware/errorHandler');
+const sequenceService = require('./sequence.service');
+
+// Every setting the store knows about, with its type and default.
+// Keys not listed here are rejected.
+const DEFINITIONS = {
+  storeName: { type: 'string', default: 'Frugano Store', required: true, maxLength: 100 },
+  phone: { type: 'string', default: '+91 9876543210', maxLength: 20 },
+  email: { type: 'email', default: 'store@frugano.com' },
+  gstNumber: { type: 'string', default: '27AAAAA0000A1Z5', maxLength: 15 },
+  address: { type: 'string', default: '123, Retail Street', maxLength: 200 },
+  city: { type: 'string', default: 'Mumbai', maxLength: 50 },
+  state: { type: 'string', default: 'Maharashtra', maxLength: 50 },
+  pincode: { type: 'string', default: '400001', pattern: /^\d{6}$/ },
+  country: { type: 'string', default: 'India', maxLength: 50 },
+  currency: { type: 'enum', default: 'INR', options: ['INR'] },
+  timezone: { type: 'string', default: 'Asia/Kolkata' },
+  taxRate: { type: 'number', default: 5, min: 0, max: 100 },
+  deliveryFee: { type: 'number', default: 40, min: 0 },
+  freeDeliveryMin: { type: 'number', default: 500, min: 0 },
+  loyaltyPointsRate: { type: 'integer', default: 1, min: 0 },
+  loyaltyRedeemValue: { type: 'number', default: 1, min: 0 },
+  loyaltyMinRedeemPoints: { type: 'integer', default: 100, min: 1 },
+  loyaltyMaxRedeemPercent: { type: 'number', default: 50, min: 0, max: 100 },
+  loyaltyPointsExpiryDays: { type: 'integer', default: 365, min: 0 },
+  goldSpendThreshold: { type: 'number', default: 5000, min: 0 },
+  vipSpendThreshold: { type: 'number', default: 10000, min: 0 },
+  nearExpiryDays: { type: 'integer', default: 3, min: 0 },
+  openingTime: { type: 'time', default: '09:00' },
+  closingTime: { type: 'time', default: '21:00' },
+  invoicePrefix: { type: 'string', default: 'INV-', required: true, maxLength: 10 },
+  invoiceStartNumber: { type: 'integer', default: 1001, min: 1 },
+  invoiceFooter: { type: 'string', default: 'Thank you for shopping!', maxLength: 200 },
+  autoPrintInvoice: { type: 'boolean', default: true },
+  emailInvoice: { type: 'boolean', default: false },
+  customerNotificationChannel: { type: 'enum', default: 'SMS', options: ['SMS', 'WHATSAPP', 'NONE'] },
+  lowStockEmailAlerts: { type: 'boolean', default: true },
+  notificationLanguage: { type: 'string', default: 'en', pattern: /^[a-z]{2}$/ },
+  autoBackup: { type: 'boolean', default: false },
+  backupFrequency: { type: 'enum', default: 'daily', options: ['daily', 'weekly', 'monthly'] },
+  backupTime: { type: 'time', default: '02:00' }
+};
+
+const DEFAULTS = Object.fromEntries(
+  Object.entries(DEFINITIONS).map(([key, def]) => [key, def.default])
+);
+
+// Settings are re-read after this long, so instances that did not make a
+// change (other serverless workers) pick it up without a restart
+const CACHE_TTL = parseInt(process.env.SETTINGS_CACHE_TTL_MS || '30000');
+
+class SettingsService {
+  constructor() {
+    this.definitions = DEFINITIONS;
+    this.defaults = DEFAULTS;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Coerce one value to its declared type; returns { value } or { error }
+  coerce(key, raw) {
+    const def = DEFINITIONS[key];
+    if (!def) return { error: 'Unknown setting' };
+
+    switch (def.type) {
+      case 'number':
+      case 'integer': {
+        const value = Number(raw);
+        if (raw === '' || raw === null || !Number.isFinite(value)) return { error: 'Must be a number' };
+        if (def.type === 'integer' && !Number.isInteger(value)) return { error: 'Must be a whole number' };
+        if (def.min !== undefined && value < def.min) return { error: `Must be at least ${def.min}` };
+        if (def.max !== undefined && value > def.max) return { error: `Must be at most ${def.max}` };
+        return { value };
+      }
+      case 'boolean':
+        if (raw === true || raw === 'true') return { value: true };
+        if (raw === false || raw === 'false') return { value: false };
+        return { error: 'Must be true or false' };
+      case 'time':
+        if (typeof raw !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(raw)) {
+          return { error: 'Must be a time as HH:MM' };
+        }
+        return { value: raw };
+      case 'enum':
+        if (!def.options.includes(raw)) return { error: `Must be one of ${def.options.join(', ')}` };
+        return { value: raw };
+      case 'email':
+        if (typeof raw !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+          return { error: 'Must be a valid email' };
+        }
+        return { value: raw.trim() };
+      default: {
+        if (raw === null || raw === undefined || typeof raw === 'object') return { error: 'Must be text' };
+        const value = String(raw).trim();
+        if (def.required && !value) return { error: 'Is required' };
+        if (def.maxLength && value.length > def.maxLength) return { error: `Must be at most ${def.maxLength} characters` };
+        if (def.pattern && value && !def.pattern.test(value)) return { error: 'Has an invalid format' };
+        return { value };
+      }
+    }
+  }
+
+  // Validate a partial update; throws with every invalid key listed
+  validate(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw new AppError('Settings must be an object');
+    }
+
+    const values = {};
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(updates)) {
+      const { value, error } = this.coerce(key, raw);
+      if (error) {
+        errors.push({ key, value: raw, msg: error });
+      } else {
+        values[key] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError('Invalid settings', 400, { errors });
+    }
+
+    return values;
+  }
+
+  // All settings, defaults filled in for keys never saved
+  async getAll() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL) {
+      return this.cache;
+    }
+
+    const rows = await prisma.storeSetting.findMany();
+    const settings = { ...DEFAULTS };
+    for (const row of rows) {
+      if (DEFINITIONS[row.key]) settings[row.key] = row.value;
+    }
+
+    this.cache = settings;
+    this.cachedAt = Date.now();
+    return settings;
+  }
+
+  async get(key) {
+    const settings = await this.getAll();
+    return settings[key];
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Delivery charge for an online order of the given subtotal
+  async deliveryFeeFor(subtotal) {
+    const { deliveryFee, freeDeliveryMin } = await this.getAll();
+    return freeDeliveryMin > 0 && subtotal >= freeDeliveryMin ? 0 : deliveryFee;
+  }
+
+  // Loyalty points earned on a bill (loyaltyPointsRate points per ₹100)
+  async loyaltyPointsFor(amount) {
+    const rate = await this.get('loyaltyPointsRate');
+    return Math.floor((amount / 100) * rate);
+  }
+
+  // Save changed keys and record a new version. Unchanged keys are ignored;
+  // returns null when nothing changed.
+  async update(updates, userId, { action = 'UPDATE', restoredVersion, note } = {}) {
+    const values = this.validate(updates);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const rows = await tx.storeSetting.findMany();
+      const current = { ...DEFAULTS };
+      for (const row of rows) {
+        if (DEFINITIONS[row.key]) current[row.key] = row.value;
+      }
+
+      const changes = {};
+      for (const [key, value] of Object.entries(values)) {
+        if (current[key] !== value) {
+          changes[key] = { from: current[key], to: value };
+        }
+      }
+
+      if (Object.keys(changes).length === 0) return null;
+
+      const latest = await tx.settingsVersion.aggregate({ _max: { version: true } });
+      const version = (latest._max.version || 0) + 1;
+      const snapshot = { ...current, ...values };
+
+      // Unique on version: a concurrent save fails here instead of
+      // silently interleaving
+      const entry = await tx.settingsVersion.create({
+        data: {
+          version,
+          action,
+          snapshot,
+          changes,
+          restoredVersion,
+          note,
+          changedById: userId
+        }
+      });
+
+      for (const key of Object.keys(changes)) {
+        await tx.storeSetting.upsert({
+          where: { key },
+          create: { key, value: snapshot[key], version },
+          update: { value: snapshot[key], version }
+        });
+      }
+
+      return { entry, snapshot, changes };
+    }).catch(error => {
+      if (error.code === 'P2002') {
+        throw new AppError('Settings were changed by someone else, please retry', 409);
+      }
+      throw error;
+    });
+
+    this.invalidate();
+
+    if (!result) return null;
+
+    // Invoice numbering lives in the SALE document series
+    if (result.changes.invoicePrefix || result.changes.invoiceStartNumber) {
+      await sequenceService.configureSeries('SALE', {
+        prefix: result.snapshot.invoicePrefix,
+        startNumber: result.snapshot.invoiceStartNumber
+      });
+    }
+
+    return result;
+  }
+
+  async getHistory({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [versions, total] = await Promise.all([
+      prisma.settingsVersion.findMany({
+        select: {
+          id: true,
+          version: true,
+          action: true,
+          changes: true,
+          restoredVersion: true,
+          note: true,
+          createdAt: true,
+          changedBy: {
+            select: { id: true, name: true, role: true }
+          }
+        },
+        orderBy: { version: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.settingsVersion.count()
+    ]);
+
+    return { versions, total };
+  }
+
+  async getVersion(version) {
+    return prisma.settingsVersion.findUnique({
+      where: { version },
+      include: {
+        changedBy: {
+          select: { id: true, name: true, role: true }
+        }
+      }
+    });
+  }
+
+  // Restore the settings as they were right after an earlier version.
+  // Recorded as a new version, so the rollback itself can be undone.
+  async rollback(version, userId, note) {
+    const target = await prisma.settingsVersion.findUnique({ where: { version } });
+    if (!target) {
+      throw new AppError('Settings version not found', 404);
+    }
+
+    // Only restore keys that still exist
+    const snapshot = Object.fromEntries(
+      Object.entries(target.snapshot).filter(([key]) => DEFINITIONS[key])
+    );
+
+    return this.update(snapshot, userId, { action: 'ROLLBACK', restoredVersion: version, note });
+  }
+
+  async reset(userId) {
+    return this.update(DEFAULTS, userId, { action: 'RESET' });
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,344 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount, percentage } = require('../utils/helpers');
+const saleService = require('./sale.service');
+const sequenceService = require('./sequence.service');
+const storeService = require('./store.service');
+
+// Sessions still holding their products
+const ACTIVE_STATUSES = ['OPEN', 'SUBMITTED'];
+
+// Quantities to 3 decimals (grams), amounts to 2
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const TRANSITIONS = {
+  OPEN: ['SUBMITTED', 'CANCELLED'],
+  SUBMITTED: ['APPROVED', 'OPEN', 'CANCELLED'],
+  APPROVED: [],
+  CANCELLED: []
+};
+
+class StockTakeService {
+  get transitions() {
+    return TRANSITIONS;
+  }
+
+  // Freeze the store's expected quantities for every active product in scope
+  async open(tx, { storeId, name, categoryIds = [], notes }, userId) {
+    const products = await tx.product.findMany({
+      where: {
+        isActive: true,
+        ...(categoryIds.length > 0 && { categoryId: { in: categoryIds } })
+      },
+      select: { id: true, purchasePrice: true }
+    });
+
+    if (products.length === 0) {
+      throw new AppError('No products to count in the selected categories');
+    }
+
+    // A product counted in two sessions of a store would be adjusted twice
+    const clash = await tx.stockTakeItem.findFirst({
+      where: {
+        productId: { in: products.map(p => p.id) },
+        stockTake: { storeId, status: { in: ACTIVE_STATUSES } }
+      },
+      include: {
+        stockTake: { select: { id: true, sessionNo: true } },
+        product: { select: { name: true } }
+      }
+    });
+
+    if (clash) {
+      throw new AppError(`${clash.product.name} is already being counted in ${clash.stockTake.sessionNo}`, 409, {
+        stockTakeId: clash.stockTake.id,
+        sessionNo: clash.stockTake.sessionNo
+      });
+    }
+
+    const sessionNo = await sequenceService.next(tx, 'STOCK_TAKE', { storeId });
+    const levels = await storeService.stockLevels(tx, storeId, products.map(p => p.id));
+
+    return tx.stockTake.create({
+      data: {
+        sessionNo,
+        storeId,
+        name,
+        categoryIds,
+        notes,
+        startedById: userId,
+        items: {
+          create: products.map(p => ({
+            productId: p.id,
+            expectedQuantity: levels[p.id] ? levels[p.id].currentStock : 0,
+            costPrice: p.purchasePrice
+          }))
+        }
+      },
+      include: {
+        _count: { select: { items: true } }
+      }
+    });
+  }
+
+  // Guarded status change so two managers cannot act on a session at once
+  async transition(tx, id, toStatus, data = {}) {
+    const stockTake = await tx.stockTake.findUnique({ where: { id } });
+
+    if (!stockTake) {
+      throw new AppError('Stock-take not found', 404);
+    }
+
+    if (!TRANSITIONS[stockTake.status].includes(toStatus)) {
+      throw new AppError(`Cannot move stock-take from ${stockTake.status} to ${toStatus}`, 409, {
+        currentStatus: stockTake.status,
+        allowed: TRANSITIONS[stockTake.status]
+      });
+    }
+
+    const { count } = await tx.stockTake.updateMany({
+      where: { id, status: stockTake.status },
+      data: { status: toStatus, ...data }
+    });
+
+    if (count === 0) {
+      throw new AppError('Stock-take was updated by someone else, please refresh', 409);
+    }
+
+    return stockTake;
+  }
+
+  // Apply a batch of counts from a handheld. Each count names the product by
+  // productId, barcode or sku; mode ADD adds to the running count (the same
+  // product shelved in several places), SET replaces it.
+  async recordCounts(tx, id, { deviceId, counts }, userId) {
+    const stockTake = await tx.stockTake.findUnique({ where: { id } });
+
+    if (!stockTake) {
+      throw new AppError('Stock-take not found', 404);
+    }
+
+    if (stockTake.status !== 'OPEN') {
+      throw new AppError(`Stock-take is ${stockTake.status.toLowerCase()}, counts are closed`, 409);
+    }
+
+    const codes = counts.map(c => c.barcode || c.sku).filter(Boolean);
+    const byCode = {};
+    if (codes.length > 0) {
+      const products = await tx.product.findMany({
+        where: { OR: [{ barcode: { in: codes } }, { sku: { in: codes } }] },
+        select: { id: true, barcode: true, sku: true }
+      });
+      products.forEach(p => {
+        if (p.barcode) byCode[p.barcode] = p.id;
+        byCode[p.sku] = p.id;
+      });
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const countedAt = new Date();
+
+    for (const [index, count] of counts.entries()) {
+      const productId = count.productId || byCode[count.barcode || count.sku];
+      const quantity = parseFloat(count.quantity);
+
+      if (!productId) {
+        rejected.push({ index, ...count, reason: 'Unknown product' });
+        continue;
+      }
+
+      if (isNaN(quantity) || quantity < 0) {
+        rejected.push({ index, ...count, reason: 'Invalid quantity' });
+        continue;
+      }
+
+      // Counts stop landing the moment the session is submitted
+      const where = { stockTakeId: id, productId, stockTake: { status: 'OPEN' } };
+      const data = { countedById: userId, countedAt, deviceId, ...(count.notes && { notes: count.notes }) };
+      let updated;
+
+      if (count.mode === 'ADD') {
+        // Increment an existing count, or start one; retried once if
+        // another handheld starts it first
+        updated = await tx.stockTakeItem.updateMany({
+          where: { ...where, countedQuantity: { not: null } },
+          data: { ...data, countedQuantity: { increment: quantity } }
+        });
+        if (updated.count === 0) {
+          updated = await tx.stockTakeItem.updateMany({
+            where: { ...where, countedQuantity: null },
+            data: { ...data, countedQuantity: quantity }
+          });
+        }
+        if (updated.count === 0) {
+          updated = await tx.stockTakeItem.updateMany({
+            where: { ...where, countedQuantity: { not: null } },
+            data: { ...data, countedQuantity: { increment: quantity } }
+          });
+        }
+      } else {
+        updated = await tx.stockTakeItem.updateMany({
+          where,
+          data: { ...data, countedQuantity: quantity }
+        });
+      }
+
+      if (updated.count === 0) {
+        rejected.push({ index, ...count, reason: 'Product is not part of this stock-take' });
+        continue;
+      }
+
+      accepted.push({ index, productId, quantity, mode: count.mode === 'ADD' ? 'ADD' : 'SET' });
+    }
+
+    return { accepted, rejected };
+  }
+
+  // Counted minus expected for one line; null while uncounted
+  variance(item) {
+    if (item.countedQuantity === null) {
+      return { variance: null, varianceValue: null };
+    }
+
+    const variance = roundQuantity(item.countedQuantity - item.expectedQuantity);
+    return { variance, varianceValue: roundAmount(variance * item.costPrice) };
+  }
+
+  summarize(items) {
+    const counted = items.filter(i => i.countedQuantity !== null);
+    const lines = counted.map(i => this.variance(i));
+
+    return {
+      totalItems: items.length,
+      countedItems: counted.length,
+      uncountedItems: items.length - counted.length,
+      itemsWithVariance: lines.filter(l => l.variance !== 0).length,
+      expectedValue: roundAmount(counted.reduce((sum, i) => sum + i.expectedQuantity * i.costPrice, 0)),
+      countedValue: roundAmount(counted.reduce((sum, i) => sum + i.countedQuantity * i.costPrice, 0)),
+      shortageValue: roundAmount(lines.filter(l => l.varianceValue < 0).reduce((sum, l) => sum - l.varianceValue, 0)),
+      surplusValue: roundAmount(lines.filter(l => l.varianceValue > 0).reduce((sum, l) => sum + l.varianceValue, 0)),
+      netVarianceValue: roundAmount(lines.reduce((sum, l) => sum + l.varianceValue, 0))
+    };
+  }
+
+  // Post counted minus expected as ADJUSTMENT movements. Sales made while
+  // counting stay accounted for because only the variance is applied.
+  // Uncounted lines are skipped, or taken as zero when asked to.
+  async approve(tx, id, userId, { uncountedAsZero = false } = {}) {
+    const stockTake = await this.transition(tx, id, 'APPROVED', {
+      approvedById: userId,
+      approvedAt: new Date()
+    });
+
+    const items = await tx.stockTakeItem.findMany({
+      where: { stockTakeId: id },
+      include: { product: { select: { name: true } } }
+    });
+
+    const adjustments = [];
+
+    for (const item of items) {
+      const counted = item.countedQuantity !== null
+        ? item.countedQuantity
+        : (uncountedAsZero ? 0 : null);
+      if (counted === null) continue;
+
+      if (item.countedQuantity === null) {
+        await tx.stockTakeItem.update({
+          where: { id: item.id },
+          data: { countedQuantity: 0, countedById: userId, countedAt: new Date() }
+        });
+      }
+
+      let quantity = roundQuantity(counted - item.expectedQuantity);
+      if (quantity === 0) continue;
+
+      // Never write stock below zero if it moved a lot while counting
+      const { currentStock } = await storeService.stockFor(tx, item.productId, stockTake.storeId);
+      const clamped = quantity < -currentStock;
+      if (clamped) quantity = -currentStock;
+      if (quantity === 0) continue;
+
+      const { stock, afterStock } = await saleService.moveStock(tx, {
+        productId: item.productId,
+        storeId: stockTake.storeId,
+        quantity,
+        type: 'ADJUSTMENT',
+        reference: stockTake.id,
+        notes: `Stock-take ${stockTake.sessionNo}`,
+        userId,
+        batch: { batchNumber: stockTake.sessionNo, costPrice: item.costPrice }
+      });
+
+      await saleService.raiseStockAlert(tx, stock);
+
+      adjustments.push({
+        productId: item.productId,
+        product: item.product.name,
+        quantity,
+        value: roundAmount(quantity * item.costPrice),
+        afterStock,
+        clamped
+      });
+    }
+
+    return { stockTake, adjustments };
+  }
+
+  // Shortages and surpluses of a session, per product and per category
+  shrinkage(stockTake) {
+    const byCategory = {};
+    const products = [];
+
+    for (const item of stockTake.items) {
+      const { variance, varianceValue } = this.variance(item);
+      if (variance === null || variance === 0) continue;
+
+      const category = item.product.category;
+      if (!byCategory[category.id]) {
+        byCategory[category.id] = { category, shortageValue: 0, surplusValue: 0, netVarianceValue: 0, expectedValue: 0 };
+      }
+      const row = byCategory[category.id];
+      row.netVarianceValue += varianceValue;
+      if (varianceValue < 0) row.shortageValue -= varianceValue;
+      else row.surplusValue += varianceValue;
+
+      products.push({
+        product: { id: item.product.id, name: item.product.name, sku: item.product.sku, unit: item.product.unit },
+        category: category.name,
+        expectedQuantity: item.expectedQuantity,
+        countedQuantity: item.countedQuantity,
+        variance,
+        costPrice: item.costPrice,
+        varianceValue
+      });
+    }
+
+    // Shrinkage is measured against what was expected on the counted shelves
+    stockTake.items
+      .filter(i => i.countedQuantity !== null && byCategory[i.product.category.id])
+      .forEach(i => { byCategory[i.product.category.id].expectedValue += i.expectedQuantity * i.costPrice; });
+
+    const summary = this.summarize(stockTake.items);
+
+    return {
+      summary: {
+        ...summary,
+        shrinkagePercent: roundAmount(percentage(summary.shortageValue, summary.expectedValue))
+      },
+      byCategory: Object.values(byCategory)
+        .map(row => ({
+          ...row,
+          shortageValue: roundAmount(row.shortageValue),
+          surplusValue: roundAmount(row.surplusValue),
+          netVarianceValue: roundAmount(row.netVarianceValue),
+          expectedValue: roundAmount(row.expectedValue),
+          shrinkagePercent: roundAmount(percentage(row.shortageValue, row.expectedValue))
+        }))
+        .sort((a, b) => b.shortageValue - a.shortageValue),
+      products: products.sort((a, b) => a.varianceValue - b.varianceValue)
+    };
+  }
+}
+
+module.exports = new StockTakeService();
@@ -0,0 +1,134 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Passed as the store by the owner to see every store at once
+const ALL_STORES = 'all';
+
+class StoreService {
+  get allStores() {
+    return ALL_STORES;
+  }
+
+  // Stores a user may work in, default store first. The owner has every
+  // active store; everyone else only the ones they are assigned to.
+  async storesFor(client, user) {
+    if (user.role === 'OWNER') {
+      const [stores, memberships] = await Promise.all([
+        client.store.findMany({
+          where: { isActive: true },
+          orderBy: { createdAt: 'asc' }
+        }),
+        client.storeUser.findMany({ where: { userId: user.id, isDefault: true } })
+      ]);
+      const defaultId = memberships.length > 0 ? memberships[0].storeId : null;
+      return stores
+        .map(store => ({ ...store, isDefault: store.id === defaultId }))
+        .sort((a, b) => b.isDefault - a.isDefault);
+    }
+
+    const memberships = await client.storeUser.findMany({
+      where: { userId: user.id, store: { isActive: true } },
+      include: { store: true },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    return memberships.map(m => ({ ...m.store, isDefault: m.isDefault }));
+  }
+
+  // Work out which store a request acts on. `requested` is a store id, the
+  // 'all' keyword (owner only, read-only) or empty for the default store.
+  async resolve(client, user, requested, { readOnly = true } = {}) {
+    const stores = await this.storesFor(client, user);
+
+    if (stores.length === 0) {
+      throw new AppError('You are not assigned to any store', 403);
+    }
+
+    if (requested === ALL_STORES) {
+      if (user.role !== 'OWNER') {
+        throw new AppError('Only the owner can view all stores together', 403);
+      }
+      if (!readOnly) {
+        throw new AppError('Choose a store for this action');
+      }
+      return { storeId: null, stores };
+    }
+
+    if (!requested) {
+      return { storeId: stores[0].id, stores };
+    }
+
+    if (!stores.some(s => s.id === requested)) {
+      throw new AppError('You do not have access to this store', 403, { storeId: requested });
+    }
+
+    return { storeId: requested, stores };
+  }
+
+  // Store the online shop fulfils from when nobody picks one
+  async defaultStore(client) {
+    const store = await client.store.findFirst({
+      where: { isActive: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (!store) {
+      throw new AppError('No active store', 503);
+    }
+
+    return store;
+  }
+
+  // Stock of one product in one store (zero when never stocked there)
+  async stockFor(client, productId, storeId) {
+    const stock = await client.productStock.findUnique({
+      where: { productId_storeId: { productId, storeId } }
+    });
+
+    return stock || { productId, storeId, currentStock: 0, minStockAlert: null };
+  }
+
+  // Give a new product an empty stock row in every store
+  async openStock(tx, product) {
+    const stores = await tx.store.findMany({ select: { id: true } });
+
+    await tx.productStock.createMany({
+      data: stores.map(store => ({
+        productId: product.id,
+        storeId: store.id,
+        currentStock: 0,
+        minStockAlert: product.minStockAlert
+      })),
+      skipDuplicates: true
+    });
+  }
+
+  // Store stock of many products keyed by product id
+  async stockLevels(client, storeId, productIds) {
+    const rows = await client.productStock.findMany({
+      where: {
+        storeId,
+        ...(productIds && { productId: { in: productIds } })
+      }
+    });
+
+    return rows.reduce((map, row) => {
+      map[row.productId] = row;
+      return map;
+    }, {});
+  }
+
+  // Replace a product's chain-wide stock figures with the store's own
+  withStoreStock(products, levels) {
+    return products.map(product => {
+      const stock = levels[product.id];
+      return {
+        ...product,
+        totalStock: product.currentStock,
+        currentStock: stock ? stock.currentStock : 0,
+        minStockAlert: stock ? stock.minStockAlert : product.minStockAlert
+      };
+    });
+  }
+}
+
+module.exports = new StoreService();
@@ -0,0 +1,310 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const purchaseService = require('./purchase.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets in days since the bill, the last one open-ended
+const AGING_BUCKETS = [
+  { label: '0-7', max: 7 },
+  { label: '8-15', max: 15 },
+  { label: '16-30', max: 30 },
+  { label: '30+', max: Infinity }
+];
+
+// Same-day entries list bills before what settles them
+const ENTRY_ORDER = { OPENING: 0, PURCHASE: 1, RETURN: 2, PAYMENT: 3 };
+
+// Days in each unit payment terms are given in; a bare number is days
+const TERM_UNITS = { d: 1, day: 1, wk: 7, week: 7, fortnight: 15, mo: 30, month: 30 };
+
+class SupplierLedgerService {
+  get agingBuckets() {
+    return AGING_BUCKETS.map(b => b.label);
+  }
+
+  // Credit days from free-text terms: "7 days", "Net 30", "15", "2 weeks",
+  // "1 month", "weekly". Cash/advance terms are due at once; null when
+  // nothing can be read.
+  parsePaymentTerms(terms) {
+    if (!terms) return null;
+
+    const text = terms.toLowerCase();
+    if (/cash|cod|immediate|advance|on delivery|on receipt/.test(text)) return 0;
+
+    const count = text.match(/(\d+)\s*(?:(days?|d|weeks?|wks?|fortnights?|months?|mos?)\b)?/);
+    if (count) {
+      const unit = count[2] ? count[2].replace(/s$/, '') : 'd';
+      return parseInt(count[1]) * TERM_UNITS[unit];
+    }
+
+    if (/fortnight/.test(text)) return 15;
+    if (/week/.test(text)) return 7;
+    if (/month/.test(text)) return 30;
+
+    return null;
+  }
+
+  bucketFor(ageDays) {
+    return AGING_BUCKETS.find(b => ageDays <= b.max).label;
+  }
+
+  emptyBuckets() {
+    return AGING_BUCKETS.reduce((buckets, b) => ({ ...buckets, [b.label]: 0 }), {});
+  }
+
+  // Every movement of what we owe a supplier, oldest first. Bills entered
+  // as paid up front show as a bill and a payment on the same day.
+  async entries(client, supplier) {
+    const [purchases, payments, returns] = await Promise.all([
+      client.purchase.findMany({
+        where: { supplierId: supplier.id },
+        select: {
+          id: true,
+          invoiceNo: true,
+          purchaseDate: true,
+          netAmount: true,
+          paymentStatus: true,
+          _count: { select: { payments: true } }
+        }
+      }),
+      client.supplierPayment.findMany({
+        where: { supplierId: supplier.id },
+        include: { purchase: { select: { invoiceNo: true } } }
+      }),
+      client.purchaseReturn.findMany({
+        where: { supplierId: supplier.id },
+        include: { purchase: { select: { invoiceNo: true } } }
+      })
+    ]);
+
+    const entries = [];
+
+    if (supplier.openingBalance) {
+      entries.push({
+        date: supplier.createdAt,
+        type: 'OPENING',
+        reference: null,
+        description: 'Opening balance',
+        credit: supplier.openingBalance > 0 ? supplier.openingBalance : 0,
+        debit: supplier.openingBalance < 0 ? -supplier.openingBalance : 0
+      });
+    }
+
+    purchases.forEach(p => {
+      entries.push({
+        date: p.purchaseDate,
+        type: 'PURCHASE',
+        reference: p.invoiceNo,
+        purchaseId: p.id,
+        description: `Purchase #${p.invoiceNo}`,
+        credit: p.netAmount,
+        debit: 0
+      });
+
+      if (p.paymentStatus === 'PAID' && p._count.payments === 0) {
+        entries.push({
+          date: p.purchaseDate,
+          type: 'PAYMENT',
+          reference: p.invoiceNo,
+          purchaseId: p.id,
+          description: `Paid on purchase #${p.invoiceNo}`,
+          credit: 0,
+          debit: p.netAmount
+        });
+      }
+    });
+
+    payments.forEach(p => {
+      entries.push({
+        date: p.paymentDate,
+        type: 'PAYMENT',
+        reference: p.referenceNo,
+        purchaseId: p.purchaseId,
+        description: `Payment (${p.paymentMethod})${p.purchase ? ` for #${p.purchase.invoiceNo}` : ''}`,
+        credit: 0,
+        debit: p.amount
+      });
+    });
+
+    returns.forEach(r => {
+      entries.push({
+        date: r.createdAt,
+        type: 'RETURN',
+        reference: r.debitNoteNo,
+        purchaseId: r.purchaseId,
+        description: `Debit note ${r.debitNoteNo} against #${r.purchase.invoiceNo}`,
+        credit: 0,
+        debit: r.totalAmount
+      });
+    });
+
+    return entries.sort((a, b) =>
+      a.date - b.date || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+    );
+  }
+
+  // Dated statement with a running balance (what we owe). Movements before
+  // the start date are carried in as the balance brought forward.
+  async ledger(client, supplierId, { startDate, endDate } = {}) {
+    const supplier = await client.supplier.findUnique({ where: { id: supplierId } });
+
+    if (!supplier) {
+      throw new AppError('Supplier not found', 404);
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    const all = await this.entries(client, supplier);
+
+    let balance = 0;
+    const entries = [];
+
+    for (const entry of all) {
+      if (to && entry.date > to) break;
+
+      balance += entry.credit - entry.debit;
+      if (from && entry.date < from) continue;
+      entries.push({ ...entry, balance: roundAmount(balance) });
+    }
+
+    const broughtForward = from
+      ? roundAmount(all.filter(e => e.date < from).reduce((sum, e) => sum + e.credit - e.debit, 0))
+      : 0;
+    const totalCredit = roundAmount(entries.reduce((sum, e) => sum + e.credit, 0));
+    const totalDebit = roundAmount(entries.reduce((sum, e) => sum + e.debit, 0));
+
+    return {
+      supplier,
+      period: { startDate: from, endDate: to },
+      openingBalance: broughtForward,
+      entries,
+      summary: {
+        totalCredit,
+        totalDebit,
+        closingBalance: roundAmount(broughtForward + totalCredit - totalDebit),
+        currentBalance: supplier.currentBalance
+      }
+    };
+  }
+
+  // Unpaid bills by age, per supplier. Payments made against a bill settle
+  // that bill; payments on account and credit left by returns settle the
+  // oldest bills first. A bill is overdue once the supplier's payment terms
+  // have run out (at once when the terms cannot be read).
+  async aging(client, { supplierId, asOf = new Date() } = {}) {
+    const suppliers = await client.supplier.findMany({
+      where: supplierId ? { id: supplierId } : { isActive: true },
+      include: {
+        purchases: {
+          where: {
+            OR: [
+              { paymentStatus: { in: ['PENDING', 'PARTIAL'] } },
+              { returns: { some: {} } }
+            ]
+          },
+          include: {
+            payments: { select: { amount: true } },
+            returns: { select: { totalAmount: true } }
+          },
+          orderBy: { purchaseDate: 'asc' }
+        },
+        payments: {
+          where: { purchaseId: null },
+          select: { amount: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    const totals = { totalDue: 0, overdue: 0, buckets: this.emptyBuckets() };
+    const rows = [];
+
+    for (const supplier of suppliers) {
+      const termsDays = this.parsePaymentTerms(supplier.paymentTerms);
+
+      const bills = supplier.purchases.map(p => ({
+        purchaseId: p.id,
+        invoiceNo: p.invoiceNo,
+        date: p.purchaseDate,
+        amount: p.netAmount,
+        due: purchaseService.amountDue(p, p.payments, p.returns).due
+      }));
+      if (supplier.openingBalance > 0) {
+        bills.unshift({
+          purchaseId: null,
+          invoiceNo: 'Opening balance',
+          date: supplier.createdAt,
+          amount: supplier.openingBalance,
+          due: supplier.openingBalance
+        });
+      }
+
+      let credit = supplier.payments.reduce((sum, p) => sum + p.amount, 0) +
+        bills.filter(b => b.due < 0).reduce((sum, b) => sum - b.due, 0);
+
+      const open = [];
+      for (const bill of bills.filter(b => b.due > 0)) {
+        const settled = Math.min(credit, bill.due);
+        credit -= settled;
+        const due = roundAmount(bill.due - settled);
+        if (due <= 0) continue;
+
+        const ageDays = Math.max(0, Math.floor((asOf - bill.date) / DAY_MS));
+        const dueDate = new Date(bill.date.getTime() + (termsDays || 0) * DAY_MS);
+        const daysOverdue = Math.max(0, Math.floor((asOf - dueDate) / DAY_MS));
+
+        open.push({
+          ...bill,
+          due,
+          ageDays,
+          bucket: this.bucketFor(ageDays),
+          dueDate,
+          overdue: asOf > dueDate,
+          daysOverdue
+        });
+      }
+
+      if (open.length === 0) continue;
+
+      const buckets = this.emptyBuckets();
+      open.forEach(b => { buckets[b.bucket] = roundAmount(buckets[b.bucket] + b.due); });
+      const totalDue = roundAmount(open.reduce((sum, b) => sum + b.due, 0));
+      const overdue = roundAmount(open.filter(b => b.overdue).reduce((sum, b) => sum + b.due, 0));
+
+      totals.totalDue += totalDue;
+      totals.overdue += overdue;
+      Object.keys(buckets).forEach(label => { totals.buckets[label] += buckets[label]; });
+
+      rows.push({
+        supplier: {
+          id: supplier.id,
+          name: supplier.name,
+          phone: supplier.phone,
+          paymentTerms: supplier.paymentTerms
+        },
+        termsDays,
+        totalDue,
+        overdue,
+        buckets,
+        unappliedCredit: roundAmount(credit),
+        bills: open
+      });
+    }
+
+    Object.keys(totals.buckets).forEach(label => { totals.buckets[label] = roundAmount(totals.buckets[label]); });
+
+    return {
+      asOf,
+      buckets: this.agingBuckets,
+      suppliers: rows.sort((a, b) => b.overdue - a.overdue || b.totalDue - a.totalDue),
+      totals: {
+        ...totals,
+        totalDue: roundAmount(totals.totalDue),
+        overdue: roundAmount(totals.overdue)
+      }
+    };
+  }
+}
+
+module.exports = new SupplierLedgerService();
@@ -0,0 +1,312 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const saleService = require('./sale.service');
+const wastageService = require('./wastage.service');
+const sequenceService = require('./sequence.service');
+
+// Quantities to 3 decimals (grams), amounts to 2
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const TRANSITIONS = {
+  REQUESTED: ['DISPATCHED', 'CANCELLED'],
+  DISPATCHED: ['RECEIVED'],
+  RECEIVED: [],
+  CANCELLED: []
+};
+
+class TransferService {
+  get transitions() {
+    return TRANSITIONS;
+  }
+
+  // Ask another store for stock. The same product listed twice is merged.
+  async request(tx, { fromStoreId, toStoreId, items, notes }, userId) {
+    if (fromStoreId === toStoreId) {
+      throw new AppError('Stock can only be transferred between two different stores');
+    }
+
+    const fromStore = await tx.store.findUnique({ where: { id: fromStoreId } });
+    if (!fromStore || !fromStore.isActive) {
+      throw new AppError('Source store not found', 404);
+    }
+
+    const quantities = {};
+    items.forEach(item => {
+      quantities[item.productId] = roundQuantity((quantities[item.productId] || 0) + parseFloat(item.quantity));
+    });
+
+    const productIds = Object.keys(quantities);
+    const products = await tx.product.findMany({
+      where: { id: { in: productIds }, isActive: true },
+      select: { id: true }
+    });
+
+    if (products.length !== productIds.length) {
+      const found = products.map(p => p.id);
+      throw new AppError('Product not found', 400, {
+        productIds: productIds.filter(id => !found.includes(id))
+      });
+    }
+
+    const transferNo = await sequenceService.next(tx, 'TRANSFER', { storeId: toStoreId });
+
+    return tx.stockTransfer.create({
+      data: {
+        transferNo,
+        fromStoreId,
+        toStoreId,
+        notes,
+        requestedById: userId,
+        items: {
+          create: productIds.map(productId => ({
+            productId,
+            requestedQuantity: quantities[productId]
+          }))
+        }
+      },
+      include: {
+        _count: { select: { items: true } }
+      }
+    });
+  }
+
+  // Guarded status change so both stores cannot act on a transfer at once
+  async transition(tx, id, toStatus, data = {}) {
+    const transfer = await tx.stockTransfer.findUnique({ where: { id } });
+
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+
+    if (!TRANSITIONS[transfer.status].includes(toStatus)) {
+      throw new AppError(`Cannot move transfer from ${transfer.status} to ${toStatus}`, 409, {
+        currentStatus: transfer.status,
+        allowed: TRANSITIONS[transfer.status]
+      });
+    }
+
+    const { count } = await tx.stockTransfer.updateMany({
+      where: { id, status: transfer.status },
+      data: { status: toStatus, ...data }
+    });
+
+    if (count === 0) {
+      throw new AppError('Transfer was updated by someone else, please refresh', 409);
+    }
+
+    return transfer;
+  }
+
+  // Send the stock. Each line leaves the source store as a TRANSFER at the
+  // cost of the lots it was drawn from; a line may go short of what was
+  // asked (or at 0) when the source cannot spare it.
+  async dispatch(tx, id, { items = [] }, userId) {
+    const transfer = await this.transition(tx, id, 'DISPATCHED', {
+      dispatchedById: userId,
+      dispatchedAt: new Date()
+    });
+
+    const lines = await tx.stockTransferItem.findMany({
+      where: { transferId: id },
+      include: { product: { select: { name: true, purchasePrice: true } } }
+    });
+
+    const sending = {};
+    items.forEach(item => { sending[item.productId] = item; });
+
+    const movements = [];
+
+    for (const line of lines) {
+      const entry = sending[line.productId];
+      const quantity = roundQuantity(entry ? parseFloat(entry.quantity) : line.requestedQuantity);
+
+      if (isNaN(quantity) || quantity < 0) {
+        throw new AppError(`Invalid dispatch quantity for ${line.product.name}`);
+      }
+
+      if (quantity > line.requestedQuantity) {
+        throw new AppError(`Cannot send more ${line.product.name} than was requested`, 400, {
+          product: line.product.name,
+          requested: line.requestedQuantity
+        });
+      }
+
+      let costPrice = null;
+      if (quantity > 0) {
+        const { stock, afterStock, batches } = await saleService.moveStock(tx, {
+          productId: line.productId,
+          storeId: transfer.fromStoreId,
+          quantity: -quantity,
+          type: 'TRANSFER',
+          reference: transfer.id,
+          notes: `Transfer ${transfer.transferNo} out`,
+          userId
+        });
+
+        // Stock that predates batch tracking goes at the product's cost
+        const fromBatches = batches.reduce((sum, b) => sum + b.quantity, 0);
+        const value = batches.reduce((sum, b) => sum + b.quantity * b.costPrice, 0) +
+          (quantity - fromBatches) * line.product.purchasePrice;
+        costPrice = roundAmount(value / quantity);
+
+        await saleService.raiseStockAlert(tx, stock);
+
+        movements.push({ productId: line.productId, storeId: transfer.fromStoreId, quantity: -quantity, afterStock });
+      }
+
+      await tx.stockTransferItem.update({
+        where: { id: line.id },
+        data: {
+          dispatchedQuantity: quantity,
+          costPrice,
+          ...(entry && entry.notes && { notes: entry.notes })
+        }
+      });
+    }
+
+    if (movements.length === 0) {
+      throw new AppError('Nothing to dispatch, every line is at 0');
+    }
+
+    return { transfer, movements };
+  }
+
+  // Take the stock in at the destination. Each line comes in as a TRANSFER
+  // in the lots it left in (same expiry, cost and age); whatever did not
+  // arrive is then written off there as wastage at the dispatch cost.
+  async receive(tx, id, { items = [], reason = 'DAMAGED' }, userId) {
+    const transfer = await this.transition(tx, id, 'RECEIVED', {
+      receivedById: userId,
+      receivedAt: new Date()
+    });
+
+    const lines = await tx.stockTransferItem.findMany({
+      where: { transferId: id },
+      include: { product: { select: { name: true } } }
+    });
+
+    const arriving = {};
+    items.forEach(item => { arriving[item.productId] = item; });
+
+    const received = [];
+    const movements = [];
+
+    for (const line of lines) {
+      const dispatched = line.dispatchedQuantity || 0;
+      const entry = arriving[line.productId];
+      const quantity = roundQuantity(entry && entry.quantity !== undefined ? parseFloat(entry.quantity) : dispatched);
+
+      if (isNaN(quantity) || quantity < 0 || quantity > dispatched) {
+        throw new AppError(`Received quantity for ${line.product.name} must be between 0 and ${dispatched}`, 400, {
+          product: line.product.name,
+          dispatched
+        });
+      }
+
+      await tx.stockTransferItem.update({
+        where: { id: line.id },
+        data: {
+          receivedQuantity: quantity,
+          ...(entry && entry.notes && { notes: entry.notes })
+        }
+      });
+
+      if (dispatched === 0) continue;
+
+      // The lots as they left the source store
+      const drawn = await tx.stockBatchMovement.findMany({
+        where: {
+          quantity: { lt: 0 },
+          transaction: {
+            productId: line.productId,
+            storeId: transfer.fromStoreId,
+            type: 'TRANSFER',
+            reference: transfer.id
+          }
+        },
+        include: { batch: true },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const lots = drawn.map(m => ({
+        batchNumber: m.batch.batchNumber || transfer.transferNo,
+        expiryDate: m.batch.expiryDate,
+        receivedAt: m.batch.receivedAt,
+        costPrice: m.batch.costPrice,
+        quantity: -m.quantity
+      }));
+      if (roundQuantity(lots.reduce((sum, l) => sum + l.quantity, 0)) < dispatched) {
+        lots.push({ batchNumber: transfer.transferNo, costPrice: line.costPrice });
+      }
+
+      const moved = await saleService.moveStock(tx, {
+        productId: line.productId,
+        storeId: transfer.toStoreId,
+        quantity: dispatched,
+        type: 'TRANSFER',
+        reference: transfer.id,
+        notes: `Transfer ${transfer.transferNo} in`,
+        userId,
+        batch: lots
+      });
+      let afterStock = moved.afterStock;
+
+      const shortfall = roundQuantity(dispatched - quantity);
+      let wastage = null;
+      if (shortfall > 0) {
+        ({ wastage, afterStock } = await wastageService.record(tx, {
+          productId: line.productId,
+          storeId: transfer.toStoreId,
+          quantity: shortfall,
+          reason: (entry && entry.reason) || reason,
+          notes: (entry && entry.notes) || `Short on transfer ${transfer.transferNo}`,
+          userId,
+          reference: transfer.id,
+          batchIds: moved.batches.map(b => b.batchId),
+          costPrice: line.costPrice
+        }));
+      }
+
+      movements.push({ productId: line.productId, storeId: transfer.toStoreId, quantity, afterStock });
+      received.push({
+        productId: line.productId,
+        product: line.product.name,
+        dispatched,
+        received: quantity,
+        shortfall,
+        lossValue: wastage ? wastage.totalLoss : 0,
+        wastageId: wastage ? wastage.id : null
+      });
+    }
+
+    return { transfer, received, movements };
+  }
+
+  // Value of each line at the dispatch cost, and totals for the transfer
+  summarize(items) {
+    const lines = items.map(item => {
+      const cost = item.costPrice || 0;
+      const shortfall = item.dispatchedQuantity !== null && item.receivedQuantity !== null
+        ? roundQuantity(item.dispatchedQuantity - item.receivedQuantity)
+        : null;
+
+      return {
+        ...item,
+        shortfall,
+        dispatchedValue: item.dispatchedQuantity !== null ? roundAmount(item.dispatchedQuantity * cost) : null,
+        lossValue: shortfall !== null ? roundAmount(shortfall * cost) : null
+      };
+    });
+
+    return {
+      lines,
+      summary: {
+        totalItems: items.length,
+        dispatchedValue: roundAmount(lines.reduce((sum, l) => sum + (l.dispatchedValue || 0), 0)),
+        lossValue: roundAmount(lines.reduce((sum, l) => sum + (l.lossValue || 0), 0))
+      }
+    };
+  }
+}
+
+module.exports = new TransferService();
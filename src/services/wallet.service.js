@@ -0,0 +1,157 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+
+// Movements that take money out of the wallet
+const DEBIT_TYPES = ['DEBIT', 'REDEMPTION'];
+
+// How customers can load their wallet at the counter
+const TOP_UP_METHODS = ['CASH', 'UPI'];
+
+class WalletService {
+  get topUpMethods() {
+    return TOP_UP_METHODS;
+  }
+
+  // Move money in or out of a customer's wallet and write the ledger row
+  // with the balance after it. A spend only goes through if the balance
+  // covers it, checked in the same statement that takes the money, so two
+  // concurrent spends cannot overdraw the wallet.
+  async post(tx, customerId, { type, amount, reference, description, paymentMethod, storeId, userId }) {
+    const value = roundAmount(parseFloat(amount));
+    if (!value || value <= 0) {
+      throw new AppError('Valid wallet amount required');
+    }
+
+    let customer;
+    if (DEBIT_TYPES.includes(type)) {
+      const { count } = await tx.customer.updateMany({
+        where: { id: customerId, walletBalance: { gte: value } },
+        data: { walletBalance: { decrement: value } }
+      });
+
+      customer = await tx.customer.findUnique({
+        where: { id: customerId },
+        select: { walletBalance: true }
+      });
+
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+
+      if (count === 0) {
+        throw new AppError('Insufficient wallet balance', 400, {
+          available: roundAmount(customer.walletBalance),
+          requested: value
+        });
+      }
+    } else {
+      try {
+        customer = await tx.customer.update({
+          where: { id: customerId },
+          data: { walletBalance: { increment: value } },
+          select: { walletBalance: true }
+        });
+      } catch (error) {
+        if (error.code === 'P2025') {
+          throw new AppError('Customer not found', 404);
+        }
+        throw error;
+      }
+    }
+
+    const transaction = await tx.walletTransaction.create({
+      data: {
+        customerId,
+        type,
+        amount: value,
+        balance: roundAmount(customer.walletBalance),
+        reference,
+        description,
+        paymentMethod,
+        storeId,
+        createdById: userId
+      }
+    });
+
+    return { transaction, balance: transaction.balance };
+  }
+
+  // Customer pays money into their wallet at the counter
+  async topUp(tx, { customerId, amount, paymentMethod, referenceNo, storeId }, userId) {
+    if (!TOP_UP_METHODS.includes(paymentMethod)) {
+      throw new AppError(`Wallet top-ups must be paid by ${TOP_UP_METHODS.join(' or ')}`);
+    }
+
+    return this.post(tx, customerId, {
+      type: 'TOP_UP',
+      amount,
+      reference: referenceNo,
+      description: `Top-up (${paymentMethod})`,
+      paymentMethod,
+      storeId,
+      userId
+    });
+  }
+
+  // Pay for a bill or order out of the wallet
+  async spend(tx, customerId, amount, { reference, description, storeId, userId }) {
+    if (!customerId) {
+      throw new AppError('Wallet payments need a registered customer');
+    }
+
+    return this.post(tx, customerId, { type: 'DEBIT', amount, reference, description, storeId, userId });
+  }
+
+  // Give money back into the wallet
+  async refund(tx, customerId, amount, { reference, description, storeId, userId }) {
+    if (!customerId) {
+      throw new AppError('Wallet refunds need a registered customer on the sale');
+    }
+
+    return this.post(tx, customerId, { type: 'REFUND', amount, reference, description, storeId, userId });
+  }
+
+  // Wallet balance with its movements, newest first
+  async history(client, customerId, { page = 1, limit = 20, type } = {}) {
+    const customer = await client.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, name: true, phone: true, walletBalance: true }
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+    const where = { customerId };
+    if (type) where.type = type;
+
+    const [transactions, total] = await Promise.all([
+      client.walletTransaction.findMany({
+        where,
+        include: {
+          store: { select: { id: true, code: true, name: true } },
+          createdBy: { select: { id: true, name: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      client.walletTransaction.count({ where })
+    ]);
+
+    return {
+      customer: { ...customer, walletBalance: roundAmount(customer.walletBalance) },
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    };
+  }
+}
+
+module.exports = new WalletService();
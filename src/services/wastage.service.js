@@ -0,0 +1,55 @@
+const { AppError } = require('../middleware/errorHandler');
+const { roundAmount } = require('../utils/helpers');
+const saleService = require('./sale.service');
+
+const REASONS = ['SPOILED', 'DAMAGED', 'EXPIRED', 'OTHER'];
+
+class WastageService {
+  get reasons() {
+    return REASONS;
+  }
+
+  // Write stock off in a store and record the loss at the product's current
+  // cost (or the cost given, e.g. what a transfer was dispatched at).
+  // Stock is drawn FEFO unless specific batches are named (e.g. the batch
+  // that was found spoiled, or goods just taken back on a return).
+  async record(tx, { productId, storeId, quantity, reason, notes, photo, userId, reference, batchIds, costPrice }) {
+    if (!REASONS.includes(reason)) {
+      throw new AppError('Invalid wastage reason', 400, { reasons: REASONS });
+    }
+
+    const { product, stock, beforeStock, afterStock, transaction, batches } = await saleService.moveStock(tx, {
+      productId,
+      storeId,
+      quantity: -quantity,
+      type: 'WASTAGE',
+      reference,
+      notes: notes || `Wastage: ${reason.toLowerCase()}`,
+      userId,
+      drawFrom: batchIds
+    });
+
+    const lossPrice = costPrice !== undefined && costPrice !== null ? costPrice : product.purchasePrice;
+
+    const wastage = await tx.wastage.create({
+      data: {
+        productId,
+        storeId,
+        quantity,
+        reason,
+        costPrice: lossPrice,
+        totalLoss: roundAmount(quantity * lossPrice),
+        notes,
+        photo,
+        transactionId: transaction.id,
+        reportedById: userId
+      }
+    });
+
+    await saleService.raiseStockAlert(tx, stock);
+
+    return { wastage, product, beforeStock, afterStock, batches };
+  }
+}
+
+module.exports = new WastageService();
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 // Format currency
 const formatCurrency = (amount) => {
   return new Intl.NumberFormat('en-IN', {
@@ -8,6 +10,11 @@ const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+// Round a rupee amount to paise
+const roundAmount = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
 // Format date
 const formatDate = (date, format = 'dd/MM/yyyy') => {
   const d = new Date(date);
@@ -31,6 +38,15 @@ const generateRandomString = (length = 10) => {
   return result;
 };
 
+// Generate numeric one-time password
+const generateOTP = (length = 6) => {
+  let otp = '';
+  for (let i = 0; i < length; i++) {
+    otp += crypto.randomInt(0, 10).toString();
+  }
+  return otp;
+};
+
 // Calculate profit margin
 const calculateMargin = (cost, price) => {
   if (cost === 0) return 100;
@@ -177,8 +193,10 @@ const maskData = (data, type) => {
 
 module.exports = {
   formatCurrency,
+  roundAmount,
   formatDate,
   generateRandomString,
+  generateOTP,
   calculateMargin,
   groupBy,
   paginate,